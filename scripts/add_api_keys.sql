@@ -0,0 +1,61 @@
+-- API keys for customers' system-to-system integrations. Only a SHA-256 hash
+-- of each key is stored; the key itself is shown once when it is created.
+-- Scopes: shipments:read, shipments:write, tracking:read
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL UNIQUE, -- First part of the key, used to look it up and shown in lists
+    key_hash TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip TEXT,
+    usage_count BIGINT NOT NULL DEFAULT 0,
+    rotated_from UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
+
+-- Requests per key per day
+CREATE TABLE IF NOT EXISTS api_key_usage (
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0, -- Responses with status 400 or above
+    PRIMARY KEY (api_key_id, day)
+);
+
+-- Count one request against a key
+CREATE OR REPLACE FUNCTION record_api_key_usage(
+    p_key_id UUID,
+    p_ip TEXT,
+    p_failed BOOLEAN
+) RETURNS VOID AS $$
+BEGIN
+    UPDATE api_keys
+    SET usage_count = usage_count + 1,
+        last_used_at = NOW(),
+        last_used_ip = p_ip
+    WHERE id = p_key_id;
+
+    INSERT INTO api_key_usage (api_key_id, day, requests, errors)
+    VALUES (p_key_id, CURRENT_DATE, 1, CASE WHEN p_failed THEN 1 ELSE 0 END)
+    ON CONFLICT (api_key_id, day) DO UPDATE
+    SET requests = api_key_usage.requests + 1,
+        errors = api_key_usage.errors + EXCLUDED.errors;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_key_usage ENABLE ROW LEVEL SECURITY;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION record_api_key_usage(UUID, TEXT, BOOLEAN);
+-- DROP TABLE api_key_usage;
+-- DROP TABLE api_keys;
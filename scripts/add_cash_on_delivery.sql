@@ -0,0 +1,112 @@
+-- Cash on delivery: the receiver pays the driver, who holds the cash until
+-- remitting it. drivers.cod_balance only changes through the two functions
+-- below, which lock the driver row so concurrent deliveries and remittances add up.
+
+-- Shipments booked cash on delivery
+ALTER TABLE shipments DROP CONSTRAINT IF EXISTS shipments_payment_status_check;
+ALTER TABLE shipments ADD CONSTRAINT shipments_payment_status_check
+    CHECK (payment_status IN ('unpaid', 'paid', 'refunded', 'on_account', 'cod'));
+
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS cod_amount DECIMAL(12, 2) CHECK (cod_amount > 0);
+
+ALTER TABLE drivers
+ADD COLUMN IF NOT EXISTS cod_balance DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (cod_balance >= 0);
+
+-- One collection per shipment, recorded by the delivering driver
+CREATE TABLE IF NOT EXISTS cod_collections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shipment_id UUID NOT NULL UNIQUE REFERENCES shipments(id) ON DELETE RESTRICT,
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE RESTRICT,
+    amount_expected DECIMAL(12, 2) NOT NULL,
+    amount_collected DECIMAL(12, 2) NOT NULL CHECK (amount_collected >= 0),
+    notes TEXT,
+    collected_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cod_collections_driver ON cod_collections(driver_id, collected_at DESC);
+
+-- Cash handed over by a driver; reference (e.g. bank deposit slip) is unique per driver
+CREATE TABLE IF NOT EXISTS cod_remittances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE RESTRICT,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    reference TEXT,
+    notes TEXT,
+    balance_after DECIMAL(12, 2) NOT NULL,
+    received_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (driver_id, reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cod_remittances_driver ON cod_remittances(driver_id, created_at DESC);
+
+ALTER TABLE cod_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cod_remittances ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION record_cod_collection(
+    p_shipment_id UUID,
+    p_driver_id UUID,
+    p_expected DECIMAL,
+    p_collected DECIMAL,
+    p_notes TEXT
+)
+RETURNS cod_collections
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_collection cod_collections;
+BEGIN
+    PERFORM 1 FROM drivers WHERE id = p_driver_id FOR UPDATE;
+
+    -- A second collection for the shipment fails with unique_violation
+    INSERT INTO cod_collections (shipment_id, driver_id, amount_expected, amount_collected, notes)
+    VALUES (p_shipment_id, p_driver_id, p_expected, p_collected, p_notes)
+    RETURNING * INTO v_collection;
+
+    UPDATE drivers SET cod_balance = cod_balance + p_collected WHERE id = p_driver_id;
+
+    RETURN v_collection;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_cod_remittance(
+    p_driver_id UUID,
+    p_amount DECIMAL,
+    p_reference TEXT,
+    p_notes TEXT,
+    p_received_by UUID
+)
+RETURNS cod_remittances
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_balance DECIMAL;
+    v_remittance cod_remittances;
+BEGIN
+    -- More than the driver holds fails the cod_balance CHECK (check_violation)
+    UPDATE drivers SET cod_balance = cod_balance - p_amount
+    WHERE id = p_driver_id
+    RETURNING cod_balance INTO v_balance;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Driver % not found', p_driver_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    INSERT INTO cod_remittances (driver_id, amount, reference, notes, balance_after, received_by)
+    VALUES (p_driver_id, p_amount, p_reference, p_notes, v_balance, p_received_by)
+    RETURNING * INTO v_remittance;
+
+    RETURN v_remittance;
+END;
+$$;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION record_cod_remittance(UUID, DECIMAL, TEXT, TEXT, UUID);
+-- DROP FUNCTION record_cod_collection(UUID, UUID, DECIMAL, DECIMAL, TEXT);
+-- DROP TABLE cod_remittances;
+-- DROP TABLE cod_collections;
+-- ALTER TABLE drivers DROP COLUMN cod_balance;
+-- ALTER TABLE shipments DROP COLUMN cod_amount;
+-- ALTER TABLE shipments DROP CONSTRAINT shipments_payment_status_check;
+-- ALTER TABLE shipments ADD CONSTRAINT shipments_payment_status_check CHECK (payment_status IN ('unpaid', 'paid', 'refunded', 'on_account'));
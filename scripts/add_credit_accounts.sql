@@ -0,0 +1,196 @@
+-- Postpaid corporate accounts: approved customers book on account up to a
+-- credit limit and settle the balance against monthly statements
+
+-- Shipments booked on account
+ALTER TABLE shipments DROP CONSTRAINT IF EXISTS shipments_payment_status_check;
+ALTER TABLE shipments ADD CONSTRAINT shipments_payment_status_check
+    CHECK (payment_status IN ('unpaid', 'paid', 'refunded', 'on_account'));
+
+CREATE TABLE IF NOT EXISTS credit_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE,
+    credit_limit DECIMAL(12, 2) NOT NULL CHECK (credit_limit >= 0),
+    payment_terms_days INTEGER NOT NULL DEFAULT 30 CHECK (payment_terms_days >= 0),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended')),
+    notes TEXT,
+    approved_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT credit_accounts_user_id_fkey FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE
+);
+
+ALTER TABLE credit_accounts ENABLE ROW LEVEL SECURITY;
+
+-- Ledger: charges are positive, payments and credits negative, adjustments
+-- (repriced shipments) either; balance = SUM(amount)
+CREATE TABLE IF NOT EXISTS account_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES credit_accounts(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('charge', 'payment', 'credit', 'adjustment')),
+    amount DECIMAL(12, 2) NOT NULL,
+    shipment_id UUID REFERENCES shipments(id) ON DELETE SET NULL,
+    invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    reference TEXT,
+    description TEXT,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (type = 'adjustment' OR (type = 'charge') = (amount > 0))
+);
+
+-- A shipment is charged and credited at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_entries_shipment ON account_entries(shipment_id, type)
+    WHERE shipment_id IS NOT NULL AND type IN ('charge', 'credit');
+CREATE INDEX IF NOT EXISTS idx_account_entries_account ON account_entries(account_id, created_at);
+
+ALTER TABLE account_entries ENABLE ROW LEVEL SECURITY;
+
+-- Monthly statements (regenerating a month replaces it)
+CREATE TABLE IF NOT EXISTS account_statements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES credit_accounts(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    opening_balance DECIMAL(12, 2) NOT NULL,
+    charges DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    payments DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    credits DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    closing_balance DECIMAL(12, 2) NOT NULL,
+    overdue DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    aging JSONB NOT NULL, -- { "0-30": ..., "31-60": ..., "60+": ... }
+    entries JSONB NOT NULL,
+    generated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (account_id, period_start)
+);
+
+ALTER TABLE account_statements ENABLE ROW LEVEL SECURITY;
+
+-- Book shipments on account: checks the account and inserts the shipments with
+-- their charges in one transaction. The account row is locked, so concurrent
+-- bookings are checked one after the other against the credit limit.
+-- p_shipments is a JSON array of shipments rows (columns left out take their defaults).
+CREATE OR REPLACE FUNCTION book_shipments_on_account(p_account_id UUID, p_shipments JSONB)
+RETURNS SETOF shipments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_account credit_accounts;
+    v_balance DECIMAL;
+    v_overdue DECIMAL;
+    v_total DECIMAL;
+    v_item JSONB;
+    v_columns TEXT;
+    v_shipment shipments;
+BEGIN
+    SELECT * INTO v_account FROM credit_accounts WHERE id = p_account_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Credit account % not found', p_account_id USING ERRCODE = 'no_data_found';
+    END IF;
+    IF v_account.status <> 'active' THEN
+        RAISE EXCEPTION 'account_suspended' USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Payments settle the oldest charges first, so the account is overdue when
+    -- charges older than its terms add up to more than everything paid or credited
+    SELECT
+        COALESCE(SUM(amount), 0),
+        GREATEST(
+            COALESCE(SUM(amount) FILTER (WHERE amount > 0 AND created_at <= NOW() - (v_account.payment_terms_days + 1) * INTERVAL '1 day'), 0)
+                + COALESCE(SUM(amount) FILTER (WHERE amount < 0), 0),
+            0
+        )
+    INTO v_balance, v_overdue
+    FROM account_entries
+    WHERE account_id = p_account_id;
+
+    IF v_overdue > 0 THEN
+        RAISE EXCEPTION 'account_overdue' USING ERRCODE = 'check_violation';
+    END IF;
+
+    SELECT COALESCE(SUM((item->>'shipping_fee')::DECIMAL), 0) INTO v_total
+    FROM jsonb_array_elements(p_shipments) AS item;
+
+    IF v_balance + v_total > v_account.credit_limit THEN
+        RAISE EXCEPTION 'credit_limit_exceeded' USING ERRCODE = 'check_violation';
+    END IF;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_shipments) LOOP
+        SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM jsonb_object_keys(v_item) AS key;
+
+        EXECUTE format(
+            'INSERT INTO shipments (%s) SELECT %s FROM jsonb_populate_record(NULL::shipments, $1) RETURNING *',
+            v_columns, v_columns
+        ) INTO v_shipment USING v_item;
+
+        IF v_shipment.shipping_fee > 0 THEN
+            INSERT INTO account_entries (account_id, type, amount, shipment_id, reference, description)
+            VALUES (p_account_id, 'charge', v_shipment.shipping_fee, v_shipment.id, v_shipment.tracking_number, 'Shipment ' || v_shipment.tracking_number);
+        END IF;
+
+        RETURN NEXT v_shipment;
+    END LOOP;
+END;
+$$;
+
+-- Bring a shipment's charge in line with its new fee: adds an adjustment entry
+-- for the difference and stores the fee, in one transaction under the account
+-- lock. Runs once the repriced shipment is saved, so the credit limit is
+-- checked by the API beforehand rather than here. Cancelled and returned
+-- shipments were already credited and raise 'shipment_closed' (check_violation).
+-- Returns the entry, or nothing when the charge already matches.
+CREATE OR REPLACE FUNCTION adjust_account_charge(p_shipment_id UUID, p_amount DECIMAL, p_description TEXT)
+RETURNS SETOF account_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_account credit_accounts;
+    v_charged DECIMAL;
+    v_delta DECIMAL;
+    v_status TEXT;
+    v_entry account_entries;
+BEGIN
+    SELECT a.* INTO v_account
+    FROM credit_accounts a
+    JOIN shipments s ON s.sender_id = a.user_id
+    WHERE s.id = p_shipment_id
+    FOR UPDATE OF a;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No credit account for shipment %', p_shipment_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    SELECT status INTO v_status FROM shipments WHERE id = p_shipment_id;
+    IF v_status IN ('cancelled', 'returned') THEN
+        RAISE EXCEPTION 'shipment_closed' USING ERRCODE = 'check_violation';
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_charged
+    FROM account_entries
+    WHERE account_id = v_account.id
+      AND shipment_id = p_shipment_id
+      AND type IN ('charge', 'adjustment');
+
+    v_delta := p_amount - v_charged;
+
+    UPDATE shipments SET shipping_fee = p_amount WHERE id = p_shipment_id;
+
+    IF v_delta = 0 THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO account_entries (account_id, type, amount, shipment_id, description)
+    VALUES (v_account.id, 'adjustment', v_delta, p_shipment_id, p_description)
+    RETURNING * INTO v_entry;
+
+    RETURN NEXT v_entry;
+END;
+$$;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION adjust_account_charge(UUID, DECIMAL, TEXT);
+-- DROP FUNCTION book_shipments_on_account(UUID, JSONB);
+-- DROP TABLE account_statements;
+-- DROP TABLE account_entries;
+-- DROP TABLE credit_accounts;
+-- ALTER TABLE shipments DROP CONSTRAINT shipments_payment_status_check;
+-- ALTER TABLE shipments ADD CONSTRAINT shipments_payment_status_check CHECK (payment_status IN ('unpaid', 'paid', 'refunded'));
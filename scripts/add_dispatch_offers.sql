@@ -0,0 +1,24 @@
+-- Driver job offers created by the dispatch service
+-- A driver must accept an offer before pickup; declined/expired offers free the shipment
+CREATE TABLE IF NOT EXISTS dispatch_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shipment_id UUID REFERENCES shipments(id) ON DELETE CASCADE,
+    driver_id UUID REFERENCES drivers(id) ON DELETE CASCADE,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'expired')),
+    score DECIMAL(5,1),
+    decline_reason TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_offers_shipment ON dispatch_offers(shipment_id);
+CREATE INDEX IF NOT EXISTS idx_offers_driver_status ON dispatch_offers(driver_id, status);
+
+ALTER TABLE dispatch_offers ENABLE ROW LEVEL SECURITY;
+
+-- Failed delivery attempts reported by drivers
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_delivery_attempt_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_delivery_failure TEXT;
@@ -0,0 +1,97 @@
+-- Invoices, receipts and credit notes with gap-free numbering
+-- Each series keeps its last issued number in invoice_sequences. issue_invoice()
+-- takes the next number and inserts the document in one transaction, so a
+-- failed insert rolls the counter back and no number is ever skipped.
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    series TEXT PRIMARY KEY, -- INV, RCT, CN
+    last_value BIGINT NOT NULL DEFAULT 0
+);
+
+INSERT INTO invoice_sequences (series) VALUES ('INV'), ('RCT'), ('CN')
+ON CONFLICT (series) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type TEXT NOT NULL CHECK (type IN ('invoice', 'receipt', 'credit_note')),
+    series TEXT NOT NULL REFERENCES invoice_sequences(series),
+    sequence BIGINT NOT NULL,
+    number TEXT NOT NULL UNIQUE,
+    shipment_id UUID REFERENCES shipments(id) ON DELETE SET NULL,
+    payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+    refund_id UUID REFERENCES refunds(id) ON DELETE SET NULL,
+    invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL, -- Invoice a receipt or credit note belongs to
+    customer_id UUID,
+    -- Snapshots: later profile or price changes never alter an issued document
+    customer JSONB NOT NULL,
+    seller JSONB NOT NULL,
+    line_items JSONB NOT NULL,
+    subtotal DECIMAL(12, 2) NOT NULL,
+    vat_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    total DECIMAL(12, 2) NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'NGN',
+    notes TEXT,
+    issued_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (series, sequence),
+    CONSTRAINT invoices_customer_id_fkey FOREIGN KEY (customer_id) REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+-- One invoice per shipment, one receipt per payment, one credit note per refund.
+-- Price changes after invoicing add invoices / credit notes against the first
+-- invoice (invoice_id set), which the shipment index leaves out.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_one_per_shipment ON invoices(shipment_id) WHERE type = 'invoice' AND invoice_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_one_per_payment ON invoices(payment_id) WHERE type = 'receipt';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_one_per_refund ON invoices(refund_id) WHERE type = 'credit_note';
+CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id, issued_at DESC);
+
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION issue_invoice(p_series TEXT, p_document JSONB)
+RETURNS invoices
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_sequence BIGINT;
+    v_invoice invoices;
+BEGIN
+    -- Row lock: concurrent issuers of the same series wait here until we commit
+    UPDATE invoice_sequences
+    SET last_value = last_value + 1
+    WHERE series = p_series
+    RETURNING last_value INTO v_sequence;
+
+    IF v_sequence IS NULL THEN
+        RAISE EXCEPTION 'Unknown invoice series %', p_series;
+    END IF;
+
+    INSERT INTO invoices (
+        type, series, sequence, number, shipment_id, payment_id, refund_id, invoice_id,
+        customer_id, customer, seller, line_items, subtotal, vat_amount, total, currency, notes
+    ) VALUES (
+        p_document->>'type',
+        p_series,
+        v_sequence,
+        p_series || '-' || LPAD(v_sequence::TEXT, 6, '0'),
+        (p_document->>'shipment_id')::UUID,
+        (p_document->>'payment_id')::UUID,
+        (p_document->>'refund_id')::UUID,
+        (p_document->>'invoice_id')::UUID,
+        (p_document->>'customer_id')::UUID,
+        p_document->'customer',
+        p_document->'seller',
+        p_document->'line_items',
+        (p_document->>'subtotal')::DECIMAL,
+        COALESCE((p_document->>'vat_amount')::DECIMAL, 0),
+        (p_document->>'total')::DECIMAL,
+        COALESCE(p_document->>'currency', 'NGN'),
+        p_document->>'notes'
+    )
+    RETURNING * INTO v_invoice;
+
+    RETURN v_invoice;
+END;
+$$;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION issue_invoice(TEXT, JSONB);
+-- DROP TABLE invoices;
+-- DROP TABLE invoice_sequences;
@@ -0,0 +1,109 @@
+-- TOTP two-factor authentication. Secrets and parked sessions are encrypted
+-- with MFA_ENCRYPTION_KEY by the API; recovery codes are stored as hashes.
+-- Events go to auth_audit_log (scripts/add_auth_audit_log.sql).
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TIMESTAMPTZ, -- NULL while enrolment waits for the first code
+    last_time_step BIGINT, -- Codes from this step or earlier are refused (replay)
+    last_used_at TIMESTAMPTZ,
+    failed_attempts INTEGER NOT NULL DEFAULT 0, -- Codes tried since the last success or lockout, across logins
+    locked_until TIMESTAMPTZ, -- No codes are checked before this
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, code_hash)
+);
+
+-- Logins that passed the password and wait for the second factor
+CREATE TABLE IF NOT EXISTS mfa_challenges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(), -- challengeToken
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    session_encrypted TEXT, -- Cleared once handed out or abandoned
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_challenges_user ON mfa_challenges(user_id, created_at DESC);
+
+-- Count a code attempt against a challenge and its user before the code is
+-- checked, so parallel requests cannot try more than p_max_attempts codes.
+-- Every p_max_user_failures attempts without a success, across challenges,
+-- lock the user out for p_lockout_minutes.
+-- Returns the challenge's attempts including this one; raises 'mfa_locked'
+-- or 'challenge_closed' (check_violation) when no attempt is allowed.
+CREATE OR REPLACE FUNCTION claim_mfa_attempt(
+    p_challenge_id UUID,
+    p_max_attempts INTEGER,
+    p_max_user_failures INTEGER,
+    p_lockout_minutes INTEGER
+) RETURNS INTEGER AS $$
+DECLARE
+    v_factor user_mfa%ROWTYPE;
+    v_attempts INTEGER;
+BEGIN
+    SELECT f.* INTO v_factor
+    FROM user_mfa f
+    JOIN mfa_challenges c ON c.user_id = f.user_id
+    WHERE c.id = p_challenge_id
+    FOR UPDATE OF f;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'challenge_closed' USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF v_factor.locked_until > NOW() THEN
+        RAISE EXCEPTION 'mfa_locked' USING ERRCODE = 'check_violation';
+    END IF;
+
+    UPDATE mfa_challenges
+    SET attempts = attempts + 1
+    WHERE id = p_challenge_id
+      AND completed_at IS NULL
+      AND expires_at > NOW()
+      AND attempts < p_max_attempts
+    RETURNING attempts INTO v_attempts;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'challenge_closed' USING ERRCODE = 'check_violation';
+    END IF;
+
+    UPDATE user_mfa
+    SET failed_attempts = CASE
+            WHEN failed_attempts + 1 >= p_max_user_failures THEN 0
+            ELSE failed_attempts + 1
+        END,
+        locked_until = CASE
+            WHEN failed_attempts + 1 >= p_max_user_failures THEN NOW() + make_interval(mins => p_lockout_minutes)
+            ELSE locked_until
+        END
+    WHERE user_id = v_factor.user_id;
+
+    RETURN v_attempts;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sessions that passed the second factor (scripts/add_user_sessions.sql)
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMPTZ;
+
+ALTER TABLE user_mfa ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mfa_challenges ENABLE ROW LEVEL SECURITY;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION claim_mfa_attempt(UUID, INTEGER, INTEGER, INTEGER);
+-- ALTER TABLE user_sessions DROP COLUMN mfa_verified_at;
+-- DROP TABLE mfa_challenges;
+-- DROP TABLE mfa_recovery_codes;
+-- DROP TABLE user_mfa;
@@ -0,0 +1,50 @@
+-- Provider-neutral payments: every provider stores its checkout reference in
+-- payments.reference and one settlement routine moves payments out of 'pending'
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS provider TEXT,
+ADD COLUMN IF NOT EXISTS reference TEXT,
+ADD COLUMN IF NOT EXISTS provider_payment_id TEXT,
+ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+-- Older Stripe rows kept the session ID in stripe_session_id
+UPDATE payments
+SET provider = 'stripe', reference = stripe_session_id, provider_payment_id = stripe_payment_intent_id
+WHERE provider IS NULL AND stripe_session_id IS NOT NULL;
+
+UPDATE payments SET provider = 'paystack' WHERE provider IS NULL;
+
+ALTER TABLE payments ALTER COLUMN provider SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_reference ON payments(provider, reference);
+CREATE INDEX IF NOT EXISTS idx_payments_pending ON payments(created_at, id) WHERE status = 'pending';
+
+-- Webhook deliveries, stored once per provider event ID
+-- processed_at stays NULL until the event was handled, so a retried delivery
+-- of an event that failed half-way is processed again
+CREATE TABLE IF NOT EXISTS payment_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    reference TEXT,
+    payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    result TEXT, -- settled, already_settled, pending, amount_mismatch, unmatched, ignored
+    error TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_events_reference ON payment_events(provider, reference);
+
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
+
+-- Down Migration (for rollback)
+-- DROP TABLE payment_events;
+-- DROP INDEX idx_payments_provider_reference;
+-- DROP INDEX idx_payments_pending;
+-- ALTER TABLE payments DROP COLUMN user_id, DROP COLUMN provider, DROP COLUMN reference,
+--     DROP COLUMN provider_payment_id, DROP COLUMN paid_at, DROP COLUMN failure_reason;
@@ -0,0 +1,24 @@
+-- Reports of payment reconciliation runs (npm run payments:reconcile,
+-- RECONCILE_INTERVAL_MINUTES or POST /api/payments/reconciliation).
+-- Pending payments are found through idx_payments_pending and provider
+-- transactions matched through idx_payments_provider_reference (add_payment_events.sql).
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trigger TEXT NOT NULL CHECK (trigger IN ('command', 'schedule', 'api')),
+    triggered_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    options JSONB NOT NULL DEFAULT '{}',
+    summary JSONB NOT NULL DEFAULT '{}',
+    mismatches JSONB NOT NULL DEFAULT '[]',  -- amount or outcome differs from the provider
+    orphans JSONB NOT NULL DEFAULT '[]',     -- provider transactions with no payment
+    unresolved JSONB NOT NULL DEFAULT '[]',  -- pending payments that need a person
+    errors JSONB NOT NULL DEFAULT '[]',
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started ON reconciliation_runs(started_at DESC);
+
+ALTER TABLE reconciliation_runs ENABLE ROW LEVEL SECURITY;
+
+-- Down Migration (for rollback)
+-- DROP TABLE reconciliation_runs;
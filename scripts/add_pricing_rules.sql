@@ -0,0 +1,51 @@
+-- Surcharge, discount and tax rules applied on top of freight, lowest priority first
+-- calculation: 'percentage' of basis ('freight', 'subtotal' = everything before the rule,
+-- 'declared_value') or a 'fixed' amount. min_charge / max_charge clamp the result.
+-- conditions (all optional): { "serviceTypes": [], "packageTypes": [], "zones": [],
+--   "pickupDays": [0-6, 0 = Sunday], "pickupHours": { "from": 20, "to": 6 },
+--   "minWeight": 0, "minDeclaredValue": 0 }
+CREATE TABLE IF NOT EXISTS pricing_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code TEXT UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT,
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('surcharge', 'discount', 'tax')),
+    calculation TEXT NOT NULL CHECK (calculation IN ('percentage', 'fixed')),
+    basis TEXT NOT NULL DEFAULT 'freight' CHECK (basis IN ('freight', 'subtotal', 'declared_value')),
+    amount DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    min_charge DECIMAL(12,2),
+    max_charge DECIMAL(12,2),
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    priority INTEGER NOT NULL DEFAULT 100,
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_priority ON pricing_rules(priority) WHERE is_active;
+
+ALTER TABLE pricing_rules ENABLE ROW LEVEL SECURITY;
+
+-- Starting rules
+INSERT INTO pricing_rules (code, name, rule_type, calculation, basis, amount, min_charge, conditions, priority)
+VALUES
+    ('fuel', 'Fuel surcharge', 'surcharge', 'percentage', 'freight', 5.00, NULL, '{}', 10),
+    ('weekend_pickup', 'Weekend pickup', 'surcharge', 'fixed', 'freight', 10000.00, NULL, '{"pickupDays": [0, 6]}', 20),
+    ('night_pickup', 'Night pickup (8pm - 6am)', 'surcharge', 'fixed', 'freight', 7500.00, NULL, '{"pickupHours": {"from": 20, "to": 6}}', 20),
+    ('cold_chain', 'Cold chain handling', 'surcharge', 'percentage', 'freight', 15.00, NULL, '{"packageTypes": ["frozen foods", "pharmaceuticals"]}', 30),
+    ('insurance', 'Goods in transit insurance', 'surcharge', 'percentage', 'declared_value', 1.00, 2000.00, '{"minDeclaredValue": 1}', 40),
+    ('vat', 'VAT (7.5%)', 'tax', 'percentage', 'subtotal', 7.50, NULL, '{}', 1000)
+ON CONFLICT (code) DO NOTHING;
+
+-- Requested pickup time (weekend / night rules) and the itemised quote on each shipment
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS pickup_date TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
+
+-- Down Migration (for rollback)
+-- DROP TABLE pricing_rules;
+-- ALTER TABLE shipments DROP COLUMN pickup_date;
+-- ALTER TABLE shipments DROP COLUMN price_breakdown;
@@ -0,0 +1,84 @@
+-- Versioned pricing: a rate change closes the current row (effective_to) and
+-- inserts a new one, so shipments can be repriced with the rates they were booked on.
+-- Note: the ON CONFLICT (service_type) upserts in update_pricing_configs.sql and
+-- fix_pricing_constraint.sql no longer apply once this has run.
+ALTER TABLE pricing_configs
+DROP CONSTRAINT IF EXISTS pricing_configs_service_type_key;
+
+ALTER TABLE pricing_configs
+ADD COLUMN IF NOT EXISTS effective_from TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS effective_to TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+UPDATE pricing_configs SET effective_from = COALESCE(created_at, NOW()) WHERE effective_from IS NULL;
+
+ALTER TABLE pricing_configs
+ALTER COLUMN effective_from SET DEFAULT NOW(),
+ALTER COLUMN effective_from SET NOT NULL;
+
+ALTER TABLE pricing_configs
+DROP CONSTRAINT IF EXISTS pricing_configs_effective_range_check;
+
+ALTER TABLE pricing_configs
+ADD CONSTRAINT pricing_configs_effective_range_check
+CHECK (effective_to IS NULL OR effective_to >= effective_from);
+
+-- Only one open version per service type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_configs_open_version
+ON pricing_configs (LOWER(service_type)) WHERE effective_to IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pricing_configs_effective
+ON pricing_configs (LOWER(service_type), effective_from DESC);
+
+-- Quotes issued by POST /api/pricing/calculate; a shipment booked with the
+-- quote ID is charged the quoted total until expires_at
+CREATE TABLE IF NOT EXISTS pricing_quotes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    service_type TEXT NOT NULL,
+    total DECIMAL(12,2) NOT NULL,
+    quote JSONB NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    shipment_id UUID REFERENCES shipments(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_quotes_expires_at ON pricing_quotes(expires_at) WHERE used_at IS NULL;
+
+ALTER TABLE pricing_quotes ENABLE ROW LEVEL SECURITY;
+
+-- Every change to rates, zones and rules, with who made it
+CREATE TABLE IF NOT EXISTS pricing_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity TEXT NOT NULL CHECK (entity IN ('pricing_config', 'pricing_zone', 'pricing_rule')),
+    entity_id UUID,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    service_type TEXT,
+    before JSONB,
+    after JSONB,
+    changed_by UUID,
+    changed_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT pricing_history_changed_by_fkey FOREIGN KEY (changed_by) REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_history_changed_at ON pricing_history(changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pricing_history_entity ON pricing_history(entity, entity_id);
+
+ALTER TABLE pricing_history ENABLE ROW LEVEL SECURITY;
+
+-- Which quote a shipment was booked on and when its price was set
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES pricing_quotes(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS priced_at TIMESTAMPTZ;
+
+UPDATE shipments SET priced_at = created_at WHERE priced_at IS NULL;
+
+-- Down Migration (for rollback)
+-- ALTER TABLE shipments DROP COLUMN quote_id, DROP COLUMN priced_at;
+-- DROP TABLE pricing_history;
+-- DROP TABLE pricing_quotes;
+-- DELETE FROM pricing_configs WHERE effective_to IS NOT NULL;
+-- DROP INDEX idx_pricing_configs_open_version;
+-- ALTER TABLE pricing_configs DROP COLUMN effective_from, DROP COLUMN effective_to, DROP COLUMN created_by;
+-- ALTER TABLE pricing_configs ADD CONSTRAINT pricing_configs_service_type_key UNIQUE (service_type);
@@ -0,0 +1,50 @@
+-- Zone rates priced on top of pricing_configs
+-- price = base_price + price_per_kg * weight + per-km rate * distance + zone base_fee
+-- price_per_km NULL keeps the pricing_configs rate; min_distance_km is charged when
+-- the route is shorter or its distance cannot be worked out
+CREATE TABLE IF NOT EXISTS pricing_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_type TEXT NOT NULL,
+    zone TEXT NOT NULL CHECK (zone IN ('intra_city', 'intra_state', 'inter_state')),
+    base_fee DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    price_per_km DECIMAL(10,2),
+    min_distance_km DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (service_type, zone)
+);
+
+ALTER TABLE pricing_zones ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view pricing zones" ON pricing_zones;
+CREATE POLICY "Anyone can view pricing zones" ON pricing_zones
+    FOR SELECT USING (true);
+
+-- Starting rates
+INSERT INTO pricing_zones (service_type, zone, base_fee, price_per_km, min_distance_km)
+VALUES
+    ('5 tons', 'intra_city', 0.00, NULL, 15.00),
+    ('5 tons', 'intra_state', 5000.00, NULL, 40.00),
+    ('5 tons', 'inter_state', 15000.00, NULL, 0.00),
+    ('10 tons', 'intra_city', 0.00, NULL, 15.00),
+    ('10 tons', 'intra_state', 7500.00, NULL, 40.00),
+    ('10 tons', 'inter_state', 20000.00, NULL, 0.00),
+    ('15 tons', 'intra_city', 0.00, NULL, 15.00),
+    ('15 tons', 'intra_state', 10000.00, NULL, 40.00),
+    ('15 tons', 'inter_state', 25000.00, NULL, 0.00)
+ON CONFLICT (service_type, zone) DO NOTHING;
+
+-- Route details stored with each shipment
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS origin_state TEXT,
+ADD COLUMN IF NOT EXISTS destination_state TEXT,
+ADD COLUMN IF NOT EXISTS distance_km DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS pricing_zone TEXT;
+
+-- Down Migration (for rollback)
+-- DROP TABLE pricing_zones;
+-- ALTER TABLE shipments DROP COLUMN origin_state;
+-- ALTER TABLE shipments DROP COLUMN destination_state;
+-- ALTER TABLE shipments DROP COLUMN distance_km;
+-- ALTER TABLE shipments DROP COLUMN pricing_zone;
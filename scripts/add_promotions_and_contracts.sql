@@ -0,0 +1,88 @@
+-- Promo codes: a percentage or fixed discount taken after surcharges and before tax
+-- min_order_amount is compared with the freight; max_uses / per_user_limit are
+-- counted from promo_redemptions (NULL = unlimited)
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code TEXT NOT NULL UNIQUE CHECK (code = UPPER(code)),
+    description TEXT,
+    discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    max_discount DECIMAL(12,2),
+    min_order_amount DECIMAL(12,2),
+    max_uses INTEGER CHECK (max_uses > 0),
+    per_user_limit INTEGER CHECK (per_user_limit > 0),
+    service_types TEXT[],
+    starts_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (expires_at IS NULL OR starts_at IS NULL OR expires_at > starts_at)
+);
+
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+
+-- One row per booking that used a code; shipment_id is set once the shipment exists
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    user_id UUID,
+    shipment_id UUID REFERENCES shipments(id) ON DELETE SET NULL,
+    discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT promo_redemptions_user_id_fkey FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code_user ON promo_redemptions(promo_code_id, user_id);
+
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- Negotiated rates for a customer. origin_state / destination_state (state names,
+-- NULL = any) narrow a card to a lane; the most specific active card wins.
+-- Rates left NULL fall back to pricing_configs.
+CREATE TABLE IF NOT EXISTS contract_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    name TEXT NOT NULL,
+    service_type TEXT NOT NULL,
+    origin_state TEXT,
+    destination_state TEXT,
+    base_price DECIMAL(12,2),
+    price_per_kg DECIMAL(12,2),
+    price_per_km DECIMAL(12,2),
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    notes TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT contract_rates_user_id_fkey FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_rates_user ON contract_rates(user_id, service_type) WHERE is_active;
+
+ALTER TABLE contract_rates ENABLE ROW LEVEL SECURITY;
+
+-- Contract changes appear in the pricing history
+ALTER TABLE pricing_history DROP CONSTRAINT IF EXISTS pricing_history_entity_check;
+ALTER TABLE pricing_history
+ADD CONSTRAINT pricing_history_entity_check
+CHECK (entity IN ('pricing_config', 'pricing_zone', 'pricing_rule', 'contract_rate'));
+
+-- The contract and promo code a shipment was priced with
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS contract_rate_id UUID REFERENCES contract_rates(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS promo_code_id UUID REFERENCES promo_codes(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS promo_code TEXT,
+ADD COLUMN IF NOT EXISTS promo_discount DECIMAL(12,2) DEFAULT 0.00;
+
+-- Down Migration (for rollback)
+-- ALTER TABLE shipments DROP COLUMN contract_rate_id, DROP COLUMN promo_code_id, DROP COLUMN promo_code, DROP COLUMN promo_discount;
+-- ALTER TABLE pricing_history DROP CONSTRAINT pricing_history_entity_check;
+-- ALTER TABLE pricing_history ADD CONSTRAINT pricing_history_entity_check CHECK (entity IN ('pricing_config', 'pricing_zone', 'pricing_rule'));
+-- DROP TABLE contract_rates;
+-- DROP TABLE promo_redemptions;
+-- DROP TABLE promo_codes;
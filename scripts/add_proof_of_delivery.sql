@@ -0,0 +1,48 @@
+-- Proof of delivery: receiver one-time code, admin override and stored files
+
+-- Receiver code (only the hash is stored)
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS delivery_otp_hash TEXT,
+ADD COLUMN IF NOT EXISTS delivery_otp_expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS delivery_otp_attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS delivery_otp_verified_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS delivery_otp_sent_at TIMESTAMPTZ, -- Drivers' re-sends are spaced from this
+-- Admin confirmed delivery without a code
+ADD COLUMN IF NOT EXISTS pod_override_by UUID REFERENCES profiles(id),
+ADD COLUMN IF NOT EXISTS pod_override_reason TEXT,
+ADD COLUMN IF NOT EXISTS pod_override_at TIMESTAMPTZ;
+
+-- Files kept by the storage adapter (signature, photos, generated documents)
+ALTER TABLE shipment_documents
+ADD COLUMN IF NOT EXISTS storage_key TEXT,
+ADD COLUMN IF NOT EXISTS content_type TEXT,
+ADD COLUMN IF NOT EXISTS size_bytes INTEGER,
+ADD COLUMN IF NOT EXISTS uploaded_by UUID REFERENCES profiles(id);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_documents_shipment ON shipment_documents(shipment_id);
+
+-- Count a delivery code attempt before the code is compared, so parallel
+-- requests cannot try more than p_max_attempts codes. Returns the attempts
+-- including this one, or NULL when they are used up.
+CREATE OR REPLACE FUNCTION claim_delivery_otp_attempt(p_shipment_id UUID, p_max_attempts INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_attempts INTEGER;
+BEGIN
+    UPDATE shipments
+    SET delivery_otp_attempts = COALESCE(delivery_otp_attempts, 0) + 1
+    WHERE id = p_shipment_id
+      AND COALESCE(delivery_otp_attempts, 0) < p_max_attempts
+    RETURNING delivery_otp_attempts INTO v_attempts;
+
+    RETURN v_attempts;
+END;
+$$;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION claim_delivery_otp_attempt(UUID, INTEGER);
+-- DROP INDEX idx_shipment_documents_shipment;
+-- ALTER TABLE shipment_documents DROP COLUMN storage_key, DROP COLUMN content_type, DROP COLUMN size_bytes, DROP COLUMN uploaded_by;
+-- ALTER TABLE shipments DROP COLUMN delivery_otp_hash, DROP COLUMN delivery_otp_expires_at, DROP COLUMN delivery_otp_attempts, DROP COLUMN delivery_otp_verified_at, DROP COLUMN delivery_otp_sent_at, DROP COLUMN pod_override_by, DROP COLUMN pod_override_reason, DROP COLUMN pod_override_at;
@@ -0,0 +1,96 @@
+-- Refunds: full or partial, tied to a payment and settled by the provider
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    shipment_id UUID REFERENCES shipments(id) ON DELETE SET NULL,
+    provider TEXT NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    cancellation_fee DECIMAL(12, 2) DEFAULT 0,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('pending_approval', 'processing', 'succeeded', 'failed', 'rejected')),
+    requested_by UUID,
+    approved_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    approved_at TIMESTAMPTZ,
+    provider_refund_id TEXT,
+    failure_reason TEXT,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT refunds_requested_by_fkey FOREIGN KEY (requested_by) REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+CREATE INDEX IF NOT EXISTS idx_refunds_provider_refund ON refunds(provider, provider_refund_id);
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+
+-- Running total of succeeded refunds
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(12, 2) DEFAULT 0;
+
+-- Insert a refund if its payment still has that much to give back: open
+-- refunds are summed under the payment's lock, so two requests racing cannot
+-- refund more than was paid. Raises 'refund_exceeds_remaining' (check_violation).
+CREATE OR REPLACE FUNCTION create_refund(p_refund JSONB)
+RETURNS refunds
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_payment payments;
+    v_committed DECIMAL;
+    v_columns TEXT;
+    v_refund refunds;
+BEGIN
+    SELECT * INTO v_payment FROM payments WHERE id = (p_refund->>'payment_id')::UUID FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment % not found', p_refund->>'payment_id' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_committed
+    FROM refunds
+    WHERE payment_id = v_payment.id
+      AND status IN ('pending_approval', 'processing', 'succeeded');
+
+    IF (p_refund->>'amount')::DECIMAL > v_payment.amount - v_committed THEN
+        RAISE EXCEPTION 'refund_exceeds_remaining' USING ERRCODE = 'check_violation';
+    END IF;
+
+    SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM jsonb_object_keys(p_refund) AS key;
+
+    EXECUTE format(
+        'INSERT INTO refunds (%s) SELECT %s FROM jsonb_populate_record(NULL::refunds, $1) RETURNING *',
+        v_columns, v_columns
+    ) INTO v_refund USING p_refund;
+
+    RETURN v_refund;
+END;
+$$;
+
+-- Fee kept when a paid shipment is cancelled, by the status it is cancelled from
+CREATE TABLE IF NOT EXISTS cancellation_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status TEXT NOT NULL UNIQUE CHECK (status IN ('pending', 'processing', 'in_transit')),
+    fee_type TEXT NOT NULL CHECK (fee_type IN ('percentage', 'fixed')),
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    min_fee DECIMAL(12, 2) DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO cancellation_policies (status, fee_type, amount, min_fee) VALUES
+    ('pending', 'percentage', 0, 0),
+    ('processing', 'percentage', 10, 2000),
+    ('in_transit', 'percentage', 50, 0)
+ON CONFLICT (status) DO NOTHING;
+
+ALTER TABLE cancellation_policies ENABLE ROW LEVEL SECURITY;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION create_refund(JSONB);
+-- DROP TABLE cancellation_policies;
+-- DROP TABLE refunds;
+-- ALTER TABLE payments DROP COLUMN refunded_amount;
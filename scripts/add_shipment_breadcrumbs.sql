@@ -0,0 +1,22 @@
+-- Breadcrumb trail of driver positions per shipment
+-- Written by POST /api/drivers/me/location
+CREATE TABLE IF NOT EXISTS shipment_breadcrumbs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shipment_id UUID REFERENCES shipments(id) ON DELETE CASCADE,
+    driver_id UUID REFERENCES drivers(id) ON DELETE SET NULL,
+    lat DECIMAL(10,8) NOT NULL,
+    lng DECIMAL(11,8) NOT NULL,
+    speed DECIMAL(6,2), -- km/h as reported by the device
+    heading DECIMAL(5,2), -- degrees from north
+    accuracy DECIMAL(8,2), -- metres
+    recorded_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Re-uploaded offline batches must not duplicate points
+    CONSTRAINT shipment_breadcrumbs_unique_point UNIQUE (shipment_id, recorded_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_breadcrumbs_shipment ON shipment_breadcrumbs(shipment_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_breadcrumbs_driver ON shipment_breadcrumbs(driver_id);
+
+-- RLS (server-side access only, admins read through the API)
+ALTER TABLE shipment_breadcrumbs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,16 @@
+-- Live ETA columns maintained by the ETA engine (recomputed on each driver ping)
+-- estimated_delivery stays the promised date; predicted_delivery is the live estimate
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS predicted_delivery TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS remaining_distance_km DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS eta_updated_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS delay_predicted_at TIMESTAMPTZ; -- First time predicted past estimated_delivery
+
+CREATE INDEX IF NOT EXISTS idx_shipments_delay_predicted ON shipments(delay_predicted_at)
+WHERE delay_predicted_at IS NOT NULL;
+
+-- Down Migration (for rollback)
+-- ALTER TABLE shipments DROP COLUMN predicted_delivery;
+-- ALTER TABLE shipments DROP COLUMN remaining_distance_km;
+-- ALTER TABLE shipments DROP COLUMN eta_updated_at;
+-- ALTER TABLE shipments DROP COLUMN delay_predicted_at;
@@ -0,0 +1,10 @@
+-- Volumetric and chargeable weight (kg) worked out from dimensions (cm) at booking
+-- chargeable_weight = GREATEST(weight, volumetric_weight) and is what per-kg rates apply to
+ALTER TABLE shipments
+ADD COLUMN IF NOT EXISTS volumetric_weight DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS chargeable_weight DECIMAL(12,2);
+
+UPDATE shipments SET chargeable_weight = weight WHERE chargeable_weight IS NULL;
+
+-- Down Migration (for rollback)
+-- ALTER TABLE shipments DROP COLUMN volumetric_weight, DROP COLUMN chargeable_weight;
@@ -0,0 +1,41 @@
+-- Signed-in sessions as users see them: one row per Supabase session
+-- (the session_id claim of its access tokens) with the device and IP it
+-- came from. Revoked rows stay so the API can refuse their access tokens
+-- until they expire.
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY, -- auth.sessions.id
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    device TEXT,
+    user_agent TEXT,
+    ip_address TEXT, -- at login
+    last_ip_address TEXT, -- at the last refresh
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_active_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ,
+    revoked_reason TEXT -- logout, revoked, revoked_all, password_reset
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Supabase can only sign out the session behind a token (or all of a user's),
+-- so revoking another device's session deletes it directly. The refresh
+-- tokens go with it.
+CREATE OR REPLACE FUNCTION revoke_auth_session(p_user_id UUID, p_session_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = auth, public
+AS $$
+BEGIN
+    DELETE FROM auth.sessions WHERE id = p_session_id AND user_id = p_user_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION revoke_auth_session(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION revoke_auth_session(UUID, UUID) TO service_role;
+
+-- Down Migration (for rollback)
+-- DROP FUNCTION revoke_auth_session(UUID, UUID);
+-- DROP TABLE user_sessions;
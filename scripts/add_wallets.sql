@@ -0,0 +1,115 @@
+-- Customer wallets as a double-entry ledger
+-- Every wallet_transactions row has entries that sum to zero: a top-up moves
+-- money from provider_clearing to the customer, paying for a shipment moves it
+-- from the customer to shipment_revenue, and so on. wallet_accounts.balance is
+-- kept by post_wallet_transaction() and always equals SUM(wallet_entries.amount).
+CREATE TABLE IF NOT EXISTS wallet_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE, -- NULL for system accounts
+    code TEXT UNIQUE, -- System accounts: provider_clearing, shipment_revenue, adjustments
+    currency TEXT NOT NULL DEFAULT 'NGN',
+    balance DECIMAL(14, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT wallet_accounts_user_id_fkey FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    CHECK ((user_id IS NULL) <> (code IS NULL)),
+    -- Customer wallets can never be overdrawn
+    CHECK (user_id IS NULL OR balance >= 0)
+);
+
+INSERT INTO wallet_accounts (code) VALUES ('provider_clearing'), ('shipment_revenue'), ('adjustments')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type TEXT NOT NULL CHECK (type IN ('topup', 'payment', 'refund', 'adjustment')),
+    reference TEXT NOT NULL, -- payment, refund or adjustment this posts
+    description TEXT,
+    reason TEXT, -- Required for adjustments
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Each payment, refund or adjustment is posted once
+    UNIQUE (type, reference),
+    CONSTRAINT wallet_transactions_created_by_fkey FOREIGN KEY (created_by) REFERENCES profiles(id) ON DELETE SET NULL,
+    CHECK (type <> 'adjustment' OR length(trim(reason)) > 0)
+);
+
+CREATE TABLE IF NOT EXISTS wallet_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transaction_id UUID NOT NULL REFERENCES wallet_transactions(id) ON DELETE RESTRICT,
+    account_id UUID NOT NULL REFERENCES wallet_accounts(id) ON DELETE RESTRICT,
+    amount DECIMAL(14, 2) NOT NULL CHECK (amount <> 0), -- Positive credits the account
+    balance_after DECIMAL(14, 2) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_entries_account ON wallet_entries(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wallet_entries_transaction ON wallet_entries(transaction_id);
+
+ALTER TABLE wallet_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wallet_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wallet_entries ENABLE ROW LEVEL SECURITY;
+
+-- Post a balanced transaction in one database transaction
+-- p_entries: [{ "account_id": "...", "amount": 123.45 }, ...]
+-- Raises 23505 if (type, reference) was already posted and 23514 (check
+-- violation) if a customer wallet would go below zero.
+CREATE OR REPLACE FUNCTION post_wallet_transaction(
+    p_type TEXT,
+    p_reference TEXT,
+    p_description TEXT,
+    p_reason TEXT,
+    p_created_by UUID,
+    p_entries JSONB
+)
+RETURNS wallet_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_transaction wallet_transactions;
+    v_entry JSONB;
+    v_balance DECIMAL(14, 2);
+BEGIN
+    IF (SELECT COALESCE(SUM((e->>'amount')::DECIMAL), 0) FROM jsonb_array_elements(p_entries) e) <> 0 THEN
+        RAISE EXCEPTION 'Wallet transaction entries must sum to zero';
+    END IF;
+
+    INSERT INTO wallet_transactions (type, reference, description, reason, created_by)
+    VALUES (p_type, p_reference, p_description, p_reason, p_created_by)
+    RETURNING * INTO v_transaction;
+
+    -- Lock accounts in a fixed order so concurrent postings cannot deadlock
+    PERFORM 1 FROM wallet_accounts
+    WHERE id IN (SELECT (e->>'account_id')::UUID FROM jsonb_array_elements(p_entries) e)
+    ORDER BY id
+    FOR UPDATE;
+
+    FOR v_entry IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+        UPDATE wallet_accounts
+        SET balance = balance + (v_entry->>'amount')::DECIMAL, updated_at = NOW()
+        WHERE id = (v_entry->>'account_id')::UUID
+        RETURNING balance INTO v_balance;
+
+        INSERT INTO wallet_entries (transaction_id, account_id, amount, balance_after)
+        VALUES (v_transaction.id, (v_entry->>'account_id')::UUID, (v_entry->>'amount')::DECIMAL, v_balance);
+    END LOOP;
+
+    RETURN v_transaction;
+END;
+$$;
+
+-- Top-ups are payments without a shipment
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS purpose TEXT NOT NULL DEFAULT 'shipment' CHECK (purpose IN ('shipment', 'wallet_topup'));
+
+-- Refunds can go back to the wallet instead of the card
+ALTER TABLE refunds
+ADD COLUMN IF NOT EXISTS destination TEXT NOT NULL DEFAULT 'original' CHECK (destination IN ('original', 'wallet'));
+
+-- Down Migration (for rollback)
+-- ALTER TABLE refunds DROP COLUMN destination;
+-- ALTER TABLE payments DROP COLUMN purpose;
+-- DROP FUNCTION post_wallet_transaction(TEXT, TEXT, TEXT, TEXT, UUID, JSONB);
+-- DROP TABLE wallet_entries;
+-- DROP TABLE wallet_transactions;
+-- DROP TABLE wallet_accounts;
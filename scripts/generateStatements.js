@@ -0,0 +1,29 @@
+require('dotenv').config();
+const creditAccountService = require('../src/services/creditAccountService');
+
+// Usage: npm run statements:generate [-- YYYY-MM]   (defaults to last month)
+// Schedule it for the 1st of each month, e.g. cron: 0 2 1 * *
+const month = process.argv[2];
+
+async function generateStatements() {
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        console.error('❌ Month must be in YYYY-MM format');
+        process.exit(1);
+    }
+
+    try {
+        const result = await creditAccountService.generateMonthlyStatements(month);
+
+        console.log(`✅ Generated ${result.generated} statements for ${result.month}`);
+        result.failed.forEach(({ accountId, error }) => {
+            console.error(`❌ Account ${accountId}: ${error}`);
+        });
+
+        process.exit(result.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Unexpected error:', error);
+        process.exit(1);
+    }
+}
+
+generateStatements();
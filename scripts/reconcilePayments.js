@@ -0,0 +1,51 @@
+require('dotenv').config();
+const reconciliationService = require('../src/services/reconciliationService');
+
+// Usage: npm run payments:reconcile [-- --older-than=30 --lookback=48 --provider=paystack]
+// Schedule it (e.g. cron: */15 * * * *) or set RECONCILE_INTERVAL_MINUTES to run it in the server
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+}));
+
+async function reconcilePayments() {
+    const pendingAfterMinutes = args['older-than'] !== undefined ? parseInt(args['older-than']) : undefined;
+    const lookbackHours = args.lookback !== undefined ? parseInt(args.lookback) : undefined;
+
+    if ([pendingAfterMinutes, lookbackHours].some(value => value !== undefined && !(value > 0))) {
+        console.error('❌ --older-than (minutes) and --lookback (hours) must be positive numbers');
+        process.exit(1);
+    }
+
+    try {
+        const run = await reconciliationService.run({
+            pendingAfterMinutes,
+            lookbackHours,
+            providers: args.provider ? args.provider.split(',') : undefined,
+            trigger: 'command'
+        });
+        const { summary } = run;
+
+        console.log(`✅ Reconciliation ${run.id}`);
+        console.log(`   Pending checked: ${summary.pendingChecked} (${summary.settled} settled, ${summary.failed} failed, ${summary.stillPending} still pending)`);
+        run.mismatches.forEach(m => {
+            console.warn(`⚠️  Mismatch ${m.provider} ${m.reference}: ${m.type === 'status' ? `ours ${m.ours}, provider ${m.providerStatus}` : `expected ${m.expected}, provider ${m.reported}`}`);
+        });
+        run.orphans.forEach(o => {
+            console.warn(`⚠️  Orphan ${o.provider} ${o.reference}: ${o.amount} with no payment`);
+        });
+        run.unresolved.forEach(u => {
+            console.warn(`⚠️  Unresolved payment ${u.paymentId}: ${u.reason}`);
+        });
+        run.errors.forEach(e => {
+            console.error(`❌ ${e.paymentId ? `Payment ${e.paymentId}` : e.provider}: ${e.error}`);
+        });
+
+        process.exit(run.errors.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Unexpected error:', error);
+        process.exit(1);
+    }
+}
+
+reconcilePayments();
@@ -1,3 +1,5 @@
+const path = require('path');
+
 module.exports = {
     port: process.env.PORT || 5000,
     nodeEnv: process.env.NODE_ENV || 'development',
@@ -34,6 +36,24 @@ module.exports = {
         ON_DELIVERY: 'on_delivery'
     },
 
+    // Dispatch offer status
+    offerStatus: {
+        PENDING: 'pending',
+        ACCEPTED: 'accepted',
+        DECLINED: 'declined',
+        EXPIRED: 'expired'
+    },
+
+    // Reason codes for failed delivery attempts
+    deliveryFailureReasons: {
+        RECIPIENT_UNAVAILABLE: 'recipient_unavailable',
+        ADDRESS_NOT_FOUND: 'address_not_found',
+        REFUSED: 'refused',
+        ACCESS_RESTRICTED: 'access_restricted',
+        DAMAGED: 'damaged',
+        OTHER: 'other'
+    },
+
     // Ticket status
     ticketStatus: {
         OPEN: 'open',
@@ -55,6 +75,309 @@ module.exports = {
         return valid.includes(type?.toLowerCase().trim());
     },
 
+    // Truck class capacity: payload and cargo space
+    vehicleClasses: {
+        '5 tons': { payloadKg: 5000, volumeM3: 30 },
+        '10 tons': { payloadKg: 10000, volumeM3: 45 },
+        '15 tons': { payloadKg: 15000, volumeM3: 60 }
+    },
+
+    // Volumetric weight = length x width x height (cm) / divisor
+    volumetricDivisor: parseInt(process.env.VOLUMETRIC_DIVISOR) || 3000,
+
+    // Pricing zones (rates per zone live in the pricing_zones table)
+    pricingZones: {
+        INTRA_CITY: 'intra_city',
+        INTRA_STATE: 'intra_state',
+        INTER_STATE: 'inter_state'
+    },
+
+    // Zone detection when the states of a route are not known
+    pricing: {
+        intraCityMaxKm: 40,
+        intraStateMaxKm: 250,
+        timezone: 'Africa/Lagos', // Weekend / night pickup rules use local time
+        quoteValidityMinutes: parseInt(process.env.QUOTE_VALIDITY_MINUTES) || 30,
+        promoPriority: 500 // Promo discounts run after surcharges and before tax (VAT is 1000)
+    },
+
+    // Surcharge, discount and tax rules (pricing_rules table)
+    pricingRules: {
+        types: {
+            SURCHARGE: 'surcharge',
+            DISCOUNT: 'discount',
+            TAX: 'tax'
+        },
+        calculations: {
+            PERCENTAGE: 'percentage',
+            FIXED: 'fixed'
+        },
+        // What a percentage is taken of
+        bases: {
+            FREIGHT: 'freight', // base + weight + distance + zone
+            SUBTOTAL: 'subtotal', // everything before this rule
+            DECLARED_VALUE: 'declared_value'
+        }
+    },
+
+    // Package types accepted by the shipments table
+    packageTypes: ['envelope', 'box', 'parcel', 'pallet', 'heavy_load', 'frozen foods', 'pharmaceuticals', 'general cargo'],
+
+    // Bulk shipment import (CSV / XLSX)
+    bulkImport: {
+        maxRows: 500,
+        maxFileSize: 5 * 1024 * 1024, // 5MB
+        concurrency: 5 // Imported shipments whose waybills are rendered at once
+    },
+
+    // Shipment export (CSV / XLSX), rows fetched per query
+    export: {
+        batchSize: 500
+    },
+
+    // Live tracking stream (SSE)
+    trackingStream: {
+        heartbeatInterval: 25 * 1000, // Keep proxies from closing idle connections
+        retryInterval: 5 * 1000 // Client reconnect delay
+    },
+
+    // Driver location pings
+    locationPings: {
+        maxAge: 24 * 60 * 60 * 1000, // Ignore pings older than a day
+        maxFutureSkew: 2 * 60 * 1000, // Tolerate small device clock drift
+        breadcrumbPageSize: 1000 // Rows per query when reading a trail (PostgREST caps responses)
+    },
+
+    // Distance estimation
+    distance: {
+        roadFactor: 1.3 // Straight-line (Haversine) km -> road km
+    },
+
+    // ETA engine
+    eta: {
+        // Average road speed per truck class (km/h)
+        averageSpeed: {
+            '5 tons': 60,
+            '10 tons': 55,
+            '15 tons': 50
+        },
+        defaultSpeed: 50,
+        maxDrivingHoursPerDay: 10, // Drivers rest overnight after this
+        restHours: 14,
+        pickupDwellHours: 2, // Loading at origin
+        deliveryDwellHours: 2, // Offloading at destination
+        // Used when coordinates are unknown
+        fallbackDays: {
+            '5 tons': 3,
+            '10 tons': 4,
+            '15 tons': 5
+        },
+        lateThresholdMinutes: 60 // Prediction must exceed the promise by this much
+    },
+
+    // Driver dispatch
+    dispatch: {
+        autoAssign: process.env.AUTO_DISPATCH === 'true', // Assign as soon as a shipment reaches processing
+        requireVerified: true,
+        maxActiveShipments: 2, // Per driver, across processing/in_transit/out_for_delivery
+        maxPickupRadiusKm: 300, // Proximity score reaches 0 at this distance
+        offerTimeoutMinutes: 15, // Driver must accept within this window
+        // Score weights (sum to 1)
+        weights: {
+            proximity: 0.5,
+            capacity: 0.2,
+            workload: 0.2,
+            rating: 0.1
+        }
+    },
+
+    // File storage (proof of delivery, generated documents)
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'local',
+        localPath: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '../../uploads')
+    },
+
+    // Payments record status (payments.status)
+    paymentStatus: {
+        PENDING: 'pending',
+        SUCCEEDED: 'succeeded',
+        FAILED: 'failed',
+        REFUNDED: 'refunded'
+    },
+
+    // Shipment payment status (shipments.payment_status)
+    shipmentPaymentStatus: {
+        UNPAID: 'unpaid',
+        PAID: 'paid',
+        REFUNDED: 'refunded',
+        ON_ACCOUNT: 'on_account', // Billed to a postpaid credit account
+        COD: 'cod' // Receiver pays the driver in cash at delivery
+    },
+
+    // How a shipment is paid for at booking
+    paymentMethods: {
+        PREPAID: 'prepaid',
+        ACCOUNT: 'account', // Default for customers with an active credit account
+        COD: 'cod'
+    },
+
+    // TOTP two-factor authentication (scripts/add_mfa.sql)
+    mfa: {
+        issuer: process.env.MFA_ISSUER || process.env.COMPANY_NAME || 'Blyne Logistics', // Shown in authenticator apps
+        requiredRoles: (process.env.MFA_REQUIRED_ROLES || '').split(',').map(r => r.trim()).filter(Boolean),
+        encryptionKey: process.env.MFA_ENCRYPTION_KEY, // Encrypts TOTP secrets and sessions waiting for a code
+        challengeTtlMinutes: 5,
+        maxAttempts: 5, // Wrong codes per login before it must start over
+        maxUserFailures: 10, // Codes without a success, across logins, before a lockout
+        lockoutMinutes: 15,
+        recoveryCodeCount: 10,
+        epochTolerance: 30 // Seconds of clock drift accepted either side
+    },
+
+    // API keys for customers' integrations (scripts/add_api_keys.sql)
+    apiKeys: {
+        prefix: 'blk_',
+        scopes: {
+            SHIPMENTS_READ: 'shipments:read',
+            SHIPMENTS_WRITE: 'shipments:write',
+            TRACKING_READ: 'tracking:read'
+        },
+        defaultRateLimit: 60, // Requests per minute per key
+        maxRateLimit: parseInt(process.env.API_KEY_MAX_RATE_LIMIT) || 600,
+        maxPerUser: 10, // Usable (not revoked or expired) keys
+        maxGraceMinutes: 7 * 24 * 60 // Longest an old key keeps working after rotation
+    },
+
+    // Cash on delivery: drivers hold what they collect until they remit it
+    cod: {
+        maxAmount: parseFloat(process.env.COD_MAX_AMOUNT) || 500000 // Most cash a single shipment may ask a driver to carry
+    },
+
+    // What a payment is for (payments.purpose)
+    paymentPurposes: {
+        SHIPMENT: 'shipment',
+        WALLET_TOPUP: 'wallet_topup'
+    },
+
+    // Refund status (refunds.status)
+    refundStatus: {
+        PENDING_APPROVAL: 'pending_approval',
+        PROCESSING: 'processing',
+        SUCCEEDED: 'succeeded',
+        FAILED: 'failed',
+        REJECTED: 'rejected'
+    },
+
+    // Refunds above this amount (NGN) wait for an admin to approve them
+    refunds: {
+        approvalThreshold: parseFloat(process.env.REFUND_APPROVAL_THRESHOLD) || 100000,
+        // Where refunded money goes (refunds.destination)
+        destinations: {
+            ORIGINAL: 'original', // Back through the provider that took the payment
+            WALLET: 'wallet'
+        }
+    },
+
+    // Customer wallets: a double-entry ledger where every transaction's entries sum to zero
+    wallet: {
+        provider: 'wallet', // payments.provider for shipments paid from the balance
+        transactionTypes: {
+            TOPUP: 'topup',
+            PAYMENT: 'payment',
+            REFUND: 'refund',
+            ADJUSTMENT: 'adjustment'
+        },
+        // Counterpart accounts for customer wallet entries
+        systemAccounts: {
+            PROVIDER_CLEARING: 'provider_clearing', // Money received through Paystack / Stripe
+            REVENUE: 'shipment_revenue',
+            ADJUSTMENTS: 'adjustments'
+        },
+        minTopup: parseFloat(process.env.WALLET_MIN_TOPUP) || 1000,
+        maxTopup: parseFloat(process.env.WALLET_MAX_TOPUP) || 5000000
+    },
+
+    // Postpaid corporate accounts (credit_accounts); balances age from the charge date
+    creditAccounts: {
+        status: {
+            ACTIVE: 'active',
+            SUSPENDED: 'suspended'
+        },
+        entryTypes: {
+            CHARGE: 'charge', // Shipment booked on account
+            PAYMENT: 'payment', // Money received against the balance
+            CREDIT: 'credit', // Cancellation or goodwill credit
+            ADJUSTMENT: 'adjustment' // Repriced shipment, either sign
+        },
+        defaultTermsDays: 30,
+        agingBuckets: [
+            { label: '0-30', maxDays: 30 },
+            { label: '31-60', maxDays: 60 },
+            { label: '60+', maxDays: Infinity }
+        ]
+    },
+
+    // Payment reconciliation against the providers
+    reconciliation: {
+        pendingAfterMinutes: parseInt(process.env.RECONCILE_PENDING_MINUTES) || 30, // Leave fresher checkouts alone
+        lookbackHours: parseInt(process.env.RECONCILE_LOOKBACK_HOURS) || 48, // Provider transactions checked for orphans
+        intervalMinutes: parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 0, // In-process schedule; 0 turns it off
+        batchSize: 100
+    },
+
+    // Payment providers; the fake provider settles payments locally for tests
+    payments: {
+        defaultProvider: process.env.PAYMENT_PROVIDER || 'paystack',
+        currency: 'NGN',
+        returnUrl: (process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0],
+        stripe: {
+            secretKey: process.env.STRIPE_SECRET_KEY,
+            webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+        },
+        paystack: {
+            secretKey: process.env.PAYSTACK_SECRET_KEY
+        },
+        fake: {
+            enabled: process.env.PAYMENT_FAKE_ENABLED === 'true' || process.env.NODE_ENV === 'test',
+            webhookSecret: process.env.PAYMENT_FAKE_WEBHOOK_SECRET || ''
+        }
+    },
+
+    // Public tracking page linked from waybill QR codes
+    trackingPageUrl: process.env.TRACKING_PAGE_URL ||
+        `${(process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0]}/tracking`,
+
+    // Company details printed on generated documents
+    company: {
+        name: process.env.COMPANY_NAME || 'Blyne Logistics',
+        address: process.env.COMPANY_ADDRESS || 'Lagos, Nigeria',
+        phone: process.env.COMPANY_PHONE || '',
+        email: process.env.COMPANY_EMAIL || '',
+        taxId: process.env.COMPANY_TAX_ID || '' // TIN / VAT number printed on invoices
+    },
+
+    // Invoices, receipts and credit notes (invoices.type) with their number series
+    invoiceTypes: {
+        INVOICE: 'invoice',
+        RECEIPT: 'receipt',
+        CREDIT_NOTE: 'credit_note'
+    },
+    invoiceSeries: {
+        invoice: 'INV',
+        receipt: 'RCT',
+        credit_note: 'CN'
+    },
+
+    // Proof of delivery
+    proofOfDelivery: {
+        otpTtlHours: 72, // Receiver code validity
+        maxOtpAttempts: 5, // Wrong codes before a new one must be issued
+        otpResendMinutes: 2, // Least time between a driver's re-sends of the code
+        maxPhotos: 5,
+        maxFileSize: 5 * 1024 * 1024, // 5MB per file
+        allowedTypes: ['image/jpeg', 'image/png', 'image/webp']
+    },
+
     // Pagination defaults
     pagination: {
         defaultPage: 1,
@@ -26,4 +26,16 @@ const supabaseAdmin = createClient(supabaseUrl || '', supabaseServiceKey || '',
     }
 });
 
-module.exports = { supabase, supabaseAdmin };
+/**
+ * A fresh client for signing a user in or refreshing their session
+ * The shared client above must never hold a user's session: every request
+ * using it would then run as that user.
+ */
+const createAuthClient = () => createClient(supabaseUrl || '', supabaseAnonKey || '', {
+    auth: {
+        autoRefreshToken: false,
+        persistSession: false
+    }
+});
+
+module.exports = { supabase, supabaseAdmin, createAuthClient };
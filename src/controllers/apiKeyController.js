@@ -0,0 +1,121 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+
+const withStatus = (apiKey) => ({ ...apiKey, active: apiKeyService.isUsable(apiKey) });
+
+/**
+ * Key by ID if the caller may manage it (their own, or any for admins)
+ */
+const findKey = async (req, id) => {
+    const apiKey = await apiKeyService.find(id);
+    if (!apiKey || (req.userRole !== 'admin' && apiKey.user_id !== req.user.id)) return null;
+    return apiKey;
+};
+
+const notFound = (res) => res.status(404).json({
+    error: 'Not Found',
+    message: 'API key not found'
+});
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Caller's API keys; admins see every key or ?userId=
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+    const userId = req.userRole === 'admin' ? req.query.userId : req.user.id;
+    const keys = await apiKeyService.list(userId);
+
+    res.json(keys.map(withStatus));
+});
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key (name, scopes, expiresAt, rateLimitPerMinute; admins may pass userId)
+ *          The key is only returned by this request
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+    const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+    const userId = req.userRole === 'admin' && req.body.userId ? req.body.userId : req.user.id;
+
+    const { apiKey, key } = await apiKeyService.create(userId, {
+        name,
+        scopes,
+        expiresAt,
+        rateLimitPerMinute: rateLimitPerMinute && parseInt(rateLimitPerMinute)
+    }, req.user.id);
+
+    await auditService.log(req, 'api_key_created', {
+        userId,
+        metadata: { apiKeyId: apiKey.id, prefix: apiKey.prefix, scopes: apiKey.scopes, createdBy: req.user.id }
+    });
+
+    res.status(201).json({
+        message: 'API key created. Store it now; it cannot be shown again.',
+        key,
+        apiKey: withStatus(apiKey)
+    });
+});
+
+/**
+ * @route   POST /api/api-keys/:id/rotate
+ * @desc    Replace a key; graceMinutes keeps the old one working while clients switch
+ */
+const rotateApiKey = asyncHandler(async (req, res) => {
+    const existing = await findKey(req, req.params.id);
+    if (!existing) return notFound(res);
+
+    const graceMinutes = parseInt(req.body.graceMinutes) || 0;
+    const { apiKey, key } = await apiKeyService.rotate(existing, { graceMinutes }, req.user.id);
+
+    await auditService.log(req, 'api_key_rotated', {
+        userId: existing.user_id,
+        metadata: { apiKeyId: apiKey.id, rotatedFrom: existing.id, graceMinutes, rotatedBy: req.user.id }
+    });
+
+    res.status(201).json({
+        message: graceMinutes
+            ? `API key rotated. The old key stops working in ${graceMinutes} minutes.`
+            : 'API key rotated. The old key no longer works.',
+        key,
+        apiKey: withStatus(apiKey)
+    });
+});
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+    const apiKey = await findKey(req, req.params.id);
+    if (!apiKey) return notFound(res);
+
+    await apiKeyService.revoke(apiKey);
+
+    await auditService.log(req, 'api_key_revoked', {
+        userId: apiKey.user_id,
+        metadata: { apiKeyId: apiKey.id, prefix: apiKey.prefix, revokedBy: req.user.id }
+    });
+
+    res.json({ message: 'API key revoked' });
+});
+
+/**
+ * @route   GET /api/api-keys/:id/usage
+ * @desc    Requests and errors per day for a key (?days=, default 30)
+ */
+const getApiKeyUsage = asyncHandler(async (req, res) => {
+    const apiKey = await findKey(req, req.params.id);
+    if (!apiKey) return notFound(res);
+
+    const days = parseInt(req.query.days) || 30;
+    res.json(await apiKeyService.getUsage(apiKey, { days }));
+});
+
+module.exports = {
+    getApiKeys,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    getApiKeyUsage
+};
@@ -1,5 +1,57 @@
-const { supabase, supabaseAdmin } = require('../config/supabase');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { supabase, supabaseAdmin, createAuthClient } = require('../config/supabase');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const auditService = require('../services/auditService');
+
+/**
+ * Token fields returned by login and refresh
+ */
+const sessionTokens = (session) => ({
+    token: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresAt: session.expires_at,
+    sessionId: sessionService.sessionIdFromToken(session.access_token)
+});
+
+/**
+ * Signed-in user's profile and tokens, as returned by both login steps
+ */
+const loginResponse = async (session) => {
+    // Get user profile using admin client to bypass RLS
+    const { data: profile } = await supabaseAdmin
+        .from('profiles')
+        .select('*')
+        .eq('id', session.user.id)
+        .single();
+
+    const role = profile?.role || 'user';
+
+    return {
+        message: 'Login successful',
+        user: {
+            id: session.user.id,
+            email: session.user.email,
+            firstName: profile?.first_name,
+            lastName: profile?.last_name,
+            role,
+            avatar: profile?.avatar_url
+        },
+        ...sessionTokens(session),
+        // Signed in, but admin routes stay closed until two-factor authentication is set up
+        mfaEnrolmentRequired: mfaService.isRequiredForRole(role)
+    };
+};
+
+const getRole = async (userId) => {
+    const { data: profile } = await supabaseAdmin
+        .from('profiles')
+        .select('role')
+        .eq('id', userId)
+        .single();
+
+    return profile?.role || 'user';
+};
 
 /**
  * @route   POST /api/auth/register
@@ -9,7 +61,7 @@ const register = asyncHandler(async (req, res) => {
     const { email, password, firstName, lastName, phoneNumber, companyName, clientCategory, address } = req.body;
 
     // Use standard signUp to trigger email verification
-    const { data: authData, error: authError } = await supabase.auth.signUp({
+    const { data: authData, error: authError } = await createAuthClient().auth.signUp({
         email,
         password,
         options: {
@@ -51,6 +103,9 @@ const register = asyncHandler(async (req, res) => {
 
     // If session is null, it means verification email was sent
     const verificationRequired = !authData.session;
+    if (authData.session) {
+        await sessionService.record(authData.session, req);
+    }
 
     res.status(201).json({
         message: verificationRequired
@@ -65,7 +120,7 @@ const register = asyncHandler(async (req, res) => {
             companyName,
             role: 'user'
         },
-        token: authData.session?.access_token
+        ...(authData.session && sessionTokens(authData.session))
     });
 });
 
@@ -76,7 +131,7 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
-    const { data, error } = await supabase.auth.signInWithPassword({
+    const { data, error } = await createAuthClient().auth.signInWithPassword({
         email,
         password
     });
@@ -88,42 +143,236 @@ const login = asyncHandler(async (req, res) => {
         });
     }
 
-    // Get user profile using admin client to bypass RLS
-    const { data: profile } = await supabaseAdmin
-        .from('profiles')
-        .select('*')
-        .eq('id', data.user.id)
-        .single();
+    // Enrolled users get their tokens from POST /api/auth/login/mfa
+    if (await mfaService.isEnabled(data.user.id)) {
+        const challenge = await mfaService.createChallenge(data.session);
 
-    res.json({
-        message: 'Login successful',
-        user: {
-            id: data.user.id,
-            email: data.user.email,
-            firstName: profile?.first_name,
-            lastName: profile?.last_name,
-            role: profile?.role || 'user',
-            avatar: profile?.avatar_url
-        },
-        token: data.session.access_token
-    });
+        return res.json({
+            message: 'Enter the code from your authenticator app',
+            mfaRequired: true,
+            ...challenge
+        });
+    }
+
+    await sessionService.record(data.session, req);
+
+    res.json(await loginResponse(data.session));
+});
+
+/**
+ * @route   POST /api/auth/login/mfa
+ * @desc    Second login step: authenticator code (or recovery code) for a login challenge
+ */
+const loginMfa = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = await mfaService.getChallenge(challengeToken);
+    const factor = await mfaService.getFactor(challenge.user_id);
+
+    if (!factor?.enabled_at) {
+        // Two-factor authentication was reset after the password step
+        throw new ApiError(401, 'Login challenge expired. Sign in again.');
+    }
+
+    // Counted before the code is checked; a success clears the user's failures
+    const attemptsLeft = await mfaService.claimAttempt(challenge);
+    const method = await mfaService.verifySecondFactor(factor, { code, recoveryCode });
+
+    if (!method) {
+        await auditService.log(req, 'mfa_challenge_failed', {
+            userId: challenge.user_id,
+            metadata: { challengeId: challenge.id, attemptsLeft, method: recoveryCode ? 'recovery_code' : 'totp' }
+        });
+        if (attemptsLeft === 0) {
+            await mfaService.abandonChallenge(challenge);
+        }
+
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: attemptsLeft > 0 ? 'Invalid two-factor code' : 'Too many invalid codes. Sign in again.',
+            attemptsLeft
+        });
+    }
+
+    await mfaService.clearFailures(challenge.user_id);
+    const session = await mfaService.completeChallenge(challenge);
+    await sessionService.record(session, req, { mfaVerified: true });
+
+    if (method === 'recovery_code') {
+        await auditService.log(req, 'mfa_recovery_code_used', { userId: session.user.id, email: session.user.email });
+    }
+
+    res.json(await loginResponse(session));
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (refresh tokens are single use)
+ */
+const refresh = asyncHandler(async (req, res) => {
+    const session = await sessionService.refresh(req.body.refreshToken, req);
+
+    res.json(sessionTokens(session));
 });
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Sign out the caller's session; other devices stay signed in
  */
 const logout = asyncHandler(async (req, res) => {
-    const { error } = await supabase.auth.signOut();
+    await sessionService.signOut(req.token, req.sessionId);
+
+    res.json({ message: 'Logged out successfully' });
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Caller's active sessions with device and IP
+ */
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await sessionService.list(req.user.id);
+
+    res.json(sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+    })));
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one of the caller's sessions
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+    await sessionService.revoke(req.user.id, req.params.id);
+
+    res.json({ message: 'Session revoked' });
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every session; ?keepCurrent=true keeps the caller signed in
+ */
+const revokeAllSessions = asyncHandler(async (req, res) => {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await sessionService.revokeAll(req.token, req.user.id, keepCurrent ? req.sessionId : null);
+
+    res.json({
+        message: keepCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions',
+        revoked
+    });
+});
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Caller's two-factor status and recovery codes left
+ */
+const getMfaStatus = asyncHandler(async (req, res) => {
+    res.json(await mfaService.getStatus(req.user.id, await getRole(req.user.id)));
+});
+
+/**
+ * @route   POST /api/auth/mfa/enroll
+ * @desc    Start two-factor enrolment: secret and QR code for an authenticator app
+ */
+const enrollMfa = asyncHandler(async (req, res) => {
+    const enrolment = await mfaService.startEnrolment(req.user);
+
+    await auditService.log(req, 'mfa_enrolment_started', { userId: req.user.id, email: req.user.email });
+
+    res.status(201).json({
+        message: 'Scan the QR code, then confirm with a code from the app',
+        ...enrolment
+    });
+});
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Confirm enrolment with a first code; returns recovery codes (shown once)
+ */
+const verifyMfa = asyncHandler(async (req, res) => {
+    const recoveryCodes = await mfaService.confirmEnrolment(req.user.id, req.body.code);
+
+    if (!recoveryCodes) {
+        await auditService.log(req, 'mfa_enrolment_failed', { userId: req.user.id, email: req.user.email });
 
-    if (error) {
         return res.status(400).json({
-            error: 'Logout Failed',
-            message: error.message
+            error: 'Invalid Code',
+            message: 'Invalid two-factor code'
         });
     }
 
-    res.json({ message: 'Logged out successfully' });
+    // This session proved the factor; other sessions must sign in again
+    await sessionService.markMfaVerified(req.sessionId);
+    await auditService.log(req, 'mfa_enabled', { userId: req.user.id, email: req.user.email });
+
+    res.json({
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+        recoveryCodes
+    });
+});
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace recovery codes (needs a current authenticator code)
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const factor = await mfaService.getFactor(req.user.id);
+
+    if (!factor?.enabled_at) {
+        throw new ApiError(409, 'Two-factor authentication is not enabled');
+    }
+    if (!await mfaService.verifyTotp(factor, req.body.code)) {
+        await auditService.log(req, 'mfa_recovery_codes_failed', { userId: req.user.id, email: req.user.email });
+        throw new ApiError(400, 'Invalid two-factor code');
+    }
+
+    const recoveryCodes = await mfaService.generateRecoveryCodes(req.user.id);
+    await auditService.log(req, 'mfa_recovery_codes_regenerated', { userId: req.user.id, email: req.user.email });
+
+    res.json({
+        message: 'New recovery codes issued; the old ones no longer work',
+        recoveryCodes
+    });
+});
+
+/**
+ * @route   DELETE /api/auth/mfa
+ * @desc    Turn off two-factor authentication (needs a code or recovery code)
+ */
+const disableMfa = asyncHandler(async (req, res) => {
+    const role = await getRole(req.user.id);
+    if (mfaService.isRequiredForRole(role)) {
+        throw new ApiError(409, `Two-factor authentication is required for ${role} accounts`);
+    }
+
+    const factor = await mfaService.getFactor(req.user.id);
+    if (!factor?.enabled_at) {
+        throw new ApiError(409, 'Two-factor authentication is not enabled');
+    }
+
+    if (!await mfaService.verifySecondFactor(factor, req.body)) {
+        await auditService.log(req, 'mfa_disable_failed', { userId: req.user.id, email: req.user.email });
+        throw new ApiError(400, 'Invalid two-factor code');
+    }
+
+    await mfaService.remove(req.user.id);
+    await auditService.log(req, 'mfa_disabled', { userId: req.user.id, email: req.user.email });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+});
+
+/**
+ * @route   DELETE /api/auth/mfa/users/:userId
+ * @desc    Remove a user's two-factor device after they lost it and their recovery codes (Admin only)
+ */
+const resetUserMfa = asyncHandler(async (req, res) => {
+    await mfaService.remove(req.params.userId);
+    await auditService.log(req, 'mfa_reset', {
+        userId: req.params.userId,
+        metadata: { resetBy: req.user.id }
+    });
+
+    res.json({ message: 'Two-factor authentication reset. The user can sign in with their password and enrol again.' });
 });
 
 /**
@@ -174,7 +423,7 @@ const resetPassword = asyncHandler(async (req, res) => {
     const { token_hash, password } = req.body;
 
     // 1. Verify the token_hash (type must be 'recovery')
-    const { data: verifyData, error: verifyError } = await supabase.auth.verifyOtp({
+    const { data: verifyData, error: verifyError } = await createAuthClient().auth.verifyOtp({
         token_hash,
         type: 'recovery'
     });
@@ -209,7 +458,14 @@ const resetPassword = asyncHandler(async (req, res) => {
         });
     }
 
-    // 3. Log success
+    // 3. Whoever knew the old password is signed out everywhere
+    try {
+        await sessionService.revokeAll(verifyData.session.access_token, verifyData.user.id, null, 'password_reset');
+    } catch (err) {
+        console.error(`Revoking sessions after password reset for ${verifyData.user.id} failed:`, err.message);
+    }
+
+    // 4. Log success
     await supabaseAdmin.from('auth_audit_log').insert({
         user_id: verifyData.user.id,
         email: verifyData.user.email,
@@ -256,7 +512,18 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 module.exports = {
     register,
     login,
+    loginMfa,
+    refresh,
     logout,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
+    getMfaStatus,
+    enrollMfa,
+    verifyMfa,
+    regenerateRecoveryCodes,
+    disableMfa,
+    resetUserMfa,
     forgotPassword,
     resetPassword,
     getCurrentUser
@@ -0,0 +1,243 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination, paginatedResponse } = require('../utils/helpers');
+const creditAccountService = require('../services/creditAccountService');
+const config = require('../config');
+
+const ACCOUNT_FIELDS = `
+    *,
+    customer:profiles!credit_accounts_user_id_fkey(id, first_name, last_name, email, company_name)
+`;
+
+const findAccount = async (id) => {
+    const { data } = await supabaseAdmin
+        .from('credit_accounts')
+        .select(ACCOUNT_FIELDS)
+        .eq('id', id)
+        .maybeSingle();
+
+    return data || null;
+};
+
+const notFound = (res) => res.status(404).json({
+    error: 'Not Found',
+    message: 'Credit account not found'
+});
+
+/**
+ * Statements of an account, newest first
+ */
+const listStatements = async (accountId, query) => {
+    const { page, limit, offset } = parsePagination(query);
+
+    const { data, error, count } = await supabaseAdmin
+        .from('account_statements')
+        .select('*', { count: 'exact' })
+        .eq('account_id', accountId)
+        .order('period_start', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return paginatedResponse(data, count, page, limit);
+};
+
+/**
+ * @route   GET /api/accounts/me
+ * @desc    Caller's credit account with balance, available credit and aging
+ */
+const getMyAccount = asyncHandler(async (req, res) => {
+    const account = await creditAccountService.findForUser(req.user.id);
+
+    if (!account) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'You do not have a credit account'
+        });
+    }
+
+    const summary = await creditAccountService.summarize(account);
+
+    res.json({ ...account, ...summary });
+});
+
+/**
+ * @route   GET /api/accounts/me/statements
+ * @desc    Caller's monthly statements
+ */
+const getMyStatements = asyncHandler(async (req, res) => {
+    const account = await creditAccountService.findForUser(req.user.id);
+
+    if (!account) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'You do not have a credit account'
+        });
+    }
+
+    res.json(await listStatements(account.id, req.query));
+});
+
+/**
+ * @route   GET /api/accounts
+ * @desc    Credit accounts with their balances (Admin only)
+ */
+const getAccounts = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let query = supabaseAdmin
+        .from('credit_accounts')
+        .select(ACCOUNT_FIELDS, { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    const accounts = await Promise.all((data || []).map(async account => ({
+        ...account,
+        ...await creditAccountService.summarize(account)
+    })));
+
+    res.json(paginatedResponse(accounts, count, page, limit));
+});
+
+/**
+ * @route   GET /api/accounts/:id
+ * @desc    Credit account with balance, aging and recent entries (Admin only)
+ */
+const getAccountById = asyncHandler(async (req, res) => {
+    const account = await findAccount(req.params.id);
+    if (!account) return notFound(res);
+
+    const entries = await creditAccountService.getEntries(account.id);
+    const summary = await creditAccountService.summarize(account, new Date(), entries);
+
+    res.json({
+        ...account,
+        ...summary,
+        recentEntries: entries.slice(-20).reverse()
+    });
+});
+
+/**
+ * @route   POST /api/accounts
+ * @desc    Approve a customer for postpaid billing (Admin only)
+ */
+const createAccount = asyncHandler(async (req, res) => {
+    const { userId, creditLimit, paymentTermsDays, notes } = req.body;
+
+    const { data, error } = await supabaseAdmin
+        .from('credit_accounts')
+        .insert({
+            user_id: userId,
+            credit_limit: creditLimit,
+            payment_terms_days: paymentTermsDays ?? config.creditAccounts.defaultTermsDays,
+            status: config.creditAccounts.status.ACTIVE,
+            notes,
+            approved_by: req.user.id
+        })
+        .select(ACCOUNT_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+        message: 'Credit account created',
+        account: data
+    });
+});
+
+/**
+ * @route   PUT /api/accounts/:id
+ * @desc    Change credit limit, payment terms or status (Admin only)
+ */
+const updateAccount = asyncHandler(async (req, res) => {
+    const { creditLimit, paymentTermsDays, status, notes } = req.body;
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (creditLimit !== undefined) updates.credit_limit = creditLimit;
+    if (paymentTermsDays !== undefined) updates.payment_terms_days = paymentTermsDays;
+    if (status !== undefined) updates.status = status;
+    if (notes !== undefined) updates.notes = notes;
+
+    const { data, error } = await supabaseAdmin
+        .from('credit_accounts')
+        .update(updates)
+        .eq('id', req.params.id)
+        .select(ACCOUNT_FIELDS)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return notFound(res);
+
+    res.json({
+        message: 'Credit account updated',
+        account: data
+    });
+});
+
+/**
+ * @route   POST /api/accounts/:id/payments
+ * @desc    Record a payment received against the balance (Admin only)
+ */
+const recordAccountPayment = asyncHandler(async (req, res) => {
+    const account = await findAccount(req.params.id);
+    if (!account) return notFound(res);
+
+    const { amount, reference, description } = req.body;
+    const entry = await creditAccountService.recordPayment(account, {
+        amount: parseFloat(amount),
+        reference,
+        description,
+        createdBy: req.user.id
+    });
+
+    res.status(201).json({
+        message: 'Payment recorded',
+        entry,
+        ...await creditAccountService.summarize(account)
+    });
+});
+
+/**
+ * @route   GET /api/accounts/:id/statements
+ * @desc    Monthly statements of an account (Admin only)
+ */
+const getAccountStatements = asyncHandler(async (req, res) => {
+    const account = await findAccount(req.params.id);
+    if (!account) return notFound(res);
+
+    res.json(await listStatements(account.id, req.query));
+});
+
+/**
+ * @route   POST /api/accounts/statements
+ * @desc    Generate every account's statement for a month, default last month (Admin only)
+ */
+const generateStatements = asyncHandler(async (req, res) => {
+    const result = await creditAccountService.generateMonthlyStatements(req.body.month);
+
+    res.json({
+        message: `Generated ${result.generated} statements for ${result.month}`,
+        ...result
+    });
+});
+
+module.exports = {
+    getMyAccount,
+    getMyStatements,
+    getAccounts,
+    getAccountById,
+    createAccount,
+    updateAccount,
+    recordAccountPayment,
+    getAccountStatements,
+    generateStatements
+};
@@ -0,0 +1,266 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { asyncHandler } = require('../middleware/errorHandler');
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const { STATES, findState } = require('../utils/nigeriaStates');
+const { parsePagination, paginatedResponse } = require('../utils/helpers');
+
+const PROMO_FIELDS = [
+    'code', 'description', 'discount_type', 'amount', 'max_discount', 'min_order_amount',
+    'max_uses', 'per_user_limit', 'service_types', 'starts_at', 'expires_at', 'is_active'
+];
+
+const CONTRACT_FIELDS = [
+    'user_id', 'name', 'service_type', 'origin_state', 'destination_state', 'base_price',
+    'price_per_kg', 'price_per_km', 'starts_at', 'ends_at', 'notes', 'is_active'
+];
+
+const pick = (body, fields) => Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const pickPromoFields = (body) => {
+    const fields = pick(body, PROMO_FIELDS);
+    if (fields.code) fields.code = promoService.normalizeCode(fields.code);
+    return fields;
+};
+
+// States are stored by name so they compare with the states pricing resolves
+const stateName = (value) => (value ? STATES[findState(value)].name : null);
+
+const pickContractFields = (body) => {
+    const fields = pick(body, CONTRACT_FIELDS);
+    if (fields.service_type) fields.service_type = fields.service_type.toLowerCase().trim();
+    if (fields.origin_state !== undefined) fields.origin_state = stateName(fields.origin_state);
+    if (fields.destination_state !== undefined) fields.destination_state = stateName(fields.destination_state);
+    return fields;
+};
+
+/**
+ * @route   GET /api/pricing/promo-codes
+ * @desc    List promo codes with how often each was redeemed (Admin only)
+ */
+const getPromoCodes = asyncHandler(async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('promo_codes')
+        .select('*, promo_redemptions(count)')
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json((data || []).map(({ promo_redemptions: redemptions, ...promo }) => ({
+        ...promo,
+        times_used: redemptions?.[0]?.count || 0
+    })));
+});
+
+/**
+ * @route   POST /api/pricing/promo-codes
+ * @desc    Create a promo code (Admin only)
+ */
+const createPromoCode = asyncHandler(async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('promo_codes')
+        .insert({ ...pickPromoFields(req.body), created_by: req.user.id })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+        message: 'Promo code created successfully',
+        promoCode: data
+    });
+});
+
+/**
+ * @route   PUT /api/pricing/promo-codes/:id
+ * @desc    Update a promo code (Admin only)
+ */
+const updatePromoCode = asyncHandler(async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('promo_codes')
+        .update({
+            ...pickPromoFields(req.body),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', req.params.id)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Promo code not found'
+        });
+    }
+
+    res.json({
+        message: 'Promo code updated successfully',
+        promoCode: data
+    });
+});
+
+/**
+ * @route   GET /api/pricing/promo-codes/:id/redemptions
+ * @desc    Who used a promo code, on which shipment (Admin only)
+ */
+const getPromoRedemptions = asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const { data, error, count } = await supabaseAdmin
+        .from('promo_redemptions')
+        .select(`
+            *,
+            user:profiles!promo_redemptions_user_id_fkey(id, first_name, last_name, email),
+            shipment:shipments(id, tracking_number, shipping_fee)
+        `, { count: 'exact' })
+        .eq('promo_code_id', req.params.id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json(paginatedResponse(data, count, page, limit));
+});
+
+/**
+ * @route   GET /api/pricing/contracts
+ * @desc    List customer contract rate cards, optionally for one customer (Admin only)
+ */
+const getContractRates = asyncHandler(async (req, res) => {
+    let query = supabaseAdmin
+        .from('contract_rates')
+        .select(`
+            *,
+            customer:profiles!contract_rates_user_id_fkey(id, first_name, last_name, email, company_name)
+        `)
+        .order('created_at', { ascending: false });
+
+    if (req.query.userId) {
+        query = query.eq('user_id', req.query.userId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(data || []);
+});
+
+/**
+ * @route   POST /api/pricing/contracts
+ * @desc    Create a contract rate card for a customer (Admin only)
+ *          Rates left empty fall back to the list rates in pricing_configs
+ */
+const createContractRate = asyncHandler(async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('contract_rates')
+        .insert({ ...pickContractFields(req.body), created_by: req.user.id })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await pricingService.recordChange({
+        entity: 'contract_rate',
+        entityId: data.id,
+        action: 'create',
+        serviceType: data.service_type,
+        after: data,
+        changedBy: req.user.id
+    });
+
+    res.status(201).json({
+        message: 'Contract rate created successfully',
+        contract: data
+    });
+});
+
+/**
+ * @route   PUT /api/pricing/contracts/:id
+ * @desc    Update a contract rate card (Admin only)
+ */
+const updateContractRate = asyncHandler(async (req, res) => {
+    const { data: before } = await supabaseAdmin
+        .from('contract_rates')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (!before) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Contract rate not found'
+        });
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('contract_rates')
+        .update({
+            ...pickContractFields(req.body),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', req.params.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await pricingService.recordChange({
+        entity: 'contract_rate',
+        entityId: data.id,
+        action: 'update',
+        serviceType: data.service_type,
+        before,
+        after: data,
+        changedBy: req.user.id
+    });
+
+    res.json({
+        message: 'Contract rate updated successfully',
+        contract: data
+    });
+});
+
+/**
+ * @route   DELETE /api/pricing/contracts/:id
+ * @desc    Delete a contract rate card (Admin only)
+ *          Booked shipments keep their fee; deactivate instead to keep the record
+ */
+const deleteContractRate = asyncHandler(async (req, res) => {
+    const { data: before, error } = await supabaseAdmin
+        .from('contract_rates')
+        .delete()
+        .eq('id', req.params.id)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (before) {
+        await pricingService.recordChange({
+            entity: 'contract_rate',
+            entityId: before.id,
+            action: 'delete',
+            serviceType: before.service_type,
+            before,
+            changedBy: req.user.id
+        });
+    }
+
+    res.json({ message: 'Contract rate deleted successfully' });
+});
+
+module.exports = {
+    getPromoCodes,
+    createPromoCode,
+    updatePromoCode,
+    getPromoRedemptions,
+    getContractRates,
+    createContractRate,
+    updateContractRate,
+    deleteContractRate
+};
@@ -0,0 +1,44 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const dispatchService = require('../services/dispatchService');
+
+/**
+ * @route   GET /api/shipments/:id/dispatch/candidates
+ * @desc    Preview ranked driver candidates with scores (Admin only)
+ */
+const getCandidates = asyncHandler(async (req, res) => {
+    const shipment = await dispatchService.getDispatchableShipment(req.params.id);
+    const candidates = await dispatchService.rankCandidates(shipment);
+
+    res.json({
+        shipment: {
+            id: shipment.id,
+            trackingNumber: shipment.tracking_number,
+            weight: shipment.weight,
+            serviceType: shipment.service_type,
+            origin: shipment.origin
+        },
+        candidates
+    });
+});
+
+/**
+ * @route   POST /api/shipments/:id/dispatch
+ * @desc    Assign the best driver, or a specific one via driverId (Admin only)
+ */
+const dispatchShipment = asyncHandler(async (req, res) => {
+    const { driverId } = req.body;
+
+    const { shipment, driver, offer } = await dispatchService.assign(req.params.id, driverId);
+
+    res.json({
+        message: 'Driver assigned successfully. Waiting for the driver to accept.',
+        shipment,
+        driver,
+        offer
+    });
+});
+
+module.exports = {
+    getCandidates,
+    dispatchShipment
+};
@@ -1,7 +1,26 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const { parsePagination, paginatedResponse } = require('../utils/helpers');
 const config = require('../config');
+const locationService = require('../services/locationService');
+const dispatchService = require('../services/dispatchService');
+const shipmentLifecycle = require('../services/shipmentLifecycle');
+const shipmentService = require('../services/shipmentService');
+const podService = require('../services/podService');
+const codService = require('../services/codService');
+
+/**
+ * Find the driver record for the authenticated user
+ */
+const findCurrentDriver = async (userId) => {
+    const { data } = await supabaseAdmin
+        .from('drivers')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    return data;
+};
 
 /**
  * @route   GET /api/drivers
@@ -348,6 +367,494 @@ const getAvailableVehicles = asyncHandler(async (req, res) => {
     res.json(data || []);
 });
 
+/**
+ * @route   POST /api/drivers/me/location
+ * @desc    Report the current driver's location (single ping or offline batch)
+ */
+const reportLocation = asyncHandler(async (req, res) => {
+    const driver = await findCurrentDriver(req.user.id);
+
+    if (!driver) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Driver profile not found'
+        });
+    }
+
+    if (driver.status === config.driverStatus.SUSPENDED) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Suspended drivers cannot report locations'
+        });
+    }
+
+    const pings = Array.isArray(req.body.pings) ? req.body.pings : [req.body];
+    const result = await locationService.recordPings(driver, pings);
+
+    res.status(result.accepted > 0 ? 201 : 200).json({
+        message: `${result.accepted} location(s) recorded`,
+        accepted: result.accepted,
+        duplicates: result.duplicates,
+        rejected: result.rejected,
+        position: result.position,
+        shipments: result.shipmentIds
+    });
+});
+
+/**
+ * Load the current driver and one of their assigned shipments
+ * Throws ApiError when either is missing or the shipment belongs to someone else.
+ */
+const getAssignedShipment = async (userId, shipmentId) => {
+    const driver = await findCurrentDriver(userId);
+    if (!driver) {
+        throw new ApiError(404, 'Driver profile not found');
+    }
+
+    const { data: shipment } = await supabaseAdmin
+        .from('shipments')
+        .select('*')
+        .eq('id', shipmentId)
+        .maybeSingle();
+
+    if (!shipment) {
+        throw new ApiError(404, 'Shipment not found');
+    }
+    if (shipment.driver_id !== driver.id) {
+        throw new ApiError(403, 'This shipment is not assigned to you');
+    }
+
+    return { driver, shipment };
+};
+
+/**
+ * Record the driver's position when an action carries coordinates
+ */
+const recordActionLocation = async (driver, body) => {
+    if (body.lat == null || body.lng == null) return null;
+
+    await locationService.recordPings(driver, [{ lat: body.lat, lng: body.lng }]);
+    return { lat: parseFloat(body.lat), lng: parseFloat(body.lng) };
+};
+
+/**
+ * @route   GET /api/drivers/me/shipments
+ * @desc    Get shipments assigned to the current driver (with open offers)
+ */
+const getMyShipments = asyncHandler(async (req, res) => {
+    const driver = await findCurrentDriver(req.user.id);
+
+    if (!driver) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Driver profile not found'
+        });
+    }
+
+    await dispatchService.expireOffers();
+
+    const { page, limit, offset } = parsePagination(req.query);
+    const { status } = req.query;
+
+    let query = supabaseAdmin
+        .from('shipments')
+        .select(`
+            id, tracking_number, status, origin, origin_lat, origin_lng, destination, destination_lat, destination_lng,
+            receiver_name, receiver_phone, weight, service_type, package_type, special_instructions,
+            estimated_delivery, predicted_delivery, picked_up_at, delivered_at, delivery_attempts, created_at
+        `, { count: 'exact' })
+        .eq('driver_id', driver.id);
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    query = query.range(offset, offset + limit - 1).order('created_at', { ascending: false });
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    // Attach pending offers so the app can show accept/decline
+    const { data: offers } = await supabaseAdmin
+        .from('dispatch_offers')
+        .select('id, shipment_id, expires_at')
+        .eq('driver_id', driver.id)
+        .eq('status', config.offerStatus.PENDING)
+        .in('shipment_id', (data || []).map(s => s.id));
+
+    const shipments = (data || []).map(s => ({
+        ...s,
+        offer: offers?.find(o => o.shipment_id === s.id) || null
+    }));
+
+    res.json({
+        shipments,
+        total: count,
+        ...paginatedResponse(shipments, count, page, limit).pagination
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/accept
+ * @desc    Accept a job offer
+ */
+const acceptOffer = asyncHandler(async (req, res) => {
+    const { driver } = await getAssignedShipment(req.user.id, req.params.id);
+
+    const offer = await dispatchService.respondToOffer(req.params.id, driver.id, true);
+
+    res.json({
+        message: 'Job accepted',
+        offer
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/decline
+ * @desc    Decline a job offer
+ */
+const declineOffer = asyncHandler(async (req, res) => {
+    const { driver } = await getAssignedShipment(req.user.id, req.params.id);
+
+    const offer = await dispatchService.respondToOffer(req.params.id, driver.id, false, req.body.reason);
+
+    res.json({
+        message: 'Job declined',
+        offer
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/pickup
+ * @desc    Confirm pickup at origin
+ */
+const pickupShipment = asyncHandler(async (req, res) => {
+    const { driver, shipment } = await getAssignedShipment(req.user.id, req.params.id);
+
+    if (await dispatchService.getPendingOffer(shipment.id, driver.id)) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'Accept the job before confirming pickup'
+        });
+    }
+
+    const coordinates = await recordActionLocation(driver, req.body);
+
+    const data = await shipmentLifecycle.transition(shipment.id, config.shipmentStatus.IN_TRANSIT, {
+        role: config.userRoles.DRIVER,
+        location: req.body.location || shipment.origin,
+        coordinates,
+        description: req.body.notes ? `Picked up by driver: ${req.body.notes}` : 'Shipment picked up by driver'
+    });
+
+    res.json({
+        message: 'Pickup confirmed',
+        shipment: data
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/out-for-delivery
+ * @desc    Mark the shipment as out for delivery
+ */
+const markOutForDelivery = asyncHandler(async (req, res) => {
+    const { driver, shipment } = await getAssignedShipment(req.user.id, req.params.id);
+    const coordinates = await recordActionLocation(driver, req.body);
+
+    const data = await shipmentLifecycle.transition(shipment.id, config.shipmentStatus.OUT_FOR_DELIVERY, {
+        role: config.userRoles.DRIVER,
+        location: req.body.location,
+        coordinates
+    });
+
+    res.json({
+        message: 'Shipment is out for delivery',
+        shipment: data
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/deliver
+ * @desc    Confirm delivery at destination
+ */
+const deliverShipment = asyncHandler(async (req, res) => {
+    const { driver, shipment } = await getAssignedShipment(req.user.id, req.params.id);
+    const cashOnDelivery = shipment.payment_status === config.shipmentPaymentStatus.COD;
+
+    if (cashOnDelivery && req.body.codCollected == null) {
+        throw new ApiError(400, `This shipment is cash on delivery: send codCollected (expected ${shipment.cod_amount})`);
+    }
+
+    // Check the receiver's code before anything changes, so a wrong one leaves the shipment as it was
+    const { IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED } = config.shipmentStatus;
+    shipmentLifecycle.assertTransition(
+        shipment.status === IN_TRANSIT ? OUT_FOR_DELIVERY : shipment.status,
+        DELIVERED,
+        config.userRoles.DRIVER
+    );
+    const authorized = await podService.authorizeDelivery(shipment.id, {
+        role: config.userRoles.DRIVER,
+        otp: req.body.otp
+    });
+
+    const coordinates = await recordActionLocation(driver, req.body);
+    const location = req.body.location || shipment.destination;
+
+    // Drivers arriving straight from transit skip the explicit out-for-delivery step
+    if (shipment.status === IN_TRANSIT) {
+        await shipmentLifecycle.transition(shipment.id, OUT_FOR_DELIVERY, {
+            role: config.userRoles.DRIVER,
+            location,
+            coordinates
+        });
+    }
+
+    const data = await shipmentLifecycle.transition(shipment.id, DELIVERED, {
+        role: config.userRoles.DRIVER,
+        location,
+        coordinates,
+        proof: { authorized },
+        description: req.body.recipientName
+            ? `Delivered and received by ${req.body.recipientName}`
+            : 'Shipment delivered'
+    });
+
+    await supabaseAdmin
+        .from('drivers')
+        .update({ total_deliveries: (driver.total_deliveries || 0) + 1 })
+        .eq('id', driver.id);
+
+    // The delivery stands even if the cash cannot be recorded; the driver posts it again
+    let codCollection = null;
+    let codCollectionFailed = false;
+    if (cashOnDelivery) {
+        try {
+            codCollection = await codService.recordCollection(shipment, driver, { amount: req.body.codCollected, notes: req.body.notes });
+        } catch (err) {
+            console.error(`Recording the cash collected for shipment ${shipment.id} failed:`, err.message);
+            codCollectionFailed = true;
+        }
+    }
+
+    res.json({
+        message: codCollectionFailed
+            ? 'Delivery confirmed, but the cash collection was not recorded. Send it again to /cod-collection.'
+            : 'Delivery confirmed',
+        shipment: data,
+        codCollection,
+        ...(codCollectionFailed && { codCollectionFailed })
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/cod-collection
+ * @desc    Record cash collected for a delivered cash-on-delivery shipment
+ *          (when it was not sent with the delivery)
+ */
+const recordCodCollection = asyncHandler(async (req, res) => {
+    const { driver, shipment } = await getAssignedShipment(req.user.id, req.params.id);
+
+    if (!shipment.cod_amount) {
+        throw new ApiError(409, 'This shipment is not cash on delivery');
+    }
+    if (shipment.status !== config.shipmentStatus.DELIVERED) {
+        throw new ApiError(409, 'Record cash with the delivery, or after the shipment is delivered');
+    }
+
+    const codCollection = await codService.recordCollection(shipment, driver, {
+        amount: req.body.codCollected,
+        notes: req.body.notes
+    });
+
+    res.status(201).json({
+        message: 'Cash collection recorded',
+        codCollection
+    });
+});
+
+/**
+ * @route   GET /api/drivers/me/cod
+ * @desc    Cash the current driver holds, with recent collections and remittances
+ */
+const getMyCod = asyncHandler(async (req, res) => {
+    const driver = await findCurrentDriver(req.user.id);
+    if (!driver) {
+        throw new ApiError(404, 'Driver profile not found');
+    }
+
+    res.json(await codService.getDriverCash(driver));
+});
+
+/**
+ * @route   GET /api/drivers/cod/outstanding
+ * @desc    Drivers holding cash-on-delivery money, most first (Admin only)
+ */
+const getOutstandingCod = asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { drivers, count, totalOutstanding } = await codService.getOutstanding({ offset, limit });
+
+    res.json({
+        totalOutstanding,
+        ...paginatedResponse(drivers, count, page, limit)
+    });
+});
+
+/**
+ * @route   GET /api/drivers/:id/cod
+ * @desc    Cash a driver holds, with recent collections and remittances (Admin only)
+ */
+const getDriverCod = asyncHandler(async (req, res) => {
+    const { data: driver } = await supabaseAdmin
+        .from('drivers')
+        .select('id, cod_balance')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (!driver) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Driver not found'
+        });
+    }
+
+    res.json(await codService.getDriverCash(driver));
+});
+
+/**
+ * @route   POST /api/drivers/:id/cod/remittances
+ * @desc    Record cash handed over by a driver (Admin only)
+ */
+const recordCodRemittance = asyncHandler(async (req, res) => {
+    const { amount, reference, notes } = req.body;
+
+    const remittance = await codService.recordRemittance(req.params.id, {
+        amount,
+        reference,
+        notes,
+        receivedBy: req.user.id
+    });
+
+    res.status(201).json({
+        message: 'Remittance recorded',
+        remittance,
+        balance: parseFloat(remittance.balance_after)
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/failed-attempt
+ * @desc    Report a failed delivery attempt with a reason code
+ */
+const reportFailedAttempt = asyncHandler(async (req, res) => {
+    const { driver, shipment } = await getAssignedShipment(req.user.id, req.params.id);
+    const { reasonCode, notes } = req.body;
+    const { IN_TRANSIT, OUT_FOR_DELIVERY } = config.shipmentStatus;
+
+    if (![IN_TRANSIT, OUT_FOR_DELIVERY].includes(shipment.status)) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: `Delivery attempts can only be reported for shipments in transit or out for delivery (current status: ${shipment.status})`
+        });
+    }
+
+    const coordinates = await recordActionLocation(driver, req.body);
+    const now = new Date().toISOString();
+    const updates = {
+        delivery_attempts: (shipment.delivery_attempts || 0) + 1,
+        last_delivery_attempt_at: now,
+        last_delivery_failure: reasonCode
+    };
+    const description = `Delivery attempt failed (${reasonCode.replace(/_/g, ' ')})${notes ? `: ${notes}` : ''}`;
+    const location = req.body.location || shipment.destination;
+
+    let data;
+    if (shipment.status === OUT_FOR_DELIVERY) {
+        // Back to transit for a re-attempt
+        data = await shipmentLifecycle.transition(shipment.id, IN_TRANSIT, {
+            role: config.userRoles.DRIVER,
+            updates,
+            location,
+            coordinates,
+            description
+        });
+    } else {
+        const { data: updated, error } = await supabaseAdmin
+            .from('shipments')
+            .update({ ...updates, updated_at: now })
+            .eq('id', shipment.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        data = updated;
+
+        await shipmentService.addTrackingEvent(shipment.id, IN_TRANSIT, location, description, coordinates);
+    }
+
+    res.json({
+        message: 'Failed delivery attempt recorded',
+        shipment: data
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/proof
+ * @desc    Upload proof of delivery (multipart: signature, photos)
+ */
+const uploadProofOfDelivery = asyncHandler(async (req, res) => {
+    const { shipment } = await getAssignedShipment(req.user.id, req.params.id);
+    const { IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED } = config.shipmentStatus;
+
+    if (![IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED].includes(shipment.status)) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: `Proof of delivery cannot be uploaded for a ${shipment.status} shipment`
+        });
+    }
+
+    const signature = req.files?.signature?.[0];
+    const photos = req.files?.photos || [];
+
+    if (!signature && photos.length === 0) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Upload a signature image and/or at least one photo'
+        });
+    }
+
+    const documents = await podService.saveProof(shipment.id, { signature, photos }, req.user.id);
+
+    res.status(201).json({
+        message: 'Proof of delivery uploaded',
+        documents
+    });
+});
+
+/**
+ * @route   POST /api/drivers/me/shipments/:id/delivery-code
+ * @desc    Re-send the delivery code to the receiver (in transit or out for delivery,
+ *          at most once every otpResendMinutes)
+ */
+const resendDeliveryCode = asyncHandler(async (req, res) => {
+    const { shipment } = await getAssignedShipment(req.user.id, req.params.id);
+    const { IN_TRANSIT, OUT_FOR_DELIVERY } = config.shipmentStatus;
+
+    if (![IN_TRANSIT, OUT_FOR_DELIVERY].includes(shipment.status)) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: `Delivery codes can only be re-sent for shipments in transit or out for delivery (current status: ${shipment.status})`
+        });
+    }
+
+    const result = await podService.issueOtp(shipment.id, { throttle: true });
+
+    res.json({
+        message: 'Delivery code sent to the receiver',
+        ...result
+    });
+});
+
 module.exports = {
     getAllDrivers,
     getDriverById,
@@ -361,5 +868,20 @@ module.exports = {
     assignVehicle,
     getDriverPerformance,
     verifyDriver,
-    getAvailableVehicles
+    getAvailableVehicles,
+    reportLocation,
+    getMyShipments,
+    acceptOffer,
+    declineOffer,
+    pickupShipment,
+    markOutForDelivery,
+    deliverShipment,
+    recordCodCollection,
+    getMyCod,
+    getOutstandingCod,
+    getDriverCod,
+    recordCodRemittance,
+    reportFailedAttempt,
+    uploadProofOfDelivery,
+    resendDeliveryCode
 };
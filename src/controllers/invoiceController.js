@@ -0,0 +1,145 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination, paginatedResponse } = require('../utils/helpers');
+const invoiceService = require('../services/invoiceService');
+
+/**
+ * Invoice by ID if the caller may see it (admins, or the invoiced customer)
+ */
+const findVisibleInvoice = async (req) => {
+    const { data: invoice } = await supabaseAdmin
+        .from('invoices')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (!invoice) return null;
+    if (req.userRole !== 'admin' && invoice.customer_id !== req.user.id) return null;
+    return invoice;
+};
+
+/**
+ * @route   GET /api/invoices
+ * @desc    Invoices, receipts and credit notes; customers see their own
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+    const { type, shipmentId, customerId, from, to } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let query = supabaseAdmin
+        .from('invoices')
+        .select(`
+            id, type, number, shipment_id, payment_id, refund_id, invoice_id, customer_id,
+            customer, subtotal, vat_amount, total, currency, issued_at,
+            shipment:shipments(id, tracking_number)
+        `, { count: 'exact' })
+        .order('issued_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (req.userRole !== 'admin') {
+        query = query.eq('customer_id', req.user.id);
+    } else if (customerId) {
+        query = query.eq('customer_id', customerId);
+    }
+
+    if (type) {
+        query = query.eq('type', type);
+    }
+    if (shipmentId) {
+        query = query.eq('shipment_id', shipmentId);
+    }
+    if (from) {
+        query = query.gte('issued_at', from);
+    }
+    if (to) {
+        query = query.lte('issued_at', to);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json(paginatedResponse(data, count, page, limit));
+});
+
+/**
+ * @route   GET /api/invoices/:id
+ * @desc    Invoice with its line items, and the receipts and credit notes against it
+ */
+const getInvoiceById = asyncHandler(async (req, res) => {
+    const invoice = await findVisibleInvoice(req);
+
+    if (!invoice) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Invoice not found'
+        });
+    }
+
+    const { data: related } = await supabaseAdmin
+        .from('invoices')
+        .select('id, type, number, total, issued_at')
+        .or(invoice.invoice_id
+            ? `id.eq.${invoice.invoice_id},invoice_id.eq.${invoice.invoice_id}`
+            : `invoice_id.eq.${invoice.id}`)
+        .neq('id', invoice.id)
+        .order('issued_at', { ascending: true });
+
+    res.json({
+        ...invoice,
+        related: related || []
+    });
+});
+
+/**
+ * @route   GET /api/invoices/:id/pdf
+ * @desc    Download an invoice, receipt or credit note as PDF
+ */
+const downloadInvoicePdf = asyncHandler(async (req, res) => {
+    const invoice = await findVisibleInvoice(req);
+
+    if (!invoice) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Invoice not found'
+        });
+    }
+
+    let parent = null;
+    if (invoice.invoice_id) {
+        ({ data: parent } = await supabaseAdmin
+            .from('invoices')
+            .select('number')
+            .eq('id', invoice.invoice_id)
+            .maybeSingle());
+    }
+
+    const pdf = await invoiceService.renderPdf(invoice, parent);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+});
+
+/**
+ * @route   POST /api/invoices
+ * @desc    Issue the invoice for a shipment before it is paid (Admin only)
+ */
+const issueInvoice = asyncHandler(async (req, res) => {
+    const invoice = await invoiceService.issueForShipment(req.body.shipmentId);
+
+    res.status(201).json({
+        message: 'Invoice issued',
+        invoice
+    });
+});
+
+module.exports = {
+    getInvoices,
+    getInvoiceById,
+    downloadInvoicePdf,
+    issueInvoice
+};
@@ -1,135 +1,359 @@
 const { supabaseAdmin } = require('../config/supabase');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const paymentService = require('../services/paymentService');
+const refundService = require('../services/refundService');
+const reconciliationService = require('../services/reconciliationService');
+const { parsePagination, paginatedResponse } = require('../utils/helpers');
+const { getProvider } = require('../services/payments');
+const config = require('../config');
 
-// Initialize stripe only if key exists to prevent crash
-const stripe = process.env.STRIPE_SECRET_KEY
-    ? require('stripe')(process.env.STRIPE_SECRET_KEY)
-    : null;
+const { PENDING, SUCCEEDED } = config.paymentStatus;
 
-const checkStripeConfig = () => {
-    if (!stripe) {
-        throw new Error('Stripe API Key is missing. Please add STRIPE_SECRET_KEY to your .env file.');
-    }
-};
+/**
+ * @route   POST /api/payments/checkout
+ * @desc    Start paying for a shipment with a provider (stripe, paystack)
+ */
+const createCheckout = asyncHandler(async (req, res) => {
+    const { shipmentId, provider } = req.body;
+    const { payment, url, accessCode } = await paymentService.startCheckout(shipmentId, req.user, provider);
+
+    res.status(201).json({
+        paymentId: payment.id,
+        provider: payment.provider,
+        reference: payment.reference,
+        amount: payment.amount,
+        url,
+        accessCode
+    });
+});
 
 /**
  * @route   POST /api/payments/create-checkout-session
  * @desc    Create a Stripe Checkout Session for a shipment
  */
 const createCheckoutSession = asyncHandler(async (req, res) => {
-    checkStripeConfig();
-    const { shipmentId } = req.body;
+    const { url } = await paymentService.startCheckout(req.body.shipmentId, req.user, 'stripe');
+
+    res.json({ url });
+});
+
+/**
+ * @route   GET /api/payments/initialize/:bookingId
+ * @desc    Initialize a Paystack payment for a shipment
+ */
+const initializePayment = asyncHandler(async (req, res) => {
+    const { payment, url, accessCode } = await paymentService.startCheckout(req.params.bookingId, req.user, 'paystack');
+
+    res.json({
+        authorization_url: url,
+        access_code: accessCode,
+        reference: payment.reference
+    });
+});
+
+/**
+ * @route   GET /api/payments/booking/verify/:bookingId
+ * @desc    Verify payment status for a shipment with its provider
+ */
+const verifyPayment = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
 
-    // 1. Fetch shipment details
-    const { data: shipment, error: fetchError } = await supabaseAdmin
-        .from('shipments')
+    // 1. Latest payment for this shipment, pending or paid
+    const { data: payment } = await supabaseAdmin
+        .from('payments')
         .select('*')
-        .eq('id', shipmentId)
-        .single();
+        .eq('shipment_id', bookingId)
+        .in('status', [PENDING, SUCCEEDED])
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
 
-    if (fetchError || !shipment) {
-        return res.status(404).json({ error: 'Not Found', message: 'Shipment not found' });
+    if (!payment) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'No pending payment found for this shipment'
+        });
     }
 
-    // 2. Validate ownership
-    if (shipment.sender_id !== req.user.id) {
-        return res.status(403).json({ error: 'Forbidden', message: 'You can only pay for your own shipments' });
+    if (payment.user_id && payment.user_id !== req.user.id) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'You can only verify your own payments'
+        });
     }
 
-    // 3. Create Stripe Session
-    const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card'],
-        line_items: [
-            {
-                price_data: {
-                    currency: 'ngn',
-                    product_data: {
-                        name: `Shipment Tracking: ${shipment.tracking_number}`,
-                        description: `Shipping from ${shipment.origin} to ${shipment.destination}`,
-                    },
-                    unit_amount: Math.round(parseFloat(shipment.shipping_fee || 5000) * 100), // Fee in kobo/cents
-                },
-                quantity: 1,
-            },
-        ],
-        mode: 'payment',
-        success_url: `${process.env.FRONTEND_URL}/user/shipments?payment=success&id=${shipmentId}`,
-        cancel_url: `${process.env.FRONTEND_URL}/user/shipments?payment=cancelled`,
-        metadata: {
-            shipmentId: shipment.id,
-            userId: req.user.id
-        }
-    });
+    // 2. Ask the provider and settle
+    const { payment: settled } = await paymentService.verify(payment);
 
-    // 4. Create payment record
-    await supabaseAdmin.from('payments').insert({
-        shipment_id: shipmentId,
-        amount: shipment.shipping_fee || 50,
-        stripe_session_id: session.id,
-        status: 'pending'
+    if (settled.status === SUCCEEDED) {
+        return res.json({
+            status: 'success',
+            message: payment.status === SUCCEEDED ? 'Payment already verified' : 'Payment verified successfully',
+            amount: parseFloat(settled.amount)
+        });
+    }
+    if (settled.status === PENDING) {
+        return res.json({
+            status: 'pending',
+            message: 'Payment is still being processed'
+        });
+    }
+
+    res.json({
+        status: 'failed',
+        message: 'Payment verification failed'
     });
+});
 
-    res.json({ url: session.url });
+/**
+ * @route   POST /api/payments/webhooks/:provider
+ * @desc    Provider webhooks; each event is recorded once and settled idempotently
+ *          (/webhook and /paystack-webhook are kept for Stripe and Paystack)
+ */
+const handleWebhook = (providerName) => asyncHandler(async (req, res) => {
+    const rawBody = req.rawBody || req.body;
+    if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+        throw new ApiError(400, 'Webhook body is missing');
+    }
+
+    const { duplicate, result } = await paymentService.handleWebhook(providerName || req.params.provider, rawBody, req.headers);
+
+    res.json({ received: true, duplicate, result });
+});
+
+/**
+ * @route   POST /api/payments/fake/:reference/complete
+ * @desc    Play a customer paying with the fake provider (tests / development only, Admin only)
+ *          Returns the webhook body and signature the provider would send
+ */
+const completeFakePayment = asyncHandler(async (req, res) => {
+    const { status = SUCCEEDED, amount } = req.body;
+    const webhook = getProvider('fake').complete(req.params.reference, status, amount);
+
+    res.json(webhook);
 });
 
 /**
- * @route   POST /api/payments/webhook
- * @desc    Handle Stripe Webhooks
+ * @route   POST /api/payments/fake/refunds/:reference/complete
+ * @desc    Play a fake provider refund going through (tests / development only, Admin only)
  */
-const handleStripeWebhook = asyncHandler(async (req, res) => {
-    checkStripeConfig();
-    const sig = req.headers['stripe-signature'];
-    let event;
+const completeFakeRefund = asyncHandler(async (req, res) => {
+    const { status = SUCCEEDED } = req.body;
+    const webhook = getProvider('fake').completeRefund(req.params.reference, status);
 
-    try {
-        if (!process.env.STRIPE_WEBHOOK_SECRET) {
-            throw new Error('Stripe Webhook Secret is missing.');
-        }
-        event = stripe.webhooks.constructEvent(
-            req.body,
-            sig,
-            process.env.STRIPE_WEBHOOK_SECRET
-        );
-    } catch (err) {
-        console.error('Webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+    res.json(webhook);
+});
+
+/**
+ * @route   GET /api/payments/refunds
+ * @desc    List refunds, e.g. ?status=pending_approval (Admin only)
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+    const { status, shipmentId } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let query = supabaseAdmin
+        .from('refunds')
+        .select(`
+            *,
+            shipment:shipments(id, tracking_number, status),
+            requester:profiles!refunds_requested_by_fkey(id, first_name, last_name, email)
+        `, { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (status) {
+        query = query.eq('status', status);
     }
+    if (shipmentId) {
+        query = query.eq('shipment_id', shipmentId);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json(paginatedResponse(data, count, page, limit));
+});
+
+/**
+ * @route   POST /api/payments/:id/refunds
+ * @desc    Refund a payment in full or in part (Admin only)
+ */
+const createRefund = asyncHandler(async (req, res) => {
+    const { amount, reason, destination } = req.body;
+
+    const { data: payment } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (!payment) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Payment not found'
+        });
+    }
+
+    const refund = await refundService.create(payment, {
+        amount: amount != null ? parseFloat(amount) : undefined,
+        reason,
+        requestedBy: req.user.id,
+        approved: true,
+        destination
+    });
+
+    res.status(201).json({
+        message: 'Refund created',
+        refund
+    });
+});
+
+/**
+ * @route   POST /api/payments/refunds/:id/approve
+ * @desc    Approve a refund above the approval threshold (Admin only)
+ */
+const approveRefund = asyncHandler(async (req, res) => {
+    const refund = await refundService.approve(req.params.id, req.user.id);
+
+    res.json({
+        message: 'Refund approved',
+        refund
+    });
+});
+
+/**
+ * @route   POST /api/payments/refunds/:id/reject
+ * @desc    Reject a refund waiting for approval (Admin only)
+ */
+const rejectRefund = asyncHandler(async (req, res) => {
+    const refund = await refundService.reject(req.params.id, req.user.id, req.body.reason);
+
+    res.json({
+        message: 'Refund rejected',
+        refund
+    });
+});
+
+/**
+ * @route   GET /api/payments/cancellation-policies
+ * @desc    Cancellation fee per shipment status
+ */
+const getCancellationPolicies = asyncHandler(async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('cancellation_policies')
+        .select('*')
+        .order('status', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(data || []);
+});
+
+/**
+ * @route   PUT /api/payments/cancellation-policies
+ * @desc    Create or update the cancellation fee for a shipment status (Admin only)
+ */
+const upsertCancellationPolicy = asyncHandler(async (req, res) => {
+    const { status, fee_type, amount, min_fee, is_active } = req.body;
+
+    const { data, error } = await supabaseAdmin
+        .from('cancellation_policies')
+        .upsert({
+            status,
+            fee_type,
+            amount,
+            min_fee,
+            is_active,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'status' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    res.json({
+        message: 'Cancellation policy updated successfully',
+        policy: data
+    });
+});
+
+/**
+ * @route   POST /api/payments/reconciliation
+ * @desc    Settle stale pending payments and compare with provider transactions now (Admin only)
+ */
+const runReconciliation = asyncHandler(async (req, res) => {
+    const { pendingAfterMinutes, lookbackHours, providers } = req.body;
+
+    const run = await reconciliationService.run({
+        pendingAfterMinutes: pendingAfterMinutes != null ? parseInt(pendingAfterMinutes) : undefined,
+        lookbackHours: lookbackHours != null ? parseInt(lookbackHours) : undefined,
+        providers,
+        trigger: 'api',
+        triggeredBy: req.user.id
+    });
+
+    res.status(201).json({
+        message: 'Reconciliation finished',
+        run
+    });
+});
+
+/**
+ * @route   GET /api/payments/reconciliation
+ * @desc    Past reconciliation runs with their summaries (Admin only)
+ */
+const getReconciliationRuns = asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const { data, error, count } = await supabaseAdmin
+        .from('reconciliation_runs')
+        .select('id, trigger, triggered_by, options, summary, started_at, finished_at', { count: 'exact' })
+        .order('started_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json(paginatedResponse(data, count, page, limit));
+});
+
+/**
+ * @route   GET /api/payments/reconciliation/:id
+ * @desc    Full report of a reconciliation run: mismatches, orphans and errors (Admin only)
+ */
+const getReconciliationRun = asyncHandler(async (req, res) => {
+    const { data } = await supabaseAdmin
+        .from('reconciliation_runs')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
 
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        const shipmentId = session.metadata.shipmentId;
-
-        // Update payment record
-        await supabaseAdmin.from('payments')
-            .update({
-                status: 'succeeded',
-                stripe_payment_intent_id: session.payment_intent,
-                updated_at: new Date().toISOString()
-            })
-            .eq('stripe_session_id', session.id);
-
-        // Update shipment record
-        await supabaseAdmin.from('shipments')
-            .update({
-                payment_status: 'paid',
-                status: 'processing', // Move from pending to processing
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', shipmentId);
-
-        // Add tracking event
-        await supabaseAdmin.from('tracking_events').insert({
-            shipment_id: shipmentId,
-            status: 'processing',
-            location: 'System',
-            description: 'Payment verified. Shipment moved to processing.'
+    if (!data) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Reconciliation run not found'
         });
     }
 
-    res.json({ received: true });
+    res.json(data);
 });
 
 module.exports = {
+    createCheckout,
     createCheckoutSession,
-    handleStripeWebhook
+    initializePayment,
+    verifyPayment,
+    handleWebhook,
+    completeFakePayment,
+    completeFakeRefund,
+    getRefunds,
+    createRefund,
+    approveRefund,
+    rejectRefund,
+    getCancellationPolicies,
+    upsertCancellationPolicy,
+    runReconciliation,
+    getReconciliationRuns,
+    getReconciliationRun
 };
@@ -1,14 +1,22 @@
 const { supabaseAdmin } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/errorHandler');
+const config = require('../config');
+const pricingService = require('../services/pricingService');
+const { assess } = require('../utils/loadPlanning');
+const { parsePagination, paginatedResponse } = require('../utils/helpers');
 
 /**
  * @route   GET /api/pricing
- * @desc    Get all pricing configurations
+ * @desc    Get the pricing configurations in effect now
  */
 const getPricingConfigs = asyncHandler(async (req, res) => {
+    const now = new Date().toISOString();
+
     let { data, error } = await supabaseAdmin
         .from('pricing_configs')
         .select('*')
+        .lte('effective_from', now)
+        .or(`effective_to.is.null,effective_to.gt.${now}`)
         .order('service_type', { ascending: true });
 
     if (error) {
@@ -17,8 +25,12 @@ const getPricingConfigs = asyncHandler(async (req, res) => {
         throw error;
     }
 
-    // Auto-seed if empty
-    if (!data || data.length === 0) {
+    // Auto-seed if the table is empty (not just between versions)
+    const { count } = await supabaseAdmin
+        .from('pricing_configs')
+        .select('id', { count: 'exact', head: true });
+
+    if (!count) {
         const defaults = [
             { service_type: '5 tons', base_price: 45000.00, price_per_kg: 50.00, price_per_km: 100.00 },
             { service_type: '10 tons', base_price: 85000.00, price_per_kg: 75.00, price_per_km: 150.00 },
@@ -44,26 +56,97 @@ const getPricingConfigs = asyncHandler(async (req, res) => {
 
 /**
  * @route   PUT /api/pricing/:id
- * @desc    Update a pricing configuration (Admin only)
+ * @desc    Change a pricing configuration (Admin only)
+ *          Rates are never overwritten: the version is closed and a new one
+ *          starts at effective_from (default now), so booked shipments keep their rate
  */
 const updatePricingConfig = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { base_price, price_per_kg, price_per_km, is_active } = req.body;
+    const { base_price, price_per_kg, price_per_km, is_active, effective_from } = req.body;
+
+    const { data: current } = await supabaseAdmin
+        .from('pricing_configs')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (!current) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Pricing configuration not found'
+        });
+    }
+
+    const effectiveFrom = effective_from ? new Date(effective_from) : new Date();
+
+    if (current.effective_to && new Date(current.effective_to) <= new Date()) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'This pricing version has ended. Update the current version instead.'
+        });
+    }
+    if (effectiveFrom < new Date(current.effective_from)) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'effective_from cannot be before the start of the version being changed'
+        });
+    }
+
+    const { data: newer } = await supabaseAdmin
+        .from('pricing_configs')
+        .select('id')
+        .ilike('service_type', current.service_type)
+        .gt('effective_from', current.effective_from)
+        .limit(1)
+        .maybeSingle();
+
+    if (newer) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'A newer pricing version already exists for this service type'
+        });
+    }
+
+    // Close the current version, then open the new one
+    const { error: closeError } = await supabaseAdmin
+        .from('pricing_configs')
+        .update({ effective_to: effectiveFrom.toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', id);
+
+    if (closeError) throw closeError;
 
     const { data, error } = await supabaseAdmin
         .from('pricing_configs')
-        .update({
-            base_price,
-            price_per_kg,
-            price_per_km,
-            is_active,
-            updated_at: new Date().toISOString()
+        .insert({
+            service_type: current.service_type,
+            base_price: base_price ?? current.base_price,
+            price_per_kg: price_per_kg ?? current.price_per_kg,
+            price_per_km: price_per_km ?? current.price_per_km,
+            is_active: is_active ?? current.is_active,
+            effective_from: effectiveFrom.toISOString(),
+            created_by: req.user.id
         })
-        .eq('id', id)
         .select()
         .single();
 
-    if (error) throw error;
+    if (error) {
+        // Reopen the old version so the service type is never left without rates
+        await supabaseAdmin
+            .from('pricing_configs')
+            .update({ effective_to: current.effective_to })
+            .eq('id', id);
+        throw error;
+    }
+
+    await pricingService.recordChange({
+        entity: 'pricing_config',
+        entityId: data.id,
+        action: 'update',
+        serviceType: current.service_type,
+        before: current,
+        after: data,
+        changedBy: req.user.id
+    });
 
     res.json({
         message: 'Pricing configuration updated successfully',
@@ -72,64 +155,274 @@ const updatePricingConfig = asyncHandler(async (req, res) => {
 });
 
 /**
- * Internal helper to calculate price
+ * @route   POST /api/pricing/calculate
+ * @desc    Calculate shipment price and issue a quote ID that locks it (Public)
+ *          Distance comes from `distance`, origin/destination coordinates,
+ *          or the states found in the origin/destination addresses
  */
-const calculatePriceInternal = async (serviceType, weight, distanceKm = 0) => {
-    const normalizedServiceType = serviceType ? serviceType.toLowerCase().trim() : 'standard';
+const calculatePrice = asyncHandler(async (req, res) => {
+    const { serviceType, weight, distance } = req.body;
 
+    if (!serviceType) {
+        return res.status(400).json({ error: 'Service type is required' });
+    }
+
+    const quote = await pricingService.quote({
+        ...req.body,
+        distanceKm: distance,
+        pricedAt: undefined,
+        promoCodeId: undefined,
+        // Contract rates and per-user promo caps apply to signed-in customers
+        customerId: req.user?.id
+    });
+
+    // Only quotes priced from the route for a signed-in caller can be booked;
+    // anonymous quotes and caller-supplied distances are estimates
+    const locked = distance || !req.user ? null : await pricingService.lockQuote(quote, req.user.id);
+
+    res.json({
+        ...quote,
+        serviceType,
+        weight,
+        // Whether the truck class can carry the load, and which class would
+        load: assess(quote.serviceType, quote.weight, req.body.dimensions),
+        distance: quote.distanceKm,
+        estimatedPrice: quote.total,
+        quoteId: locked?.quoteId || null,
+        expiresAt: locked?.expiresAt || null
+    });
+});
+
+/**
+ * @route   GET /api/pricing/zones
+ * @desc    Get zone rates (intra-city, intra-state, inter-state) per service type
+ */
+const getPricingZones = asyncHandler(async (req, res) => {
     const { data, error } = await supabaseAdmin
-        .from('pricing_configs')
+        .from('pricing_zones')
         .select('*')
-        .ilike('service_type', normalizedServiceType)
-        .eq('is_active', true)
-        .order('id', { ascending: false }) // Get latest if multiple exist
-        .limit(1)
-        .maybeSingle(); // Better than .single() as it doesn't error on 0 results
-
-    if (error || !data) {
-        // Fallback default prices if config not found
-        const fallbacks = {
-            standard: { base: 1000, kg: 50, km: 10 },
-            express: { base: 2500, kg: 100, km: 20 },
-            '5 tons': { base: 45000, kg: 50, km: 100 },
-            '10 tons': { base: 85000, kg: 75, km: 150 },
-            '15 tons': { base: 125000, kg: 100, km: 200 }
-        };
-        const f = fallbacks[serviceType.toLowerCase()] || fallbacks.standard;
-        return f.base + (f.kg * (weight || 0)) + (f.km * distanceKm);
-    }
+        .order('service_type', { ascending: true })
+        .order('zone', { ascending: true });
 
-    const total = parseFloat(data.base_price) +
-        (parseFloat(data.price_per_kg) * (weight || 0)) +
-        (parseFloat(data.price_per_km) * distanceKm);
+    if (error) throw error;
 
-    return total;
-};
+    res.json({
+        zones: Object.values(config.pricingZones),
+        rates: data || []
+    });
+});
 
 /**
- * @route   POST /api/pricing/calculate
- * @desc    Calculate shipment price (Public)
+ * @route   PUT /api/pricing/zones
+ * @desc    Create or update the rate for a service type and zone (Admin only)
  */
-const calculatePrice = asyncHandler(async (req, res) => {
-    const { serviceType, weight, distance } = req.body;
+const upsertPricingZone = asyncHandler(async (req, res) => {
+    const { service_type, zone, base_fee, price_per_km, min_distance_km, is_active } = req.body;
+    const serviceType = service_type.toLowerCase().trim();
 
-    if (!serviceType) {
-        return res.status(400).json({ error: 'Service type is required' });
+    const { data: before } = await supabaseAdmin
+        .from('pricing_zones')
+        .select('*')
+        .eq('service_type', serviceType)
+        .eq('zone', zone)
+        .maybeSingle();
+
+    const { data, error } = await supabaseAdmin
+        .from('pricing_zones')
+        .upsert({
+            service_type: serviceType,
+            zone,
+            base_fee,
+            price_per_km,
+            min_distance_km,
+            is_active,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'service_type,zone' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await pricingService.recordChange({
+        entity: 'pricing_zone',
+        entityId: data.id,
+        action: before ? 'update' : 'create',
+        serviceType,
+        before,
+        after: data,
+        changedBy: req.user.id
+    });
+
+    res.json({
+        message: 'Pricing zone updated successfully',
+        zone: data
+    });
+});
+
+const RULE_FIELDS = [
+    'name', 'code', 'description', 'rule_type', 'calculation', 'basis', 'amount',
+    'min_charge', 'max_charge', 'conditions', 'priority', 'starts_at', 'ends_at', 'is_active'
+];
+
+const pickRuleFields = (body) => Object.fromEntries(
+    RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * @route   GET /api/pricing/rules
+ * @desc    Get surcharge, discount and tax rules in priority order (Admin only)
+ */
+const getPricingRules = asyncHandler(async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('pricing_rules')
+        .select('*')
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(data || []);
+});
+
+/**
+ * @route   POST /api/pricing/rules
+ * @desc    Create a pricing rule (Admin only)
+ */
+const createPricingRule = asyncHandler(async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('pricing_rules')
+        .insert(pickRuleFields(req.body))
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await pricingService.recordChange({
+        entity: 'pricing_rule',
+        entityId: data.id,
+        action: 'create',
+        after: data,
+        changedBy: req.user.id
+    });
+
+    res.status(201).json({
+        message: 'Pricing rule created successfully',
+        rule: data
+    });
+});
+
+/**
+ * @route   PUT /api/pricing/rules/:id
+ * @desc    Update a pricing rule (Admin only)
+ */
+const updatePricingRule = asyncHandler(async (req, res) => {
+    const { data: before } = await supabaseAdmin
+        .from('pricing_rules')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    const { data, error } = await supabaseAdmin
+        .from('pricing_rules')
+        .update({
+            ...pickRuleFields(req.body),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', req.params.id)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Pricing rule not found'
+        });
     }
 
-    const price = await calculatePriceInternal(serviceType, weight, distance);
+    await pricingService.recordChange({
+        entity: 'pricing_rule',
+        entityId: data.id,
+        action: 'update',
+        before,
+        after: data,
+        changedBy: req.user.id
+    });
 
     res.json({
-        serviceType,
-        weight,
-        distance,
-        estimatedPrice: price
+        message: 'Pricing rule updated successfully',
+        rule: data
     });
 });
 
+/**
+ * @route   DELETE /api/pricing/rules/:id
+ * @desc    Delete a pricing rule (Admin only)
+ */
+const deletePricingRule = asyncHandler(async (req, res) => {
+    const { data: before, error } = await supabaseAdmin
+        .from('pricing_rules')
+        .delete()
+        .eq('id', req.params.id)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (before) {
+        await pricingService.recordChange({
+            entity: 'pricing_rule',
+            entityId: before.id,
+            action: 'delete',
+            before,
+            changedBy: req.user.id
+        });
+    }
+
+    res.json({ message: 'Pricing rule deleted successfully' });
+});
+
+/**
+ * @route   GET /api/pricing/history
+ * @desc    Every change to rates, zones and rules with who made it (Admin only)
+ */
+const getPricingHistory = asyncHandler(async (req, res) => {
+    const { entity, serviceType } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let query = supabaseAdmin
+        .from('pricing_history')
+        .select(`
+            *,
+            changed_by_profile:profiles!pricing_history_changed_by_fkey(first_name, last_name, email)
+        `, { count: 'exact' })
+        .order('changed_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (entity) {
+        query = query.eq('entity', entity);
+    }
+    if (serviceType) {
+        query = query.ilike('service_type', serviceType);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json(paginatedResponse(data, count, page, limit));
+});
+
 module.exports = {
     getPricingConfigs,
     updatePricingConfig,
     calculatePrice,
-    calculatePriceInternal
+    getPricingZones,
+    upsertPricingZone,
+    getPricingRules,
+    createPricingRule,
+    updatePricingRule,
+    deletePricingRule,
+    getPricingHistory
 };
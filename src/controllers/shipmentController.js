@@ -1,9 +1,20 @@
+const path = require('path');
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { parsePagination, paginatedResponse } = require('../utils/helpers');
 const { generateTrackingNumber, calculateETA } = require('../utils/trackingNumber');
 const config = require('../config');
-const { calculatePriceInternal } = require('./pricingController');
+const pricingService = require('../services/pricingService');
+const shipmentLifecycle = require('../services/shipmentLifecycle');
+const trackingStream = require('../services/trackingStream');
+const podService = require('../services/podService');
+const storage = require('../services/storage');
+const documentService = require('../services/documentService');
+const shipmentImportService = require('../services/shipmentImportService');
+const shipmentExportService = require('../services/shipmentExportService');
+const refundService = require('../services/refundService');
+const creditAccountService = require('../services/creditAccountService');
+const codService = require('../services/codService');
 
 /**
  * @route   GET /api/shipments
@@ -11,7 +22,10 @@ const { calculatePriceInternal } = require('./pricingController');
  */
 const getAllShipments = asyncHandler(async (req, res) => {
     const { page, limit, offset } = parsePagination(req.query);
-    const { status, search, userId } = req.query;
+    const { status, search, from, to } = req.query;
+
+    // API keys only ever see their owner's shipments
+    const userId = req.apiKey ? req.user.id : req.query.userId;
 
     let query = supabaseAdmin
         .from('shipments')
@@ -22,15 +36,7 @@ const getAllShipments = asyncHandler(async (req, res) => {
         `, { count: 'exact' });
 
     // Apply filters
-    if (status) {
-        query = query.eq('status', status);
-    }
-    if (search) {
-        query = query.or(`tracking_number.ilike.%${search}%,receiver_name.ilike.%${search}%`);
-    }
-    if (userId) {
-        query = query.eq('sender_id', userId);
-    }
+    query = shipmentService.applyFilters(query, { status, search, userId, from, to });
 
     // Apply pagination
     query = query.range(offset, offset + limit - 1).order('created_at', { ascending: false });
@@ -47,6 +53,26 @@ const getAllShipments = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @route   GET /api/shipments/export
+ * @desc    Download shipments as CSV or XLSX with the list filters plus from/to dates
+ *          columns=trackingNumber,senderName,... picks the columns
+ */
+const exportShipments = asyncHandler(async (req, res) => {
+    const { status, search, from, to } = req.query;
+    const format = req.query.format || 'csv';
+    const columns = shipmentExportService.resolveColumns(req.query.columns);
+
+    // Users can only export their own shipments
+    const userId = req.userRole === 'admin' ? req.query.userId : req.user.id;
+
+    await shipmentExportService.stream(res, {
+        format,
+        columns,
+        filters: { status, search, userId, from, to }
+    });
+});
+
 /**
  * @route   GET /api/shipments/:id
  * @desc    Get single shipment by ID
@@ -109,9 +135,76 @@ const createShipment = asyncHandler(async (req, res) => {
         'Shipment created and pending pickup'
     );
 
+    // Booked on account or cash on delivery: nothing to pay up front
+    let shipment = data;
+    const { ON_ACCOUNT, COD } = config.shipmentPaymentStatus;
+    if ([ON_ACCOUNT, COD].includes(data.payment_status)) {
+        shipment = await shipmentLifecycle.transition(data.id, config.shipmentStatus.PROCESSING, {
+            role: shipmentLifecycle.SYSTEM,
+            location: 'System',
+            description: data.payment_status === COD
+                ? `Cash on delivery (${data.cod_amount}). Shipment moved to processing.`
+                : 'Billed to credit account. Shipment moved to processing.',
+            strict: false
+        }) || data;
+    }
+
+    const waybill = await documentService.refreshWaybill(data.id);
+
     res.status(201).json({
         message: 'Shipment created successfully',
-        shipment: data
+        shipment,
+        waybill
+    });
+});
+
+/**
+ * @route   POST /api/shipments/bulk
+ * @desc    Import shipments from a CSV or XLSX file
+ *          dryRun=true validates and quotes only; mode=all|partial decides
+ *          whether rows with errors block the whole import
+ */
+const bulkCreateShipments = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Upload a CSV or XLSX file in the "file" field'
+        });
+    }
+
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+    const mode = req.body.mode || req.query.mode || 'all';
+
+    if (!shipmentImportService.IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid mode. Must be one of: ${shipmentImportService.IMPORT_MODES.join(', ')}`
+        });
+    }
+
+    const rows = await shipmentImportService.parseFile(req.file);
+    const report = await shipmentImportService.importRows(req.user.id, rows, { dryRun, mode });
+
+    if (dryRun) {
+        return res.json({
+            message: `Dry run: ${report.validRows} of ${report.totalRows} rows are valid`,
+            ...report
+        });
+    }
+
+    if (!report.committed) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: report.validRows === 0
+                ? 'No valid rows to import'
+                : `${report.invalidRows} rows have errors. Nothing was imported.`,
+            ...report
+        });
+    }
+
+    res.status(201).json({
+        message: `${report.created} shipments imported successfully`,
+        ...report
     });
 });
 
@@ -126,7 +219,7 @@ const updateShipment = asyncHandler(async (req, res) => {
     // Fetch shipment once with all needed fields
     const { data: shipment, error: fetchError } = await supabaseAdmin
         .from('shipments')
-        .select('sender_id, status, weight, service_type')
+        .select('sender_id, tracking_number, status, payment_status, shipping_fee, cod_amount, weight, service_type, package_type, declared_value, pickup_date, priced_at, created_at, promo_code_id, dimensions, origin, destination, origin_lat, origin_lng, destination_lat, destination_lng')
         .eq('id', id)
         .single();
 
@@ -144,9 +237,13 @@ const updateShipment = asyncHandler(async (req, res) => {
         }
     }
 
+    // Reject illegal status changes before touching anything else
+    if (updates.status) {
+        shipmentLifecycle.assertTransition(shipment.status, updates.status, req.userRole);
+    }
+
     // Convert camelCase to snake_case for database
     const dbUpdates = {};
-    if (updates.status && req.userRole !== 'user') dbUpdates.status = updates.status;
     if (updates.receiverName) dbUpdates.receiver_name = updates.receiverName;
     if (updates.receiverEmail) dbUpdates.receiver_email = updates.receiverEmail;
     if (updates.receiverPhone) dbUpdates.receiver_phone = updates.receiverPhone;
@@ -162,40 +259,127 @@ const updateShipment = asyncHandler(async (req, res) => {
     if (updates.dimensions) dbUpdates.dimensions = updates.dimensions;
     if (updates.declaredValue) dbUpdates.declared_value = parseFloat(updates.declaredValue);
     if (updates.driverId && req.userRole === 'admin') dbUpdates.driver_id = updates.driverId;
+    if (updates.pickupDate) dbUpdates.pickup_date = new Date(updates.pickupDate).toISOString();
 
-    // Recalculate shipping fee and ETA if weight or service type changed
+    // Recalculate shipping fee and ETA if anything that is priced changed
     const weightChanged = updates.weight || updates.cargoWeightKg;
-    if (weightChanged || updates.serviceType) {
-        const newWeight = weightChanged ? parseFloat(updates.weight || updates.cargoWeightKg) : shipment.weight;
-        const newServiceType = updates.serviceType || shipment.service_type;
+    const coordinateFields = ['originLat', 'originLng', 'destinationLat', 'destinationLng'];
+    const routeChanged = dbUpdates.origin || dbUpdates.destination ||
+        coordinateFields.some(field => updates[field] !== undefined);
+
+    const surchargesChanged = dbUpdates.package_type || dbUpdates.declared_value || dbUpdates.pickup_date;
+
+    let repricedOnAccount = false;
+    if (weightChanged || dbUpdates.dimensions || updates.serviceType || routeChanged || surchargesChanged) {
+        const newServiceType = dbUpdates.service_type || shipment.service_type;
+        const weight = dbUpdates.weight ?? shipment.weight;
+        const dimensions = dbUpdates.dimensions || shipment.dimensions;
+
+        if (weightChanged || dbUpdates.dimensions || updates.serviceType) {
+            const load = shipmentService.checkCapacity(newServiceType, weight, dimensions);
+            dbUpdates.volumetric_weight = load.volumetricWeightKg;
+            dbUpdates.chargeable_weight = load.chargeableWeightKg;
+        }
+
+        // Keep stored coordinates unless new ones are given, but drop them for a
+        // new address without coordinates so the old point does not price the new route
+        const coordinate = (field, column, address) => {
+            if (updates[field] !== undefined) return updates[field];
+            return address ? null : shipment[column];
+        };
+        const coordinates = {
+            originLat: coordinate('originLat', 'origin_lat', dbUpdates.origin),
+            originLng: coordinate('originLng', 'origin_lng', dbUpdates.origin),
+            destinationLat: coordinate('destinationLat', 'destination_lat', dbUpdates.destination),
+            destinationLng: coordinate('destinationLng', 'destination_lng', dbUpdates.destination)
+        };
+
+        const quote = await pricingService.quote({
+            serviceType: newServiceType,
+            weight,
+            dimensions,
+            origin: dbUpdates.origin || shipment.origin,
+            destination: dbUpdates.destination || shipment.destination,
+            ...coordinates,
+            packageType: dbUpdates.package_type || shipment.package_type,
+            declaredValue: dbUpdates.declared_value ?? shipment.declared_value,
+            pickupDate: dbUpdates.pickup_date || shipment.pickup_date,
+            // Keep the rates, contract and promo code the shipment was booked with
+            pricedAt: shipment.priced_at || shipment.created_at,
+            customerId: shipment.sender_id,
+            promoCodeId: shipment.promo_code_id
+        });
 
-        dbUpdates.shipping_fee = await calculatePriceInternal(newServiceType, newWeight);
+        dbUpdates.shipping_fee = quote.total;
+        dbUpdates.price_breakdown = quote.lines;
+        dbUpdates.contract_rate_id = quote.contract?.id || null;
+        dbUpdates.promo_discount = quote.promo?.discount || 0;
 
-        // Recalculate ETA if service type changed
-        if (updates.serviceType) {
-            dbUpdates.estimated_delivery = calculateETA(newServiceType);
+        if (shipment.payment_status === config.shipmentPaymentStatus.COD) {
+            dbUpdates.cod_amount = codService.repricedAmount(shipment, quote.total);
         }
-    }
 
-    dbUpdates.updated_at = new Date().toISOString();
+        // Charged to a credit account: the charge moves with the price once the
+        // shipment is saved; refuse now what could not be charged
+        if (shipment.payment_status === config.shipmentPaymentStatus.ON_ACCOUNT &&
+            parseFloat(quote.total) !== parseFloat(shipment.shipping_fee)) {
+            await creditAccountService.checkAdjustment(shipment, quote.total, updates.status);
+            repricedOnAccount = true;
+        }
 
-    const { data, error } = await supabaseAdmin
-        .from('shipments')
-        .update(dbUpdates)
-        .eq('id', id)
-        .select()
-        .single();
+        if (routeChanged) {
+            Object.assign(dbUpdates, shipmentService.routeColumns(coordinates, quote));
+        }
 
-    if (error) throw error;
+        // Recalculate ETA if service type, route or pickup date changed
+        if (updates.serviceType || routeChanged || dbUpdates.pickup_date) {
+            const pickupDate = dbUpdates.pickup_date || shipment.pickup_date;
+            dbUpdates.estimated_delivery = calculateETA(newServiceType, quote.distanceKm, pickupDate ? new Date(pickupDate) : new Date());
+        }
+    }
+
+    // Anything printed on the waybill may have changed
+    const labelChanged = Object.keys(dbUpdates).length > 0;
 
-    // If status changed, add tracking event
+    let data;
     if (updates.status) {
-        await supabaseAdmin.from('tracking_events').insert({
-            shipment_id: id,
-            status: updates.status,
-            location: updates.location || data.destination,
-            description: updates.statusDescription || `Status updated to ${updates.status}`
+        // Status changes go through the lifecycle (side effects + tracking event)
+        data = await shipmentLifecycle.transition(id, updates.status, {
+            role: req.userRole,
+            updates: dbUpdates,
+            location: updates.location,
+            description: updates.statusDescription,
+            proof: {
+                otp: updates.deliveryOtp,
+                overrideReason: updates.podOverrideReason,
+                actorId: req.user.id
+            }
         });
+    } else {
+        dbUpdates.updated_at = new Date().toISOString();
+
+        const { data: updated, error } = await supabaseAdmin
+            .from('shipments')
+            .update(dbUpdates)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        data = updated;
+    }
+
+    // Move the account charge (and its invoice) only after the update went through
+    if (repricedOnAccount) {
+        await creditAccountService.adjustCharge({ ...shipment, id }, dbUpdates.shipping_fee);
+    }
+
+    if (dbUpdates.estimated_delivery) {
+        trackingStream.publish(id, 'eta', { eta: data.estimated_delivery, status: data.status });
+    }
+
+    if (labelChanged) {
+        await documentService.refreshWaybill(id);
     }
 
     res.json({
@@ -333,15 +517,15 @@ const getUserShipments = asyncHandler(async (req, res) => {
 
 /**
  * @route   POST /api/shipments/:id/cancel
- * @desc    Cancel a shipment
+ * @desc    Cancel a shipment; refundTo=wallet refunds a card payment to the wallet
  */
 const cancelShipment = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason, refundTo } = req.body;
 
     const { data: shipment } = await supabaseAdmin
         .from('shipments')
-        .select('status, sender_id')
+        .select('id, status, sender_id, payment_status')
         .eq('id', id)
         .single();
 
@@ -360,46 +544,132 @@ const cancelShipment = asyncHandler(async (req, res) => {
         });
     }
 
-    if (shipment.status === 'delivered' || shipment.status === 'cancelled') {
-        return res.status(400).json({
-            error: 'Cannot Cancel',
-            message: 'This shipment cannot be cancelled'
+    if (shipment.status === config.shipmentStatus.CANCELLED) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'This shipment is already cancelled'
         });
     }
 
-    const { data, error } = await supabaseAdmin
+    const data = await shipmentLifecycle.transition(id, config.shipmentStatus.CANCELLED, {
+        role: req.userRole,
+        updates: { cancellation_reason: reason },
+        description: `Shipment cancelled: ${reason || 'No reason provided'}`
+    });
+
+    // Give the money back, less the cancellation fee for how far it got
+    let refund = null;
+    let credit = null;
+    if (shipment.payment_status === config.shipmentPaymentStatus.ON_ACCOUNT) {
+        try {
+            credit = await creditAccountService.creditCancellation(data, shipment.status, {
+                createdBy: req.user.id,
+                reason
+            });
+        } catch (err) {
+            console.error(`Account credit for cancelled shipment ${id} failed:`, err.message);
+        }
+    } else if (shipment.payment_status === config.shipmentPaymentStatus.PAID) {
+        try {
+            refund = await refundService.refundCancellation(shipment, shipment.status, {
+                requestedBy: req.user.id,
+                approved: req.userRole === 'admin',
+                reason,
+                destination: refundTo
+            });
+        } catch (err) {
+            // The cancellation stands; an admin can refund from the payments screen
+            console.error(`Refund for cancelled shipment ${id} failed:`, err.message);
+        }
+    }
+
+    res.json({
+        message: 'Shipment cancelled successfully',
+        shipment: data,
+        refund,
+        credit
+    });
+});
+
+/**
+ * @route   GET /api/shipments/:id/cancellation
+ * @desc    Cancellation fee and refund if the shipment were cancelled now
+ */
+const getCancellationQuote = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { data: shipment } = await supabaseAdmin
         .from('shipments')
-        .update({
-            status: config.shipmentStatus.CANCELLED,
-            cancellation_reason: reason,
-            updated_at: new Date().toISOString()
-        })
+        .select('id, status, sender_id, payment_status, shipping_fee')
         .eq('id', id)
-        .select()
         .single();
 
-    if (error) throw error;
+    if (!shipment || (shipment.sender_id !== req.user.id && req.userRole !== 'admin')) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Shipment not found'
+        });
+    }
 
-    // Add tracking event
-    await supabaseAdmin.from('tracking_events').insert({
-        shipment_id: id,
-        status: config.shipmentStatus.CANCELLED,
-        description: `Shipment cancelled: ${reason || 'No reason provided'}`
-    });
+    const cancellable = shipmentLifecycle.canTransition(shipment.status, config.shipmentStatus.CANCELLED, req.userRole);
+    const { data: payment } = await supabaseAdmin
+        .from('payments')
+        .select('amount')
+        .eq('shipment_id', id)
+        .eq('status', config.paymentStatus.SUCCEEDED)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    // Shipments on account are credited rather than refunded
+    const onAccount = shipment.payment_status === config.shipmentPaymentStatus.ON_ACCOUNT;
+    const paid = payment ? parseFloat(payment.amount) : onAccount ? parseFloat(shipment.shipping_fee) : 0;
+    const { fee, refundable } = await refundService.cancellationFee(shipment.status, paid);
 
     res.json({
-        message: 'Shipment cancelled successfully',
-        shipment: data
+        status: shipment.status,
+        cancellable,
+        paid,
+        cancellationFee: fee,
+        refund: refundable,
+        onAccount,
+        needsApproval: !onAccount && refundable > config.refunds.approvalThreshold && req.userRole !== 'admin'
     });
 });
 
+/**
+ * Documents are shown to admins, the sender and the assigned driver
+ * @returns {Promise<object|null>} Error response to send, or null when allowed
+ */
+const documentAccessError = async (req, shipmentId) => {
+    const { data: shipment } = await supabaseAdmin
+        .from('shipments')
+        .select('sender_id, driver:drivers(user_id)')
+        .eq('id', shipmentId)
+        .maybeSingle();
+
+    if (!shipment) {
+        return { status: 404, body: { error: 'Not Found', message: 'Shipment not found' } };
+    }
+
+    const isSender = shipment.sender_id === req.user.id;
+    const isDriver = shipment.driver?.user_id === req.user.id;
+    if (req.userRole !== 'admin' && !isSender && !isDriver) {
+        return { status: 403, body: { error: 'Forbidden', message: 'You do not have permission to view this document' } };
+    }
+    return null;
+};
+
 /**
  * @route   GET /api/shipments/:id/documents
- * @desc    Get shipment documents
+ * @desc    Get shipment documents (admin, sender or assigned driver)
  */
 const getShipmentDocuments = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
+    const denied = await documentAccessError(req, id);
+    if (denied) return res.status(denied.status).json(denied.body);
+
     const { data, error } = await supabaseAdmin
         .from('shipment_documents')
         .select('*')
@@ -410,15 +680,98 @@ const getShipmentDocuments = asyncHandler(async (req, res) => {
     res.json(data || []);
 });
 
+/**
+ * @route   GET /api/shipments/:id/documents/:docId
+ * @desc    Download a shipment document
+ */
+const getShipmentDocument = asyncHandler(async (req, res) => {
+    const { id, docId } = req.params;
+
+    const denied = await documentAccessError(req, id);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const { data: doc } = await supabaseAdmin
+        .from('shipment_documents')
+        .select('*')
+        .eq('id', docId)
+        .eq('shipment_id', id)
+        .maybeSingle();
+
+    if (!doc || !doc.storage_key) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Document not found'
+        });
+    }
+
+    const file = await storage.read(doc.storage_key);
+
+    res.set({
+        'Content-Type': doc.content_type || 'application/octet-stream',
+        'Content-Disposition': `inline; filename="${doc.name.replace(/"/g, '')}${path.extname(doc.storage_key)}"`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.send(file);
+});
+
+/**
+ * @route   POST /api/shipments/:id/waybill
+ * @desc    Regenerate the waybill label (Admin or sender)
+ */
+const generateWaybill = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (req.userRole !== 'admin') {
+        const { data: shipment } = await supabaseAdmin
+            .from('shipments')
+            .select('sender_id')
+            .eq('id', id)
+            .single();
+
+        if (!shipment || shipment.sender_id !== req.user.id) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shipment not found'
+            });
+        }
+    }
+
+    const document = await documentService.generateWaybill(id);
+
+    res.json({
+        message: 'Waybill generated successfully',
+        document
+    });
+});
+
+/**
+ * @route   POST /api/shipments/:id/delivery-code
+ * @desc    Issue a new delivery code to the receiver (Admin only)
+ */
+const issueDeliveryCode = asyncHandler(async (req, res) => {
+    const result = await podService.issueOtp(req.params.id);
+
+    res.json({
+        message: 'Delivery code sent to the receiver',
+        ...result
+    });
+});
+
 module.exports = {
     getAllShipments,
+    exportShipments,
     getShipmentById,
     createShipment,
+    bulkCreateShipments,
     updateShipment,
     deleteShipment,
     getShipmentStats,
     getUserShipments,
     getUserShipmentStats,
     cancelShipment,
-    getShipmentDocuments
+    getCancellationQuote,
+    getShipmentDocuments,
+    getShipmentDocument,
+    generateWaybill,
+    issueDeliveryCode
 };
@@ -1,6 +1,10 @@
 const { supabaseAdmin: supabase } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { calculateDistance } = require('../utils/helpers');
+const trackingStream = require('../services/trackingStream');
+const locationService = require('../services/locationService');
+const etaService = require('../services/etaService');
+const config = require('../config');
 
 /**
  * @route   GET /api/tracking/:trackingNumber
@@ -63,6 +67,22 @@ const trackShipment = asyncHandler(async (req, res) => {
     res.json(shipment);
 });
 
+/**
+ * Whether an API key request may read a shipment's tracking (its owner's shipments only)
+ * Requests with a user token are not restricted here.
+ */
+const apiKeyCanRead = async (req, shipmentId) => {
+    if (!req.apiKey) return true;
+
+    const { data: shipment } = await supabase
+        .from('shipments')
+        .select('sender_id')
+        .eq('id', shipmentId)
+        .maybeSingle();
+
+    return shipment?.sender_id === req.user.id;
+};
+
 /**
  * @route   GET /api/tracking/:id/timeline
  * @desc    Get detailed timeline for a shipment
@@ -70,6 +90,13 @@ const trackShipment = asyncHandler(async (req, res) => {
 const getTimeline = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
+    if (!await apiKeyCanRead(req, id)) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Shipment not found'
+        });
+    }
+
     const { data, error } = await supabase
         .from('tracking_events')
         .select('*')
@@ -88,6 +115,13 @@ const getTimeline = asyncHandler(async (req, res) => {
 const getLiveLocation = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
+    if (!await apiKeyCanRead(req, id)) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Shipment not found'
+        });
+    }
+
     // Get shipment with driver
     const { data: shipment } = await supabase
         .from('shipments')
@@ -168,9 +202,21 @@ const getDriver = asyncHandler(async (req, res) => {
 const getETA = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
+    if (!await apiKeyCanRead(req, id)) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Shipment not found'
+        });
+    }
+
     const { data: shipment } = await supabase
         .from('shipments')
-        .select('estimated_delivery, status, destination')
+        .select(`
+            status, service_type, destination, estimated_delivery, delivered_at,
+            origin_lat, origin_lng, destination_lat, destination_lng,
+            delay_predicted_at,
+            driver:drivers(current_lat, current_lng, last_location_update)
+        `)
         .eq('id', id)
         .single();
 
@@ -181,10 +227,21 @@ const getETA = asyncHandler(async (req, res) => {
         });
     }
 
+    const position = shipment.driver ? {
+        lat: shipment.driver.current_lat,
+        lng: shipment.driver.current_lng
+    } : null;
+    const estimate = etaService.estimate(shipment, position);
+
     res.json({
-        eta: shipment.estimated_delivery,
+        eta: estimate.eta,
+        promised: shipment.estimated_delivery,
         status: shipment.status,
-        distance: null // Would need geocoding to calculate
+        distance: estimate.distanceKm, // Remaining road km
+        source: estimate.source,
+        late: estimate.late,
+        delayPredictedAt: shipment.delay_predicted_at,
+        lastLocationUpdate: shipment.driver?.last_location_update || null
     });
 });
 
@@ -240,10 +297,29 @@ const getActiveShipments = asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/tracking/:id/history
  * @desc    Get tracking history for a shipment
+ *          ?format=geojson returns the driver breadcrumb trail as a LineString (admin only)
  */
 const getTrackingHistory = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
+    if (req.query.format === 'geojson') {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('role')
+            .eq('id', req.user.id)
+            .single();
+
+        if (profile?.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Access denied. Required role: admin'
+            });
+        }
+
+        const breadcrumbs = await locationService.getBreadcrumbs(id);
+        return res.json(locationService.toLineString(id, breadcrumbs));
+    }
+
     const { data, error } = await supabase
         .from('tracking_events')
         .select('*')
@@ -255,6 +331,152 @@ const getTrackingHistory = asyncHandler(async (req, res) => {
     res.json(data || []);
 });
 
+/**
+ * Write a single Server-Sent Event
+ */
+const sendEvent = (res, { id, event, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers responses; push the event out immediately
+    if (typeof res.flush === 'function') res.flush();
+};
+
+/**
+ * @route   GET /api/tracking/:trackingNumber/stream
+ * @desc    Stream tracking events, driver location and ETA updates (SSE)
+ */
+const streamTracking = asyncHandler(async (req, res) => {
+    const trackingNumber = req.params.trackingNumber?.trim();
+    const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-5][0-9a-f]{3}-[089ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(trackingNumber);
+
+    let query = supabase
+        .from('shipments')
+        .select(`
+            id,
+            tracking_number,
+            sender_id,
+            status,
+            estimated_delivery,
+            predicted_delivery,
+            driver:drivers(
+                id,
+                current_lat,
+                current_lng,
+                last_location_update
+            )
+        `);
+
+    query = isUUID
+        ? query.eq('id', trackingNumber)
+        : query.ilike('tracking_number', trackingNumber);
+
+    const { data: shipment } = await query.maybeSingle();
+
+    if (!shipment) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'No shipment found with this tracking number'
+        });
+    }
+
+    // Ownership check (same rule as GET /api/shipments/:id)
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('role')
+        .eq('id', req.user.id)
+        .single();
+
+    if (profile?.role === 'user' && shipment.sender_id !== req.user.id) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'You do not have permission to view this shipment'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.trackingStream.retryInterval}\n\n`);
+
+    // Buffer live updates until the replay below has been written
+    const pending = [];
+    let replaying = true;
+    const unsubscribe = trackingStream.subscribe(shipment.id, (message) => {
+        if (replaying) pending.push(message);
+        else sendEvent(res, message);
+    });
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+        if (typeof res.flush === 'function') res.flush();
+    }, config.trackingStream.heartbeatInterval);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    // Replay tracking events missed since the client's last received event
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const sent = new Set();
+
+    if (lastEventId) {
+        const { data: lastEvent } = await supabase
+            .from('tracking_events')
+            .select('created_at')
+            .eq('id', lastEventId)
+            .eq('shipment_id', shipment.id)
+            .maybeSingle();
+
+        let missedQuery = supabase
+            .from('tracking_events')
+            .select('*')
+            .eq('shipment_id', shipment.id)
+            .order('created_at', { ascending: true });
+
+        // Unknown id: replay the full history
+        if (lastEvent) {
+            missedQuery = missedQuery.gt('created_at', lastEvent.created_at);
+        }
+
+        const { data: missed } = await missedQuery;
+        (missed || []).forEach(event => {
+            sent.add(event.id);
+            sendEvent(res, { id: event.id, event: 'tracking', data: event });
+        });
+    }
+
+    // Current snapshot so a fresh client does not wait for the next ping
+    if (shipment.driver) {
+        sendEvent(res, {
+            event: 'location',
+            data: {
+                lat: shipment.driver.current_lat,
+                lng: shipment.driver.current_lng,
+                lastUpdated: shipment.driver.last_location_update
+            }
+        });
+    }
+    sendEvent(res, {
+        event: 'eta',
+        data: {
+            eta: shipment.predicted_delivery || shipment.estimated_delivery,
+            promised: shipment.estimated_delivery,
+            status: shipment.status
+        }
+    });
+
+    replaying = false;
+    pending
+        .filter(message => !message.id || !sent.has(message.id))
+        .forEach(message => sendEvent(res, message));
+});
+
 module.exports = {
     trackShipment,
     getTimeline,
@@ -262,5 +484,6 @@ module.exports = {
     getDriver,
     getETA,
     getActiveShipments,
-    getTrackingHistory
+    getTrackingHistory,
+    streamTracking
 };
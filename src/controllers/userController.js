@@ -1,4 +1,4 @@
-const { supabase, supabaseAdmin } = require('../config/supabase');
+const { supabase, supabaseAdmin, createAuthClient } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { parsePagination, paginatedResponse } = require('../utils/helpers');
 
@@ -221,7 +221,7 @@ const changePassword = asyncHandler(async (req, res) => {
     const { currentPassword, newPassword } = req.body;
 
     // Verify current password by attempting to sign in
-    const { error: verifyError } = await supabase.auth.signInWithPassword({
+    const { data: verified, error: verifyError } = await createAuthClient().auth.signInWithPassword({
         email: req.user.email,
         password: currentPassword
     });
@@ -233,8 +233,11 @@ const changePassword = asyncHandler(async (req, res) => {
         });
     }
 
+    // The check opened a session of its own; close it again
+    await supabaseAdmin.auth.admin.signOut(verified.session.access_token, 'local');
+
     // Update password
-    const { error } = await supabase.auth.updateUser({
+    const { error } = await supabaseAdmin.auth.admin.updateUserById(req.user.id, {
         password: newPassword
     });
 
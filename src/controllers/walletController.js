@@ -0,0 +1,133 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination, paginatedResponse } = require('../utils/helpers');
+const walletService = require('../services/walletService');
+const paymentService = require('../services/paymentService');
+const config = require('../config');
+
+/**
+ * Wallet with a page of its entries
+ */
+const walletWithEntries = async (userId, query) => {
+    const wallet = await walletService.getWallet(userId);
+    const { page, limit, offset } = parsePagination(query);
+    const { entries, count } = await walletService.getStatement(wallet.id, { offset, limit });
+
+    return {
+        id: wallet.id,
+        userId: wallet.user_id,
+        currency: wallet.currency,
+        balance: parseFloat(wallet.balance),
+        entries: paginatedResponse(entries, count, page, limit)
+    };
+};
+
+/**
+ * @route   GET /api/wallet
+ * @desc    Caller's wallet balance and transactions
+ */
+const getMyWallet = asyncHandler(async (req, res) => {
+    res.json(await walletWithEntries(req.user.id, req.query));
+});
+
+/**
+ * @route   POST /api/wallet/topups
+ * @desc    Start a top-up checkout with a provider (stripe, paystack)
+ */
+const createTopup = asyncHandler(async (req, res) => {
+    const { amount, provider } = req.body;
+    const { payment, url, accessCode } = await paymentService.startTopup(req.user, parseFloat(amount), provider);
+
+    res.status(201).json({
+        paymentId: payment.id,
+        provider: payment.provider,
+        reference: payment.reference,
+        amount: parseFloat(payment.amount),
+        url,
+        accessCode
+    });
+});
+
+/**
+ * @route   GET /api/wallet/topups/:id/verify
+ * @desc    Check a top-up with its provider and credit the wallet if it went through
+ */
+const verifyTopup = asyncHandler(async (req, res) => {
+    const { data: payment } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('purpose', config.paymentPurposes.WALLET_TOPUP)
+        .maybeSingle();
+
+    if (!payment || payment.user_id !== req.user.id) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Top-up not found'
+        });
+    }
+
+    const { payment: settled } = await paymentService.verify(payment);
+    const wallet = await walletService.getWallet(req.user.id);
+
+    res.json({
+        status: settled.status,
+        amount: parseFloat(settled.amount),
+        balance: parseFloat(wallet.balance)
+    });
+});
+
+/**
+ * @route   POST /api/wallet/pay
+ * @desc    Pay for a shipment from the wallet balance
+ */
+const payFromWallet = asyncHandler(async (req, res) => {
+    const { payment } = await paymentService.payFromWallet(req.body.shipmentId, req.user);
+    const wallet = await walletService.getWallet(req.user.id);
+
+    res.json({
+        message: 'Shipment paid from wallet',
+        paymentId: payment.id,
+        amount: parseFloat(payment.amount),
+        balance: parseFloat(wallet.balance)
+    });
+});
+
+/**
+ * @route   GET /api/wallet/users/:userId
+ * @desc    A customer's wallet and transactions (Admin only)
+ */
+const getUserWallet = asyncHandler(async (req, res) => {
+    res.json(await walletWithEntries(req.params.userId, req.query));
+});
+
+/**
+ * @route   POST /api/wallet/users/:userId/adjustments
+ * @desc    Credit (positive) or debit (negative) a wallet with a reason (Admin only)
+ */
+const adjustWallet = asyncHandler(async (req, res) => {
+    const { amount, reason, reference } = req.body;
+
+    const { transaction, duplicate } = await walletService.adjust(req.params.userId, {
+        amount: parseFloat(amount),
+        reason,
+        reference,
+        adminId: req.user.id
+    });
+    const wallet = await walletService.getWallet(req.params.userId);
+
+    res.status(duplicate ? 200 : 201).json({
+        message: duplicate ? 'Adjustment already applied' : 'Wallet adjusted',
+        transaction,
+        balance: parseFloat(wallet.balance)
+    });
+});
+
+module.exports = {
+    getMyWallet,
+    createTopup,
+    verifyTopup,
+    payFromWallet,
+    getUserWallet,
+    adjustWallet
+};
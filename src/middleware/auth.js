@@ -1,11 +1,81 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Authenticate a request made with an API key instead of a user token
+ * Keys only reach routes that declare a scope with apiKeyScope, and only
+ * when the key was granted that scope.
+ */
+const authenticateApiKey = async (req, res, next) => {
+    let result;
+    try {
+        result = await apiKeyService.authenticateRequest(req);
+    } catch (error) {
+        if (error.name !== 'ApiError') throw error;
+        return res.status(error.statusCode).json({
+            error: 'Unauthorized',
+            message: error.message
+        });
+    }
+
+    const { apiKey, owner } = result;
+
+    if (!req.apiKeyScope) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'This endpoint cannot be used with an API key'
+        });
+    }
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `API key is missing the ${req.apiKeyScope} scope`
+        });
+    }
+
+    req.user = { id: owner.id, email: owner.email };
+    req.apiKey = apiKey;
+
+    // Counted once the response is out
+    res.on('finish', () => {
+        apiKeyService.recordUsage(apiKey.id, req.ip, res.statusCode);
+    });
+
+    next();
+};
+
+/**
+ * Why a valid Supabase token's session may not be used, or null if it may
+ * @returns {Promise<{ message: string, mfaRequired?: boolean }|null>}
+ */
+const sessionRefusal = async (user, sessionId) => {
+    // Revoked sessions' access tokens are refused before they expire
+    const session = await sessionService.find(sessionId);
+    if (session?.revoked_at) {
+        return { message: 'Session has been revoked' };
+    }
+
+    // Users with two-factor authentication only get tokens through the
+    // second login step; one signed in straight at Supabase is refused
+    if (!session?.mfa_verified_at && await mfaService.isEnabled(user.id)) {
+        return { message: 'Two-factor authentication required. Sign in again.', mfaRequired: true };
+    }
+    return null;
+};
 
 /**
  * Authentication Middleware
- * Verifies JWT token from Supabase Auth
+ * Verifies JWT token from Supabase Auth, or an API key (X-API-Key or a
+ * blk_ bearer token) on routes that allow one
  */
 const authenticate = async (req, res, next) => {
     try {
+        if (apiKeyService.fromRequest(req)) {
+            return await authenticateApiKey(req, res, next);
+        }
+
         const authHeader = req.headers.authorization;
 
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -44,9 +114,16 @@ const authenticate = async (req, res, next) => {
             });
         }
 
+        const sessionId = sessionService.sessionIdFromToken(token);
+        const refusal = await sessionRefusal(user, sessionId);
+        if (refusal) {
+            return res.status(401).json({ error: 'Unauthorized', ...refusal });
+        }
+
         // Attach user to request
         req.user = user;
         req.token = token;
+        req.sessionId = sessionId;
 
         next();
     } catch (error) {
@@ -93,6 +170,16 @@ const authorize = (...roles) => {
                 });
             }
 
+            // Roles that must use two-factor authentication can only reach
+            // enrolment (authenticate-only routes) until they have it
+            if (mfaService.isRequiredForRole(profile.role) && !await mfaService.isEnabled(req.user.id)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `Two-factor authentication is required for ${profile.role} accounts. Enrol at POST /api/auth/mfa/enroll.`,
+                    mfaEnrolmentRequired: true
+                });
+            }
+
             req.userRole = profile.role;
             next();
         } catch (error) {
@@ -115,9 +202,13 @@ const optionalAuth = async (req, res, next) => {
         if (authHeader && authHeader.startsWith('Bearer ')) {
             const token = authHeader.split(' ')[1];
             const { data: { user } } = await supabase.auth.getUser(token);
-            if (user) {
+            const sessionId = sessionService.sessionIdFromToken(token);
+
+            // Revoked or half-signed-in sessions carry on as anonymous
+            if (user && !await sessionRefusal(user, sessionId)) {
                 req.user = user;
                 req.token = token;
+                req.sessionId = sessionId;
             }
         }
 
@@ -128,4 +219,24 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-module.exports = { authenticate, authorize, optionalAuth };
+/**
+ * Let API keys with the given scope call the route. Must run before authenticate.
+ * @param {string} scope - e.g. config.apiKeys.scopes.SHIPMENTS_WRITE
+ */
+const apiKeyScope = (scope) => (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+};
+
+/**
+ * Accept the token as ?access_token= for clients that cannot set headers
+ * (EventSource). Must run before authenticate.
+ */
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+module.exports = { authenticate, authorize, optionalAuth, tokenFromQuery, apiKeyScope };
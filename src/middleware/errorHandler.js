@@ -56,6 +56,24 @@ const errorHandler = (err, req, res, next) => {
         error = 'Unauthorized';
     }
 
+    // API errors - label them the same way as inline controller responses
+    if (err.name === 'ApiError') {
+        const labels = {
+            400: 'Bad Request',
+            401: 'Unauthorized',
+            403: 'Forbidden',
+            404: 'Not Found',
+            409: 'Conflict'
+        };
+        error = labels[statusCode] || 'Error';
+    }
+
+    // Upload errors (file too large, too many files, unexpected field)
+    if (err.name === 'MulterError') {
+        statusCode = 400;
+        error = 'Bad Request';
+    }
+
     // Validation errors
     if (err.name === 'ValidationError') {
         statusCode = 400;
@@ -1,6 +1,9 @@
 const morgan = require('morgan');
 const { nodeEnv } = require('../config');
 
+// Keep query-string tokens (SSE clients) out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/access_token=[^&]+/, 'access_token=[redacted]'));
+
 /**
  * Custom request logger middleware
  * In development, uses morgan 'dev'
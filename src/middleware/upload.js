@@ -0,0 +1,58 @@
+const path = require('path');
+const multer = require('multer');
+const config = require('../config');
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Only accept image types allowed for proof of delivery
+ */
+const imageFilter = (req, file, cb) => {
+    if (!config.proofOfDelivery.allowedTypes.includes(file.mimetype)) {
+        return cb(new ApiError(400, `Unsupported file type ${file.mimetype}. Allowed: ${config.proofOfDelivery.allowedTypes.join(', ')}`));
+    }
+    cb(null, true);
+};
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Only accept CSV and XLSX files (browsers report CSV mime types inconsistently,
+ * so the extension decides)
+ */
+const spreadsheetFilter = (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(ext)) {
+        return cb(new ApiError(400, `Unsupported file ${file.originalname}. Upload a .csv or .xlsx file`));
+    }
+    cb(null, true);
+};
+
+/**
+ * Proof of delivery upload: one signature image and up to maxPhotos photos
+ * Files are kept in memory and handed to the storage adapter.
+ */
+const proofOfDeliveryUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.proofOfDelivery.maxFileSize,
+        files: config.proofOfDelivery.maxPhotos + 1
+    },
+    fileFilter: imageFilter
+}).fields([
+    { name: 'signature', maxCount: 1 },
+    { name: 'photos', maxCount: config.proofOfDelivery.maxPhotos }
+]);
+
+/**
+ * Bulk shipment import: a single CSV or XLSX file in the `file` field
+ */
+const shipmentImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.bulkImport.maxFileSize,
+        files: 1
+    },
+    fileFilter: spreadsheetFilter
+}).single('file');
+
+module.exports = { proofOfDeliveryUpload, shipmentImportUpload };
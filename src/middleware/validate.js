@@ -1,4 +1,7 @@
 const { validationResult, body, param, query } = require('express-validator');
+const config = require('../config');
+const { findState } = require('../utils/nigeriaStates');
+const { providerNames } = require('../services/payments');
 
 /**
  * Middleware to check validation results
@@ -77,6 +80,41 @@ const rules = {
             return true;
         }),
 
+    // Optional route coordinates used for distance pricing
+    coordinates: [
+        body(['originLat', 'destinationLat'])
+            .optional({ values: 'falsy' })
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Latitude must be between -90 and 90'),
+        body(['originLng', 'destinationLng'])
+            .optional({ values: 'falsy' })
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Longitude must be between -180 and 180')
+    ],
+
+    // Cargo dimensions in cm, used for volumetric weight
+    dimensions: [
+        body('dimensions')
+            .optional({ values: 'null' })
+            .isObject()
+            .withMessage('Dimensions must be an object with length, width and height in cm'),
+        body(['dimensions.length', 'dimensions.width', 'dimensions.height'])
+            .optional({ values: 'null' })
+            .isFloat({ gt: 0 })
+            .withMessage('Dimensions must be positive numbers in cm')
+    ],
+
+    promoCode: body('promoCode')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 40 })
+        .withMessage('Invalid promo code'),
+
+    pickupDate: body('pickupDate')
+        .optional({ values: 'falsy' })
+        .isISO8601()
+        .withMessage('pickupDate must be an ISO 8601 date'),
+
     // Pagination
     page: query('page')
         .optional()
@@ -104,6 +142,34 @@ const validations = {
     register: [rules.email, rules.password, rules.firstName, rules.lastName],
     login: [rules.email, rules.password],
     forgotPassword: [rules.email],
+    mfaLogin: [
+        body('challengeToken').isUUID().withMessage('challengeToken is required'),
+        body('code')
+            .if(body('recoveryCode').not().exists())
+            .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+            .withMessage('code must be the 6-digit code from your authenticator app'),
+        body('recoveryCode').optional().isString().trim()
+    ],
+    mfaCode: [
+        body('code')
+            .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+            .withMessage('code must be the 6-digit code from your authenticator app')
+    ],
+    mfaSecondFactor: [
+        body('code')
+            .if(body('recoveryCode').not().exists())
+            .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+            .withMessage('Send code (6 digits) or recoveryCode'),
+        body('recoveryCode').optional().isString().trim()
+    ],
+    userIdParam: [
+        param('userId')
+            .isUUID()
+            .withMessage('userId must be a valid user ID')
+    ],
+    refreshToken: [
+        body('refreshToken').isString().notEmpty().withMessage('refreshToken is required')
+    ],
     resetPassword: [
         body('token_hash').notEmpty().withMessage('Token is required'),
         rules.password
@@ -115,7 +181,515 @@ const validations = {
         body('companyName').optional().trim().escape(),
         body('clientCategory').optional().trim().escape()
     ],
-    createShipment: [rules.origin, rules.destination, rules.weight, rules.serviceType],
+    createShipment: [
+        rules.origin,
+        rules.destination,
+        rules.weight,
+        rules.serviceType,
+        ...rules.coordinates,
+        ...rules.dimensions,
+        rules.pickupDate,
+        body('quoteId')
+            .optional({ values: 'falsy' })
+            .isUUID()
+            .withMessage('Invalid quote ID'),
+        rules.promoCode,
+        body('paymentMethod')
+            .optional()
+            .isIn(Object.values(config.paymentMethods))
+            .withMessage(`paymentMethod must be one of: ${Object.values(config.paymentMethods).join(', ')}`),
+        body('codAmount')
+            .optional({ values: 'null' })
+            .isFloat({ gt: 0, max: config.cod.maxAmount })
+            .withMessage(`codAmount must be at least the shipping fee and at most ${config.cod.maxAmount}`)
+    ],
+    updateShipment: [...rules.coordinates, ...rules.dimensions, rules.pickupDate],
+    // Bulk import rows: createShipment rules plus columns the database requires,
+    // so a dry run catches everything that would fail on commit
+    shipmentImportRow: [
+        rules.origin,
+        rules.destination,
+        rules.weight,
+        rules.serviceType,
+        ...rules.coordinates,
+        ...rules.dimensions,
+        rules.pickupDate,
+        body('receiverName')
+            .trim()
+            .notEmpty()
+            .withMessage('Receiver name is required'),
+        body('receiverEmail')
+            .optional({ values: 'falsy' })
+            .isEmail()
+            .withMessage('Invalid receiver email'),
+        body('packageType')
+            .optional({ values: 'falsy' })
+            .custom((val) => {
+                if (!config.packageTypes.includes(String(val).toLowerCase().trim())) {
+                    throw new Error(`Invalid package type. Must be one of: ${config.packageTypes.join(', ')}`);
+                }
+                return true;
+            }),
+        body('declaredValue')
+            .optional({ values: 'falsy' })
+            .isFloat({ min: 0 })
+            .withMessage('Declared value must be a non-negative number')
+    ],
+    driverLocation: [
+        body('pings')
+            .optional()
+            .isArray({ min: 1, max: 500 })
+            .withMessage('pings must be an array of 1 to 500 locations'),
+        body('lat')
+            .if(body('pings').not().exists())
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Latitude must be between -90 and 90'),
+        body('lng')
+            .if(body('pings').not().exists())
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Longitude must be between -180 and 180'),
+        body('pings.*.lat')
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Latitude must be between -90 and 90'),
+        body('pings.*.lng')
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Longitude must be between -180 and 180'),
+        body(['recordedAt', 'pings.*.recordedAt'])
+            .optional()
+            .isISO8601()
+            .withMessage('recordedAt must be an ISO 8601 date'),
+        // Bounded by the breadcrumb columns (speed DECIMAL(6,2), accuracy DECIMAL(8,2))
+        body(['speed', 'pings.*.speed'])
+            .optional({ values: 'null' })
+            .isFloat({ min: 0, max: 9999.99 })
+            .withMessage('speed must be between 0 and 9999.99 km/h'),
+        body(['accuracy', 'pings.*.accuracy'])
+            .optional({ values: 'null' })
+            .isFloat({ min: 0, max: 999999.99 })
+            .withMessage('accuracy must be between 0 and 999999.99 metres'),
+        body(['heading', 'pings.*.heading'])
+            .optional({ values: 'null' })
+            .isFloat({ min: 0, max: 360 })
+            .withMessage('heading must be between 0 and 360 degrees')
+    ],
+    driverAction: [
+        rules.id,
+        body('lat')
+            .optional()
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Latitude must be between -90 and 90'),
+        body('lng')
+            .optional()
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Longitude must be between -180 and 180'),
+        body('location').optional().trim().escape(),
+        body('notes').optional().trim().escape()
+    ],
+    deliverShipment: [
+        body('codCollected')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('codCollected must be a non-negative number')
+    ],
+    codCollection: [
+        body('codCollected')
+            .isFloat({ min: 0 })
+            .withMessage('codCollected must be a non-negative number')
+    ],
+    codRemittance: [
+        rules.id,
+        body('amount')
+            .isFloat({ gt: 0 })
+            .withMessage('amount must be greater than 0'),
+        body('reference').optional().trim().escape(),
+        body('notes').optional().trim().escape()
+    ],
+    failedDeliveryAttempt: [
+        body('reasonCode')
+            .isIn(Object.values(config.deliveryFailureReasons))
+            .withMessage(`Invalid reason code. Must be one of: ${Object.values(config.deliveryFailureReasons).join(', ')}`)
+    ],
+    shipmentFilters: [
+        query(['from', 'to'])
+            .optional()
+            .isISO8601()
+            .withMessage('from and to must be ISO 8601 dates'),
+        query('status')
+            .optional()
+            .isIn(Object.values(config.shipmentStatus))
+            .withMessage('Invalid status')
+    ],
+    shipmentExport: [
+        query('format')
+            .optional()
+            .isIn(['csv', 'xlsx'])
+            .withMessage('Format must be csv or xlsx')
+    ],
+    pricingZone: [
+        body('service_type')
+            .custom((val) => {
+                if (!config.isValidServiceType(val)) {
+                    throw new Error('Invalid service type. Must be: 5 tons, 10 tons, or 15 tons');
+                }
+                return true;
+            }),
+        body('zone')
+            .isIn(Object.values(config.pricingZones))
+            .withMessage(`Zone must be one of: ${Object.values(config.pricingZones).join(', ')}`),
+        body(['base_fee', 'min_distance_km'])
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('base_fee and min_distance_km must be non-negative numbers'),
+        body('price_per_km')
+            .optional({ values: 'null' })
+            .isFloat({ min: 0 })
+            .withMessage('price_per_km must be a non-negative number or null'),
+        body('is_active').optional().isBoolean()
+    ],
+    pricingRule: [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Rule name is required'),
+        body('code')
+            .optional({ values: 'null' })
+            .trim()
+            .matches(/^[a-z0-9_]+$/)
+            .withMessage('Code may only contain lowercase letters, numbers and underscores'),
+        body('rule_type')
+            .isIn(Object.values(config.pricingRules.types))
+            .withMessage(`rule_type must be one of: ${Object.values(config.pricingRules.types).join(', ')}`),
+        body('calculation')
+            .isIn(Object.values(config.pricingRules.calculations))
+            .withMessage(`calculation must be one of: ${Object.values(config.pricingRules.calculations).join(', ')}`),
+        body('basis')
+            .optional()
+            .isIn(Object.values(config.pricingRules.bases))
+            .withMessage(`basis must be one of: ${Object.values(config.pricingRules.bases).join(', ')}`),
+        body('amount')
+            .isFloat({ min: 0 })
+            .withMessage('amount must be a non-negative number'),
+        body(['min_charge', 'max_charge'])
+            .optional({ values: 'null' })
+            .isFloat({ min: 0 })
+            .withMessage('min_charge and max_charge must be non-negative numbers'),
+        body('priority')
+            .optional()
+            .isInt()
+            .withMessage('priority must be an integer'),
+        body(['starts_at', 'ends_at'])
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('starts_at and ends_at must be ISO 8601 dates'),
+        body('conditions')
+            .optional({ values: 'null' })
+            .isObject()
+            .withMessage('conditions must be an object'),
+        body('conditions.pickupDays')
+            .optional()
+            .isArray()
+            .custom(days => days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))
+            .withMessage('pickupDays must be days of the week from 0 (Sunday) to 6'),
+        body(['conditions.pickupHours.from', 'conditions.pickupHours.to'])
+            .if(body('conditions.pickupHours').exists())
+            .isInt({ min: 0, max: 24 })
+            .withMessage('pickupHours needs from and to hours between 0 and 24'),
+        body('is_active').optional().isBoolean()
+    ],
+    pricingConfig: [
+        rules.id,
+        body(['base_price', 'price_per_kg', 'price_per_km'])
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('base_price, price_per_kg and price_per_km must be non-negative numbers'),
+        body('is_active').optional().isBoolean(),
+        body('effective_from')
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('effective_from must be an ISO 8601 date')
+    ],
+    pricingHistory: [
+        rules.page,
+        rules.limit,
+        query('entity')
+            .optional()
+            .isIn(['pricing_config', 'pricing_zone', 'pricing_rule', 'contract_rate'])
+            .withMessage('entity must be one of: pricing_config, pricing_zone, pricing_rule, contract_rate')
+    ],
+    promoCode: [
+        body('code')
+            .trim()
+            .matches(/^[A-Za-z0-9_-]{3,40}$/)
+            .withMessage('Code must be 3-40 letters, numbers, dashes or underscores'),
+        body('discount_type')
+            .isIn(Object.values(config.pricingRules.calculations))
+            .withMessage(`discount_type must be one of: ${Object.values(config.pricingRules.calculations).join(', ')}`),
+        body('amount')
+            .isFloat({ gt: 0 })
+            .withMessage('amount must be a positive number'),
+        body('amount')
+            .if(body('discount_type').equals(config.pricingRules.calculations.PERCENTAGE))
+            .isFloat({ max: 100 })
+            .withMessage('A percentage discount cannot exceed 100'),
+        body(['max_discount', 'min_order_amount'])
+            .optional({ values: 'null' })
+            .isFloat({ min: 0 })
+            .withMessage('max_discount and min_order_amount must be non-negative numbers'),
+        body(['max_uses', 'per_user_limit'])
+            .optional({ values: 'null' })
+            .isInt({ min: 1 })
+            .withMessage('max_uses and per_user_limit must be positive integers'),
+        body('service_types')
+            .optional({ values: 'null' })
+            .isArray()
+            .custom(types => types.every(type => config.isValidServiceType(type)))
+            .withMessage('service_types must be a list of valid service types'),
+        body(['starts_at', 'expires_at'])
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('starts_at and expires_at must be ISO 8601 dates'),
+        body('is_active').optional().isBoolean()
+    ],
+    contractRate: [
+        body('user_id')
+            .isUUID()
+            .withMessage('user_id must be the customer\'s user ID'),
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Contract name is required'),
+        body('service_type')
+            .custom((val) => {
+                if (!config.isValidServiceType(val)) {
+                    throw new Error('Invalid service type. Must be: 5 tons, 10 tons, or 15 tons');
+                }
+                return true;
+            }),
+        body(['origin_state', 'destination_state'])
+            .optional({ values: 'null' })
+            .custom(val => Boolean(findState(val)))
+            .withMessage('origin_state and destination_state must be Nigerian states'),
+        body(['base_price', 'price_per_kg', 'price_per_km'])
+            .optional({ values: 'null' })
+            .isFloat({ min: 0 })
+            .withMessage('base_price, price_per_kg and price_per_km must be non-negative numbers'),
+        body(['starts_at', 'ends_at'])
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('starts_at and ends_at must be ISO 8601 dates'),
+        body('notes').optional({ values: 'null' }).trim().escape(),
+        body('is_active').optional().isBoolean()
+    ],
+    paymentCheckout: [
+        body('shipmentId')
+            .isUUID()
+            .withMessage('Invalid shipment ID'),
+        body('provider')
+            .optional()
+            .isIn(providerNames)
+            .withMessage(`provider must be one of: ${providerNames.join(', ')}`)
+    ],
+    refund: [
+        body('amount')
+            .optional({ values: 'null' })
+            .isFloat({ gt: 0 })
+            .withMessage('Refund amount must be a positive number'),
+        body('reason').optional().trim().escape(),
+        body('destination')
+            .optional()
+            .isIn(Object.values(config.refunds.destinations))
+            .withMessage(`destination must be one of: ${Object.values(config.refunds.destinations).join(', ')}`)
+    ],
+    cancelShipment: [
+        body('refundTo')
+            .optional()
+            .isIn(Object.values(config.refunds.destinations))
+            .withMessage(`refundTo must be one of: ${Object.values(config.refunds.destinations).join(', ')}`)
+    ],
+    walletTopup: [
+        body('amount')
+            .isFloat({ min: config.wallet.minTopup, max: config.wallet.maxTopup })
+            .withMessage(`amount must be between ${config.wallet.minTopup} and ${config.wallet.maxTopup}`),
+        body('provider')
+            .optional()
+            .isIn(providerNames)
+            .withMessage(`provider must be one of: ${providerNames.join(', ')}`)
+    ],
+    walletPayment: [
+        body('shipmentId')
+            .isUUID()
+            .withMessage('shipmentId must be a valid shipment ID')
+    ],
+    walletUser: [
+        param('userId')
+            .isUUID()
+            .withMessage('userId must be a valid user ID')
+    ],
+    walletAdjustment: [
+        body('amount')
+            .isFloat()
+            .custom(value => parseFloat(value) !== 0)
+            .withMessage('amount must be a non-zero number (negative debits the wallet)'),
+        body('reason')
+            .trim()
+            .notEmpty()
+            .withMessage('A reason is required for wallet adjustments')
+            .isLength({ max: 500 })
+            .escape(),
+        body('reference').optional().trim().isLength({ max: 100 })
+    ],
+    refundFilters: [
+        rules.page,
+        rules.limit,
+        query('status')
+            .optional()
+            .isIn(Object.values(config.refundStatus))
+            .withMessage(`status must be one of: ${Object.values(config.refundStatus).join(', ')}`)
+    ],
+    reconciliation: [
+        body('pendingAfterMinutes')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('pendingAfterMinutes must be a positive whole number'),
+        body('lookbackHours')
+            .optional()
+            .isInt({ min: 1, max: 24 * 31 })
+            .withMessage('lookbackHours must be between 1 and 744'),
+        body('providers')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('providers must be a non-empty array'),
+        body('providers.*')
+            .isIn(providerNames)
+            .withMessage(`providers must be any of: ${providerNames.join(', ')}`)
+    ],
+    apiKeyFilters: [
+        query('userId')
+            .optional()
+            .isUUID()
+            .withMessage('userId must be a valid user ID')
+    ],
+    createApiKey: [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('name is required')
+            .isLength({ max: 100 })
+            .escape(),
+        body('scopes')
+            .isArray({ min: 1 })
+            .withMessage('scopes must be a non-empty array'),
+        body('scopes.*')
+            .isIn(Object.values(config.apiKeys.scopes))
+            .withMessage(`scopes must be any of: ${Object.values(config.apiKeys.scopes).join(', ')}`),
+        body('expiresAt')
+            .optional({ values: 'null' })
+            .isISO8601()
+            .custom(value => new Date(value) > new Date())
+            .withMessage('expiresAt must be a future date'),
+        body('rateLimitPerMinute')
+            .optional()
+            .isInt({ min: 1, max: config.apiKeys.maxRateLimit })
+            .withMessage(`rateLimitPerMinute must be between 1 and ${config.apiKeys.maxRateLimit}`),
+        body('userId')
+            .optional()
+            .isUUID()
+            .withMessage('userId must be a valid user ID')
+    ],
+    rotateApiKey: [
+        body('graceMinutes')
+            .optional()
+            .isInt({ min: 0, max: config.apiKeys.maxGraceMinutes })
+            .withMessage(`graceMinutes must be between 0 and ${config.apiKeys.maxGraceMinutes}`)
+    ],
+    apiKeyUsage: [
+        query('days')
+            .optional()
+            .isInt({ min: 1, max: 90 })
+            .withMessage('days must be between 1 and 90')
+    ],
+    cancellationPolicy: [
+        body('status')
+            .isIn([config.shipmentStatus.PENDING, config.shipmentStatus.PROCESSING, config.shipmentStatus.IN_TRANSIT])
+            .withMessage('status must be a status a shipment can be cancelled from: pending, processing, in_transit'),
+        body('fee_type')
+            .isIn(Object.values(config.pricingRules.calculations))
+            .withMessage(`fee_type must be one of: ${Object.values(config.pricingRules.calculations).join(', ')}`),
+        body('amount')
+            .isFloat({ min: 0 })
+            .withMessage('amount must be a non-negative number'),
+        body('amount')
+            .if(body('fee_type').equals(config.pricingRules.calculations.PERCENTAGE))
+            .isFloat({ max: 100 })
+            .withMessage('A percentage fee cannot exceed 100'),
+        body('min_fee')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('min_fee must be a non-negative number'),
+        body('is_active').optional().isBoolean()
+    ],
+    invoiceFilters: [
+        rules.page,
+        rules.limit,
+        query('type')
+            .optional()
+            .isIn(Object.values(config.invoiceTypes))
+            .withMessage(`type must be one of: ${Object.values(config.invoiceTypes).join(', ')}`),
+        query(['shipmentId', 'customerId'])
+            .optional()
+            .isUUID()
+            .withMessage('shipmentId and customerId must be UUIDs'),
+        query(['from', 'to'])
+            .optional()
+            .isISO8601()
+            .withMessage('from and to must be ISO 8601 dates')
+    ],
+    issueInvoice: [
+        body('shipmentId')
+            .isUUID()
+            .withMessage('shipmentId must be a valid shipment ID')
+    ],
+    createCreditAccount: [
+        body('userId')
+            .isUUID()
+            .withMessage('userId must be a valid user ID'),
+        body('creditLimit')
+            .isFloat({ gt: 0 })
+            .withMessage('creditLimit must be a positive number'),
+        body('paymentTermsDays')
+            .optional()
+            .isInt({ min: 0, max: 180 })
+            .withMessage('paymentTermsDays must be between 0 and 180'),
+        body('notes').optional().trim().escape()
+    ],
+    updateCreditAccount: [
+        body('creditLimit')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('creditLimit must be a non-negative number'),
+        body('paymentTermsDays')
+            .optional()
+            .isInt({ min: 0, max: 180 })
+            .withMessage('paymentTermsDays must be between 0 and 180'),
+        body('status')
+            .optional()
+            .isIn(Object.values(config.creditAccounts.status))
+            .withMessage(`status must be one of: ${Object.values(config.creditAccounts.status).join(', ')}`),
+        body('notes').optional().trim().escape()
+    ],
+    accountPayment: [
+        body('amount')
+            .isFloat({ gt: 0 })
+            .withMessage('amount must be a positive number'),
+        body('reference').optional().trim().escape(),
+        body('description').optional().trim().escape()
+    ],
+    generateStatements: [
+        body('month')
+            .optional()
+            .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+            .withMessage('month must be in YYYY-MM format')
+    ],
     pagination: [rules.page, rules.limit],
     idParam: [rules.id],
     trackingNumber: [rules.trackingNumber]
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const creditAccountController = require('../controllers/creditAccountController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, validations } = require('../middleware/validate');
+
+router.use(authenticate);
+
+// Customer's own account
+router.get('/me', creditAccountController.getMyAccount);
+router.get('/me/statements', validations.pagination, validate, creditAccountController.getMyStatements);
+
+// Admin
+router.get('/', authorize('admin'), validations.pagination, validate, creditAccountController.getAccounts);
+router.post('/', authorize('admin'), validations.createCreditAccount, validate, creditAccountController.createAccount);
+router.post('/statements', authorize('admin'), validations.generateStatements, validate, creditAccountController.generateStatements);
+router.get('/:id', authorize('admin'), validations.idParam, validate, creditAccountController.getAccountById);
+router.put('/:id', authorize('admin'), validations.idParam, validations.updateCreditAccount, validate, creditAccountController.updateAccount);
+router.post('/:id/payments', authorize('admin'), validations.idParam, validations.accountPayment, validate, creditAccountController.recordAccountPayment);
+router.get('/:id/statements', authorize('admin'), validations.idParam, validations.pagination, validate, creditAccountController.getAccountStatements);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, validations } = require('../middleware/validate');
+
+// Keys are managed with a user token, never with another key
+router.use(authenticate, authorize('admin', 'user'));
+
+router.get('/', validations.apiKeyFilters, validate, apiKeyController.getApiKeys);
+router.post('/', validations.createApiKey, validate, apiKeyController.createApiKey);
+router.post('/:id/rotate', validations.idParam, validations.rotateApiKey, validate, apiKeyController.rotateApiKey);
+router.delete('/:id', validations.idParam, validate, apiKeyController.revokeApiKey);
+router.get('/:id/usage', validations.idParam, validations.apiKeyUsage, validate, apiKeyController.getApiKeyUsage);
+
+module.exports = router;
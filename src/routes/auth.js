@@ -1,17 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 const { validate, validations } = require('../middleware/validate');
 
 // Public routes
 router.post('/register', validations.register, validate, authController.register);
 router.post('/login', validations.login, validate, authController.login);
-router.post('/logout', authController.logout);
+router.post('/login/mfa', validations.mfaLogin, validate, authController.loginMfa);
+router.post('/refresh', validations.refreshToken, validate, authController.refresh);
 router.post('/forgot-password', validations.forgotPassword, validate, authController.forgotPassword);
 router.post('/reset-password', validations.resetPassword, validate, authController.resetPassword);
 
 // Protected routes
 router.get('/me', authenticate, authController.getCurrentUser);
+router.post('/logout', authenticate, authController.logout);
+
+// Sessions (signed-in devices)
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions', authenticate, authController.revokeAllSessions);
+router.delete('/sessions/:id', authenticate, validations.idParam, validate, authController.revokeSession);
+
+// Two-factor authentication (authenticate only, so required roles can still enrol)
+router.get('/mfa', authenticate, authController.getMfaStatus);
+router.post('/mfa/enroll', authenticate, authController.enrollMfa);
+router.post('/mfa/verify', authenticate, validations.mfaCode, validate, authController.verifyMfa);
+router.post('/mfa/recovery-codes', authenticate, validations.mfaCode, validate, authController.regenerateRecoveryCodes);
+router.delete('/mfa', authenticate, validations.mfaSecondFactor, validate, authController.disableMfa);
+router.delete('/mfa/users/:userId', authenticate, authorize('admin'), validations.userIdParam, validate, authController.resetUserMfa);
 
 module.exports = router;
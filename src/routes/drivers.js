@@ -2,13 +2,32 @@ const express = require('express');
 const router = express.Router();
 const driverController = require('../controllers/driverController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { validate, validations } = require('../middleware/validate');
+const { proofOfDeliveryUpload } = require('../middleware/upload');
 
 // All driver routes require authentication
 router.use(authenticate);
 
+// Current driver (must come before /:id routes)
+router.post('/me/location', authorize('driver'), validations.driverLocation, validate, driverController.reportLocation);
+router.get('/me/shipments', authorize('driver'), validations.pagination, validate, driverController.getMyShipments);
+router.post('/me/shipments/:id/accept', authorize('driver'), validations.idParam, validate, driverController.acceptOffer);
+router.post('/me/shipments/:id/decline', authorize('driver'), validations.idParam, validate, driverController.declineOffer);
+router.post('/me/shipments/:id/pickup', authorize('driver'), validations.driverAction, validate, driverController.pickupShipment);
+router.post('/me/shipments/:id/out-for-delivery', authorize('driver'), validations.driverAction, validate, driverController.markOutForDelivery);
+router.post('/me/shipments/:id/deliver', authorize('driver'), validations.driverAction, validations.deliverShipment, validate, driverController.deliverShipment);
+router.post('/me/shipments/:id/cod-collection', authorize('driver'), validations.driverAction, validations.codCollection, validate, driverController.recordCodCollection);
+router.get('/me/cod', authorize('driver'), driverController.getMyCod);
+router.post('/me/shipments/:id/failed-attempt', authorize('driver'), validations.driverAction, validations.failedDeliveryAttempt, validate, driverController.reportFailedAttempt);
+router.post('/me/shipments/:id/proof', authorize('driver'), validations.idParam, validate, proofOfDeliveryUpload, driverController.uploadProofOfDelivery);
+router.post('/me/shipments/:id/delivery-code', authorize('driver'), validations.idParam, validate, driverController.resendDeliveryCode);
+
 // Stats and available vehicles (accessible by admin)
 router.get('/stats', authorize('admin'), driverController.getDriverStats);
 
+// Cash on delivery held by drivers (admin only)
+router.get('/cod/outstanding', authorize('admin'), validations.pagination, validate, driverController.getOutstandingCod);
+
 // CRUD operations (admin only)
 router.get('/', authorize('admin'), driverController.getAllDrivers);
 router.post('/', authorize('admin'), driverController.createDriver);
@@ -21,6 +40,8 @@ router.post('/:id/suspend', authorize('admin'), driverController.suspendDriver);
 router.post('/:id/reactivate', authorize('admin'), driverController.reactivateDriver);
 router.post('/:id/verify', authorize('admin'), driverController.verifyDriver);
 router.post('/:id/vehicle', authorize('admin'), driverController.assignVehicle);
+router.get('/:id/cod', authorize('admin'), validations.idParam, validate, driverController.getDriverCod);
+router.post('/:id/cod/remittances', authorize('admin'), validations.codRemittance, validate, driverController.recordCodRemittance);
 
 // Driver info
 router.get('/:id/route', authorize('admin', 'driver'), driverController.getDriverRoute);
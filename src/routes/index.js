@@ -12,6 +12,10 @@ const supportRoutes = require('./support');
 const analyticsRoutes = require('./analytics');
 const paymentRoutes = require('./paymentRoutes');
 const pricingRoutes = require('./pricing');
+const invoiceRoutes = require('./invoices');
+const accountRoutes = require('./accounts');
+const walletRoutes = require('./wallet');
+const apiKeyRoutes = require('./apiKeys');
 
 // Vehicle routes (simple)
 const { authenticate, authorize } = require('../middleware/auth');
@@ -28,6 +32,10 @@ router.use('/support', supportRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/pricing', pricingRoutes);
+router.use('/invoices', invoiceRoutes);
+router.use('/accounts', accountRoutes);
+router.use('/wallet', walletRoutes);
+router.use('/api-keys', apiKeyRoutes);
 
 // Vehicle routes
 router.get('/vehicles/available', authenticate, driverController.getAvailableVehicles);
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, validations } = require('../middleware/validate');
+
+router.use(authenticate);
+
+router.get('/', authorize('admin', 'user'), validations.invoiceFilters, validate, invoiceController.getInvoices);
+router.post('/', authorize('admin'), validations.issueInvoice, validate, invoiceController.issueInvoice);
+router.get('/:id', authorize('admin', 'user'), validations.idParam, validate, invoiceController.getInvoiceById);
+router.get('/:id/pdf', authorize('admin', 'user'), validations.idParam, validate, invoiceController.downloadInvoicePdf);
+
+module.exports = router;
@@ -1,24 +1,59 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
-const paystackController = require('../controllers/paystackController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, validations } = require('../middleware/validate');
+const { providerNames } = require('../services/payments');
+
+// Webhooks need the exact bytes the provider signed. JSON bodies are kept as
+// req.rawBody by express.json in server.js; anything else arrives here raw.
+const rawBody = express.raw({ type: '*/*', limit: '1mb' });
+
+// ========== Any provider ==========
+// Start a checkout with the chosen (or default) provider
+router.post('/checkout', authenticate, validations.paymentCheckout, validate, paymentController.createCheckout);
+
+// Provider webhooks
+router.post('/webhooks/:provider', rawBody, paymentController.handleWebhook());
 
 // ========== Stripe Routes ==========
 // Create checkout session - standard authenticated route
-router.post('/create-checkout-session', authenticate, paymentController.createCheckoutSession);
+router.post('/create-checkout-session', authenticate, validations.paymentCheckout, validate, paymentController.createCheckoutSession);
 
-// Stripe Webhook - MUST use express.raw() to verify signature correctly
-router.post('/webhook', express.raw({ type: 'application/json' }), paymentController.handleStripeWebhook);
+// Stripe Webhook
+router.post('/webhook', rawBody, paymentController.handleWebhook('stripe'));
 
 // ========== Paystack Routes ==========
 // Initialize Paystack payment
-router.get('/initialize/:bookingId', authenticate, paystackController.initializePayment);
+router.get('/initialize/:bookingId', authenticate, paymentController.initializePayment);
 
-// Verify payment status by booking ID
-router.get('/booking/verify/:bookingId', authenticate, paystackController.verifyPayment);
+// Verify payment status by booking ID (any provider)
+router.get('/booking/verify/:bookingId', authenticate, paymentController.verifyPayment);
 
 // Paystack Webhook
-router.post('/paystack-webhook', paystackController.handlePaystackWebhook);
+router.post('/paystack-webhook', rawBody, paymentController.handleWebhook('paystack'));
+
+// ========== Refunds (admin) ==========
+router.get('/refunds', authenticate, authorize('admin'), validations.refundFilters, validate, paymentController.getRefunds);
+router.post('/refunds/:id/approve', authenticate, authorize('admin'), validations.idParam, validate, paymentController.approveRefund);
+router.post('/refunds/:id/reject', authenticate, authorize('admin'), validations.idParam, validate, paymentController.rejectRefund);
+
+// Cancellation fees by how far the shipment has progressed
+router.get('/cancellation-policies', paymentController.getCancellationPolicies);
+router.put('/cancellation-policies', authenticate, authorize('admin'), validations.cancellationPolicy, validate, paymentController.upsertCancellationPolicy);
+
+// ========== Reconciliation (admin) ==========
+router.post('/reconciliation', authenticate, authorize('admin'), validations.reconciliation, validate, paymentController.runReconciliation);
+router.get('/reconciliation', authenticate, authorize('admin'), validations.pagination, validate, paymentController.getReconciliationRuns);
+router.get('/reconciliation/:id', authenticate, authorize('admin'), validations.idParam, validate, paymentController.getReconciliationRun);
+
+// Full or partial refund of a payment
+router.post('/:id/refunds', authenticate, authorize('admin'), validations.idParam, validations.refund, validate, paymentController.createRefund);
+
+// ========== Fake provider (tests / development, admin) ==========
+if (providerNames.includes('fake')) {
+    router.post('/fake/:reference/complete', authenticate, authorize('admin'), paymentController.completeFakePayment);
+    router.post('/fake/refunds/:reference/complete', authenticate, authorize('admin'), paymentController.completeFakeRefund);
+}
 
 module.exports = router;
@@ -1,27 +1,134 @@
 const express = require('express');
 const router = express.Router();
 const pricingController = require('../controllers/pricingController');
-const { authenticate, authorize } = require('../middleware/auth');
+const discountController = require('../controllers/discountController');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { validate, validations } = require('../middleware/validate');
 
 /**
  * @route   GET /api/pricing
- * @desc    Get all pricing configurations
+ * @desc    Get the pricing configurations in effect now
  * @access  Public
  */
 router.get('/', pricingController.getPricingConfigs);
 
 /**
  * @route   POST /api/pricing/calculate
- * @desc    Calculate shipment price
+ * @desc    Calculate shipment price and issue a quote ID
+ * @access  Public (quotes requested signed in can only be booked by that user)
+ */
+router.post('/calculate', optionalAuth, pricingController.calculatePrice);
+
+/**
+ * @route   GET /api/pricing/zones
+ * @desc    Get zone rates per service type
  * @access  Public
  */
-router.post('/calculate', pricingController.calculatePrice);
+router.get('/zones', pricingController.getPricingZones);
+
+/**
+ * @route   PUT /api/pricing/zones
+ * @desc    Create or update a zone rate
+ * @access  Private/Admin
+ */
+router.put('/zones', authenticate, authorize('admin'), validations.pricingZone, validate, pricingController.upsertPricingZone);
+
+/**
+ * @route   GET /api/pricing/rules
+ * @desc    Get surcharge, discount and tax rules
+ * @access  Private/Admin
+ */
+router.get('/rules', authenticate, authorize('admin'), pricingController.getPricingRules);
+
+/**
+ * @route   POST /api/pricing/rules
+ * @desc    Create a pricing rule
+ * @access  Private/Admin
+ */
+router.post('/rules', authenticate, authorize('admin'), validations.pricingRule, validate, pricingController.createPricingRule);
+
+/**
+ * @route   PUT /api/pricing/rules/:id
+ * @desc    Update a pricing rule
+ * @access  Private/Admin
+ */
+router.put('/rules/:id', authenticate, authorize('admin'), validations.idParam, validations.pricingRule, validate, pricingController.updatePricingRule);
+
+/**
+ * @route   DELETE /api/pricing/rules/:id
+ * @desc    Delete a pricing rule
+ * @access  Private/Admin
+ */
+router.delete('/rules/:id', authenticate, authorize('admin'), validations.idParam, validate, pricingController.deletePricingRule);
+
+/**
+ * @route   GET /api/pricing/promo-codes
+ * @desc    List promo codes with usage
+ * @access  Private/Admin
+ */
+router.get('/promo-codes', authenticate, authorize('admin'), discountController.getPromoCodes);
+
+/**
+ * @route   POST /api/pricing/promo-codes
+ * @desc    Create a promo code
+ * @access  Private/Admin
+ */
+router.post('/promo-codes', authenticate, authorize('admin'), validations.promoCode, validate, discountController.createPromoCode);
+
+/**
+ * @route   PUT /api/pricing/promo-codes/:id
+ * @desc    Update a promo code
+ * @access  Private/Admin
+ */
+router.put('/promo-codes/:id', authenticate, authorize('admin'), validations.idParam, validations.promoCode, validate, discountController.updatePromoCode);
+
+/**
+ * @route   GET /api/pricing/promo-codes/:id/redemptions
+ * @desc    Redemptions of a promo code
+ * @access  Private/Admin
+ */
+router.get('/promo-codes/:id/redemptions', authenticate, authorize('admin'), validations.idParam, validations.pagination, validate, discountController.getPromoRedemptions);
+
+/**
+ * @route   GET /api/pricing/contracts
+ * @desc    List customer contract rate cards
+ * @access  Private/Admin
+ */
+router.get('/contracts', authenticate, authorize('admin'), discountController.getContractRates);
+
+/**
+ * @route   POST /api/pricing/contracts
+ * @desc    Create a contract rate card
+ * @access  Private/Admin
+ */
+router.post('/contracts', authenticate, authorize('admin'), validations.contractRate, validate, discountController.createContractRate);
+
+/**
+ * @route   PUT /api/pricing/contracts/:id
+ * @desc    Update a contract rate card
+ * @access  Private/Admin
+ */
+router.put('/contracts/:id', authenticate, authorize('admin'), validations.idParam, validations.contractRate, validate, discountController.updateContractRate);
+
+/**
+ * @route   DELETE /api/pricing/contracts/:id
+ * @desc    Delete a contract rate card
+ * @access  Private/Admin
+ */
+router.delete('/contracts/:id', authenticate, authorize('admin'), validations.idParam, validate, discountController.deleteContractRate);
+
+/**
+ * @route   GET /api/pricing/history
+ * @desc    Rate, zone and rule change history
+ * @access  Private/Admin
+ */
+router.get('/history', authenticate, authorize('admin'), validations.pricingHistory, validate, pricingController.getPricingHistory);
 
 /**
  * @route   PUT /api/pricing/:id
- * @desc    Update a pricing configuration
+ * @desc    Start a new version of a pricing configuration
  * @access  Private/Admin
  */
-router.put('/:id', authenticate, authorize('admin'), pricingController.updatePricingConfig);
+router.put('/:id', authenticate, authorize('admin'), validations.pricingConfig, validate, pricingController.updatePricingConfig);
 
 module.exports = router;
@@ -1,24 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const shipmentController = require('../controllers/shipmentController');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const dispatchController = require('../controllers/dispatchController');
+const { authenticate, authorize, optionalAuth, apiKeyScope } = require('../middleware/auth');
 const { validate, validations } = require('../middleware/validate');
+const { shipmentImportUpload } = require('../middleware/upload');
+const config = require('../config');
 
 // Public stats route
 router.get('/stats', shipmentController.getShipmentStats);
 
+// Ahead of /:id so "export" is not taken for a shipment ID
+router.get('/export', authenticate, authorize('admin', 'user'), validations.shipmentFilters, validations.shipmentExport, validate, shipmentController.exportShipments);
+
+// Also open to customers' API keys
+router.get('/', apiKeyScope(config.apiKeys.scopes.SHIPMENTS_READ), authenticate, validations.shipmentFilters, validate, shipmentController.getAllShipments);
+router.post('/', apiKeyScope(config.apiKeys.scopes.SHIPMENTS_WRITE), authenticate, validations.createShipment, validate, shipmentController.createShipment);
+router.get('/:id', apiKeyScope(config.apiKeys.scopes.SHIPMENTS_READ), authenticate, shipmentController.getShipmentById);
+
 // Protected routes
 router.use(authenticate);
 
 // CRUD operations
-router.get('/', shipmentController.getAllShipments);
-router.post('/', validations.createShipment, validate, shipmentController.createShipment);
-router.get('/:id', shipmentController.getShipmentById);
-router.put('/:id', authorize('admin', 'driver', 'user'), shipmentController.updateShipment);
+router.post('/bulk', authorize('admin', 'user'), shipmentImportUpload, shipmentController.bulkCreateShipments);
+router.put('/:id', authorize('admin', 'driver', 'user'), validations.updateShipment, validate, shipmentController.updateShipment);
 router.delete('/:id', authorize('admin', 'user'), shipmentController.deleteShipment);
 
 // Additional shipment operations
-router.post('/:id/cancel', shipmentController.cancelShipment);
-router.get('/:id/documents', shipmentController.getShipmentDocuments);
+router.get('/:id/cancellation', authorize('admin', 'user'), validations.idParam, validate, shipmentController.getCancellationQuote);
+router.post('/:id/cancel', authorize('admin', 'user'), validations.cancelShipment, validate, shipmentController.cancelShipment);
+router.get('/:id/documents', authorize('admin', 'driver', 'user'), validations.idParam, validate, shipmentController.getShipmentDocuments);
+router.get('/:id/documents/:docId', authorize('admin', 'driver', 'user'), shipmentController.getShipmentDocument);
+router.post('/:id/waybill', authorize('admin', 'user'), validations.idParam, validate, shipmentController.generateWaybill);
+router.post('/:id/delivery-code', authorize('admin'), validations.idParam, validate, shipmentController.issueDeliveryCode);
+
+// Dispatch (admin only)
+router.get('/:id/dispatch/candidates', authorize('admin'), validations.idParam, validate, dispatchController.getCandidates);
+router.post('/:id/dispatch', authorize('admin'), validations.idParam, validate, dispatchController.dispatchShipment);
 
 module.exports = router;
@@ -1,17 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const trackingController = require('../controllers/trackingController');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, tokenFromQuery, apiKeyScope } = require('../middleware/auth');
+const config = require('../config');
 
 // Public tracking route (no auth required)
 router.get('/active', optionalAuth, trackingController.getActiveShipments);
 router.get('/:trackingNumber', trackingController.trackShipment);
 
 // Protected routes
-router.get('/:id/timeline', authenticate, trackingController.getTimeline);
-router.get('/:id/location', authenticate, trackingController.getLiveLocation);
+router.get('/:id/timeline', apiKeyScope(config.apiKeys.scopes.TRACKING_READ), authenticate, trackingController.getTimeline);
+router.get('/:id/location', apiKeyScope(config.apiKeys.scopes.TRACKING_READ), authenticate, trackingController.getLiveLocation);
 router.get('/:id/driver', authenticate, trackingController.getDriver);
-router.get('/:id/eta', authenticate, trackingController.getETA);
+router.get('/:id/eta', apiKeyScope(config.apiKeys.scopes.TRACKING_READ), authenticate, trackingController.getETA);
 router.get('/:id/history', authenticate, trackingController.getTrackingHistory);
 
+// Live updates (Server-Sent Events)
+router.get('/:trackingNumber/stream', tokenFromQuery, authenticate, trackingController.streamTracking);
+
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/walletController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, validations } = require('../middleware/validate');
+
+router.use(authenticate);
+
+// Customer's own wallet
+router.get('/', validations.pagination, validate, walletController.getMyWallet);
+router.post('/topups', authorize('admin', 'user'), validations.walletTopup, validate, walletController.createTopup);
+router.get('/topups/:id/verify', validations.idParam, validate, walletController.verifyTopup);
+router.post('/pay', authorize('admin', 'user'), validations.walletPayment, validate, walletController.payFromWallet);
+
+// Admin
+router.get('/users/:userId', authorize('admin'), validations.walletUser, validations.pagination, validate, walletController.getUserWallet);
+router.post('/users/:userId/adjustments', authorize('admin'), validations.walletUser, validations.walletAdjustment, validate, walletController.adjustWallet);
+
+module.exports = router;
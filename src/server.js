@@ -11,6 +11,7 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
+const apiKeyService = require('./services/apiKeyService');
 
 // Validate environment variables on startup
 const requiredEnv = ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'FRONTEND_URL'];
@@ -41,16 +42,33 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Rate limiting
+const hasValidApiKey = (req) => Boolean(apiKeyService.fromRequest(req)) &&
+    apiKeyService.authenticateRequest(req).then(() => true, () => false);
+
 const globalLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
     message: { error: 'Too many requests', message: 'Too many requests from this IP, please try again after 15 minutes' },
     standardHeaders: true,
     legacyHeaders: false,
+    // Valid API keys are limited per key below; bad ones count against the IP
+    skip: (req) => hasValidApiKey(req),
+});
+
+// Per-key limit (api_keys.rate_limit_per_minute) on every route a key calls;
+// counts are kept in memory, so each app instance allows the full limit
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    limit: async (req) => (await apiKeyService.authenticateRequest(req)).apiKey.rate_limit_per_minute,
+    keyGenerator: async (req) => (await apiKeyService.authenticateRequest(req)).apiKey.id,
+    skip: async (req) => !await hasValidApiKey(req),
+    message: { error: 'Too many requests', message: 'API key rate limit exceeded, please slow down' },
+    standardHeaders: true,
+    legacyHeaders: false,
 });
 
 const authLimiter = rateLimit({
@@ -61,16 +79,35 @@ const authLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Clients refresh about once an hour per session, so this only stops abuse
+const refreshLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60,
+    message: { error: 'Too many requests', message: 'Too many token refreshes from this IP, please try again shortly' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Security middleware
 app.use(helmet());
 app.use('/api/', globalLimiter);
-app.use('/api/auth/', authLimiter);
+app.use('/api/', apiKeyLimiter);
+// Only credential checks get the strict limit; sessions, refresh and MFA
+// management are used all day by signed-in clients
+app.post(['/api/auth/login', '/api/auth/register', '/api/auth/forgot-password', '/api/auth/reset-password'], authLimiter);
+app.post('/api/auth/refresh', refreshLimiter);
 
 // Request logging
 app.use(requestLogger());
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Payment webhooks are signed over the exact request bytes
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/')) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -127,6 +164,9 @@ app.listen(PORT, () => {
     🔧 Environment: ${process.env.NODE_ENV || 'development'}
     ━━━━━━━━━━━━━━━━━━━━━━━━━━━
     `);
+
+    // Settle payments whose webhooks never arrived (RECONCILE_INTERVAL_MINUTES, off by default)
+    require('./services/reconciliationService').startSchedule();
 });
 
 module.exports = app;
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const KEY_PATTERN = new RegExp(`^${config.apiKeys.prefix}([0-9a-f]{12})_([0-9a-f]{64})$`);
+
+// Everything but the hash; lists and API responses never include it
+const KEY_COLUMNS = 'id, user_id, name, prefix, scopes, rate_limit_per_minute, expires_at, revoked_at, last_used_at, last_used_ip, usage_count, rotated_from, created_by, created_at';
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+const isUsable = (key) => !key.revoked_at && (!key.expires_at || new Date(key.expires_at) > new Date());
+
+/**
+ * Service for customers' API keys
+ * A key reads blk_<12 hex>_<64 hex>. The first part (prefix) is stored as is
+ * to find the key; the whole key is only kept as a SHA-256 hash, so it cannot
+ * be shown again after creation.
+ */
+const apiKeyService = {
+    /**
+     * Raw API key sent with a request, from X-API-Key or an Authorization
+     * bearer token that looks like a key; null for ordinary (JWT) requests
+     */
+    fromRequest: (req) => {
+        const header = req.get('x-api-key');
+        if (header) return header.trim();
+
+        const authHeader = req.headers.authorization;
+        if (authHeader?.startsWith(`Bearer ${config.apiKeys.prefix}`)) {
+            return authHeader.split(' ')[1];
+        }
+        return null;
+    },
+
+    /**
+     * New random key
+     * @returns {{ key: string, prefix: string, hash: string }}
+     */
+    generate: () => {
+        const prefix = `${config.apiKeys.prefix}${crypto.randomBytes(6).toString('hex')}`;
+        const key = `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+        return { key, prefix, hash: hashKey(key) };
+    },
+
+    /**
+     * Key by ID without its hash, or null
+     */
+    find: async (id) => {
+        const { data } = await supabaseAdmin
+            .from('api_keys')
+            .select(KEY_COLUMNS)
+            .eq('id', id)
+            .maybeSingle();
+
+        return data || null;
+    },
+
+    /**
+     * A user's keys, newest first
+     */
+    list: async (userId) => {
+        let query = supabaseAdmin
+            .from('api_keys')
+            .select(KEY_COLUMNS)
+            .order('created_at', { ascending: false });
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    },
+
+    /**
+     * Create a key for a customer
+     * @param {string} userId - Owner; only customer (user role) accounts can hold keys
+     * @param {object} options
+     * @param {string} options.name
+     * @param {string[]} options.scopes
+     * @param {string} [options.expiresAt]
+     * @param {number} [options.rateLimitPerMinute]
+     * @param {string} createdBy - User ID of whoever created it
+     * @param {string} [rotatedFrom] - Key this one replaces (skips the per-account limit)
+     * @returns {Promise<{ apiKey: object, key: string }>} key is shown once
+     * @throws {ApiError} 400 for non-customer owners, 409 when the owner has too many keys
+     */
+    create: async (userId, { name, scopes, expiresAt = null, rateLimitPerMinute }, createdBy, rotatedFrom = null) => {
+        const { data: owner } = await supabaseAdmin
+            .from('profiles')
+            .select('id, role')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (!owner) {
+            throw new ApiError(404, 'User not found');
+        }
+        if (owner.role !== config.userRoles.USER) {
+            throw new ApiError(400, 'API keys can only be issued to customer accounts');
+        }
+
+        const existing = rotatedFrom ? [] : await apiKeyService.list(userId);
+        if (existing.filter(isUsable).length >= config.apiKeys.maxPerUser) {
+            throw new ApiError(409, `An account can have at most ${config.apiKeys.maxPerUser} active API keys. Revoke one first.`);
+        }
+
+        const { key, prefix, hash } = apiKeyService.generate();
+
+        const { data, error } = await supabaseAdmin
+            .from('api_keys')
+            .insert({
+                user_id: userId,
+                name,
+                prefix,
+                key_hash: hash,
+                scopes: [...new Set(scopes)],
+                rate_limit_per_minute: rateLimitPerMinute || config.apiKeys.defaultRateLimit,
+                expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+                rotated_from: rotatedFrom,
+                created_by: createdBy
+            })
+            .select(KEY_COLUMNS)
+            .single();
+
+        if (error) throw error;
+        return { apiKey: data, key };
+    },
+
+    /**
+     * Replace a key with a new one with the same name, scopes, limit and expiry
+     * The old key stops working now, or after graceMinutes so the client can
+     * switch over without downtime.
+     * @throws {ApiError} 409 if the key is already revoked or expired
+     */
+    rotate: async (apiKey, { graceMinutes = 0 } = {}, rotatedBy) => {
+        if (!isUsable(apiKey)) {
+            throw new ApiError(409, 'Only an active API key can be rotated');
+        }
+
+        // The old key is retired below, so rotating never hits the per-account limit
+        const created = await apiKeyService.create(apiKey.user_id, {
+            name: apiKey.name,
+            scopes: apiKey.scopes,
+            expiresAt: apiKey.expires_at,
+            rateLimitPerMinute: apiKey.rate_limit_per_minute
+        }, rotatedBy, apiKey.id);
+
+        if (graceMinutes > 0) {
+            const graceEnd = new Date(Date.now() + graceMinutes * 60 * 1000);
+            const expiresAt = apiKey.expires_at && new Date(apiKey.expires_at) < graceEnd
+                ? apiKey.expires_at
+                : graceEnd.toISOString();
+
+            const { error } = await supabaseAdmin
+                .from('api_keys')
+                .update({ expires_at: expiresAt })
+                .eq('id', apiKey.id);
+
+            if (error) throw error;
+        } else {
+            await apiKeyService.revoke(apiKey);
+        }
+
+        return created;
+    },
+
+    /**
+     * Stop a key working straight away (no-op if already revoked)
+     */
+    revoke: async (apiKey) => {
+        const { error } = await supabaseAdmin
+            .from('api_keys')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', apiKey.id)
+            .is('revoked_at', null);
+
+        if (error) throw error;
+    },
+
+    /**
+     * Key and owner for a raw key from a request
+     * @returns {Promise<{ apiKey: object, owner: object }>}
+     * @throws {ApiError} 401 when the key is unknown, revoked or expired
+     */
+    authenticate: async (rawKey) => {
+        const match = KEY_PATTERN.exec(rawKey || '');
+        if (!match) {
+            throw new ApiError(401, 'Invalid API key');
+        }
+
+        const { data } = await supabaseAdmin
+            .from('api_keys')
+            .select(`${KEY_COLUMNS}, key_hash, owner:profiles!api_keys_user_id_fkey(id, email, role)`)
+            .eq('prefix', `${config.apiKeys.prefix}${match[1]}`)
+            .maybeSingle();
+
+        const expected = Buffer.from(data?.key_hash || '', 'hex');
+        const actual = Buffer.from(hashKey(rawKey), 'hex');
+
+        if (!data || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new ApiError(401, 'Invalid API key');
+        }
+        if (data.revoked_at) {
+            throw new ApiError(401, 'API key has been revoked');
+        }
+        if (data.expires_at && new Date(data.expires_at) <= new Date()) {
+            throw new ApiError(401, 'API key has expired');
+        }
+        if (data.owner?.role !== config.userRoles.USER) {
+            throw new ApiError(401, 'API key owner is not a customer account');
+        }
+
+        const { key_hash: _hash, owner, ...apiKey } = data;
+        return { apiKey, owner };
+    },
+
+    /**
+     * authenticate() for the key a request carries, looked up once per request
+     * (the global rate limiter and the authenticate middleware both ask)
+     */
+    authenticateRequest: (req) => {
+        if (!req.apiKeyLookup) {
+            req.apiKeyLookup = apiKeyService.authenticate(apiKeyService.fromRequest(req));
+        }
+        return req.apiKeyLookup;
+    },
+
+    /**
+     * Count a finished request against its key
+     * Runs after the response is sent; a lost count is logged, never raised.
+     */
+    recordUsage: async (apiKeyId, ip, statusCode) => {
+        const { error } = await supabaseAdmin.rpc('record_api_key_usage', {
+            p_key_id: apiKeyId,
+            p_ip: ip,
+            p_failed: statusCode >= 400
+        });
+
+        if (error) {
+            console.error(`Recording usage of API key ${apiKeyId} failed:`, error.message);
+        }
+    },
+
+    /**
+     * Daily request and error counts for a key
+     * @param {number} [days] - How many days back, today included
+     */
+    getUsage: async (apiKey, { days = 30 } = {}) => {
+        const since = new Date();
+        since.setUTCDate(since.getUTCDate() - (days - 1));
+
+        const { data, error } = await supabaseAdmin
+            .from('api_key_usage')
+            .select('day, requests, errors')
+            .eq('api_key_id', apiKey.id)
+            .gte('day', since.toISOString().slice(0, 10))
+            .order('day', { ascending: false });
+
+        if (error) throw error;
+
+        const rows = data || [];
+        return {
+            apiKeyId: apiKey.id,
+            totalRequests: Number(apiKey.usage_count || 0),
+            lastUsedAt: apiKey.last_used_at,
+            lastUsedIp: apiKey.last_used_ip,
+            period: {
+                days,
+                requests: rows.reduce((sum, row) => sum + row.requests, 0),
+                errors: rows.reduce((sum, row) => sum + row.errors, 0)
+            },
+            daily: rows
+        };
+    },
+
+    isUsable
+};
+
+module.exports = apiKeyService;
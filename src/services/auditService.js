@@ -0,0 +1,30 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Security events in auth_audit_log (scripts/add_auth_audit_log.sql)
+ */
+const auditService = {
+    /**
+     * Record an event with the request's IP and user agent
+     * Never fails the calling request; a lost audit row is logged instead.
+     * @param {object} req
+     * @param {string} eventType - e.g. 'mfa_enabled', 'mfa_challenge_failed'
+     * @param {object} [details] - userId, email, metadata
+     */
+    log: async (req, eventType, { userId = null, email = null, metadata = {} } = {}) => {
+        const { error } = await supabaseAdmin.from('auth_audit_log').insert({
+            user_id: userId,
+            email,
+            event_type: eventType,
+            ip_address: req.ip,
+            user_agent: req.get('user-agent'),
+            metadata
+        });
+
+        if (error) {
+            console.error(`Audit log ${eventType} for ${userId || email} failed:`, error.message);
+        }
+    }
+};
+
+module.exports = auditService;
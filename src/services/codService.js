@@ -0,0 +1,215 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Service for cash on delivery
+ * Drivers' cash balances (drivers.cod_balance) only change through the
+ * record_cod_collection and record_cod_remittance database functions
+ * (scripts/add_cash_on_delivery.sql).
+ */
+const codService = {
+    /**
+     * Amount the receiver pays at the door, checked at booking
+     * It always covers the shipping fee, since collecting it marks the shipment paid.
+     * @param {object} row - Prepared shipment row (shipping_fee is set)
+     * @param {number} [codAmount] - Defaults to the shipping fee
+     */
+    amountToCollect: (row, codAmount) => {
+        const fee = round(parseFloat(row.shipping_fee));
+        const amount = round(codAmount != null ? parseFloat(codAmount) : fee);
+
+        if (!(amount > 0)) {
+            throw new ApiError(400, 'Cash on delivery amount must be greater than zero');
+        }
+        if (amount < fee) {
+            throw new ApiError(400, `Cash on delivery amount must cover the shipping fee of ${fee}`);
+        }
+        if (amount > config.cod.maxAmount) {
+            throw new ApiError(400, `Cash on delivery is limited to ${config.cod.maxAmount} per shipment`);
+        }
+        return amount;
+    },
+
+    /**
+     * Amount to collect after a shipment is repriced
+     * Whatever was asked on top of the old fee (e.g. the goods' value) is kept.
+     * @param {object} shipment - Stored row (shipping_fee, cod_amount)
+     * @param {number} newFee
+     */
+    repricedAmount: (shipment, newFee) => {
+        const extra = Math.max(round(parseFloat(shipment.cod_amount) - parseFloat(shipment.shipping_fee)), 0);
+        return codService.amountToCollect({ shipping_fee: newFee }, round(parseFloat(newFee) + extra));
+    },
+
+    /**
+     * Record the cash a driver took at delivery and add it to their balance
+     * A shipment collected in full is marked paid; a short collection stays 'cod'
+     * and shows in the collection's amount_expected / amount_collected.
+     * @throws {ApiError} 409 if the shipment's cash was already recorded
+     */
+    recordCollection: async (shipment, driver, { amount, notes = null }) => {
+        const collected = round(parseFloat(amount));
+        const expected = round(parseFloat(shipment.cod_amount));
+
+        const { data: collection, error } = await supabaseAdmin.rpc('record_cod_collection', {
+            p_shipment_id: shipment.id,
+            p_driver_id: driver.id,
+            p_expected: expected,
+            p_collected: collected,
+            p_notes: notes
+        });
+
+        if (error?.code === '23505') {
+            throw new ApiError(409, 'Cash for this shipment has already been recorded');
+        }
+        if (error) throw error;
+
+        if (collected >= expected) {
+            await supabaseAdmin
+                .from('shipments')
+                .update({ payment_status: config.shipmentPaymentStatus.PAID, updated_at: new Date().toISOString() })
+                .eq('id', shipment.id)
+                .eq('payment_status', config.shipmentPaymentStatus.COD);
+        }
+
+        return { ...collection, short: round(Math.max(expected - collected, 0)) };
+    },
+
+    /**
+     * Cash handed over by a driver (Admin)
+     * @throws {ApiError} 409 when it is more than the driver holds or the reference was used
+     */
+    recordRemittance: async (driverId, { amount, reference = null, notes = null, receivedBy }) => {
+        const { data, error } = await supabaseAdmin.rpc('record_cod_remittance', {
+            p_driver_id: driverId,
+            p_amount: round(parseFloat(amount)),
+            p_reference: reference,
+            p_notes: notes,
+            p_received_by: receivedBy
+        });
+
+        if (!error) return data;
+
+        if (error.code === 'P0002') {
+            throw new ApiError(404, 'Driver not found');
+        }
+        if (error.code === '23514') {
+            const { data: driver } = await supabaseAdmin
+                .from('drivers')
+                .select('cod_balance')
+                .eq('id', driverId)
+                .single();
+            const balance = parseFloat(driver?.cod_balance || 0);
+
+            throw new ApiError(409, `Remittance of ${amount} is more than the ${balance} the driver holds`, { balance });
+        }
+        if (error.code === '23505') {
+            throw new ApiError(409, `Remittance ${reference} has already been recorded for this driver`);
+        }
+        throw error;
+    },
+
+    /**
+     * A driver's balance with recent collections and remittances
+     */
+    getDriverCash: async (driver, { limit = 20 } = {}) => {
+        const [collections, remittances] = await Promise.all([
+            supabaseAdmin
+                .from('cod_collections')
+                .select('*, shipment:shipments(id, tracking_number, receiver_name)')
+                .eq('driver_id', driver.id)
+                .order('collected_at', { ascending: false })
+                .limit(limit),
+            supabaseAdmin
+                .from('cod_remittances')
+                .select('*')
+                .eq('driver_id', driver.id)
+                .order('created_at', { ascending: false })
+                .limit(limit)
+        ]);
+
+        if (collections.error) throw collections.error;
+        if (remittances.error) throw remittances.error;
+
+        return {
+            driverId: driver.id,
+            balance: parseFloat(driver.cod_balance || 0),
+            oldestUnremittedAt: codService.oldestUnremitted(parseFloat(driver.cod_balance || 0), collections.data || []),
+            collections: collections.data || [],
+            remittances: remittances.data || []
+        };
+    },
+
+    /**
+     * Collection date of the oldest cash still held
+     * Remittances pay off the oldest collections first, so the balance is made
+     * up of the newest collections.
+     * @param {number} balance
+     * @param {object[]} collections - Newest first
+     * @returns {string|null} null if the balance is zero or older than the collections given
+     */
+    oldestUnremitted: (balance, collections) => {
+        let remaining = round(balance);
+        if (remaining <= 0) return null;
+
+        for (const collection of collections) {
+            remaining = round(remaining - parseFloat(collection.amount_collected));
+            if (remaining <= 0) return collection.collected_at;
+        }
+        return null;
+    },
+
+    /**
+     * Drivers holding cash, most first, with how long they have held it
+     */
+    getOutstanding: async ({ offset, limit }) => {
+        const { data: drivers, error, count } = await supabaseAdmin
+            .from('drivers')
+            .select('id, cod_balance, profile:profiles!drivers_user_id_fkey(first_name, last_name, phone)', { count: 'exact' })
+            .gt('cod_balance', 0)
+            .order('cod_balance', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        const now = Date.now();
+        const rows = await Promise.all((drivers || []).map(async driver => {
+            const balance = parseFloat(driver.cod_balance);
+            const { data: collections } = await supabaseAdmin
+                .from('cod_collections')
+                .select('amount_collected, collected_at')
+                .eq('driver_id', driver.id)
+                .order('collected_at', { ascending: false })
+                .limit(200);
+
+            const oldest = codService.oldestUnremitted(balance, collections || []);
+
+            return {
+                driverId: driver.id,
+                name: driver.profile ? `${driver.profile.first_name} ${driver.profile.last_name}`.trim() : null,
+                phone: driver.profile?.phone || null,
+                balance,
+                oldestUnremittedAt: oldest,
+                daysHeld: oldest ? Math.floor((now - new Date(oldest).getTime()) / (24 * 60 * 60 * 1000)) : null
+            };
+        }));
+
+        const { data: totals, error: totalsError } = await supabaseAdmin
+            .from('drivers')
+            .select('cod_balance')
+            .gt('cod_balance', 0);
+
+        if (totalsError) throw totalsError;
+
+        return {
+            drivers: rows,
+            count,
+            totalOutstanding: round((totals || []).reduce((sum, d) => sum + parseFloat(d.cod_balance), 0))
+        };
+    }
+};
+
+module.exports = codService;
@@ -0,0 +1,386 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const invoiceService = require('./invoiceService');
+const refundService = require('./refundService');
+
+const { CHARGE, PAYMENT, CREDIT, ADJUSTMENT } = config.creditAccounts.entryTypes;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// YYYY-MM of the month before now (UTC)
+const previousMonth = () => {
+    const date = new Date();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() - 1);
+    return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Service for postpaid credit accounts: an entry ledger per account, where
+ * charges are positive and payments / credits negative
+ */
+const creditAccountService = {
+    /**
+     * Credit account of a user, active or not
+     */
+    findForUser: async (userId) => {
+        const { data } = await supabaseAdmin
+            .from('credit_accounts')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        return data || null;
+    },
+
+    /**
+     * Ledger entries of an account, oldest first
+     * @param {string} accountId
+     * @param {Date} [until] - Only entries up to this moment
+     */
+    getEntries: async (accountId, until = null) => {
+        let query = supabaseAdmin
+            .from('account_entries')
+            .select('*')
+            .eq('account_id', accountId)
+            .order('created_at', { ascending: true });
+
+        if (until) {
+            query = query.lte('created_at', until.toISOString());
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    },
+
+    /**
+     * Balance and aging of an account
+     * Payments and credits settle the oldest open charges first, and what is
+     * left of each charge is aged from the day it was booked.
+     * @param {object} account - credit_accounts row
+     * @param {Date} [asOf] - Defaults to now
+     * @param {Array<object>} [entries] - Ledger up to asOf when already loaded
+     * @returns {Promise<{ balance: number, available: number, aging: object, overdue: number, oldestOpenChargeAt: string|null }>}
+     */
+    summarize: async (account, asOf = new Date(), entries = null) => {
+        const ledger = entries || await creditAccountService.getEntries(account.id, asOf);
+
+        const open = [];
+        let unapplied = 0;
+        ledger.forEach(entry => {
+            const amount = parseFloat(entry.amount);
+            if (amount > 0) {
+                open.push({ at: new Date(entry.created_at), remaining: amount });
+            } else {
+                unapplied += -amount;
+            }
+        });
+
+        open.forEach(charge => {
+            const applied = Math.min(charge.remaining, unapplied);
+            charge.remaining = round(charge.remaining - applied);
+            unapplied = round(unapplied - applied);
+        });
+
+        const aging = Object.fromEntries(config.creditAccounts.agingBuckets.map(bucket => [bucket.label, 0]));
+        const terms = account.payment_terms_days ?? config.creditAccounts.defaultTermsDays;
+        let overdue = 0;
+        let oldestOpenChargeAt = null;
+
+        open.filter(charge => charge.remaining > 0).forEach(charge => {
+            const ageDays = Math.floor((asOf - charge.at) / DAY_MS);
+            const bucket = config.creditAccounts.agingBuckets.find(b => ageDays <= b.maxDays);
+            aging[bucket.label] = round(aging[bucket.label] + charge.remaining);
+
+            if (ageDays > terms) overdue = round(overdue + charge.remaining);
+            if (!oldestOpenChargeAt) oldestOpenChargeAt = charge.at.toISOString();
+        });
+
+        const balance = round(ledger.reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+
+        return {
+            balance,
+            available: round(parseFloat(account.credit_limit) - balance),
+            aging,
+            overdue,
+            oldestOpenChargeAt
+        };
+    },
+
+    /**
+     * Add an entry to an account's ledger
+     * @param {object} entry - { type, amount (positive), shipmentId, invoiceId, reference, description, createdBy }
+     */
+    addEntry: async (accountId, { type, amount, shipmentId = null, invoiceId = null, reference = null, description = null, createdBy = null }) => {
+        const { data, error } = await supabaseAdmin
+            .from('account_entries')
+            .insert({
+                account_id: accountId,
+                type,
+                amount: type === CHARGE ? round(amount) : -round(amount),
+                shipment_id: shipmentId,
+                invoice_id: invoiceId,
+                reference,
+                description,
+                created_by: createdBy
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    /**
+     * Book shipments on account: insert them and charge their fees in one
+     * database transaction (book_shipments_on_account), then issue their invoices
+     * The function locks the account, so concurrent bookings cannot exceed the limit.
+     * @param {object} account - credit_accounts row
+     * @param {object[]} rows - Prepared shipments rows (payment_status on_account)
+     * @returns {Promise<object[]>} The inserted shipments
+     * @throws {ApiError} 403 when suspended, overdue or over the credit limit
+     */
+    book: async (account, rows) => {
+        const { data: shipments, error } = await supabaseAdmin.rpc('book_shipments_on_account', {
+            p_account_id: account.id,
+            p_shipments: rows
+        });
+
+        if (error?.code === '23514') {
+            // Refused: explain why with the account's figures
+            const summary = await creditAccountService.summarize(account);
+            const amount = round(rows.reduce((sum, row) => sum + parseFloat(row.shipping_fee), 0));
+            const messages = {
+                account_suspended: 'Your credit account is suspended. Contact accounts to resume booking on account.',
+                account_overdue: `Your account has ${summary.overdue} overdue. Settle it to continue booking on account.`,
+                credit_limit_exceeded: `This booking of ${amount} exceeds your available credit of ${summary.available}.`
+            };
+
+            throw new ApiError(
+                403,
+                `${messages[error.message] || error.message} You can still book with paymentMethod=prepaid and pay up front.`,
+                { ...summary, creditLimit: parseFloat(account.credit_limit), requested: amount }
+            );
+        }
+        if (error) throw error;
+
+        for (const shipment of shipments) {
+            await creditAccountService.attachInvoice(account, shipment);
+        }
+        return shipments;
+    },
+
+    /**
+     * Issue a booked shipment's invoice and point its charge at it
+     * The charge stands without an invoice; it can be issued from /api/invoices later.
+     */
+    attachInvoice: async (account, shipment) => {
+        try {
+            const invoice = await invoiceService.issueForShipment(shipment.id);
+
+            await supabaseAdmin
+                .from('account_entries')
+                .update({ invoice_id: invoice.id, reference: invoice.number })
+                .eq('account_id', account.id)
+                .eq('shipment_id', shipment.id)
+                .eq('type', CHARGE);
+        } catch (err) {
+            console.error(`Invoice for shipment ${shipment.id} failed:`, err.message);
+        }
+    },
+
+    /**
+     * Refuse a reprice of an on-account shipment before anything is saved
+     * @param {object} shipment - Needs status, sender_id and shipping_fee
+     * @param {number} newFee
+     * @param {string} [newStatus] - Status the same update moves it to
+     * @throws {ApiError} 409 for cancelled or returned shipments (already credited),
+     *         403 when an increase would exceed the available credit
+     */
+    checkAdjustment: async (shipment, newFee, newStatus) => {
+        const { CANCELLED, RETURNED } = config.shipmentStatus;
+        if ([shipment.status, newStatus].some(status => status === CANCELLED || status === RETURNED)) {
+            throw new ApiError(409, 'Cancelled and returned shipments have been credited to the account and cannot be repriced.');
+        }
+
+        const increase = round(newFee - parseFloat(shipment.shipping_fee));
+        if (increase <= 0) return;
+
+        const account = await creditAccountService.findForUser(shipment.sender_id);
+        if (!account) return;
+
+        const { available } = await creditAccountService.summarize(account);
+        if (increase > available) {
+            throw new ApiError(403, `The new price exceeds the available credit on the account (${available}).`);
+        }
+    },
+
+    /**
+     * Move a repriced on-account shipment's charge to its new fee, once the
+     * shipment is saved (checkAdjustment runs before)
+     * The adjustment and the new fee are written together under the account
+     * lock; an extra invoice or a credit note records the difference.
+     * @param {object} shipment - Needs id and tracking_number
+     * @param {number} newFee
+     * @returns {Promise<object|null>} The adjustment entry, null if the charge already matched
+     * @throws {ApiError} 409 if the shipment was cancelled or returned meanwhile
+     */
+    adjustCharge: async (shipment, newFee) => {
+        const { data, error } = await supabaseAdmin.rpc('adjust_account_charge', {
+            p_shipment_id: shipment.id,
+            p_amount: round(newFee),
+            p_description: `Shipment ${shipment.tracking_number} repriced to ${round(newFee)}`
+        });
+
+        if (error?.code === '23514') {
+            throw new ApiError(409, 'Cancelled and returned shipments have been credited to the account and cannot be repriced.');
+        }
+        if (error) throw error;
+
+        const [entry] = data || [];
+        if (!entry) return null;
+
+        try {
+            const document = await invoiceService.issueAdjustment(shipment.id, parseFloat(entry.amount));
+            if (document) {
+                await supabaseAdmin
+                    .from('account_entries')
+                    .update({ invoice_id: document.id, reference: document.number })
+                    .eq('id', entry.id);
+            }
+        } catch (err) {
+            console.error(`Price change document for shipment ${shipment.id} failed:`, err.message);
+        }
+        return entry;
+    },
+
+    /**
+     * Credit back a cancelled shipment, less the cancellation fee for how far it got
+     * @param {object} shipment - Needs id, tracking_number and sender_id
+     * @param {string} previousStatus - Status it was cancelled from
+     * @returns {Promise<object|null>} The credit entry, or null when nothing is credited
+     */
+    creditCancellation: async (shipment, previousStatus, { createdBy, reason }) => {
+        const account = await creditAccountService.findForUser(shipment.sender_id);
+        if (!account) return null;
+
+        const { data: entries } = await supabaseAdmin
+            .from('account_entries')
+            .select('type, amount, invoice_id')
+            .eq('account_id', account.id)
+            .eq('shipment_id', shipment.id)
+            .in('type', [CHARGE, ADJUSTMENT]);
+
+        const charge = (entries || []).find(entry => entry.type === CHARGE);
+        if (!charge) return null;
+
+        // What the shipment costs after any price changes
+        const charged = round(entries.reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+        const { fee, refundable } = await refundService.cancellationFee(previousStatus, charged);
+        if (refundable <= 0) return null;
+
+        return creditAccountService.addEntry(account.id, {
+            type: CREDIT,
+            amount: refundable,
+            shipmentId: shipment.id,
+            invoiceId: charge.invoice_id,
+            description: `Shipment ${shipment.tracking_number} cancelled${reason ? `: ${reason}` : ''}` +
+                (fee > 0 ? ` (cancellation fee ${fee})` : ''),
+            createdBy
+        });
+    },
+
+    /**
+     * Record money received against an account's balance
+     */
+    recordPayment: async (account, { amount, reference, description, createdBy }) => {
+        return creditAccountService.addEntry(account.id, {
+            type: PAYMENT,
+            amount,
+            reference,
+            description: description || 'Payment received',
+            createdBy
+        });
+    },
+
+    /**
+     * Generate (or regenerate) an account's statement for a period
+     * @param {object} account - credit_accounts row
+     * @param {Date} periodStart - Inclusive
+     * @param {Date} periodEnd - Exclusive
+     */
+    generateStatement: async (account, periodStart, periodEnd) => {
+        const closingAt = new Date(periodEnd.getTime() - 1);
+        const ledger = await creditAccountService.getEntries(account.id, closingAt);
+        const before = ledger.filter(entry => new Date(entry.created_at) < periodStart);
+        const during = ledger.filter(entry => new Date(entry.created_at) >= periodStart);
+        const sum = (entries) => round(entries.reduce((total, entry) => total + parseFloat(entry.amount), 0));
+
+        const summary = await creditAccountService.summarize(account, closingAt, ledger);
+        const openingBalance = sum(before);
+
+        const { data, error } = await supabaseAdmin
+            .from('account_statements')
+            .upsert({
+                account_id: account.id,
+                period_start: periodStart.toISOString().slice(0, 10),
+                period_end: closingAt.toISOString().slice(0, 10),
+                opening_balance: openingBalance,
+                // Price increases count as charges, reductions as credits
+                charges: sum(during.filter(entry => entry.type === CHARGE || (entry.type === ADJUSTMENT && parseFloat(entry.amount) > 0))),
+                payments: -sum(during.filter(entry => entry.type === PAYMENT)),
+                credits: -sum(during.filter(entry => entry.type === CREDIT || (entry.type === ADJUSTMENT && parseFloat(entry.amount) < 0))),
+                closing_balance: summary.balance,
+                overdue: summary.overdue,
+                aging: summary.aging,
+                entries: during.map(entry => ({
+                    date: entry.created_at,
+                    type: entry.type,
+                    reference: entry.reference,
+                    description: entry.description,
+                    amount: parseFloat(entry.amount)
+                })),
+                generated_at: new Date().toISOString()
+            }, { onConflict: 'account_id,period_start' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    /**
+     * Statements for every account for a calendar month
+     * @param {string} [month] - YYYY-MM, defaults to last month
+     * @returns {Promise<{ month: string, generated: number, failed: Array<{ accountId: string, error: string }> }>}
+     */
+    generateMonthlyStatements: async (month = previousMonth()) => {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const periodStart = new Date(Date.UTC(year, monthIndex - 1, 1));
+        const periodEnd = new Date(Date.UTC(year, monthIndex, 1));
+
+        const { data: accounts, error } = await supabaseAdmin
+            .from('credit_accounts')
+            .select('*')
+            .lt('created_at', periodEnd.toISOString());
+
+        if (error) throw error;
+
+        const failed = [];
+        for (const account of accounts || []) {
+            try {
+                await creditAccountService.generateStatement(account, periodStart, periodEnd);
+            } catch (err) {
+                failed.push({ accountId: account.id, error: err.message });
+            }
+        }
+
+        return { month, generated: (accounts || []).length - failed.length, failed };
+    }
+};
+
+module.exports = creditAccountService;
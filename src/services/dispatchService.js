@@ -0,0 +1,382 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { calculateDistance } = require('../utils/helpers');
+const shipmentService = require('./shipmentService');
+const podService = require('./podService');
+
+const { PROCESSING, IN_TRANSIT, OUT_FOR_DELIVERY } = config.shipmentStatus;
+const { ACTIVE, ON_DELIVERY } = config.driverStatus;
+const { PENDING: OFFER_PENDING, ACCEPTED, DECLINED, EXPIRED } = config.offerStatus;
+
+const ACTIVE_SHIPMENT_STATUSES = [PROCESSING, IN_TRANSIT, OUT_FOR_DELIVERY];
+
+const DRIVER_FIELDS = `
+    id, status, is_verified, rating, current_lat, current_lng, last_location_update,
+    profile:profiles!drivers_user_id_fkey(first_name, last_name, phone),
+    vehicle:vehicles!drivers_vehicle_id_fkey(id, plate_number, type, capacity_kg)
+`;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Count active shipments per driver
+ * @returns {Promise<Object<string, number>>} driverId -> count
+ */
+const getWorkloads = async (driverIds) => {
+    if (driverIds.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+        .from('shipments')
+        .select('driver_id')
+        .in('driver_id', driverIds)
+        .in('status', ACTIVE_SHIPMENT_STATUSES);
+
+    if (error) throw error;
+
+    return (data || []).reduce((acc, row) => {
+        acc[row.driver_id] = (acc[row.driver_id] || 0) + 1;
+        return acc;
+    }, {});
+};
+
+/**
+ * Service to rank and assign drivers to shipments
+ */
+const dispatchService = {
+    /**
+     * Score one driver for a shipment
+     * Hard constraints make a driver ineligible; soft factors are weighted into a 0-100 score.
+     */
+    scoreDriver: (driver, shipment, activeShipments = 0) => {
+        const { weights, maxPickupRadiusKm, maxActiveShipments, requireVerified } = config.dispatch;
+        const reasons = [];
+        const weight = parseFloat(shipment.weight) || 0;
+
+        if (![ACTIVE, ON_DELIVERY].includes(driver.status)) reasons.push(`Driver is ${driver.status}`);
+        if (requireVerified && !driver.is_verified) reasons.push('Driver is not verified');
+        if (!driver.vehicle) reasons.push('No vehicle assigned');
+        if (activeShipments >= maxActiveShipments) reasons.push(`Already carrying ${activeShipments} shipment(s)`);
+
+        // Proximity to pickup
+        let distanceKm = null;
+        let proximity = 0;
+        const hasDriverPosition = driver.current_lat != null && driver.current_lng != null;
+        const hasOrigin = shipment.origin_lat != null && shipment.origin_lng != null;
+        if (hasDriverPosition && hasOrigin) {
+            distanceKm = calculateDistance(driver.current_lat, driver.current_lng, shipment.origin_lat, shipment.origin_lng) *
+                config.distance.roadFactor;
+            proximity = Math.max(0, 1 - distanceKm / maxPickupRadiusKm);
+        }
+
+        // Capacity fit: must carry the load, fuller trucks score higher
+        let capacity = 0.5; // Unknown capacity is neutral
+        const capacityKg = driver.vehicle?.capacity_kg != null ? parseFloat(driver.vehicle.capacity_kg) : null;
+        if (capacityKg != null) {
+            if (weight > capacityKg) {
+                reasons.push(`Load of ${weight} kg exceeds vehicle capacity of ${capacityKg} kg`);
+                capacity = 0;
+            } else {
+                capacity = capacityKg > 0 ? weight / capacityKg : 0;
+            }
+        }
+
+        const workload = Math.max(0, 1 - activeShipments / maxActiveShipments);
+        const rating = driver.rating != null ? parseFloat(driver.rating) / 5 : 0.5;
+
+        const score = weights.proximity * proximity +
+            weights.capacity * capacity +
+            weights.workload * workload +
+            weights.rating * rating;
+
+        return {
+            driverId: driver.id,
+            name: `${driver.profile?.first_name || ''} ${driver.profile?.last_name || ''}`.trim(),
+            phone: driver.profile?.phone || null,
+            status: driver.status,
+            vehicle: driver.vehicle ? {
+                id: driver.vehicle.id,
+                plateNumber: driver.vehicle.plate_number,
+                type: driver.vehicle.type,
+                capacityKg
+            } : null,
+            eligible: reasons.length === 0,
+            reasons,
+            score: round(score * 100, 1),
+            breakdown: {
+                proximity: round(proximity),
+                capacity: round(capacity),
+                workload: round(workload),
+                rating: round(rating)
+            },
+            distanceKm: distanceKm != null ? round(distanceKm, 1) : null,
+            activeShipments,
+            lastLocationUpdate: driver.last_location_update
+        };
+    },
+
+    /**
+     * Rank candidate drivers for a shipment, best first (eligible before ineligible)
+     */
+    rankCandidates: async (shipment) => {
+        const { data: drivers, error } = await supabaseAdmin
+            .from('drivers')
+            .select(DRIVER_FIELDS)
+            .in('status', [ACTIVE, ON_DELIVERY]);
+
+        if (error) throw error;
+
+        const workloads = await getWorkloads((drivers || []).map(d => d.id));
+
+        // Drivers who already turned this shipment down are not offered it again
+        const { data: refused } = await supabaseAdmin
+            .from('dispatch_offers')
+            .select('driver_id')
+            .eq('shipment_id', shipment.id)
+            .in('status', [DECLINED, EXPIRED]);
+        const refusedIds = new Set((refused || []).map(o => o.driver_id));
+
+        return (drivers || [])
+            .map(driver => {
+                const candidate = dispatchService.scoreDriver(driver, shipment, workloads[driver.id] || 0);
+                if (refusedIds.has(driver.id)) {
+                    candidate.eligible = false;
+                    candidate.reasons.push('Declined or missed an offer for this shipment');
+                }
+                return candidate;
+            })
+            .sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+    },
+
+    /**
+     * Load a shipment that can be dispatched
+     */
+    getDispatchableShipment: async (shipmentId) => {
+        const { data: shipment, error } = await supabaseAdmin
+            .from('shipments')
+            .select('id, tracking_number, status, driver_id, weight, service_type, origin, origin_lat, origin_lng')
+            .eq('id', shipmentId)
+            .single();
+
+        if (error || !shipment) {
+            throw new ApiError(404, 'Shipment not found');
+        }
+
+        if (shipment.status !== PROCESSING) {
+            throw new ApiError(409, `Only ${PROCESSING} shipments can be dispatched (current status: ${shipment.status})`);
+        }
+
+        return shipment;
+    },
+
+    /**
+     * Assign a driver to a shipment, mark the driver on delivery and open an offer
+     * The driver has config.dispatch.offerTimeoutMinutes to accept it.
+     * @param {string} shipmentId
+     * @param {string} [driverId] - Specific driver; defaults to the best eligible candidate
+     */
+    assign: async (shipmentId, driverId = null) => {
+        await dispatchService.expireOffers();
+
+        const shipment = await dispatchService.getDispatchableShipment(shipmentId);
+
+        if (shipment.driver_id) {
+            throw new ApiError(409, 'Shipment already has a driver assigned');
+        }
+
+        const candidates = await dispatchService.rankCandidates(shipment);
+        const candidate = driverId
+            ? candidates.find(c => c.driverId === driverId)
+            : candidates.find(c => c.eligible);
+
+        if (!candidate) {
+            throw new ApiError(driverId ? 404 : 409, driverId ? 'Driver not found or not available' : 'No eligible driver available');
+        }
+        if (!candidate.eligible) {
+            throw new ApiError(409, `Driver cannot take this shipment: ${candidate.reasons.join('; ')}`);
+        }
+
+        // Guard against a concurrent assignment
+        const { data: updated, error } = await supabaseAdmin
+            .from('shipments')
+            .update({ driver_id: candidate.driverId, updated_at: new Date().toISOString() })
+            .eq('id', shipmentId)
+            .is('driver_id', null)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!updated) {
+            throw new ApiError(409, 'Shipment was assigned by someone else. Please refresh.');
+        }
+
+        await supabaseAdmin
+            .from('drivers')
+            .update({ status: ON_DELIVERY, updated_at: new Date().toISOString() })
+            .eq('id', candidate.driverId);
+
+        const expiresAt = new Date(Date.now() + config.dispatch.offerTimeoutMinutes * 60 * 1000);
+        const { data: offer, error: offerError } = await supabaseAdmin
+            .from('dispatch_offers')
+            .insert({
+                shipment_id: shipmentId,
+                driver_id: candidate.driverId,
+                score: candidate.score,
+                expires_at: expiresAt.toISOString()
+            })
+            .select()
+            .single();
+
+        if (offerError) throw offerError;
+
+        await shipmentService.addTrackingEvent(
+            shipmentId,
+            shipment.status,
+            shipment.origin,
+            `Driver assigned: ${candidate.name || 'driver'}${candidate.vehicle ? ` (${candidate.vehicle.plateNumber})` : ''}`
+        );
+
+        // Receiver gets the delivery code as soon as the shipment is dispatched
+        try {
+            await podService.ensureOtp(shipmentId);
+        } catch (err) {
+            console.error(`Delivery code not sent for shipment ${shipmentId}:`, err.message);
+        }
+
+        return { shipment: updated, driver: candidate, offer };
+    },
+
+    /**
+     * Get the open (pending, unexpired) offer for a shipment/driver pair
+     */
+    getPendingOffer: async (shipmentId, driverId) => {
+        const { data } = await supabaseAdmin
+            .from('dispatch_offers')
+            .select('*')
+            .eq('shipment_id', shipmentId)
+            .eq('driver_id', driverId)
+            .eq('status', OFFER_PENDING)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        return data;
+    },
+
+    /**
+     * Accept or decline an offer
+     * Declining (or expiry) unassigns the driver and, with auto-dispatch on, offers the next candidate.
+     * @returns {Promise<object>} Updated offer
+     */
+    respondToOffer: async (shipmentId, driverId, accept, reason = null) => {
+        const offer = await dispatchService.getPendingOffer(shipmentId, driverId);
+
+        if (!offer) {
+            throw new ApiError(404, 'No pending offer for this shipment');
+        }
+
+        if (new Date(offer.expires_at) < new Date()) {
+            await dispatchService.withdrawOffer(offer, EXPIRED);
+            throw new ApiError(409, 'This offer has expired');
+        }
+
+        if (!accept) {
+            return dispatchService.withdrawOffer(offer, DECLINED, reason);
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('dispatch_offers')
+            .update({ status: ACCEPTED, responded_at: new Date().toISOString() })
+            .eq('id', offer.id)
+            .eq('status', OFFER_PENDING)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw new ApiError(409, 'This offer is no longer open');
+
+        await shipmentService.addTrackingEvent(shipmentId, PROCESSING, null, 'Driver accepted the job and is heading to pickup');
+
+        return data;
+    },
+
+    /**
+     * Close an offer as declined/expired and free the shipment
+     */
+    withdrawOffer: async (offer, status, reason = null) => {
+        const { data, error } = await supabaseAdmin
+            .from('dispatch_offers')
+            .update({ status, decline_reason: reason, responded_at: new Date().toISOString() })
+            .eq('id', offer.id)
+            .eq('status', OFFER_PENDING)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return offer; // Already handled elsewhere
+
+        await supabaseAdmin
+            .from('shipments')
+            .update({ driver_id: null, updated_at: new Date().toISOString() })
+            .eq('id', offer.shipment_id)
+            .eq('driver_id', offer.driver_id)
+            .eq('status', PROCESSING);
+
+        await dispatchService.releaseDriver(offer.driver_id);
+
+        await shipmentService.addTrackingEvent(
+            offer.shipment_id,
+            PROCESSING,
+            null,
+            status === EXPIRED ? 'Driver offer expired. Reassigning.' : 'Driver declined the job. Reassigning.'
+        );
+
+        if (config.dispatch.autoAssign) {
+            try {
+                await dispatchService.assign(offer.shipment_id);
+            } catch (err) {
+                console.warn(`Re-dispatch skipped for shipment ${offer.shipment_id}: ${err.message}`);
+            }
+        }
+
+        return data;
+    },
+
+    /**
+     * Expire offers that were not answered in time
+     * Called lazily before dispatch decisions and driver job listings.
+     */
+    expireOffers: async () => {
+        const { data: stale, error } = await supabaseAdmin
+            .from('dispatch_offers')
+            .select('*')
+            .eq('status', OFFER_PENDING)
+            .lt('expires_at', new Date().toISOString());
+
+        if (error) throw error;
+
+        for (const offer of stale || []) {
+            await dispatchService.withdrawOffer(offer, EXPIRED);
+        }
+
+        return (stale || []).length;
+    },
+
+    /**
+     * Put a driver back to active once they have no shipments left
+     */
+    releaseDriver: async (driverId) => {
+        if (!driverId) return;
+
+        const workloads = await getWorkloads([driverId]);
+        if (workloads[driverId]) return;
+
+        await supabaseAdmin
+            .from('drivers')
+            .update({ status: ACTIVE, updated_at: new Date().toISOString() })
+            .eq('id', driverId)
+            .eq('status', ON_DELIVERY);
+    }
+};
+
+module.exports = dispatchService;
@@ -0,0 +1,214 @@
+const bwipjs = require('bwip-js');
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const storage = require('./storage');
+const { renderPdf } = require('../utils/pdf');
+
+const WAYBILL_TYPE = 'label';
+
+// 4x6 inch thermal label
+const LABEL_SIZE = [288, 432];
+const MARGIN = 14;
+
+const WAYBILL_FIELDS = `
+    id, tracking_number, origin, destination, weight, dimensions, description,
+    special_instructions, service_type, package_type, declared_value, created_at,
+    receiver_name, receiver_phone, receiver_email,
+    sender:profiles!shipments_sender_id_fkey(first_name, last_name, company_name, phone, email)
+`;
+
+const fullName = (profile) => profile
+    ? [profile.first_name, profile.last_name].filter(Boolean).join(' ')
+    : '';
+
+const trackingUrl = (trackingNumber) =>
+    `${config.trackingPageUrl}/${encodeURIComponent(trackingNumber)}`;
+
+/**
+ * Draw a labelled block of lines inside a box
+ */
+const drawBlock = (doc, { title, lines, x, y, width }) => {
+    doc.font('Helvetica-Bold').fontSize(7).text(title, x + 4, y + 4, { width: width - 8 });
+    doc.font('Helvetica').fontSize(9);
+    lines.filter(Boolean).forEach(line => doc.text(line, { width: width - 8 }));
+
+    const bottom = doc.y + 4;
+    doc.rect(x, y, width, bottom - y).stroke();
+    return bottom;
+};
+
+/**
+ * Service for generated shipment documents (waybills / labels)
+ */
+const documentService = {
+    /**
+     * Render a waybill label for a shipment
+     * @param {object} shipment - Shipment row with the sender profile joined as `sender`
+     * @returns {Promise<Buffer>} PDF bytes
+     */
+    renderWaybill: async (shipment) => {
+        const [barcode, qrCode] = await Promise.all([
+            bwipjs.toBuffer({
+                bcid: 'code128',
+                text: shipment.tracking_number,
+                scale: 3,
+                height: 12,
+                includetext: false
+            }),
+            QRCode.toBuffer(trackingUrl(shipment.tracking_number), { margin: 0, width: 180 })
+        ]);
+
+        return renderPdf({
+            size: LABEL_SIZE,
+            margin: MARGIN,
+            info: { Title: `Waybill ${shipment.tracking_number}`, Author: config.company.name }
+        }, (doc) => {
+            const width = LABEL_SIZE[0] - MARGIN * 2;
+            const sender = shipment.sender || {};
+
+            // Header
+            doc.font('Helvetica-Bold').fontSize(12).text(config.company.name, MARGIN, MARGIN);
+            doc.font('Helvetica').fontSize(7)
+                .text([config.company.address, config.company.phone].filter(Boolean).join(' | '));
+            doc.font('Helvetica-Bold').fontSize(9)
+                .text(String(shipment.service_type || '').toUpperCase(), MARGIN, MARGIN, { width, align: 'right' });
+
+            // Barcode with human readable tracking number
+            let y = MARGIN + 30;
+            doc.image(barcode, MARGIN, y, { width, height: 50 });
+            y += 54;
+            doc.font('Helvetica-Bold').fontSize(13).text(shipment.tracking_number, MARGIN, y, { width, align: 'center' });
+            y = doc.y + 6;
+
+            // Sender / receiver
+            y = drawBlock(doc, {
+                title: 'FROM',
+                lines: [
+                    fullName(sender) || sender.email,
+                    sender.company_name,
+                    sender.phone,
+                    shipment.origin
+                ],
+                x: MARGIN, y, width
+            });
+            y = drawBlock(doc, {
+                title: 'TO',
+                lines: [
+                    shipment.receiver_name,
+                    shipment.receiver_phone,
+                    shipment.destination
+                ],
+                x: MARGIN, y, width
+            });
+
+            // Package details beside the tracking QR code
+            const qrSize = 78;
+            const detailsWidth = width - qrSize - 6;
+            const detailsTop = y + 6;
+            doc.font('Helvetica').fontSize(8).text(`Weight: ${shipment.weight ?? '-'} kg`, MARGIN, detailsTop, { width: detailsWidth });
+            doc.text(`Service: ${shipment.service_type || '-'}`, { width: detailsWidth });
+            doc.text(`Package: ${shipment.package_type || '-'}`, { width: detailsWidth });
+            if (shipment.description) {
+                doc.text(`Contents: ${shipment.description}`, { width: detailsWidth });
+            }
+            doc.text(`Date: ${new Date(shipment.created_at || Date.now()).toISOString().slice(0, 10)}`, { width: detailsWidth });
+            doc.image(qrCode, MARGIN + width - qrSize, detailsTop, { width: qrSize, height: qrSize });
+            y = Math.max(doc.y, detailsTop + qrSize) + 6;
+
+            if (shipment.special_instructions) {
+                drawBlock(doc, {
+                    title: 'SPECIAL INSTRUCTIONS',
+                    lines: [shipment.special_instructions],
+                    x: MARGIN, y, width
+                });
+            }
+
+            doc.font('Helvetica').fontSize(6).text(
+                `Track: ${trackingUrl(shipment.tracking_number)}`,
+                MARGIN, LABEL_SIZE[1] - MARGIN - 8,
+                { width, align: 'center', lineBreak: false }
+            );
+        });
+    },
+
+    /**
+     * Render the waybill for a shipment, store it and register it as a document
+     * The file lives at a stable key so regenerating replaces it in place.
+     * @param {string} shipmentId
+     * @returns {Promise<object>} shipment_documents row
+     */
+    generateWaybill: async (shipmentId) => {
+        const { data: shipment, error } = await supabaseAdmin
+            .from('shipments')
+            .select(WAYBILL_FIELDS)
+            .eq('id', shipmentId)
+            .single();
+
+        if (error || !shipment) {
+            throw new ApiError(404, 'Shipment not found');
+        }
+
+        const pdf = await documentService.renderWaybill(shipment);
+        const key = `shipments/${shipmentId}/waybill.pdf`;
+        await storage.save(key, pdf);
+
+        const { data: existing } = await supabaseAdmin
+            .from('shipment_documents')
+            .select('id')
+            .eq('shipment_id', shipmentId)
+            .eq('type', WAYBILL_TYPE)
+            .maybeSingle();
+
+        const fields = {
+            name: `Waybill ${shipment.tracking_number}`,
+            storage_key: key,
+            content_type: 'application/pdf',
+            size_bytes: pdf.length
+        };
+
+        if (existing) {
+            const { data, error: updateError } = await supabaseAdmin
+                .from('shipment_documents')
+                .update({ ...fields, created_at: new Date().toISOString() })
+                .eq('id', existing.id)
+                .select()
+                .single();
+
+            if (updateError) throw updateError;
+            return data;
+        }
+
+        const id = uuidv4();
+        const { data, error: insertError } = await supabaseAdmin
+            .from('shipment_documents')
+            .insert({
+                id,
+                shipment_id: shipmentId,
+                type: WAYBILL_TYPE,
+                url: `/api/shipments/${shipmentId}/documents/${id}`,
+                ...fields
+            })
+            .select()
+            .single();
+
+        if (insertError) throw insertError;
+        return data;
+    },
+
+    /**
+     * Regenerate the waybill without failing the calling request
+     */
+    refreshWaybill: async (shipmentId) => {
+        try {
+            return await documentService.generateWaybill(shipmentId);
+        } catch (err) {
+            console.error(`Waybill generation failed for shipment ${shipmentId}:`, err.message);
+            return null;
+        }
+    }
+};
+
+module.exports = documentService;
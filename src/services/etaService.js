@@ -0,0 +1,147 @@
+const { supabaseAdmin } = require('../config/supabase');
+const config = require('../config');
+const { calculateDistance } = require('../utils/helpers');
+const { estimateTransitHours } = require('../utils/trackingNumber');
+const trackingStream = require('./trackingStream');
+
+const { IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, CANCELLED, RETURNED } = config.shipmentStatus;
+
+const FINAL_STATUSES = [DELIVERED, CANCELLED, RETURNED];
+
+const SHIPMENT_FIELDS = `
+    id, tracking_number, sender_id, status, service_type,
+    origin_lat, origin_lng, destination_lat, destination_lng,
+    estimated_delivery, delivered_at, delay_predicted_at,
+    driver:drivers(current_lat, current_lng)
+`;
+
+const hasCoordinates = (lat, lng) => lat != null && lng != null;
+
+/**
+ * Service to compute live delivery estimates from driver positions
+ */
+const etaService = {
+    /**
+     * Estimate arrival for a shipment from the best position available
+     * Driver position > origin coordinates > booked schedule.
+     * @param {object} shipment - Shipment row (see SHIPMENT_FIELDS)
+     * @param {{ lat: number, lng: number }|null} driverPosition
+     * @returns {{ eta: string|null, distanceKm: number|null, source: string, late: boolean }}
+     */
+    estimate: (shipment, driverPosition = null, now = new Date()) => {
+        if (FINAL_STATUSES.includes(shipment.status)) {
+            return { eta: shipment.delivered_at || null, distanceKm: 0, source: 'final', late: false };
+        }
+
+        const schedule = { eta: shipment.estimated_delivery, distanceKm: null, source: 'schedule', late: false };
+
+        if (!hasCoordinates(shipment.destination_lat, shipment.destination_lng)) {
+            return schedule;
+        }
+
+        const pickedUp = [IN_TRANSIT, OUT_FOR_DELIVERY].includes(shipment.status);
+        const hasOrigin = hasCoordinates(shipment.origin_lat, shipment.origin_lng);
+        const toDestination = (lat, lng) => calculateDistance(lat, lng, shipment.destination_lat, shipment.destination_lng);
+
+        let straightKm;
+        let source;
+
+        if (driverPosition && hasCoordinates(driverPosition.lat, driverPosition.lng)) {
+            source = 'driver';
+            if (!pickedUp && hasOrigin) {
+                // Driver still has to reach the pickup point
+                straightKm = calculateDistance(driverPosition.lat, driverPosition.lng, shipment.origin_lat, shipment.origin_lng) +
+                    toDestination(shipment.origin_lat, shipment.origin_lng);
+            } else {
+                straightKm = toDestination(driverPosition.lat, driverPosition.lng);
+            }
+        } else if (hasOrigin) {
+            source = 'route';
+            straightKm = toDestination(shipment.origin_lat, shipment.origin_lng);
+        } else {
+            return schedule;
+        }
+
+        const roadKm = straightKm * config.distance.roadFactor;
+        const hours = estimateTransitHours(shipment.service_type, roadKm, { includePickup: !pickedUp });
+        const eta = new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+        const late = Boolean(shipment.estimated_delivery) &&
+            eta - new Date(shipment.estimated_delivery) > config.eta.lateThresholdMinutes * 60 * 1000;
+
+        return {
+            eta: eta.toISOString(),
+            distanceKm: Math.round(roadKm * 10) / 10,
+            source,
+            late
+        };
+    },
+
+    /**
+     * Recompute and store the live estimate for a shipment
+     * Records the first time the shipment is predicted to miss its promised date.
+     * @param {string} shipmentId
+     * @param {{ lat: number, lng: number }|null} driverPosition - Defaults to the assigned driver's last position
+     */
+    refresh: async (shipmentId, driverPosition = null) => {
+        const { data: shipment, error } = await supabaseAdmin
+            .from('shipments')
+            .select(SHIPMENT_FIELDS)
+            .eq('id', shipmentId)
+            .single();
+
+        if (error || !shipment) return null;
+
+        const position = driverPosition || (shipment.driver ? {
+            lat: shipment.driver.current_lat,
+            lng: shipment.driver.current_lng
+        } : null);
+
+        const estimate = etaService.estimate(shipment, position);
+
+        if (estimate.source === 'schedule' || estimate.source === 'final') {
+            return estimate;
+        }
+
+        const now = new Date().toISOString();
+        const updates = {
+            predicted_delivery: estimate.eta,
+            remaining_distance_km: estimate.distanceKm,
+            eta_updated_at: now
+        };
+
+        const newlyLate = estimate.late && !shipment.delay_predicted_at;
+        if (newlyLate) {
+            updates.delay_predicted_at = now;
+        }
+
+        const { error: updateError } = await supabaseAdmin
+            .from('shipments')
+            .update(updates)
+            .eq('id', shipmentId);
+
+        if (updateError) throw updateError;
+
+        if (newlyLate && shipment.sender_id) {
+            await supabaseAdmin.from('notifications').insert({
+                user_id: shipment.sender_id,
+                title: 'Shipment delayed',
+                message: `Shipment ${shipment.tracking_number} is now expected on ${new Date(estimate.eta).toDateString()}.`,
+                type: 'warning',
+                link: '/user/shipments'
+            });
+        }
+
+        trackingStream.publish(shipmentId, 'eta', {
+            eta: estimate.eta,
+            promised: shipment.estimated_delivery,
+            distanceKm: estimate.distanceKm,
+            late: estimate.late,
+            status: shipment.status
+        });
+
+        return estimate;
+    }
+};
+
+module.exports = etaService;
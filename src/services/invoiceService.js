@@ -0,0 +1,376 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { renderPdf } = require('../utils/pdf');
+
+const { INVOICE, RECEIPT, CREDIT_NOTE } = config.invoiceTypes;
+
+const TITLES = {
+    [INVOICE]: 'TAX INVOICE',
+    [RECEIPT]: 'RECEIPT',
+    [CREDIT_NOTE]: 'CREDIT NOTE'
+};
+
+// Column that makes each document type unique (see scripts/add_invoices.sql)
+const UNIQUE_BY = {
+    [INVOICE]: 'shipment_id',
+    [RECEIPT]: 'payment_id',
+    [CREDIT_NOTE]: 'refund_id'
+};
+
+const SHIPMENT_FIELDS = `
+    id, tracking_number, sender_id, origin, destination, service_type, weight,
+    chargeable_weight, shipping_fee, price_breakdown, created_at,
+    sender:profiles!shipments_sender_id_fkey(first_name, last_name, company_name, email, phone)
+`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const money = (value, currency) =>
+    `${currency} ${Number(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const seller = () => ({
+    name: config.company.name,
+    address: config.company.address,
+    phone: config.company.phone,
+    email: config.company.email,
+    taxId: config.company.taxId
+});
+
+const customer = (shipment) => {
+    const sender = shipment.sender || {};
+    return {
+        name: [sender.first_name, sender.last_name].filter(Boolean).join(' ') || sender.email || null,
+        companyName: sender.company_name || null,
+        email: sender.email || null,
+        phone: sender.phone || null,
+        address: shipment.origin || null
+    };
+};
+
+/**
+ * Priced lines of a shipment as invoice line items
+ * Shipments booked before itemised pricing have a single shipping line.
+ */
+const lineItems = (shipment) => {
+    const lines = Array.isArray(shipment.price_breakdown) && shipment.price_breakdown.length > 0
+        ? shipment.price_breakdown
+        : [{ code: 'shipping', label: `Shipping (${shipment.service_type || 'freight'})`, type: 'charge', amount: parseFloat(shipment.shipping_fee) || 0 }];
+
+    return lines.map(line => ({
+        code: line.code,
+        description: line.label,
+        type: line.type,
+        ...(line.rate != null && { rate: line.rate }),
+        amount: round(line.amount)
+    }));
+};
+
+/**
+ * Share of a document's VAT in part of its total (receipts and credit notes)
+ */
+const vatShare = (invoice, amount) => {
+    const total = parseFloat(invoice.total);
+    return total > 0 ? round(parseFloat(invoice.vat_amount) * amount / total) : 0;
+};
+
+/**
+ * Service for invoices, receipts and credit notes
+ * Issued documents are snapshots and are never edited; numbers come from
+ * the issue_invoice database function so each series has no gaps.
+ */
+const invoiceService = {
+    /**
+     * Issue a document with the next number of its series
+     * Issuing the same document twice returns the one issued first.
+     * @param {object} document - invoices row without number fields
+     * @returns {Promise<object>} invoices row
+     */
+    issue: async (document) => {
+        const { data, error } = await supabaseAdmin.rpc('issue_invoice', {
+            p_series: config.invoiceSeries[document.type],
+            p_document: document
+        });
+
+        if (!error) return data;
+        if (error.code !== '23505') throw error;
+
+        // Issued meanwhile by another request; that rollback used no number
+        const key = UNIQUE_BY[document.type];
+        const { data: existing } = await supabaseAdmin
+            .from('invoices')
+            .select('*')
+            .eq('type', document.type)
+            .eq(key, document[key])
+            .single();
+
+        return existing;
+    },
+
+    /**
+     * Existing document of a type for a shipment, payment or refund
+     */
+    findExisting: async (type, id) => {
+        let query = supabaseAdmin
+            .from('invoices')
+            .select('*')
+            .eq('type', type)
+            .eq(UNIQUE_BY[type], id);
+
+        // A shipment's own invoice, not the ones added for later price changes
+        if (type === INVOICE) {
+            query = query.is('invoice_id', null);
+        }
+
+        const { data } = await query.maybeSingle();
+
+        return data || null;
+    },
+
+    /**
+     * Tax invoice for a shipment's priced lines (issued once)
+     */
+    issueForShipment: async (shipmentId) => {
+        const existing = await invoiceService.findExisting(INVOICE, shipmentId);
+        if (existing) return existing;
+
+        const { data: shipment } = await supabaseAdmin
+            .from('shipments')
+            .select(SHIPMENT_FIELDS)
+            .eq('id', shipmentId)
+            .maybeSingle();
+
+        if (!shipment) {
+            throw new ApiError(404, 'Shipment not found');
+        }
+
+        const items = lineItems(shipment);
+        const vat = round(items.filter(item => item.type === config.pricingRules.types.TAX)
+            .reduce((sum, item) => sum + item.amount, 0));
+        const total = round(shipment.shipping_fee != null
+            ? parseFloat(shipment.shipping_fee)
+            : items.reduce((sum, item) => sum + item.amount, 0));
+
+        return invoiceService.issue({
+            type: INVOICE,
+            shipment_id: shipment.id,
+            customer_id: shipment.sender_id,
+            customer: customer(shipment),
+            seller: seller(),
+            line_items: items,
+            subtotal: round(total - vat),
+            vat_amount: vat,
+            total,
+            currency: config.payments.currency,
+            notes: `Shipment ${shipment.tracking_number}: ${shipment.origin} to ${shipment.destination}`
+        });
+    },
+
+    /**
+     * Receipt for a succeeded payment, against its shipment's invoice
+     */
+    issueReceipt: async (payment) => {
+        const existing = await invoiceService.findExisting(RECEIPT, payment.id);
+        if (existing) return existing;
+
+        const invoice = await invoiceService.issueForShipment(payment.shipment_id);
+        const amount = round(parseFloat(payment.amount));
+        const vat = vatShare(invoice, amount);
+
+        return invoiceService.issue({
+            type: RECEIPT,
+            shipment_id: payment.shipment_id,
+            payment_id: payment.id,
+            invoice_id: invoice.id,
+            customer_id: invoice.customer_id,
+            customer: invoice.customer,
+            seller: seller(),
+            line_items: [{
+                code: 'payment',
+                description: `Payment for invoice ${invoice.number} via ${payment.provider}${payment.reference ? ` (${payment.reference})` : ''}`,
+                type: 'payment',
+                amount
+            }],
+            subtotal: round(amount - vat),
+            vat_amount: vat,
+            total: amount,
+            currency: payment.currency || invoice.currency
+        });
+    },
+
+    /**
+     * Credit note for a succeeded refund, against its shipment's invoice
+     */
+    issueCreditNote: async (refund) => {
+        const existing = await invoiceService.findExisting(CREDIT_NOTE, refund.id);
+        if (existing) return existing;
+
+        const invoice = await invoiceService.issueForShipment(refund.shipment_id);
+        const amount = round(parseFloat(refund.amount));
+        const vat = vatShare(invoice, amount);
+
+        return invoiceService.issue({
+            type: CREDIT_NOTE,
+            shipment_id: refund.shipment_id,
+            payment_id: refund.payment_id,
+            refund_id: refund.id,
+            invoice_id: invoice.id,
+            customer_id: invoice.customer_id,
+            customer: invoice.customer,
+            seller: seller(),
+            line_items: [{
+                code: 'refund',
+                description: `Refund against invoice ${invoice.number}${refund.reason ? `: ${refund.reason}` : ''}`,
+                type: 'refund',
+                amount
+            }],
+            subtotal: round(amount - vat),
+            vat_amount: vat,
+            total: amount,
+            currency: invoice.currency,
+            notes: parseFloat(refund.cancellation_fee) > 0
+                ? `Cancellation fee retained: ${money(refund.cancellation_fee, invoice.currency)}`
+                : null
+        });
+    },
+
+    /**
+     * Document for a price change after a shipment was invoiced: an invoice for
+     * the extra amount or a credit note for the reduction, against its invoice
+     * @param {string} shipmentId
+     * @param {number} delta - New fee minus the amount invoiced so far
+     * @returns {Promise<object|null>} null when the shipment was never invoiced
+     */
+    issueAdjustment: async (shipmentId, delta) => {
+        const invoice = await invoiceService.findExisting(INVOICE, shipmentId);
+        if (!invoice || !delta) return null;
+
+        const amount = round(Math.abs(delta));
+        const vat = vatShare(invoice, amount);
+        const increase = delta > 0;
+
+        return invoiceService.issue({
+            type: increase ? INVOICE : CREDIT_NOTE,
+            shipment_id: shipmentId,
+            invoice_id: invoice.id,
+            customer_id: invoice.customer_id,
+            customer: invoice.customer,
+            seller: seller(),
+            line_items: [{
+                code: 'price_change',
+                description: `Price ${increase ? 'increase' : 'reduction'} against invoice ${invoice.number}`,
+                type: increase ? 'charge' : 'refund',
+                amount
+            }],
+            subtotal: round(amount - vat),
+            vat_amount: vat,
+            total: amount,
+            currency: invoice.currency
+        });
+    },
+
+    /**
+     * Invoice and receipt for a payment without failing the calling request
+     */
+    recordPayment: async (payment) => {
+        try {
+            return await invoiceService.issueReceipt(payment);
+        } catch (err) {
+            console.error(`Receipt for payment ${payment.id} failed:`, err.message);
+            return null;
+        }
+    },
+
+    /**
+     * Credit note for a refund without failing the calling request
+     */
+    recordRefund: async (refund) => {
+        try {
+            return await invoiceService.issueCreditNote(refund);
+        } catch (err) {
+            console.error(`Credit note for refund ${refund.id} failed:`, err.message);
+            return null;
+        }
+    },
+
+    /**
+     * Render an issued document as an A4 PDF
+     * @param {object} invoice - invoices row
+     * @param {object} [related] - Invoice a receipt or credit note belongs to
+     * @returns {Promise<Buffer>}
+     */
+    renderPdf: (invoice, related = null) => renderPdf({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `${TITLES[invoice.type]} ${invoice.number}`, Author: invoice.seller.name }
+    }, (doc) => {
+        const left = 50;
+        const width = doc.page.width - 100;
+        const from = invoice.seller || {};
+        const to = invoice.customer || {};
+        const currency = invoice.currency;
+
+        // Seller and document header
+        doc.font('Helvetica-Bold').fontSize(16).text(from.name || '', left, 50);
+        doc.font('Helvetica').fontSize(9);
+        [from.address, from.phone, from.email, from.taxId && `TIN: ${from.taxId}`]
+            .filter(Boolean)
+            .forEach(line => doc.text(line));
+
+        doc.font('Helvetica-Bold').fontSize(14).text(TITLES[invoice.type], left, 50, { width, align: 'right' });
+        doc.font('Helvetica').fontSize(9)
+            .text(`No. ${invoice.number}`, { width, align: 'right' })
+            .text(`Date: ${new Date(invoice.issued_at).toISOString().slice(0, 10)}`, { width, align: 'right' });
+        if (related) {
+            doc.text(`Invoice: ${related.number}`, { width, align: 'right' });
+        }
+
+        // Customer
+        let y = Math.max(doc.y, 130) + 20;
+        doc.font('Helvetica-Bold').fontSize(9).text(invoice.type === CREDIT_NOTE ? 'CREDITED TO' : 'BILL TO', left, y);
+        doc.font('Helvetica');
+        [to.companyName, to.name, to.email, to.phone, to.address]
+            .filter(Boolean)
+            .forEach(line => doc.text(line));
+
+        // Line items
+        y = doc.y + 20;
+        const amountWidth = 120;
+        doc.font('Helvetica-Bold')
+            .text('Description', left, y, { width: width - amountWidth })
+            .text(`Amount (${currency})`, left + width - amountWidth, y, { width: amountWidth, align: 'right' });
+        y = doc.y + 4;
+        doc.moveTo(left, y).lineTo(left + width, y).stroke();
+        y += 6;
+
+        doc.font('Helvetica');
+        invoice.line_items.forEach(item => {
+            const label = item.rate != null ? `${item.description} (${item.rate}%)` : item.description;
+            doc.text(label, left, y, { width: width - amountWidth });
+            const next = doc.y;
+            doc.text(money(item.amount, '').trim(), left + width - amountWidth, y, { width: amountWidth, align: 'right' });
+            y = Math.max(next, doc.y) + 4;
+        });
+
+        doc.moveTo(left, y).lineTo(left + width, y).stroke();
+        y += 8;
+
+        // Totals
+        [
+            ['Subtotal (excl. VAT)', invoice.subtotal],
+            ['VAT', invoice.vat_amount],
+            [invoice.type === CREDIT_NOTE ? 'Total credited' : invoice.type === RECEIPT ? 'Total paid' : 'Total due', invoice.total]
+        ].forEach(([label, value], index, rows) => {
+            doc.font(index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica')
+                .text(label, left + width - 300, y, { width: 300 - amountWidth })
+                .text(money(value, currency), left + width - amountWidth, y, { width: amountWidth, align: 'right' });
+            y = doc.y + 4;
+        });
+
+        if (invoice.notes) {
+            doc.font('Helvetica').fontSize(8).text(invoice.notes, left, y + 16, { width });
+        }
+    })
+};
+
+module.exports = invoiceService;
@@ -0,0 +1,180 @@
+const { supabaseAdmin } = require('../config/supabase');
+const config = require('../config');
+const trackingStream = require('./trackingStream');
+const etaService = require('./etaService');
+
+/**
+ * Shipment statuses during which a driver's pings are stored as breadcrumbs
+ */
+const TRACKED_STATUSES = [
+    config.shipmentStatus.PROCESSING,
+    config.shipmentStatus.IN_TRANSIT,
+    config.shipmentStatus.OUT_FOR_DELIVERY
+];
+
+/**
+ * Service to handle driver location pings and breadcrumb trails
+ */
+const locationService = {
+    /**
+     * Normalize raw pings: parse, drop stale/future ones and de-duplicate
+     * @param {Array<object>} rawPings - { lat, lng, recordedAt, speed, heading, accuracy }
+     * @returns {{ accepted: Array<object>, rejected: Array<object>, duplicates: number }}
+     */
+    normalizePings: (rawPings, now = Date.now()) => {
+        const { maxAge, maxFutureSkew } = config.locationPings;
+        const accepted = [];
+        const rejected = [];
+        const seen = new Set();
+        let duplicates = 0;
+
+        rawPings.forEach((ping, index) => {
+            const recordedAt = ping.recordedAt ? new Date(ping.recordedAt) : new Date(now);
+
+            if (recordedAt.getTime() > now + maxFutureSkew) {
+                rejected.push({ index, reason: 'recordedAt is in the future' });
+                return;
+            }
+            if (recordedAt.getTime() < now - maxAge) {
+                rejected.push({ index, reason: 'recordedAt is too old' });
+                return;
+            }
+
+            const key = recordedAt.toISOString();
+            if (seen.has(key)) {
+                duplicates++;
+                return;
+            }
+            seen.add(key);
+
+            accepted.push({
+                lat: parseFloat(ping.lat),
+                lng: parseFloat(ping.lng),
+                speed: ping.speed != null ? parseFloat(ping.speed) : null,
+                heading: ping.heading != null ? parseFloat(ping.heading) : null,
+                accuracy: ping.accuracy != null ? parseFloat(ping.accuracy) : null,
+                recorded_at: key
+            });
+        });
+
+        accepted.sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+
+        return { accepted, rejected, duplicates };
+    },
+
+    /**
+     * Record pings for a driver: update current position and breadcrumb trails
+     * @param {object} driver - Driver row (id, last_location_update)
+     * @param {Array<object>} rawPings
+     */
+    recordPings: async (driver, rawPings) => {
+        const { accepted, rejected, duplicates } = locationService.normalizePings(rawPings);
+
+        if (accepted.length === 0) {
+            return { accepted: 0, duplicates, rejected, position: null, shipmentIds: [] };
+        }
+
+        // Only move the driver forward in time (offline batches may arrive late)
+        const latest = accepted[accepted.length - 1];
+        let position = null;
+        const lastUpdate = driver.last_location_update ? new Date(driver.last_location_update) : null;
+
+        if (!lastUpdate || new Date(latest.recorded_at) > lastUpdate) {
+            const { error } = await supabaseAdmin
+                .from('drivers')
+                .update({
+                    current_lat: latest.lat,
+                    current_lng: latest.lng,
+                    last_location_update: latest.recorded_at
+                })
+                .eq('id', driver.id);
+
+            if (error) throw error;
+            position = { lat: latest.lat, lng: latest.lng, lastUpdated: latest.recorded_at };
+        }
+
+        // Store breadcrumbs for every shipment the driver is currently carrying
+        const { data: shipments, error: shipmentsError } = await supabaseAdmin
+            .from('shipments')
+            .select('id')
+            .eq('driver_id', driver.id)
+            .in('status', TRACKED_STATUSES);
+
+        if (shipmentsError) throw shipmentsError;
+
+        const shipmentIds = (shipments || []).map(s => s.id);
+
+        if (shipmentIds.length > 0) {
+            const rows = shipmentIds.flatMap(shipmentId => accepted.map(ping => ({
+                ...ping,
+                shipment_id: shipmentId,
+                driver_id: driver.id
+            })));
+
+            // Unique (shipment_id, recorded_at) drops points already uploaded
+            const { error } = await supabaseAdmin
+                .from('shipment_breadcrumbs')
+                .upsert(rows, { onConflict: 'shipment_id,recorded_at', ignoreDuplicates: true });
+
+            if (error) throw error;
+
+            if (position) {
+                shipmentIds.forEach(shipmentId => trackingStream.publish(shipmentId, 'location', position));
+
+                // Recompute ETAs from the new position; a failure must not lose the ping
+                await Promise.all(shipmentIds.map(shipmentId =>
+                    etaService.refresh(shipmentId, position).catch(err => {
+                        console.error(`ETA refresh failed for shipment ${shipmentId}:`, err);
+                    })
+                ));
+            }
+        }
+
+        return { accepted: accepted.length, duplicates, rejected, position, shipmentIds };
+    },
+
+    /**
+     * Get the whole breadcrumb trail for a shipment, oldest first
+     * Read in pages, so long trips are not cut off at the API's row limit.
+     */
+    getBreadcrumbs: async (shipmentId) => {
+        const size = config.locationPings.breadcrumbPageSize;
+        const breadcrumbs = [];
+
+        for (let offset = 0; ; offset += size) {
+            const { data, error } = await supabaseAdmin
+                .from('shipment_breadcrumbs')
+                .select('lat, lng, speed, heading, recorded_at')
+                .eq('shipment_id', shipmentId)
+                .order('recorded_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + size - 1);
+
+            if (error) throw error;
+            breadcrumbs.push(...data);
+            if (data.length < size) return breadcrumbs;
+        }
+    },
+
+    /**
+     * Convert breadcrumbs to a GeoJSON Feature with a LineString geometry
+     * A LineString needs two positions, so shorter trails have a null geometry.
+     */
+    toLineString: (shipmentId, breadcrumbs) => {
+        const coordinates = breadcrumbs.map(b => [parseFloat(b.lng), parseFloat(b.lat)]);
+
+        return {
+            type: 'Feature',
+            geometry: coordinates.length >= 2 ? { type: 'LineString', coordinates } : null,
+            properties: {
+                shipmentId,
+                pointCount: coordinates.length,
+                startedAt: breadcrumbs[0]?.recorded_at || null,
+                endedAt: breadcrumbs[breadcrumbs.length - 1]?.recorded_at || null,
+                timestamps: breadcrumbs.map(b => b.recorded_at)
+            }
+        };
+    }
+};
+
+module.exports = locationService;
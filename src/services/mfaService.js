@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { generateSecret, generateURI, verify } = require('otplib');
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+/**
+ * AES-256-GCM key from MFA_ENCRYPTION_KEY (any length; hashed to 32 bytes)
+ */
+const encryptionKey = () => {
+    if (!config.mfa.encryptionKey) {
+        throw new ApiError(500, 'Two-factor authentication is not configured: set MFA_ENCRYPTION_KEY');
+    }
+    return crypto.createHash('sha256').update(config.mfa.encryptionKey).digest();
+};
+
+/**
+ * Encrypt a string as iv.tag.ciphertext (base64url)
+ */
+const encrypt = (plain) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decrypt = (value) => {
+    const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Recovery codes are random, so a plain hash is enough; dashes and case are ignored
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(normalizeRecoveryCode(code))
+    .digest('hex');
+
+const newRecoveryCode = () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+/**
+ * Service for TOTP two-factor authentication
+ * Secrets are stored encrypted in user_mfa; a factor counts once enabled_at is
+ * set, i.e. after the user proved their app with a first code. Logins of
+ * enrolled users park the Supabase session in mfa_challenges until the second
+ * step succeeds.
+ */
+const mfaService = {
+    /**
+     * A user's factor (enrolled or still being set up), or null
+     */
+    getFactor: async (userId) => {
+        const { data } = await supabaseAdmin
+            .from('user_mfa')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        return data || null;
+    },
+
+    isEnabled: async (userId) => {
+        const factor = await mfaService.getFactor(userId);
+        return Boolean(factor?.enabled_at);
+    },
+
+    isRequiredForRole: (role) => config.mfa.requiredRoles.includes(role),
+
+    /**
+     * Status for the settings screen
+     */
+    getStatus: async (userId, role) => {
+        const factor = await mfaService.getFactor(userId);
+        let recoveryCodesRemaining = 0;
+
+        if (factor?.enabled_at) {
+            const { count } = await supabaseAdmin
+                .from('mfa_recovery_codes')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .is('used_at', null);
+            recoveryCodesRemaining = count || 0;
+        }
+
+        return {
+            enabled: Boolean(factor?.enabled_at),
+            enabledAt: factor?.enabled_at || null,
+            required: mfaService.isRequiredForRole(role),
+            recoveryCodesRemaining
+        };
+    },
+
+    /**
+     * Start (or restart) enrolment with a new secret
+     * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL
+     * @throws {ApiError} 409 if two-factor authentication is already on
+     */
+    startEnrolment: async (user) => {
+        const existing = await mfaService.getFactor(user.id);
+        if (existing?.enabled_at) {
+            throw new ApiError(409, 'Two-factor authentication is already enabled. Disable it first to enrol a new device.');
+        }
+
+        const secret = generateSecret();
+        const otpauthUrl = generateURI({ issuer: config.mfa.issuer, label: user.email, secret });
+
+        const { error } = await supabaseAdmin
+            .from('user_mfa')
+            .upsert({
+                user_id: user.id,
+                secret_encrypted: encrypt(secret),
+                enabled_at: null,
+                last_time_step: null,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        };
+    },
+
+    /**
+     * Check a code from the authenticator app
+     * Each code is accepted once: the time step it matched is stored and
+     * earlier or equal steps are refused afterwards.
+     * @returns {Promise<boolean>}
+     */
+    verifyTotp: async (factor, code) => {
+        const token = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(token)) return false;
+
+        const result = await verify({
+            secret: decrypt(factor.secret_encrypted),
+            token,
+            epochTolerance: config.mfa.epochTolerance,
+            ...(factor.last_time_step != null && { afterTimeStep: Number(factor.last_time_step) })
+        });
+
+        if (!result.valid) return false;
+
+        // Two requests racing with the same code: only one moves the step forward
+        let query = supabaseAdmin
+            .from('user_mfa')
+            .update({ last_time_step: result.timeStep, last_used_at: new Date().toISOString() })
+            .eq('user_id', factor.user_id);
+
+        query = factor.last_time_step != null
+            ? query.eq('last_time_step', factor.last_time_step)
+            : query.is('last_time_step', null);
+
+        const { data } = await query.select('user_id').maybeSingle();
+        return Boolean(data);
+    },
+
+    /**
+     * Use up a recovery code
+     * @returns {Promise<boolean>}
+     */
+    useRecoveryCode: async (userId, code) => {
+        if (!code) return false;
+
+        const { data } = await supabaseAdmin
+            .from('mfa_recovery_codes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('code_hash', hashRecoveryCode(code))
+            .is('used_at', null)
+            .select('id')
+            .maybeSingle();
+
+        return Boolean(data);
+    },
+
+    /**
+     * Check a second factor: an authenticator code or, failing that, a recovery code
+     * @returns {Promise<'totp'|'recovery_code'|null>} How it was proven, null if not
+     */
+    verifySecondFactor: async (factor, { code, recoveryCode }) => {
+        if (code && await mfaService.verifyTotp(factor, code)) return 'totp';
+        if (recoveryCode && await mfaService.useRecoveryCode(factor.user_id, recoveryCode)) return 'recovery_code';
+        return null;
+    },
+
+    /**
+     * Replace a user's recovery codes
+     * @returns {Promise<string[]>} The new codes; shown once, only hashes are kept
+     */
+    generateRecoveryCodes: async (userId) => {
+        const codes = Array.from({ length: config.mfa.recoveryCodeCount }, newRecoveryCode);
+
+        const { error: deleteError } = await supabaseAdmin
+            .from('mfa_recovery_codes')
+            .delete()
+            .eq('user_id', userId);
+
+        if (deleteError) throw deleteError;
+
+        const { error } = await supabaseAdmin
+            .from('mfa_recovery_codes')
+            .insert(codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+        if (error) throw error;
+        return codes;
+    },
+
+    /**
+     * Finish enrolment with the first code from the app
+     * @returns {Promise<string[]|null>} Recovery codes, or null if the code was wrong
+     * @throws {ApiError} 409 when enrolment was not started or is already complete
+     */
+    confirmEnrolment: async (userId, code) => {
+        const factor = await mfaService.getFactor(userId);
+
+        if (!factor) {
+            throw new ApiError(409, 'Start enrolment first');
+        }
+        if (factor.enabled_at) {
+            throw new ApiError(409, 'Two-factor authentication is already enabled');
+        }
+        if (!await mfaService.verifyTotp(factor, code)) return null;
+
+        const { error } = await supabaseAdmin
+            .from('user_mfa')
+            .update({ enabled_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        return mfaService.generateRecoveryCodes(userId);
+    },
+
+    /**
+     * Remove a user's factor and recovery codes
+     */
+    remove: async (userId) => {
+        const { error: codesError } = await supabaseAdmin
+            .from('mfa_recovery_codes')
+            .delete()
+            .eq('user_id', userId);
+
+        if (codesError) throw codesError;
+
+        const { error } = await supabaseAdmin
+            .from('user_mfa')
+            .delete()
+            .eq('user_id', userId);
+
+        if (error) throw error;
+    },
+
+    /**
+     * Park a password-checked session until the second factor is given
+     * @returns {Promise<{ challengeToken: string, expiresAt: string }>}
+     */
+    createChallenge: async (session) => {
+        const expiresAt = new Date(Date.now() + config.mfa.challengeTtlMinutes * 60 * 1000).toISOString();
+
+        const { data, error } = await supabaseAdmin
+            .from('mfa_challenges')
+            .insert({
+                user_id: session.user.id,
+                session_encrypted: encrypt(JSON.stringify(session)),
+                expires_at: expiresAt
+            })
+            .select('id, expires_at')
+            .single();
+
+        if (error) throw error;
+        return { challengeToken: data.id, expiresAt: data.expires_at };
+    },
+
+    /**
+     * Open challenge by token
+     * @throws {ApiError} 401 when it is unknown, used, expired or out of attempts
+     */
+    getChallenge: async (challengeToken) => {
+        const { data: challenge } = await supabaseAdmin
+            .from('mfa_challenges')
+            .select('*')
+            .eq('id', challengeToken)
+            .maybeSingle();
+
+        if (!challenge || challenge.completed_at) {
+            throw new ApiError(401, 'Invalid or used login challenge. Sign in again.');
+        }
+        if (new Date(challenge.expires_at) < new Date() || challenge.attempts >= config.mfa.maxAttempts) {
+            throw new ApiError(401, 'Login challenge expired. Sign in again.');
+        }
+        return challenge;
+    },
+
+    /**
+     * Count a code attempt against a challenge and its user, before the code
+     * is checked, so parallel requests cannot get past maxAttempts
+     * @returns {Promise<number>} Attempts left after this one
+     * @throws {ApiError} 429 while the user is locked out, 401 when the challenge has no attempts left
+     */
+    claimAttempt: async (challenge) => {
+        const { data, error } = await supabaseAdmin.rpc('claim_mfa_attempt', {
+            p_challenge_id: challenge.id,
+            p_max_attempts: config.mfa.maxAttempts,
+            p_max_user_failures: config.mfa.maxUserFailures,
+            p_lockout_minutes: config.mfa.lockoutMinutes
+        });
+
+        if (error?.code === '23514') {
+            throw error.message === 'mfa_locked'
+                ? new ApiError(429, `Too many invalid codes. Try again in ${config.mfa.lockoutMinutes} minutes.`)
+                : new ApiError(401, 'Login challenge expired. Sign in again.');
+        }
+        if (error) throw error;
+
+        return Math.max(config.mfa.maxAttempts - data, 0);
+    },
+
+    /**
+     * Reset a user's failed code count after a successful second factor
+     */
+    clearFailures: async (userId) => {
+        const { error } = await supabaseAdmin
+            .from('user_mfa')
+            .update({ failed_attempts: 0, locked_until: null })
+            .eq('user_id', userId);
+
+        if (error) throw error;
+    },
+
+    /**
+     * Give up on a challenge that ran out of attempts: sign out the session it held
+     */
+    abandonChallenge: async (challenge) => {
+        const { data } = await supabaseAdmin
+            .from('mfa_challenges')
+            .update({ session_encrypted: null })
+            .eq('id', challenge.id)
+            .not('session_encrypted', 'is', null)
+            .select('id')
+            .maybeSingle();
+
+        if (!data) return;
+
+        try {
+            const session = JSON.parse(decrypt(challenge.session_encrypted));
+            await supabaseAdmin.auth.admin.signOut(session.access_token, 'local');
+        } catch (err) {
+            console.error(`Signing out the session of challenge ${challenge.id} failed:`, err.message);
+        }
+    },
+
+    /**
+     * Close a challenge and hand back the session it held (once)
+     * @throws {ApiError} 401 if another request completed it first
+     */
+    completeChallenge: async (challenge) => {
+        const { data } = await supabaseAdmin
+            .from('mfa_challenges')
+            .update({ completed_at: new Date().toISOString(), session_encrypted: null })
+            .eq('id', challenge.id)
+            .is('completed_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (!data) {
+            throw new ApiError(401, 'Invalid or used login challenge. Sign in again.');
+        }
+        return JSON.parse(decrypt(challenge.session_encrypted));
+    }
+};
+
+module.exports = mfaService;
@@ -0,0 +1,78 @@
+const nodemailer = require('nodemailer');
+
+// Initialize SMTP transport only if configured to prevent crash
+const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    })
+    : null;
+
+/**
+ * Service to send outbound email and SMS messages
+ * Without SMTP / SMS gateway settings, messages are dropped. Only the recipient
+ * (and an email's subject) is logged: bodies carry reset links and codes.
+ */
+const notificationService = {
+    /**
+     * Send an email
+     * @returns {Promise<boolean>} Whether the message was handed to a transport
+     */
+    sendEmail: async ({ to, subject, text, html }) => {
+        if (!to) return false;
+
+        if (!transporter) {
+            console.log(`📧 [email not configured] To: ${to} | ${subject}`);
+            return false;
+        }
+
+        await transporter.sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to,
+            subject,
+            text,
+            html
+        });
+        return true;
+    },
+
+    /**
+     * Send an SMS through the HTTP gateway configured in SMS_API_URL
+     * The gateway receives { to, from, message } as JSON with a bearer key.
+     * @returns {Promise<boolean>} Whether the message was accepted by the gateway
+     */
+    sendSms: async ({ to, message }) => {
+        if (!to) return false;
+
+        if (!process.env.SMS_API_URL) {
+            console.log(`📱 [sms not configured] To: ${to} | ${(message || '').length} characters`);
+            return false;
+        }
+
+        const response = await fetch(process.env.SMS_API_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${process.env.SMS_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                to,
+                from: process.env.SMS_SENDER_ID,
+                message
+            })
+        });
+
+        if (!response.ok) {
+            console.error('SMS sending failed:', response.status, await response.text());
+            return false;
+        }
+        return true;
+    }
+};
+
+module.exports = notificationService;
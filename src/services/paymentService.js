@@ -0,0 +1,477 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const shipmentLifecycle = require('./shipmentLifecycle');
+const refundService = require('./refundService');
+const invoiceService = require('./invoiceService');
+const walletService = require('./walletService');
+const { getProvider } = require('./payments');
+
+const { PENDING, SUCCEEDED, FAILED } = config.paymentStatus;
+const { SHIPMENT, WALLET_TOPUP } = config.paymentPurposes;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Service for taking payments through any provider and settling them once
+ */
+const paymentService = {
+    /**
+     * Start a checkout for a shipment with a provider
+     * @param {string} shipmentId
+     * @param {object} user - Paying user (req.user)
+     * @param {string} [providerName] - Defaults to PAYMENT_PROVIDER
+     * @returns {Promise<{ payment: object, url: string, accessCode?: string }>}
+     */
+    startCheckout: async (shipmentId, user, providerName) => {
+        const provider = getProvider(providerName);
+
+        const { data: shipment, error: fetchError } = await supabaseAdmin
+            .from('shipments')
+            .select('*, sender:profiles!shipments_sender_id_fkey(email)')
+            .eq('id', shipmentId)
+            .single();
+
+        if (fetchError || !shipment) {
+            throw new ApiError(404, 'Shipment not found');
+        }
+        if (shipment.sender_id !== user.id) {
+            throw new ApiError(403, 'You can only pay for your own shipments');
+        }
+        if (shipment.payment_status === config.shipmentPaymentStatus.PAID) {
+            throw new ApiError(409, 'This shipment has already been paid for');
+        }
+        if (shipment.payment_status === config.shipmentPaymentStatus.ON_ACCOUNT) {
+            throw new ApiError(409, 'This shipment is billed to your credit account');
+        }
+        if (shipment.payment_status === config.shipmentPaymentStatus.COD) {
+            throw new ApiError(409, 'This shipment is paid in cash on delivery');
+        }
+
+        const { data: payment, error } = await supabaseAdmin
+            .from('payments')
+            .insert({
+                shipment_id: shipment.id,
+                user_id: user.id,
+                amount: shipment.shipping_fee || 5000,
+                currency: config.payments.currency,
+                provider: provider.name,
+                purpose: SHIPMENT,
+                status: PENDING
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return paymentService.openCheckout(provider, payment, {
+            shipment,
+            email: shipment.sender?.email || user.email,
+            successUrl: `${config.payments.returnUrl}/user/shipments?payment=success&id=${shipment.id}`,
+            cancelUrl: `${config.payments.returnUrl}/user/shipments?payment=cancelled`
+        });
+    },
+
+    /**
+     * Start a checkout that tops up the user's wallet
+     * @param {object} user - Paying user (req.user)
+     * @param {number} amount
+     * @param {string} [providerName] - Defaults to PAYMENT_PROVIDER
+     */
+    startTopup: async (user, amount, providerName) => {
+        const provider = getProvider(providerName);
+
+        const { data: payment, error } = await supabaseAdmin
+            .from('payments')
+            .insert({
+                shipment_id: null,
+                user_id: user.id,
+                amount: round(amount),
+                currency: config.payments.currency,
+                provider: provider.name,
+                purpose: WALLET_TOPUP,
+                status: PENDING
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return paymentService.openCheckout(provider, payment, {
+            shipment: null,
+            email: user.email,
+            successUrl: `${config.payments.returnUrl}/user/wallet?topup=success`,
+            cancelUrl: `${config.payments.returnUrl}/user/wallet?topup=cancelled`
+        });
+    },
+
+    /**
+     * Create the provider checkout for a pending payment and store its reference
+     * The payment is marked failed if the provider refuses it.
+     */
+    openCheckout: async (provider, payment, { shipment, email, successUrl, cancelUrl }) => {
+        let checkout;
+        try {
+            checkout = await provider.createCheckout({
+                payment,
+                shipment,
+                email,
+                callbackUrl: `${config.payments.returnUrl}/user/payment/callback`,
+                successUrl,
+                cancelUrl
+            });
+        } catch (err) {
+            await supabaseAdmin
+                .from('payments')
+                .update({ status: FAILED, failure_reason: err.message, updated_at: new Date().toISOString() })
+                .eq('id', payment.id);
+            throw err;
+        }
+
+        const { data: started, error: updateError } = await supabaseAdmin
+            .from('payments')
+            .update({ reference: checkout.reference, updated_at: new Date().toISOString() })
+            .eq('id', payment.id)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+
+        return { payment: started, url: checkout.url, accessCode: checkout.accessCode };
+    },
+
+    /**
+     * Pay for a shipment from the user's wallet balance
+     * The wallet is debited and the payment settled straight away; a balance
+     * that cannot cover the fee fails the payment with 402.
+     */
+    payFromWallet: async (shipmentId, user) => {
+        const { data: shipment } = await supabaseAdmin
+            .from('shipments')
+            .select('id, tracking_number, sender_id, shipping_fee, payment_status')
+            .eq('id', shipmentId)
+            .maybeSingle();
+
+        if (!shipment) {
+            throw new ApiError(404, 'Shipment not found');
+        }
+        if (shipment.sender_id !== user.id) {
+            throw new ApiError(403, 'You can only pay for your own shipments');
+        }
+        if (shipment.payment_status === config.shipmentPaymentStatus.PAID) {
+            throw new ApiError(409, 'This shipment has already been paid for');
+        }
+        if (shipment.payment_status === config.shipmentPaymentStatus.ON_ACCOUNT) {
+            throw new ApiError(409, 'This shipment is billed to your credit account');
+        }
+        if (shipment.payment_status === config.shipmentPaymentStatus.COD) {
+            throw new ApiError(409, 'This shipment is paid in cash on delivery');
+        }
+
+        const { data: payment, error } = await supabaseAdmin
+            .from('payments')
+            .insert({
+                shipment_id: shipment.id,
+                user_id: user.id,
+                amount: shipment.shipping_fee,
+                currency: config.payments.currency,
+                provider: config.wallet.provider,
+                purpose: SHIPMENT,
+                status: PENDING
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        let transaction;
+        try {
+            let duplicate;
+            ({ transaction, duplicate } = await walletService.debitPayment(payment, shipment));
+            if (duplicate) {
+                throw new ApiError(409, 'This shipment has already been paid from your wallet');
+            }
+        } catch (err) {
+            await supabaseAdmin
+                .from('payments')
+                .update({ status: FAILED, failure_reason: err.message, updated_at: new Date().toISOString() })
+                .eq('id', payment.id);
+            throw err;
+        }
+
+        await supabaseAdmin
+            .from('payments')
+            .update({ reference: transaction.id })
+            .eq('id', payment.id);
+
+        return paymentService.settle(
+            { ...payment, reference: transaction.id },
+            { status: SUCCEEDED, amount: parseFloat(payment.amount), providerPaymentId: transaction.id },
+            'wallet'
+        );
+    },
+
+    /**
+     * Payment by provider and provider reference
+     */
+    findByReference: async (providerName, reference) => {
+        if (!reference) return null;
+
+        const { data } = await supabaseAdmin
+            .from('payments')
+            .select('*')
+            .eq('provider', providerName)
+            .eq('reference', reference)
+            .maybeSingle();
+
+        return data || null;
+    },
+
+    /**
+     * Least a payment must cover: its own amount, or its shipment's current fee
+     * when that is higher
+     */
+    expectedAmount: async (payment) => {
+        const charged = parseFloat(payment.amount);
+        if (!payment.shipment_id) return round(charged);
+
+        const { data: shipment } = await supabaseAdmin
+            .from('shipments')
+            .select('shipping_fee')
+            .eq('id', payment.shipment_id)
+            .maybeSingle();
+
+        return round(Math.max(charged, parseFloat(shipment?.shipping_fee) || 0));
+    },
+
+    /**
+     * Settle a payment with a provider's outcome
+     * Safe to call any number of times for the same payment: only the call that
+     * moves it out of pending changes it, and the shipment / wallet side effects
+     * are re-applied only until they have landed.
+     * @param {object} payment - payments row
+     * @param {object} outcome - { status, amount, providerPaymentId, failureReason? } from the provider
+     * @param {string} [source] - What reported the outcome, for the tracking event
+     * @returns {Promise<{ payment: object, result: 'settled'|'already_settled'|'pending'|'amount_mismatch' }>}
+     */
+    settle: async (payment, { status, amount, providerPaymentId, failureReason }, source = 'provider') => {
+        if (payment.status === SUCCEEDED) {
+            await paymentService.apply(payment, source);
+            return { payment, result: 'already_settled' };
+        }
+        if (payment.status !== PENDING) {
+            return { payment, result: 'already_settled' };
+        }
+        if (status !== SUCCEEDED && status !== FAILED) {
+            return { payment, result: 'pending' };
+        }
+
+        // Never mark a payment paid for less than was charged, or than its
+        // shipment costs now if it was repriced after checkout started
+        const expected = status === SUCCEEDED && amount != null ? await paymentService.expectedAmount(payment) : null;
+        if (expected != null && round(amount) < expected) {
+            console.error(`Payment ${payment.id}: provider reported ${amount}, expected ${expected}`);
+            await supabaseAdmin
+                .from('payments')
+                .update({
+                    failure_reason: `Amount mismatch: provider reported ${amount}, expected ${expected}`,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', payment.id);
+            return { payment, result: 'amount_mismatch' };
+        }
+
+        const now = new Date().toISOString();
+        const { data: updated, error } = await supabaseAdmin
+            .from('payments')
+            .update({
+                status,
+                provider_payment_id: providerPaymentId || payment.provider_payment_id,
+                paid_at: status === SUCCEEDED ? now : null,
+                failure_reason: status === FAILED ? failureReason || 'Payment failed at provider' : null,
+                updated_at: now
+            })
+            .eq('id', payment.id)
+            .eq('status', PENDING)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!updated) {
+            // Another delivery settled it first; make sure its side effects landed
+            const { data: current } = await supabaseAdmin
+                .from('payments')
+                .select('*')
+                .eq('id', payment.id)
+                .single();
+            if (current?.status === SUCCEEDED) {
+                await paymentService.apply(current, source);
+            }
+            return { payment: current || payment, result: 'already_settled' };
+        }
+
+        if (status === SUCCEEDED) {
+            await paymentService.apply(updated, source);
+        }
+        return { payment: updated, result: 'settled' };
+    },
+
+    /**
+     * Side effects of a succeeded payment: credit the wallet for a top-up,
+     * otherwise mark its shipment paid
+     */
+    apply: async (payment, source) => {
+        if (payment.purpose === WALLET_TOPUP) {
+            await walletService.creditTopup(payment);
+            return;
+        }
+        await paymentService.applyToShipment(payment, source);
+    },
+
+    /**
+     * Mark the shipment paid and move it to processing (no-op once it is paid)
+     * The invoice and receipt are issued on every call until they exist.
+     */
+    applyToShipment: async (payment, source) => {
+        if (!payment.shipment_id) return;
+
+        const { data: shipment } = await supabaseAdmin
+            .from('shipments')
+            .select('id, payment_status')
+            .eq('id', payment.shipment_id)
+            .single();
+
+        if (!shipment) return;
+
+        await invoiceService.recordPayment(payment);
+
+        if (shipment.payment_status === config.shipmentPaymentStatus.PAID) return;
+
+        await supabaseAdmin.from('shipments')
+            .update({
+                payment_status: config.shipmentPaymentStatus.PAID,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', shipment.id);
+
+        // Move from pending to processing (no-op if it has already moved on)
+        await shipmentLifecycle.transition(shipment.id, config.shipmentStatus.PROCESSING, {
+            role: shipmentLifecycle.SYSTEM,
+            location: 'System',
+            description: `Payment verified via ${source}. Shipment moved to processing.`,
+            strict: false
+        });
+    },
+
+    /**
+     * Ask the provider about a payment and settle it
+     */
+    verify: async (payment) => {
+        if (payment.status !== PENDING || !payment.reference) {
+            return { payment, result: 'already_settled' };
+        }
+
+        // The reference is the wallet debit, so the money has been taken
+        if (payment.provider === config.wallet.provider) {
+            return paymentService.settle(payment, { status: SUCCEEDED, amount: parseFloat(payment.amount) }, 'wallet');
+        }
+
+        const outcome = await getProvider(payment.provider).verify(payment.reference);
+        return paymentService.settle(payment, outcome, 'verification');
+    },
+
+    /**
+     * Store a webhook event once per provider event ID
+     * @returns {Promise<{ id: string, duplicate: boolean }>} Events that were
+     *          received before but never processed (e.g. we crashed) are not duplicates
+     */
+    recordEvent: async (providerName, event) => {
+        const { data, error } = await supabaseAdmin
+            .from('payment_events')
+            .insert({
+                provider: providerName,
+                event_id: event.id,
+                event_type: event.type,
+                reference: event.reference || null,
+                payload: event.payload
+            })
+            .select('id')
+            .single();
+
+        if (!error) return { id: data.id, duplicate: false };
+        if (error.code !== '23505') throw error;
+
+        const { data: existing } = await supabaseAdmin
+            .from('payment_events')
+            .select('id, processed_at')
+            .eq('provider', providerName)
+            .eq('event_id', event.id)
+            .single();
+
+        return { id: existing.id, duplicate: Boolean(existing.processed_at) };
+    },
+
+    /**
+     * Verify, record and settle a provider webhook
+     * @param {string} providerName
+     * @param {Buffer} rawBody - Exact request body, needed for signature checks
+     * @param {object} headers
+     * @returns {Promise<{ duplicate: boolean, result?: string }>}
+     */
+    handleWebhook: async (providerName, rawBody, headers) => {
+        const provider = getProvider(providerName);
+
+        let event;
+        try {
+            event = provider.parseWebhook(rawBody, headers);
+        } catch (err) {
+            if (err instanceof ApiError) throw err;
+            throw new ApiError(400, `Webhook Error: ${err.message}`);
+        }
+        const entry = await paymentService.recordEvent(provider.name, event);
+
+        if (entry.duplicate) {
+            return { duplicate: true };
+        }
+
+        let result = 'ignored';
+        let paymentId = null;
+        try {
+            if (event.kind === 'refund') {
+                if (event.status) {
+                    result = await refundService.settleFromEvent(provider.name, event);
+                }
+            } else if (event.status) {
+                const payment = await paymentService.findByReference(provider.name, event.reference);
+                if (payment) {
+                    paymentId = payment.id;
+                    ({ result } = await paymentService.settle(payment, event, 'webhook'));
+                } else {
+                    result = 'unmatched';
+                }
+            }
+        } catch (err) {
+            // Left unprocessed so the provider's retry is handled
+            await supabaseAdmin
+                .from('payment_events')
+                .update({ error: err.message })
+                .eq('id', entry.id);
+            throw err;
+        }
+
+        await supabaseAdmin
+            .from('payment_events')
+            .update({
+                payment_id: paymentId,
+                result,
+                error: null,
+                processed_at: new Date().toISOString()
+            })
+            .eq('id', entry.id);
+
+        return { duplicate: false, result };
+    }
+};
+
+module.exports = paymentService;
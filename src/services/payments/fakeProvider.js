@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../../middleware/errorHandler');
+const config = require('../../config');
+
+const { SUCCEEDED, PENDING, FAILED } = config.paymentStatus;
+const { PROCESSING } = config.refundStatus;
+
+/**
+ * Local fake provider for tests and development
+ * Transactions live in memory. `complete(reference, status)` plays the customer
+ * paying (or failing) and `completeRefund(reference, status)` the refund going
+ * through; both return the webhook body the provider would send.
+ * Webhooks are signed with HMAC-SHA256 in x-fake-signature; without a secret
+ * they are refused, as for the real providers.
+ */
+const createFakeProvider = ({ webhookSecret }) => {
+    const transactions = new Map();
+
+    const refunds = new Map();
+
+    const sign = (rawBody) => crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+
+    return {
+        name: 'fake',
+
+        createCheckout: async ({ payment, callbackUrl }) => {
+            const reference = `FAKE-${uuidv4()}`;
+            transactions.set(reference, { status: PENDING, amount: parseFloat(payment.amount), createdAt: new Date().toISOString() });
+            return { reference, url: `${callbackUrl}?provider=fake&reference=${reference}` };
+        },
+
+        verify: async (reference) => {
+            const transaction = transactions.get(reference);
+            if (!transaction) {
+                throw new ApiError(404, 'Unknown fake transaction');
+            }
+            return { status: transaction.status, amount: transaction.amount, providerPaymentId: reference };
+        },
+
+        listTransactions: async ({ from, to }) => [...transactions.entries()]
+            .filter(([, t]) => new Date(t.createdAt) >= from && new Date(t.createdAt) <= to)
+            .map(([reference, t]) => ({ reference, ...t, providerPaymentId: reference })),
+
+        refund: async ({ refund }) => {
+            const reference = `FAKE-REFUND-${uuidv4()}`;
+            refunds.set(reference, { status: PROCESSING, amount: parseFloat(refund.amount) });
+            return { reference, status: PROCESSING };
+        },
+
+        completeRefund: (reference, status = SUCCEEDED) => {
+            const refund = refunds.get(reference);
+            if (!refund) {
+                throw new ApiError(404, 'Unknown fake refund');
+            }
+            refund.status = status;
+
+            const body = JSON.stringify({
+                id: `evt_${uuidv4()}`,
+                type: status === SUCCEEDED ? 'refund.succeeded' : 'refund.failed',
+                data: { reference, amount: refund.amount }
+            });
+            return { body, signature: webhookSecret ? sign(body) : null };
+        },
+
+        complete: (reference, status = SUCCEEDED, amount = null) => {
+            const transaction = transactions.get(reference);
+            if (!transaction) {
+                throw new ApiError(404, 'Unknown fake transaction');
+            }
+            transaction.status = status;
+            if (amount != null) transaction.amount = amount;
+
+            const body = JSON.stringify({
+                id: `evt_${uuidv4()}`,
+                type: status === SUCCEEDED ? 'payment.succeeded' : 'payment.failed',
+                data: { reference, amount: transaction.amount }
+            });
+            return { body, signature: webhookSecret ? sign(body) : null };
+        },
+
+        parseWebhook: (rawBody, headers) => {
+            if (!webhookSecret) {
+                throw new ApiError(503, 'Fake provider webhook secret is missing.');
+            }
+            const hash = sign(rawBody);
+            const signature = String(headers['x-fake-signature'] || '');
+
+            if (hash.length !== signature.length ||
+                !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature))) {
+                throw new ApiError(401, 'Invalid signature');
+            }
+
+            const event = JSON.parse(rawBody.toString('utf8'));
+            const settles = {
+                'payment.succeeded': SUCCEEDED,
+                'payment.failed': FAILED,
+                'refund.succeeded': SUCCEEDED,
+                'refund.failed': FAILED
+            };
+
+            return {
+                id: event.id,
+                type: event.type,
+                kind: event.type?.startsWith('refund.') ? 'refund' : 'payment',
+                reference: event.data?.reference,
+                status: settles[event.type] || null,
+                amount: event.data?.amount ?? null,
+                providerPaymentId: event.data?.reference || null,
+                payload: event
+            };
+        }
+    };
+};
+
+module.exports = createFakeProvider;
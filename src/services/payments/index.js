@@ -0,0 +1,41 @@
+const config = require('../../config');
+const { ApiError } = require('../../middleware/errorHandler');
+const createStripeProvider = require('./stripeProvider');
+const createPaystackProvider = require('./paystackProvider');
+const createFakeProvider = require('./fakeProvider');
+
+/**
+ * Payment providers, looked up by name
+ * Each provider implements:
+ *   createCheckout({ payment, shipment, email, callbackUrl, successUrl, cancelUrl })
+ *     -> { reference, url, accessCode? }   (shipment is null for wallet top-ups)
+ *   verify(reference) -> { status, amount, providerPaymentId }
+ *   refund({ payment, refund }) -> { reference, status }
+ *   listTransactions({ from, to }) -> [{ reference, status, amount, providerPaymentId, createdAt }]
+ *   parseWebhook(rawBody, headers)
+ *     -> { id, type, kind: 'payment'|'refund', reference, status, amount, providerPaymentId, payload }
+ *     (throws on a bad signature; status is null for events that settle nothing)
+ * Statuses are config.paymentStatus values (refunds may also be 'processing')
+ * and amounts are in naira.
+ */
+const factories = {
+    stripe: () => createStripeProvider(config.payments.stripe),
+    paystack: () => createPaystackProvider(config.payments.paystack),
+    ...(config.payments.fake.enabled && { fake: () => createFakeProvider(config.payments.fake) })
+};
+
+const providers = {};
+
+const getProvider = (name = config.payments.defaultProvider) => {
+    const factory = factories[name];
+    if (!factory) {
+        throw new ApiError(400, `Unknown payment provider: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+    }
+    providers[name] = providers[name] || factory();
+    return providers[name];
+};
+
+module.exports = {
+    getProvider,
+    providerNames: Object.keys(factories)
+};
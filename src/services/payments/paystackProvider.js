@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { ApiError } = require('../../middleware/errorHandler');
+const config = require('../../config');
+
+const { SUCCEEDED, PENDING, FAILED } = config.paymentStatus;
+const { PROCESSING } = config.refundStatus;
+
+const STATUSES = {
+    success: SUCCEEDED,
+    failed: FAILED,
+    abandoned: FAILED,
+    reversed: FAILED
+};
+
+/**
+ * Paystack provider
+ * The payment reference is the transaction reference we generate.
+ */
+const createPaystackProvider = ({ secretKey }) => {
+    const checkConfig = () => {
+        if (!secretKey) {
+            throw new ApiError(503, 'Paystack Secret Key is missing. Please add PAYSTACK_SECRET_KEY to your .env file.');
+        }
+    };
+
+    /**
+     * Make a Paystack API request
+     */
+    const request = async (endpoint, method = 'GET', body = null) => {
+        checkConfig();
+        const options = {
+            method,
+            headers: {
+                'Authorization': `Bearer ${secretKey}`,
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body && method !== 'GET') {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`https://api.paystack.co${endpoint}`, options);
+        const result = await response.json();
+
+        if (!result.status) {
+            console.error(`Paystack ${endpoint} failed:`, result);
+            throw new ApiError(502, result.message || 'Paystack request failed');
+        }
+        return result.data;
+    };
+
+    return {
+        name: 'paystack',
+        request,
+
+        createCheckout: async ({ payment, shipment, email, callbackUrl }) => {
+            const reference = `DARA-${shipment ? shipment.tracking_number : 'WALLET'}-${Date.now()}`;
+
+            const data = await request('/transaction/initialize', 'POST', {
+                email,
+                amount: Math.round(parseFloat(payment.amount) * 100), // Paystack uses kobo
+                currency: payment.currency,
+                reference,
+                callback_url: callbackUrl,
+                metadata: {
+                    payment_id: payment.id,
+                    purpose: payment.purpose,
+                    shipment_id: shipment?.id,
+                    tracking_number: shipment?.tracking_number,
+                    user_id: payment.user_id
+                }
+            });
+
+            return {
+                reference: data.reference,
+                url: data.authorization_url,
+                accessCode: data.access_code
+            };
+        },
+
+        verify: async (reference) => {
+            const data = await request(`/transaction/verify/${encodeURIComponent(reference)}`);
+            return {
+                status: STATUSES[data.status] || PENDING,
+                amount: data.amount / 100,
+                providerPaymentId: data.id ? String(data.id) : null
+            };
+        },
+
+        listTransactions: async ({ from, to }) => {
+            const perPage = 100;
+            const transactions = [];
+
+            for (let page = 1; ; page++) {
+                const params = new URLSearchParams({ perPage, page, from: from.toISOString(), to: to.toISOString() });
+                const data = await request(`/transaction?${params}`);
+
+                data.forEach(transaction => transactions.push({
+                    reference: transaction.reference,
+                    status: STATUSES[transaction.status] || PENDING,
+                    amount: transaction.amount / 100,
+                    providerPaymentId: transaction.id ? String(transaction.id) : null,
+                    createdAt: transaction.created_at || transaction.createdAt
+                }));
+                if (data.length < perPage) break;
+            }
+
+            return transactions;
+        },
+
+        refund: async ({ payment, refund }) => {
+            const data = await request('/refund', 'POST', {
+                transaction: payment.reference,
+                amount: Math.round(parseFloat(refund.amount) * 100),
+                merchant_note: refund.reason || `Refund ${refund.id}`
+            });
+
+            return {
+                reference: String(data.id),
+                status: data.status === 'processed' ? SUCCEEDED : PROCESSING
+            };
+        },
+
+        parseWebhook: (rawBody, headers) => {
+            checkConfig();
+            const hash = crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex');
+            const signature = String(headers['x-paystack-signature'] || '');
+
+            if (hash.length !== signature.length ||
+                !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature))) {
+                throw new ApiError(401, 'Invalid signature');
+            }
+
+            const event = JSON.parse(rawBody.toString('utf8'));
+            const { data = {} } = event;
+
+            if (String(event.event).startsWith('refund.')) {
+                const refundStatuses = {
+                    'refund.processed': SUCCEEDED,
+                    'refund.failed': FAILED
+                };
+                return {
+                    id: `${event.event}:${data.id || data.refund_reference}`,
+                    type: event.event,
+                    kind: 'refund',
+                    reference: data.id ? String(data.id) : null,
+                    paymentReference: data.transaction_reference || null,
+                    status: refundStatuses[event.event] || null,
+                    amount: data.amount != null ? data.amount / 100 : null,
+                    payload: event
+                };
+            }
+
+            const settles = {
+                'charge.success': SUCCEEDED,
+                'charge.failed': FAILED
+            };
+
+            return {
+                // Paystack events carry no ID of their own; the transaction ID and
+                // event name identify a delivery
+                id: `${event.event}:${data.id || data.reference}`,
+                type: event.event,
+                kind: 'payment',
+                reference: data.reference,
+                status: settles[event.event] || null,
+                amount: data.amount != null ? data.amount / 100 : null,
+                providerPaymentId: data.id ? String(data.id) : null,
+                payload: event
+            };
+        }
+    };
+};
+
+module.exports = createPaystackProvider;
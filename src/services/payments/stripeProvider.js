@@ -0,0 +1,164 @@
+const { ApiError } = require('../../middleware/errorHandler');
+const config = require('../../config');
+
+const { SUCCEEDED, PENDING, FAILED } = config.paymentStatus;
+const { PROCESSING } = config.refundStatus;
+
+const REFUND_STATUSES = {
+    succeeded: SUCCEEDED,
+    failed: FAILED,
+    canceled: FAILED
+};
+
+/**
+ * Stripe Checkout provider
+ * The payment reference is the Checkout Session ID.
+ */
+const createStripeProvider = ({ secretKey, webhookSecret }) => {
+    // Created on first use so a missing key only fails Stripe requests
+    let client = null;
+    const stripe = () => {
+        if (!secretKey) {
+            throw new ApiError(503, 'Stripe API Key is missing. Please add STRIPE_SECRET_KEY to your .env file.');
+        }
+        client = client || require('stripe')(secretKey);
+        return client;
+    };
+
+    const sessionStatus = (session) => {
+        if (session.payment_status === 'paid') return SUCCEEDED;
+        if (session.status === 'expired') return FAILED;
+        return PENDING;
+    };
+
+    return {
+        name: 'stripe',
+
+        createCheckout: async ({ payment, shipment, successUrl, cancelUrl }) => {
+            const session = await stripe().checkout.sessions.create({
+                payment_method_types: ['card'],
+                line_items: [
+                    {
+                        price_data: {
+                            currency: payment.currency.toLowerCase(),
+                            product_data: shipment
+                                ? {
+                                    name: `Shipment Tracking: ${shipment.tracking_number}`,
+                                    description: `Shipping from ${shipment.origin} to ${shipment.destination}`,
+                                }
+                                : { name: 'Wallet top-up' },
+                            unit_amount: Math.round(parseFloat(payment.amount) * 100), // Fee in kobo/cents
+                        },
+                        quantity: 1,
+                    },
+                ],
+                mode: 'payment',
+                success_url: successUrl,
+                cancel_url: cancelUrl,
+                metadata: {
+                    paymentId: payment.id,
+                    purpose: payment.purpose,
+                    ...(shipment && { shipmentId: shipment.id }),
+                    userId: payment.user_id
+                }
+            });
+
+            return { reference: session.id, url: session.url };
+        },
+
+        verify: async (reference) => {
+            const session = await stripe().checkout.sessions.retrieve(reference);
+            return {
+                status: sessionStatus(session),
+                amount: session.amount_total / 100,
+                providerPaymentId: session.payment_intent || null
+            };
+        },
+
+        refund: async ({ payment, refund }) => {
+            if (!payment.provider_payment_id) {
+                throw new ApiError(409, 'This Stripe payment has no payment intent to refund');
+            }
+
+            const result = await stripe().refunds.create({
+                payment_intent: payment.provider_payment_id,
+                amount: Math.round(parseFloat(refund.amount) * 100),
+                metadata: { refundId: refund.id, paymentId: payment.id }
+            }, { idempotencyKey: `refund-${refund.id}` });
+
+            return { reference: result.id, status: REFUND_STATUSES[result.status] || PROCESSING };
+        },
+
+        listTransactions: async ({ from, to }) => {
+            const transactions = [];
+            let startingAfter;
+
+            do {
+                const page = await stripe().checkout.sessions.list({
+                    created: { gte: Math.floor(from.getTime() / 1000), lte: Math.floor(to.getTime() / 1000) },
+                    limit: 100,
+                    ...(startingAfter && { starting_after: startingAfter })
+                });
+
+                page.data.forEach(session => transactions.push({
+                    reference: session.id,
+                    status: sessionStatus(session),
+                    amount: session.amount_total != null ? session.amount_total / 100 : null,
+                    providerPaymentId: session.payment_intent || null,
+                    createdAt: new Date(session.created * 1000).toISOString()
+                }));
+                startingAfter = page.has_more ? page.data[page.data.length - 1].id : null;
+            } while (startingAfter);
+
+            return transactions;
+        },
+
+        parseWebhook: (rawBody, headers) => {
+            if (!webhookSecret) {
+                throw new ApiError(503, 'Stripe Webhook Secret is missing.');
+            }
+
+            let event;
+            try {
+                event = stripe().webhooks.constructEvent(rawBody, headers['stripe-signature'], webhookSecret);
+            } catch (err) {
+                throw new ApiError(400, `Webhook Error: ${err.message}`);
+            }
+
+            if (event.type.startsWith('refund.')) {
+                const refund = event.data.object;
+                return {
+                    id: event.id,
+                    type: event.type,
+                    kind: 'refund',
+                    reference: refund.id,
+                    status: REFUND_STATUSES[refund.status] || null,
+                    amount: refund.amount / 100,
+                    failureReason: refund.failure_reason || null,
+                    payload: event
+                };
+            }
+
+            const session = event.data.object;
+            const settles = {
+                'checkout.session.completed': session.payment_status === 'paid' ? SUCCEEDED : null,
+                'checkout.session.async_payment_succeeded': SUCCEEDED,
+                'checkout.session.async_payment_failed': FAILED,
+                'checkout.session.expired': FAILED
+            };
+
+            return {
+                id: event.id,
+                type: event.type,
+                kind: 'payment',
+                reference: session.id,
+                status: settles[event.type] || null,
+                amount: session.amount_total != null ? session.amount_total / 100 : null,
+                providerPaymentId: session.payment_intent || null,
+                payload: event
+            };
+        }
+    };
+};
+
+module.exports = createStripeProvider;
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const storage = require('./storage');
+const notificationService = require('./notificationService');
+
+const OTP_FIELDS = 'id, tracking_number, receiver_name, receiver_phone, receiver_email, delivery_otp_hash, delivery_otp_expires_at, delivery_otp_attempts, delivery_otp_verified_at';
+
+/**
+ * Hash a delivery code; the shipment id acts as salt
+ */
+const hashOtp = (shipmentId, otp) => crypto
+    .createHash('sha256')
+    .update(`${shipmentId}:${otp}`)
+    .digest('hex');
+
+const maskPhone = (phone) => phone ? `${'*'.repeat(Math.max(0, phone.length - 4))}${phone.slice(-4)}` : null;
+const maskEmail = (email) => email ? email.replace(/^(.)(.*)(@.*)$/, (_, first, rest, domain) => `${first}${'*'.repeat(rest.length)}${domain}`) : null;
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+/**
+ * Service for proof of delivery: receiver codes, signatures and photos
+ */
+const podService = {
+    /**
+     * Generate a new delivery code and send it to the receiver
+     * Replaces any previous code for the shipment.
+     * @param {string} shipmentId
+     * @param {object} [options]
+     * @param {boolean} [options.throttle] - Refuse within otpResendMinutes of the last code (driver re-sends)
+     * @throws {ApiError} 429 when throttled
+     */
+    issueOtp: async (shipmentId, { throttle = false } = {}) => {
+        const { data: shipment, error } = await supabaseAdmin
+            .from('shipments')
+            .select(OTP_FIELDS)
+            .eq('id', shipmentId)
+            .single();
+
+        if (error || !shipment) {
+            throw new ApiError(404, 'Shipment not found');
+        }
+
+        if (!shipment.receiver_phone && !shipment.receiver_email) {
+            throw new ApiError(400, 'Shipment has no receiver phone or email to send the delivery code to');
+        }
+
+        const otp = crypto.randomInt(100000, 1000000).toString();
+        const expiresAt = new Date(Date.now() + config.proofOfDelivery.otpTtlHours * 60 * 60 * 1000);
+
+        let query = supabaseAdmin
+            .from('shipments')
+            .update({
+                delivery_otp_hash: hashOtp(shipmentId, otp),
+                delivery_otp_expires_at: expiresAt.toISOString(),
+                delivery_otp_attempts: 0,
+                delivery_otp_verified_at: null,
+                delivery_otp_sent_at: new Date().toISOString()
+            })
+            .eq('id', shipmentId);
+
+        // Only one of several quick re-sends gets through
+        if (throttle) {
+            const minutes = config.proofOfDelivery.otpResendMinutes;
+            const cutoff = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+            query = query.or(`delivery_otp_sent_at.is.null,delivery_otp_sent_at.lt."${cutoff}"`);
+        }
+
+        const { data: updated, error: updateError } = await query.select('id').maybeSingle();
+
+        if (updateError) throw updateError;
+        if (!updated) {
+            throw new ApiError(429, `A delivery code was sent less than ${config.proofOfDelivery.otpResendMinutes} minutes ago. Try again later.`);
+        }
+
+        const message = `Your delivery code for shipment ${shipment.tracking_number} is ${otp}. ` +
+            'Share it with the driver only when you receive your goods.';
+
+        await Promise.all([
+            notificationService.sendSms({ to: shipment.receiver_phone, message }),
+            notificationService.sendEmail({
+                to: shipment.receiver_email,
+                subject: `Delivery code for shipment ${shipment.tracking_number}`,
+                text: `Hello ${shipment.receiver_name || ''},\n\n${message}\n`
+            })
+        ]);
+
+        return {
+            expiresAt: expiresAt.toISOString(),
+            sentTo: {
+                phone: maskPhone(shipment.receiver_phone),
+                email: maskEmail(shipment.receiver_email)
+            }
+        };
+    },
+
+    /**
+     * Check whether a shipment already has a usable delivery code
+     */
+    hasActiveOtp: (shipment) => Boolean(shipment.delivery_otp_hash) &&
+        new Date(shipment.delivery_otp_expires_at) > new Date() &&
+        (shipment.delivery_otp_attempts || 0) < config.proofOfDelivery.maxOtpAttempts,
+
+    /**
+     * Issue a delivery code unless a usable one already exists
+     * Used at dispatch so a reassigned shipment keeps the code the receiver already has.
+     */
+    ensureOtp: async (shipmentId) => {
+        const { data: shipment } = await supabaseAdmin
+            .from('shipments')
+            .select(OTP_FIELDS)
+            .eq('id', shipmentId)
+            .single();
+
+        if (shipment && podService.hasActiveOtp(shipment)) return null;
+        return podService.issueOtp(shipmentId);
+    },
+
+    /**
+     * Validate delivery proof before a shipment is marked delivered
+     * Either a valid receiver code, or an admin override with a reason.
+     * @param {string} shipmentId
+     * @param {object} proof
+     * @param {string} proof.role - Acting role
+     * @param {string} [proof.otp] - Code given by the receiver
+     * @param {string} [proof.overrideReason] - Admin only: why delivery is confirmed without a code
+     * @param {string} [proof.actorId] - Profile id of the admin overriding
+     * @returns {Promise<object>} Columns to write with the delivered status
+     */
+    authorizeDelivery: async (shipmentId, { role, otp, overrideReason, actorId } = {}) => {
+        const now = new Date().toISOString();
+
+        if (!otp && overrideReason) {
+            if (role !== config.userRoles.ADMIN) {
+                throw new ApiError(403, 'Only admins can confirm delivery without a delivery code');
+            }
+            return {
+                pod_override_by: actorId || null,
+                pod_override_reason: overrideReason,
+                pod_override_at: now
+            };
+        }
+
+        if (!otp) {
+            throw new ApiError(400, 'A delivery code from the receiver is required to confirm delivery');
+        }
+
+        const { data: shipment, error } = await supabaseAdmin
+            .from('shipments')
+            .select(OTP_FIELDS)
+            .eq('id', shipmentId)
+            .single();
+
+        if (error || !shipment) {
+            throw new ApiError(404, 'Shipment not found');
+        }
+
+        if (!shipment.delivery_otp_hash) {
+            throw new ApiError(409, 'No delivery code has been issued for this shipment');
+        }
+        if (new Date(shipment.delivery_otp_expires_at) < new Date()) {
+            throw new ApiError(409, 'The delivery code has expired. Request a new one.');
+        }
+
+        // Counted before the compare, so parallel requests cannot get past the cap
+        const { data: attempts, error: claimError } = await supabaseAdmin.rpc('claim_delivery_otp_attempt', {
+            p_shipment_id: shipmentId,
+            p_max_attempts: config.proofOfDelivery.maxOtpAttempts
+        });
+
+        if (claimError) throw claimError;
+        if (attempts == null) {
+            throw new ApiError(409, 'Too many invalid delivery codes. Request a new one.');
+        }
+
+        const expected = Buffer.from(shipment.delivery_otp_hash, 'hex');
+        const given = Buffer.from(hashOtp(shipmentId, String(otp).trim()), 'hex');
+
+        if (!crypto.timingSafeEqual(expected, given)) {
+            throw new ApiError(400, 'Invalid delivery code');
+        }
+
+        return { delivery_otp_verified_at: now };
+    },
+
+    /**
+     * Store signature and photos and register them as shipment documents
+     * @param {string} shipmentId
+     * @param {object} files
+     * @param {object} [files.signature] - multer file
+     * @param {Array<object>} [files.photos] - multer files
+     * @param {string} uploadedBy - Profile id
+     */
+    saveProof: async (shipmentId, { signature, photos = [] }, uploadedBy) => {
+        const uploads = [
+            ...(signature ? [{ file: signature, type: 'pod_signature', name: 'Recipient signature' }] : []),
+            ...photos.map((file, i) => ({ file, type: 'pod_photo', name: `Delivery photo ${i + 1}` }))
+        ];
+
+        const rows = [];
+        for (const { file, type, name } of uploads) {
+            const id = uuidv4();
+            const ext = EXTENSIONS[file.mimetype] || path.extname(file.originalname || '');
+            const key = `shipments/${shipmentId}/pod/${id}${ext}`;
+
+            await storage.save(key, file.buffer);
+
+            rows.push({
+                id,
+                shipment_id: shipmentId,
+                name,
+                type,
+                url: `/api/shipments/${shipmentId}/documents/${id}`,
+                storage_key: key,
+                content_type: file.mimetype,
+                size_bytes: file.size,
+                uploaded_by: uploadedBy
+            });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('shipment_documents')
+            .insert(rows)
+            .select();
+
+        if (error) {
+            // Do not leave orphaned files behind
+            await Promise.all(rows.map(r => storage.remove(r.storage_key)));
+            throw error;
+        }
+
+        return data;
+    }
+};
+
+module.exports = podService;
@@ -0,0 +1,141 @@
+const { supabaseAdmin } = require('../config/supabase');
+const config = require('../config');
+
+const { DISCOUNT } = config.pricingRules.types;
+const { PERCENTAGE } = config.pricingRules.calculations;
+const { FREIGHT, SUBTOTAL, DECLARED_VALUE } = config.pricingRules.bases;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Day of week (0 = Sunday) and hour of a date in the pricing timezone
+ */
+const localTime = (date) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: config.pricing.timezone,
+        weekday: 'short',
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => parts.find(p => p.type === type)?.value;
+    return { day: WEEKDAYS[part('weekday')], hour: parseInt(part('hour'), 10) };
+};
+
+/**
+ * Whether an hour falls in a window; windows may wrap midnight (e.g. 20 -> 6)
+ */
+const inHours = (hour, { from, to }) => (from <= to
+    ? hour >= from && hour < to
+    : hour >= from || hour < to);
+
+const includesValue = (list, value) => !Array.isArray(list) || list.length === 0 ||
+    list.map(v => String(v).toLowerCase()).includes(String(value ?? '').toLowerCase());
+
+/**
+ * Rules engine for surcharges, discounts and taxes on top of freight
+ *
+ * A rule's `conditions` JSON may contain:
+ *   serviceTypes, packageTypes, zones  - lists the shipment must be in
+ *   pickupDays                         - days of week (0 = Sunday)
+ *   pickupHours                        - { from, to } local hours, may wrap midnight
+ *   minWeight, minDeclaredValue        - lower bounds
+ */
+const pricingRules = {
+    /**
+     * Active rules in effect at a moment, lowest priority number first
+     */
+    getActiveRules: async (at = new Date()) => {
+        const { data, error } = await supabaseAdmin
+            .from('pricing_rules')
+            .select('*')
+            .eq('is_active', true)
+            .order('priority', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Failed to load pricing rules:', error.message);
+            return [];
+        }
+
+        return (data || []).filter(rule =>
+            (!rule.starts_at || new Date(rule.starts_at) <= at) &&
+            (!rule.ends_at || new Date(rule.ends_at) > at)
+        );
+    },
+
+    /**
+     * Check a rule's conditions against a shipment
+     * @param {object} rule
+     * @param {object} context - serviceType, packageType, zone, weight, declaredValue, pickupDate
+     */
+    matches: (rule, context) => {
+        const c = rule.conditions || {};
+
+        if (!includesValue(c.serviceTypes, context.serviceType)) return false;
+        if (!includesValue(c.packageTypes, context.packageType)) return false;
+        if (!includesValue(c.zones, context.zone)) return false;
+        if (c.minWeight != null && (context.weight || 0) < c.minWeight) return false;
+        if (c.minDeclaredValue != null && (context.declaredValue || 0) < c.minDeclaredValue) return false;
+
+        if (Array.isArray(c.pickupDays) || c.pickupHours) {
+            const { day, hour } = localTime(context.pickupDate);
+            if (Array.isArray(c.pickupDays) && c.pickupDays.length > 0 && !c.pickupDays.includes(day)) return false;
+            if (c.pickupHours && !inHours(hour, c.pickupHours)) return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Apply rules in priority order to the freight lines
+     * @param {Array<object>} lines - Freight lines { code, label, type: 'charge', amount }
+     * @param {Array<object>} rules - pricing_rules rows
+     * @param {object} context - See matches()
+     * @returns {{ lines: Array<object>, freight: number, total: number }}
+     */
+    apply: (lines, rules, context) => {
+        const freight = round(lines.reduce((sum, line) => sum + line.amount, 0));
+        const result = [...lines];
+        let running = freight;
+
+        rules.filter(rule => pricingRules.matches(rule, context)).forEach(rule => {
+            const value = parseFloat(rule.amount) || 0;
+            let amount;
+
+            if (rule.calculation === PERCENTAGE) {
+                const basis = {
+                    [FREIGHT]: freight,
+                    [SUBTOTAL]: running,
+                    [DECLARED_VALUE]: context.declaredValue || 0
+                }[rule.basis || FREIGHT];
+                amount = basis * value / 100;
+            } else {
+                amount = value;
+            }
+
+            if (rule.min_charge != null) amount = Math.max(amount, parseFloat(rule.min_charge));
+            if (rule.max_charge != null) amount = Math.min(amount, parseFloat(rule.max_charge));
+            if (rule.rule_type === DISCOUNT) amount = -Math.min(amount, running);
+
+            amount = round(amount);
+            if (amount === 0) return;
+
+            result.push({
+                code: rule.code || rule.id,
+                label: rule.name,
+                type: rule.rule_type,
+                amount,
+                ...(rule.calculation === PERCENTAGE && { rate: value }),
+                ruleId: rule.id
+            });
+            running = round(running + amount);
+        });
+
+        return { lines: result, freight, total: running };
+    }
+};
+
+module.exports = pricingRules;
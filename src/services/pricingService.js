@@ -0,0 +1,428 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { calculateDistance } = require('../utils/helpers');
+const { STATES, findState, laneDistance } = require('../utils/nigeriaStates');
+const { measure } = require('../utils/loadPlanning');
+const pricingRules = require('./pricingRules');
+const promoService = require('./promoService');
+
+const { INTRA_CITY, INTRA_STATE, INTER_STATE } = config.pricingZones;
+
+// Used when no pricing_configs row exists for a service type
+const FALLBACK_RATES = {
+    standard: { base_price: 1000, price_per_kg: 50, price_per_km: 10 },
+    express: { base_price: 2500, price_per_kg: 100, price_per_km: 20 },
+    '5 tons': { base_price: 45000, price_per_kg: 50, price_per_km: 100 },
+    '10 tons': { base_price: 85000, price_per_kg: 75, price_per_km: 150 },
+    '15 tons': { base_price: 125000, price_per_kg: 100, price_per_km: 200 }
+};
+
+const hasCoordinates = (lat, lng) => lat != null && lat !== '' && lng != null && lng !== '' &&
+    !isNaN(parseFloat(lat)) && !isNaN(parseFloat(lng));
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const sameCity = (a, b) => Boolean(a) && Boolean(b) &&
+    String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Zone for a route when the states are not both known
+ */
+const zoneForDistance = (distanceKm) => {
+    if (distanceKm == null) return null;
+    if (distanceKm <= config.pricing.intraCityMaxKm) return INTRA_CITY;
+    if (distanceKm <= config.pricing.intraStateMaxKm) return INTRA_STATE;
+    return INTER_STATE;
+};
+
+/**
+ * Service to price shipments from rates, distance and zone
+ */
+const pricingService = {
+    /**
+     * Rates for a service type in effect at a moment, or the built-in fallback
+     * @param {string} serviceType
+     * @param {Date} [at] - Defaults to now; pass a shipment's priced_at to reprice at its booked rate
+     */
+    getRates: async (serviceType, at = new Date()) => {
+        const normalizedServiceType = serviceType ? serviceType.toLowerCase().trim() : 'standard';
+        const moment = at.toISOString();
+
+        const { data, error } = await supabaseAdmin
+            .from('pricing_configs')
+            .select('*')
+            .ilike('service_type', normalizedServiceType)
+            .eq('is_active', true)
+            .lte('effective_from', moment)
+            .or(`effective_to.is.null,effective_to.gt.${moment}`)
+            .order('effective_from', { ascending: false })
+            .limit(1)
+            .maybeSingle(); // Better than .single() as it doesn't error on 0 results
+
+        if (error || !data) {
+            return FALLBACK_RATES[normalizedServiceType] || FALLBACK_RATES.standard;
+        }
+        return data;
+    },
+
+    /**
+     * Active zone rate for a service type, if admins have set one
+     */
+    getZoneRate: async (serviceType, zone) => {
+        if (!zone) return null;
+
+        const { data, error } = await supabaseAdmin
+            .from('pricing_zones')
+            .select('*')
+            .ilike('service_type', serviceType.toLowerCase().trim())
+            .eq('zone', zone)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Failed to load pricing zone:', error.message);
+            return null;
+        }
+        return data;
+    },
+
+    /**
+     * A customer's contract rate card for a service type and lane, if they have one
+     * Cards may name an origin and/or destination state; the most specific match wins.
+     * @param {string} userId
+     * @param {string} serviceType
+     * @param {object} route - Result of resolveRoute()
+     * @param {Date} [at]
+     */
+    getContractRate: async (userId, serviceType, route, at = new Date()) => {
+        if (!userId) return null;
+        const moment = at.toISOString();
+
+        const { data, error } = await supabaseAdmin
+            .from('contract_rates')
+            .select('*')
+            .eq('user_id', userId)
+            .ilike('service_type', serviceType)
+            .eq('is_active', true)
+            .or(`starts_at.is.null,starts_at.lte.${moment}`)
+            .or(`ends_at.is.null,ends_at.gt.${moment}`)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Failed to load contract rates:', error.message);
+            return null;
+        }
+
+        const sameState = (a, b) => !a || (Boolean(b) && a.toLowerCase() === b.toLowerCase());
+        const specificity = (card) => (card.origin_state ? 1 : 0) + (card.destination_state ? 1 : 0);
+
+        return (data || [])
+            .filter(card => sameState(card.origin_state, route.originState) &&
+                sameState(card.destination_state, route.destinationState))
+            .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+    },
+
+    /**
+     * Work out the road distance and pricing zone of a route
+     * Order of preference: explicit distance, coordinates (Haversine x road factor),
+     * the state-to-state lane table, then nothing (zone minimum applies).
+     * @param {object} route
+     * @param {number} [route.distanceKm] - Known road distance
+     * @param {string} [route.origin] - Free-text address, used to detect the state
+     * @param {string} [route.destination]
+     * @param {number} [route.originLat]
+     * @param {number} [route.originLng]
+     * @param {number} [route.destinationLat]
+     * @param {number} [route.destinationLng]
+     * @param {string} [route.originState]
+     * @param {string} [route.destinationState]
+     * @param {string} [route.originCity]
+     * @param {string} [route.destinationCity]
+     * @returns {{ distanceKm: number|null, source: string, zone: string|null, originState: string|null, destinationState: string|null }}
+     */
+    resolveRoute: (route = {}) => {
+        const originState = findState(route.originState) || findState(route.origin);
+        const destinationState = findState(route.destinationState) || findState(route.destination);
+
+        let distanceKm = null;
+        let source = 'unknown';
+
+        const explicit = parseFloat(route.distanceKm);
+        if (!isNaN(explicit) && explicit > 0) {
+            distanceKm = explicit;
+            source = 'provided';
+        } else if (hasCoordinates(route.originLat, route.originLng) && hasCoordinates(route.destinationLat, route.destinationLng)) {
+            distanceKm = calculateDistance(
+                parseFloat(route.originLat), parseFloat(route.originLng),
+                parseFloat(route.destinationLat), parseFloat(route.destinationLng)
+            ) * config.distance.roadFactor;
+            source = 'coordinates';
+        } else if (originState && destinationState) {
+            const lane = laneDistance(originState, destinationState, config.distance.roadFactor);
+            if (lane) {
+                distanceKm = lane.distanceKm;
+                source = lane.source;
+            }
+        }
+
+        let zone;
+        if (originState && destinationState) {
+            if (originState !== destinationState) {
+                zone = INTER_STATE;
+            } else if (sameCity(route.originCity, route.destinationCity) ||
+                (distanceKm != null && distanceKm <= config.pricing.intraCityMaxKm)) {
+                zone = INTRA_CITY;
+            } else {
+                zone = INTRA_STATE;
+            }
+        } else {
+            zone = zoneForDistance(distanceKm);
+        }
+
+        return {
+            distanceKm: distanceKm == null ? null : round(distanceKm, 1),
+            source,
+            zone,
+            originState: originState ? STATES[originState].name : null,
+            destinationState: destinationState ? STATES[destinationState].name : null
+        };
+    },
+
+    /**
+     * Price a shipment
+     * Freight = base + per_kg x chargeable weight + per_km x distance + zone fee, then
+     * surcharge / discount / tax rules are applied in priority order.
+     * The zone can override the per-km rate and set a minimum chargeable distance.
+     * @param {object} input - serviceType, weight, dimensions (cm), packageType, declaredValue,
+     *                         pickupDate and the route fields of resolveRoute
+     * @param {string|Date} [input.pricedAt] - Use the rates and rules in effect then (default now)
+     * @param {string} [input.customerId] - Applies the customer's contract rate card
+     * @param {string} [input.promoCode] - Promo code to check and apply
+     * @param {string} [input.promoCodeId] - Promo code a shipment was booked with (limits not rechecked)
+     */
+    quote: async (input) => {
+        const serviceType = input.serviceType ? input.serviceType.toLowerCase().trim() : '5 tons';
+        // Priced on chargeable weight: the larger of actual and volumetric
+        const load = measure(input.weight, input.dimensions);
+        const weight = load.chargeableWeightKg;
+        const route = pricingService.resolveRoute(input);
+        const pricedAt = input.pricedAt ? new Date(input.pricedAt) : new Date();
+        const pickupDate = input.pickupDate ? new Date(input.pickupDate) : pricedAt;
+
+        const [listRates, zoneRate, activeRules, contract] = await Promise.all([
+            pricingService.getRates(serviceType, pricedAt),
+            pricingService.getZoneRate(serviceType, route.zone),
+            pricingRules.getActiveRules(pricedAt),
+            pricingService.getContractRate(input.customerId, serviceType, route, pricedAt)
+        ]);
+
+        // Contract rates replace the list rates they set
+        const rates = {
+            base_price: contract?.base_price ?? listRates.base_price,
+            price_per_kg: contract?.price_per_kg ?? listRates.price_per_kg,
+            price_per_km: contract?.price_per_km ?? listRates.price_per_km
+        };
+
+        let chargeableKm = route.distanceKm || 0;
+        let distanceSource = route.source;
+        const minimumKm = parseFloat(zoneRate?.min_distance_km) || 0;
+        if (chargeableKm < minimumKm) {
+            chargeableKm = minimumKm;
+            distanceSource = 'zone_minimum';
+        }
+
+        const perKm = contract?.price_per_km == null && zoneRate?.price_per_km != null
+            ? parseFloat(zoneRate.price_per_km)
+            : parseFloat(rates.price_per_km);
+
+        const freightLines = [
+            { code: 'base', label: 'Base fare', type: 'charge', amount: round(parseFloat(rates.base_price)) },
+            { code: 'weight', label: weight > load.actualWeightKg ? `Volumetric weight (${weight} kg)` : `Weight (${weight} kg)`, type: 'charge', amount: round(parseFloat(rates.price_per_kg) * weight) },
+            { code: 'distance', label: `Distance (${round(chargeableKm, 1)} km)`, type: 'charge', amount: round(perKm * chargeableKm) },
+            { code: 'zone', label: `Zone fee (${route.zone || 'none'})`, type: 'charge', amount: round(parseFloat(zoneRate?.base_fee) || 0) }
+        ].filter(line => line.code === 'base' || line.amount !== 0);
+
+        const packageType = input.packageType ? String(input.packageType).toLowerCase().trim() : null;
+        const declaredValue = parseFloat(input.declaredValue) || 0;
+
+        const freightTotal = freightLines.reduce((sum, line) => sum + line.amount, 0);
+        const promo = input.promoCodeId
+            ? await promoService.findById(input.promoCodeId)
+            : input.promoCode
+                ? await promoService.check(input.promoCode, {
+                    userId: input.customerId,
+                    serviceType,
+                    freight: freightTotal,
+                    at: pricedAt
+                })
+                : null;
+
+        const rules = promo
+            ? [...activeRules, promoService.toRule(promo)].sort((a, b) => a.priority - b.priority)
+            : activeRules;
+
+        const { lines, freight, total } = pricingRules.apply(freightLines, rules, {
+            serviceType,
+            packageType,
+            zone: route.zone,
+            weight,
+            declaredValue,
+            pickupDate
+        });
+
+        return {
+            serviceType,
+            weight: load.actualWeightKg,
+            volumetricWeight: load.volumetricWeightKg,
+            chargeableWeight: weight,
+            packageType,
+            declaredValue,
+            distanceKm: route.distanceKm,
+            chargeableDistanceKm: round(chargeableKm, 1),
+            distanceSource,
+            zone: route.zone,
+            originState: route.originState,
+            destinationState: route.destinationState,
+            pickupDate: input.pickupDate ? pickupDate.toISOString() : null,
+            pricedAt: pricedAt.toISOString(),
+            rates: {
+                basePrice: parseFloat(rates.base_price),
+                pricePerKg: parseFloat(rates.price_per_kg),
+                pricePerKm: perKm
+            },
+            contract: contract ? { id: contract.id, name: contract.name } : null,
+            promo: promo
+                ? {
+                    id: promo.id,
+                    code: promo.code,
+                    discount: -(lines.find(line => line.ruleId === promo.id)?.amount || 0)
+                }
+                : null,
+            lines,
+            freight,
+            total
+        };
+    },
+
+    /**
+     * Save a quote so its price can be booked until it expires
+     * @param {object} quote - Result of quote()
+     * @param {string} userId - Owner; only they can book it
+     * @returns {Promise<{ quoteId: string, expiresAt: string }>}
+     */
+    lockQuote: async (quote, userId) => {
+        const expiresAt = new Date(Date.now() + config.pricing.quoteValidityMinutes * 60 * 1000);
+
+        const { data, error } = await supabaseAdmin
+            .from('pricing_quotes')
+            .insert({
+                user_id: userId,
+                service_type: quote.serviceType,
+                total: quote.total,
+                quote,
+                expires_at: expiresAt.toISOString()
+            })
+            .select('id, expires_at')
+            .single();
+
+        if (error) throw error;
+        return { quoteId: data.id, expiresAt: data.expires_at };
+    },
+
+    /**
+     * Claim a locked quote for a new shipment
+     * The shipment must be priced on the same facts as the quote (service type,
+     * weight, dimensions, package type, declared value, pickup date, distance, zone and promo code).
+     * @param {string} quoteId
+     * @param {string} userId - Booking user
+     * @param {object} input - Shipment input
+     * @returns {Promise<object>} The stored quote
+     */
+    claimQuote: async (quoteId, userId, input) => {
+        const { data: row, error } = await supabaseAdmin
+            .from('pricing_quotes')
+            .select('*')
+            .eq('id', quoteId)
+            .maybeSingle();
+
+        if (error || !row || row.user_id !== userId) {
+            throw new ApiError(404, 'Quote not found');
+        }
+        if (row.used_at) {
+            throw new ApiError(409, 'This quote has already been used for a shipment');
+        }
+        if (new Date(row.expires_at) <= new Date()) {
+            throw new ApiError(409, 'This quote has expired. Request a new quote.');
+        }
+
+        const { quote } = row;
+        const route = pricingService.resolveRoute({ ...input, distanceKm: undefined });
+        const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+        const mismatches = [
+            quote.serviceType !== (input.serviceType ? input.serviceType.toLowerCase().trim() : '5 tons') && 'serviceType',
+            quote.weight !== (parseFloat(input.weight) || 0) && 'weight',
+            quote.chargeableWeight !== measure(input.weight, input.dimensions).chargeableWeightKg && 'dimensions',
+            (quote.packageType || null) !== (input.packageType ? String(input.packageType).toLowerCase().trim() : null) && 'packageType',
+            (quote.declaredValue || 0) !== (parseFloat(input.declaredValue) || 0) && 'declaredValue',
+            !sameDate(quote.pickupDate, input.pickupDate) && 'pickupDate',
+            (quote.distanceKm !== route.distanceKm || quote.zone !== route.zone) && 'route',
+            (quote.promo?.code || null) !== (input.promoCode ? promoService.normalizeCode(input.promoCode) : null) && 'promoCode'
+        ].filter(Boolean);
+
+        if (mismatches.length > 0) {
+            throw new ApiError(409, `Shipment details differ from the quote (${mismatches.join(', ')}). Request a new quote.`);
+        }
+
+        // Guard on used_at so two bookings cannot share one quote
+        const { data: claimed } = await supabaseAdmin
+            .from('pricing_quotes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', quoteId)
+            .is('used_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (!claimed) {
+            throw new ApiError(409, 'This quote has already been used for a shipment');
+        }
+
+        return quote;
+    },
+
+    /**
+     * Link a claimed quote to its shipment, or release it if booking failed
+     */
+    settleQuote: async (quoteId, shipmentId) => {
+        await supabaseAdmin
+            .from('pricing_quotes')
+            .update(shipmentId ? { shipment_id: shipmentId } : { used_at: null })
+            .eq('id', quoteId);
+    },
+
+    /**
+     * Record a change to rates, zones or rules for the admin history
+     * @param {object} change
+     * @param {string} change.entity - pricing_config | pricing_zone | pricing_rule
+     * @param {string} change.action - create | update | delete
+     */
+    recordChange: async ({ entity, entityId, action, serviceType = null, before = null, after = null, changedBy }) => {
+        const { error } = await supabaseAdmin
+            .from('pricing_history')
+            .insert({
+                entity,
+                entity_id: entityId,
+                action,
+                service_type: serviceType,
+                before,
+                after,
+                changed_by: changedBy
+            });
+
+        if (error) {
+            console.error('Failed to record pricing change:', error.message);
+        }
+    }
+};
+
+module.exports = pricingService;
@@ -0,0 +1,174 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const { DISCOUNT } = config.pricingRules.types;
+const { SUBTOTAL } = config.pricingRules.bases;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Service for promo codes and their redemptions
+ */
+const promoService = {
+    normalizeCode,
+
+    /**
+     * Promo code row by code (case-insensitive), or null
+     */
+    findByCode: async (code) => {
+        const { data } = await supabaseAdmin
+            .from('promo_codes')
+            .select('*')
+            .eq('code', normalizeCode(code))
+            .maybeSingle();
+
+        return data || null;
+    },
+
+    /**
+     * Promo code row by ID, used to reprice a shipment with the code it was booked with
+     */
+    findById: async (id) => {
+        if (!id) return null;
+
+        const { data } = await supabaseAdmin
+            .from('promo_codes')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        return data || null;
+    },
+
+    /**
+     * Times a code has been redeemed, in total and by one user
+     */
+    countRedemptions: async (promoId, userId = null) => {
+        const total = supabaseAdmin
+            .from('promo_redemptions')
+            .select('id', { count: 'exact', head: true })
+            .eq('promo_code_id', promoId);
+
+        const byUser = userId
+            ? supabaseAdmin
+                .from('promo_redemptions')
+                .select('id', { count: 'exact', head: true })
+                .eq('promo_code_id', promoId)
+                .eq('user_id', userId)
+            : Promise.resolve({ count: 0 });
+
+        const [{ count: totalCount }, { count: userCount }] = await Promise.all([total, byUser]);
+        return { total: totalCount || 0, byUser: userCount || 0 };
+    },
+
+    /**
+     * Check a promo code can be used for a shipment
+     * The per-user cap is only checked when the user is known.
+     * @param {string} code
+     * @param {object} context - userId, serviceType, freight, at
+     * @returns {Promise<object>} promo_codes row
+     */
+    check: async (code, { userId = null, serviceType, freight, at = new Date() }) => {
+        const promo = await promoService.findByCode(code);
+
+        if (!promo || !promo.is_active) {
+            throw new ApiError(400, 'Invalid promo code');
+        }
+        if (promo.starts_at && new Date(promo.starts_at) > at) {
+            throw new ApiError(400, 'This promo code is not active yet');
+        }
+        if (promo.expires_at && new Date(promo.expires_at) <= at) {
+            throw new ApiError(400, 'This promo code has expired');
+        }
+        if (Array.isArray(promo.service_types) && promo.service_types.length > 0 &&
+            !promo.service_types.map(s => s.toLowerCase()).includes(serviceType)) {
+            throw new ApiError(400, `This promo code is only valid for: ${promo.service_types.join(', ')}`);
+        }
+        if (promo.min_order_amount != null && freight < parseFloat(promo.min_order_amount)) {
+            throw new ApiError(400, `This promo code needs a minimum order of ${promo.min_order_amount}`);
+        }
+
+        const used = await promoService.countRedemptions(promo.id, userId);
+        if (promo.max_uses != null && used.total >= promo.max_uses) {
+            throw new ApiError(400, 'This promo code has been fully redeemed');
+        }
+        if (userId && promo.per_user_limit != null && used.byUser >= promo.per_user_limit) {
+            throw new ApiError(400, 'You have already used this promo code the maximum number of times');
+        }
+
+        return promo;
+    },
+
+    /**
+     * A promo code as a discount rule for pricingRules.apply
+     * It runs after surcharges and before tax, so VAT is charged on the discounted price.
+     */
+    toRule: (promo) => ({
+        id: promo.id,
+        code: `promo_${promo.code.toLowerCase()}`,
+        name: `Promo ${promo.code}`,
+        rule_type: DISCOUNT,
+        calculation: promo.discount_type,
+        basis: SUBTOTAL,
+        amount: promo.amount,
+        max_charge: promo.max_discount,
+        conditions: {},
+        priority: config.pricing.promoPriority
+    }),
+
+    /**
+     * Reserve one use of a promo code for a booking
+     * The redemption is inserted first and the limits counted after, so two
+     * bookings racing for the last use cannot both keep it.
+     * @returns {Promise<string>} Redemption ID, settled with settleRedemption()
+     */
+    redeem: async (promoId, userId, discount) => {
+        const promo = await promoService.findById(promoId);
+        if (!promo || !promo.is_active) {
+            throw new ApiError(409, 'This promo code is no longer available');
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('promo_redemptions')
+            .insert({
+                promo_code_id: promo.id,
+                user_id: userId,
+                discount_amount: discount
+            })
+            .select('id')
+            .single();
+
+        if (error) throw error;
+
+        const used = await promoService.countRedemptions(promo.id, userId);
+        const overLimit = (promo.max_uses != null && used.total > promo.max_uses) ||
+            (promo.per_user_limit != null && used.byUser > promo.per_user_limit);
+
+        if (overLimit) {
+            await supabaseAdmin.from('promo_redemptions').delete().eq('id', data.id);
+            throw new ApiError(409, 'This promo code is no longer available');
+        }
+
+        return data.id;
+    },
+
+    /**
+     * Link a redemption to its shipment, or give the use back if booking failed
+     */
+    settleRedemption: async (redemptionId, shipmentId) => {
+        if (shipmentId) {
+            await supabaseAdmin
+                .from('promo_redemptions')
+                .update({ shipment_id: shipmentId })
+                .eq('id', redemptionId);
+        } else {
+            await supabaseAdmin
+                .from('promo_redemptions')
+                .delete()
+                .eq('id', redemptionId);
+        }
+    }
+};
+
+module.exports = promoService;
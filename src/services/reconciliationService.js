@@ -0,0 +1,266 @@
+const { supabaseAdmin } = require('../config/supabase');
+const config = require('../config');
+const paymentService = require('./paymentService');
+const { getProvider, providerNames } = require('./payments');
+
+const { PENDING, SUCCEEDED } = config.paymentStatus;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+let scheduleTimer = null;
+let running = false;
+
+/**
+ * Service that settles payments whose webhook never arrived and compares our
+ * payments with the providers' transaction lists
+ */
+const reconciliationService = {
+    /**
+     * Settle or fail pending payments older than the cutoff through paymentService.settle
+     * Pages by (created_at, id) so payments leaving 'pending' do not shift the
+     * pages and payments created in the same instant are not skipped.
+     * @returns {Promise<object>} Counts, amount mismatches, unresolved payments and errors
+     */
+    settlePending: async ({ olderThan, batchSize = config.reconciliation.batchSize }) => {
+        const report = { checked: 0, settled: 0, failed: 0, stillPending: 0, mismatches: [], unresolved: [], errors: [] };
+        let after = null;
+
+        for (;;) {
+            let query = supabaseAdmin
+                .from('payments')
+                .select('*')
+                .eq('status', PENDING)
+                .lt('created_at', olderThan.toISOString())
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .limit(batchSize);
+
+            if (after) {
+                query = query.or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`);
+            }
+
+            const { data: payments, error } = await query;
+
+            if (error) throw error;
+            if (!payments || payments.length === 0) break;
+
+            for (const payment of payments) {
+                report.checked++;
+                try {
+                    await reconciliationService.settleOne(payment, report);
+                } catch (err) {
+                    report.errors.push({ paymentId: payment.id, provider: payment.provider, error: err.message });
+                }
+            }
+
+            after = payments[payments.length - 1];
+            if (payments.length < batchSize) break;
+        }
+
+        return report;
+    },
+
+    /**
+     * Ask the provider about one pending payment and settle it
+     */
+    settleOne: async (payment, report) => {
+        // The wallet is debited in the booking request; a payment it left pending needs a person
+        if (payment.provider === config.wallet.provider) {
+            if (payment.reference) {
+                await paymentService.verify(payment);
+                report.settled++;
+            } else {
+                report.unresolved.push({ paymentId: payment.id, provider: payment.provider, reason: 'Wallet payment without a wallet transaction' });
+            }
+            return;
+        }
+
+        // The provider never saw it (the checkout request itself failed half-way)
+        if (!payment.reference) {
+            await paymentService.settle(payment, { status: config.paymentStatus.FAILED, failureReason: 'Checkout was never opened' }, 'reconciliation');
+            report.failed++;
+            return;
+        }
+
+        const outcome = await getProvider(payment.provider).verify(payment.reference);
+        const { result } = await paymentService.settle(payment, outcome, 'reconciliation');
+
+        if (result === 'amount_mismatch') {
+            report.mismatches.push({
+                paymentId: payment.id,
+                provider: payment.provider,
+                reference: payment.reference,
+                expected: await paymentService.expectedAmount(payment),
+                reported: outcome.amount
+            });
+        } else if (result === 'pending') {
+            report.stillPending++;
+        } else if (outcome.status === SUCCEEDED) {
+            report.settled++;
+        } else {
+            report.failed++;
+        }
+    },
+
+    /**
+     * Compare a provider's transactions in a window with our payments
+     * Orphans are successful provider transactions we have no payment for;
+     * mismatches are transactions whose amount or outcome differs from ours.
+     */
+    compareProvider: async (providerName, { from, to }) => {
+        const transactions = await getProvider(providerName).listTransactions({ from, to });
+        const orphans = [];
+        const mismatches = [];
+
+        for (let i = 0; i < transactions.length; i += config.reconciliation.batchSize) {
+            const batch = transactions.slice(i, i + config.reconciliation.batchSize);
+
+            const { data: payments, error } = await supabaseAdmin
+                .from('payments')
+                .select('id, reference, status, amount')
+                .eq('provider', providerName)
+                .in('reference', batch.map(t => t.reference));
+
+            if (error) throw error;
+
+            const byReference = new Map((payments || []).map(p => [p.reference, p]));
+
+            batch.forEach(transaction => {
+                const payment = byReference.get(transaction.reference);
+
+                if (!payment) {
+                    if (transaction.status === SUCCEEDED) {
+                        orphans.push({ provider: providerName, ...transaction });
+                    }
+                    return;
+                }
+
+                if (transaction.status !== SUCCEEDED) return;
+
+                if (transaction.amount != null && round(transaction.amount) !== round(parseFloat(payment.amount))) {
+                    mismatches.push({
+                        paymentId: payment.id,
+                        provider: providerName,
+                        reference: transaction.reference,
+                        type: 'amount',
+                        expected: parseFloat(payment.amount),
+                        reported: transaction.amount
+                    });
+                } else if (![SUCCEEDED, config.paymentStatus.REFUNDED].includes(payment.status) && payment.status !== PENDING) {
+                    // e.g. we failed it but the customer's card was charged later
+                    mismatches.push({
+                        paymentId: payment.id,
+                        provider: providerName,
+                        reference: transaction.reference,
+                        type: 'status',
+                        ours: payment.status,
+                        providerStatus: transaction.status
+                    });
+                }
+            });
+        }
+
+        return { checked: transactions.length, orphans, mismatches };
+    },
+
+    /**
+     * Run a full reconciliation and store its report
+     * @param {object} [options]
+     * @param {number} [options.pendingAfterMinutes] - Only payments pending longer than this
+     * @param {number} [options.lookbackHours] - Provider transaction window for orphans
+     * @param {string[]} [options.providers] - Defaults to every configured provider
+     * @param {string} [options.trigger] - command, schedule or api
+     * @param {string} [options.triggeredBy] - Admin user ID for api runs
+     * @returns {Promise<object>} reconciliation_runs row
+     */
+    run: async ({
+        pendingAfterMinutes = config.reconciliation.pendingAfterMinutes,
+        lookbackHours = config.reconciliation.lookbackHours,
+        providers = providerNames,
+        trigger = 'command',
+        triggeredBy = null
+    } = {}) => {
+        const startedAt = new Date();
+        const olderThan = new Date(startedAt.getTime() - pendingAfterMinutes * 60 * 1000);
+
+        const pending = await reconciliationService.settlePending({ olderThan });
+
+        const window = { from: new Date(startedAt.getTime() - lookbackHours * 60 * 60 * 1000), to: olderThan };
+        const orphans = [];
+        const mismatches = [...pending.mismatches];
+        const errors = [...pending.errors];
+        const checkedByProvider = {};
+
+        for (const providerName of providers) {
+            try {
+                const result = await reconciliationService.compareProvider(providerName, window);
+                checkedByProvider[providerName] = result.checked;
+                orphans.push(...result.orphans);
+                mismatches.push(...result.mismatches);
+            } catch (err) {
+                // A provider without credentials cannot be listed; the others still are
+                errors.push({ provider: providerName, error: err.message });
+            }
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('reconciliation_runs')
+            .insert({
+                trigger,
+                triggered_by: triggeredBy,
+                started_at: startedAt.toISOString(),
+                finished_at: new Date().toISOString(),
+                options: { pendingAfterMinutes, lookbackHours, providers },
+                summary: {
+                    pendingChecked: pending.checked,
+                    settled: pending.settled,
+                    failed: pending.failed,
+                    stillPending: pending.stillPending,
+                    providerTransactionsChecked: checkedByProvider,
+                    mismatches: mismatches.length,
+                    orphans: orphans.length,
+                    unresolved: pending.unresolved.length,
+                    errors: errors.length
+                },
+                mismatches,
+                orphans,
+                unresolved: pending.unresolved,
+                errors
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    /**
+     * Run reconciliation every config.reconciliation.intervalMinutes in this process
+     * A run still in progress is never overlapped. Settlement is idempotent, so
+     * several app instances running the schedule at once do no harm.
+     */
+    startSchedule: (intervalMinutes = config.reconciliation.intervalMinutes) => {
+        if (!intervalMinutes || scheduleTimer) return;
+
+        scheduleTimer = setInterval(async () => {
+            if (running) return;
+            running = true;
+            try {
+                const run = await reconciliationService.run({ trigger: 'schedule' });
+                const { settled, failed, mismatches, orphans, errors } = run.summary;
+                if (settled || failed || mismatches || orphans || errors) {
+                    console.log(`Reconciliation ${run.id}: ${settled} settled, ${failed} failed, ${mismatches} mismatches, ${orphans} orphans, ${errors} errors`);
+                }
+            } catch (err) {
+                console.error('Scheduled reconciliation failed:', err.message);
+            } finally {
+                running = false;
+            }
+        }, intervalMinutes * 60 * 1000);
+
+        // Do not keep the process alive just for the schedule
+        scheduleTimer.unref();
+    }
+};
+
+module.exports = reconciliationService;
@@ -0,0 +1,361 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { getProvider } = require('./payments');
+const invoiceService = require('./invoiceService');
+const walletService = require('./walletService');
+
+const { PENDING_APPROVAL, PROCESSING, SUCCEEDED, FAILED, REJECTED } = config.refundStatus;
+const { PERCENTAGE } = config.pricingRules.calculations;
+const { ORIGINAL, WALLET } = config.refunds.destinations;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Used when no cancellation_policies row exists for a status
+const FALLBACK_POLICIES = {
+    [config.shipmentStatus.PENDING]: { fee_type: PERCENTAGE, amount: 0, min_fee: 0 },
+    [config.shipmentStatus.PROCESSING]: { fee_type: PERCENTAGE, amount: 10, min_fee: 2000 },
+    [config.shipmentStatus.IN_TRANSIT]: { fee_type: PERCENTAGE, amount: 50, min_fee: 0 }
+};
+
+// Refunds that still count against what a payment can give back
+const OPEN_STATUSES = [PENDING_APPROVAL, PROCESSING, SUCCEEDED];
+
+/**
+ * Service for refunds, cancellation fees and their provider state
+ */
+const refundService = {
+    /**
+     * Cancellation policy for a shipment status
+     */
+    getPolicy: async (status) => {
+        const { data } = await supabaseAdmin
+            .from('cancellation_policies')
+            .select('*')
+            .eq('status', status)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        return data || FALLBACK_POLICIES[status] || null;
+    },
+
+    /**
+     * Fee kept when a shipment is cancelled at its current status
+     * @param {string} status - Status the shipment is cancelled from
+     * @param {number} paid - Amount paid
+     * @returns {Promise<{ fee: number, refundable: number, policy: object|null }>}
+     */
+    cancellationFee: async (status, paid) => {
+        const policy = await refundService.getPolicy(status);
+        if (!policy) {
+            return { fee: 0, refundable: round(paid), policy: null };
+        }
+
+        let fee = policy.fee_type === PERCENTAGE
+            ? paid * parseFloat(policy.amount) / 100
+            : parseFloat(policy.amount);
+        fee = Math.max(fee, parseFloat(policy.min_fee) || 0);
+        fee = round(Math.min(fee, paid));
+
+        return { fee, refundable: round(paid - fee), policy };
+    },
+
+    /**
+     * Amount of a payment not yet refunded or promised in an open refund
+     */
+    remainingRefundable: async (payment) => {
+        const { data } = await supabaseAdmin
+            .from('refunds')
+            .select('amount')
+            .eq('payment_id', payment.id)
+            .in('status', OPEN_STATUSES);
+
+        const committed = (data || []).reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+        return round(parseFloat(payment.amount) - committed);
+    },
+
+    /**
+     * Create a refund against a succeeded payment
+     * Refunds above REFUND_APPROVAL_THRESHOLD wait for an admin unless an admin
+     * requested them; the rest go straight to the provider.
+     * @param {object} payment - payments row
+     * @param {object} options
+     * @param {number} [options.amount] - Defaults to everything still refundable
+     * @param {number} [options.fee] - Cancellation fee kept, for the record
+     * @param {string} [options.reason]
+     * @param {string} options.requestedBy - User ID
+     * @param {boolean} [options.approved] - Requested by an admin
+     * @param {string} [options.destination] - 'original' (default) or 'wallet';
+     *        payments taken from the wallet always go back to it
+     */
+    create: async (payment, { amount, fee = 0, reason = null, requestedBy, approved = false, destination = ORIGINAL }) => {
+        if (payment.status !== config.paymentStatus.SUCCEEDED) {
+            throw new ApiError(409, 'Only succeeded payments can be refunded');
+        }
+        if (payment.purpose === config.paymentPurposes.WALLET_TOPUP) {
+            throw new ApiError(409, 'Wallet top-ups are not refunded; adjust the wallet instead');
+        }
+
+        const remaining = await refundService.remainingRefundable(payment);
+        const refundAmount = round(amount ?? remaining);
+
+        if (refundAmount <= 0) {
+            throw new ApiError(409, 'Nothing left to refund on this payment');
+        }
+        if (refundAmount > remaining) {
+            throw new ApiError(400, `Refund cannot exceed the ${remaining} still refundable on this payment`);
+        }
+
+        const needsApproval = !approved && refundAmount > config.refunds.approvalThreshold;
+        const now = new Date().toISOString();
+
+        // Checked again under the payment's lock, against refunds made meanwhile
+        const { data: refund, error } = await supabaseAdmin
+            .rpc('create_refund', {
+                p_refund: {
+                    payment_id: payment.id,
+                    shipment_id: payment.shipment_id,
+                    provider: payment.provider,
+                    amount: refundAmount,
+                    cancellation_fee: fee,
+                    reason,
+                    destination: payment.provider === config.wallet.provider ? WALLET : destination,
+                    status: needsApproval ? PENDING_APPROVAL : PROCESSING,
+                    requested_by: requestedBy,
+                    approved_by: needsApproval ? null : requestedBy,
+                    approved_at: needsApproval ? null : now
+                }
+            })
+            .single();
+
+        if (error?.code === '23514') {
+            throw new ApiError(409, 'Another refund on this payment was made meanwhile. Check what is still refundable and try again.');
+        }
+        if (error) throw error;
+
+        return needsApproval ? refund : refundService.submit(refund, payment);
+    },
+
+    /**
+     * Refund a paid shipment that was just cancelled, keeping the policy fee
+     * @param {object} shipment - Needs id and the status it was cancelled from
+     * @returns {Promise<object|null>} The refund, or null when nothing was paid
+     */
+    refundCancellation: async (shipment, previousStatus, { requestedBy, approved, reason, destination }) => {
+        const { data: payment } = await supabaseAdmin
+            .from('payments')
+            .select('*')
+            .eq('shipment_id', shipment.id)
+            .eq('status', config.paymentStatus.SUCCEEDED)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (!payment) return null;
+
+        // The fee follows what was paid; it is kept out of what has not been refunded yet
+        const { fee } = await refundService.cancellationFee(previousStatus, parseFloat(payment.amount));
+        const remaining = await refundService.remainingRefundable(payment);
+        const refundable = round(remaining - fee);
+        if (refundable <= 0) return null;
+
+        return refundService.create(payment, {
+            amount: refundable,
+            fee: round(Math.min(fee, remaining)),
+            reason: reason ? `Cancelled: ${reason}` : 'Shipment cancelled',
+            requestedBy,
+            approved,
+            destination
+        });
+    },
+
+    /**
+     * Send an approved refund to the provider, or straight to the wallet
+     */
+    submit: async (refund, payment) => {
+        if (refund.destination === WALLET) {
+            const { transaction } = await walletService.creditRefund(refund, payment);
+            await supabaseAdmin
+                .from('refunds')
+                .update({ provider_refund_id: transaction.id })
+                .eq('id', refund.id);
+            return refundService.settle(refund, { status: SUCCEEDED });
+        }
+
+        let result;
+        try {
+            result = await getProvider(payment.provider).refund({ payment, refund });
+        } catch (err) {
+            console.error(`Refund ${refund.id} failed at ${payment.provider}:`, err.message);
+            return refundService.settle(refund, { status: FAILED, failureReason: err.message });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('refunds')
+            .update({ provider_refund_id: result.reference, updated_at: new Date().toISOString() })
+            .eq('id', refund.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return result.status === SUCCEEDED || result.status === FAILED
+            ? refundService.settle(data, { status: result.status })
+            : data;
+    },
+
+    /**
+     * Approve a refund waiting for an admin and send it to the provider
+     */
+    approve: async (refundId, adminId) => {
+        const { data: refund } = await supabaseAdmin
+            .from('refunds')
+            .update({
+                status: PROCESSING,
+                approved_by: adminId,
+                approved_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', refundId)
+            .eq('status', PENDING_APPROVAL)
+            .select()
+            .maybeSingle();
+
+        if (!refund) {
+            throw new ApiError(409, 'Refund not found or not waiting for approval');
+        }
+
+        const { data: payment } = await supabaseAdmin
+            .from('payments')
+            .select('*')
+            .eq('id', refund.payment_id)
+            .single();
+
+        return refundService.submit(refund, payment);
+    },
+
+    /**
+     * Reject a refund waiting for an admin
+     */
+    reject: async (refundId, adminId, reason) => {
+        const { data: refund } = await supabaseAdmin
+            .from('refunds')
+            .update({
+                status: REJECTED,
+                approved_by: adminId,
+                failure_reason: reason || 'Rejected by admin',
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', refundId)
+            .eq('status', PENDING_APPROVAL)
+            .select()
+            .maybeSingle();
+
+        if (!refund) {
+            throw new ApiError(409, 'Refund not found or not waiting for approval');
+        }
+        return refund;
+    },
+
+    /**
+     * Finish a processing refund; repeated calls after the first do nothing
+     * Once a payment is refunded in full it and its shipment are marked refunded.
+     * Every succeeded refund gets a credit note.
+     */
+    settle: async (refund, { status, failureReason = null }) => {
+        const now = new Date().toISOString();
+
+        const { data: updated, error } = await supabaseAdmin
+            .from('refunds')
+            .update({
+                status,
+                failure_reason: status === FAILED ? failureReason || 'Refund failed at provider' : null,
+                completed_at: status === SUCCEEDED ? now : null,
+                updated_at: now
+            })
+            .eq('id', refund.id)
+            .eq('status', PROCESSING)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!updated || status !== SUCCEEDED) return updated || refund;
+
+        const { data: succeeded } = await supabaseAdmin
+            .from('refunds')
+            .select('amount')
+            .eq('payment_id', updated.payment_id)
+            .eq('status', SUCCEEDED);
+
+        const refunded = round((succeeded || []).reduce((sum, r) => sum + parseFloat(r.amount), 0));
+
+        const { data: payment } = await supabaseAdmin
+            .from('payments')
+            .update({ refunded_amount: refunded, updated_at: now })
+            .eq('id', updated.payment_id)
+            .select()
+            .single();
+
+        if (payment && refunded >= parseFloat(payment.amount)) {
+            await supabaseAdmin
+                .from('payments')
+                .update({ status: config.paymentStatus.REFUNDED })
+                .eq('id', payment.id);
+
+            await supabaseAdmin
+                .from('shipments')
+                .update({ payment_status: config.shipmentPaymentStatus.REFUNDED, updated_at: now })
+                .eq('id', payment.shipment_id);
+        }
+
+        await invoiceService.recordRefund(updated);
+
+        return updated;
+    },
+
+    /**
+     * Apply a refund webhook event
+     * @returns {Promise<string>} Result recorded on the payment event
+     */
+    settleFromEvent: async (providerName, event) => {
+        let refund = null;
+
+        if (event.reference) {
+            ({ data: refund } = await supabaseAdmin
+                .from('refunds')
+                .select('*')
+                .eq('provider', providerName)
+                .eq('provider_refund_id', event.reference)
+                .maybeSingle());
+        }
+
+        // Some refund events only name the transaction; take its oldest open refund
+        if (!refund && event.paymentReference) {
+            const { data: payment } = await supabaseAdmin
+                .from('payments')
+                .select('id')
+                .eq('provider', providerName)
+                .eq('reference', event.paymentReference)
+                .maybeSingle();
+
+            if (payment) {
+                ({ data: refund } = await supabaseAdmin
+                    .from('refunds')
+                    .select('*')
+                    .eq('payment_id', payment.id)
+                    .eq('status', PROCESSING)
+                    .order('created_at', { ascending: true })
+                    .limit(1)
+                    .maybeSingle());
+            }
+        }
+
+        if (!refund) return 'unmatched';
+        if (refund.status !== PROCESSING) return 'already_settled';
+
+        await refundService.settle(refund, { status: event.status, failureReason: event.failureReason });
+        return 'settled';
+    }
+};
+
+module.exports = refundService;
@@ -0,0 +1,240 @@
+const { supabaseAdmin, createAuthClient } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /(Chrome|CriOS)\//],
+    ['Firefox', /(Firefox|FxiOS)\//],
+    ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+];
+
+/**
+ * Service for Supabase sessions as the user sees them
+ * Each login gets a user_sessions row keyed by the session_id claim of its
+ * access tokens, with the device and IP it came from (scripts/add_user_sessions.sql).
+ */
+const sessionService = {
+    /**
+     * Session ID claim of a Supabase access token (already verified by the caller)
+     */
+    sessionIdFromToken: (token) => {
+        try {
+            const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+            return payload.session_id || null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Short device label from a user agent, e.g. "Chrome on Android"
+     */
+    describeDevice: (userAgent) => {
+        if (!userAgent) return 'Unknown device';
+
+        const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+        const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+        if (browser && system) return `${browser} on ${system}`;
+        return browser || system || userAgent.split(/[\s/]/)[0];
+    },
+
+    /**
+     * Record a new session after login
+     * @param {object} session - Supabase session
+     * @param {object} req - For the IP and user agent
+     * @param {object} [options]
+     * @param {boolean} [options.mfaVerified] - The login passed the second factor
+     */
+    record: async (session, req, { mfaVerified = false } = {}) => {
+        const id = sessionService.sessionIdFromToken(session.access_token);
+        if (!id) return null;
+
+        const userAgent = req.get('user-agent') || null;
+        const now = new Date().toISOString();
+
+        const { data, error } = await supabaseAdmin
+            .from('user_sessions')
+            .upsert({
+                id,
+                user_id: session.user.id,
+                user_agent: userAgent,
+                device: sessionService.describeDevice(userAgent),
+                ip_address: req.ip,
+                last_ip_address: req.ip,
+                created_at: now,
+                last_active_at: now,
+                mfa_verified_at: mfaVerified ? now : null
+            }, { onConflict: 'id' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    },
+
+    /**
+     * Tracked session by ID, or null
+     */
+    find: async (sessionId) => {
+        if (!sessionId) return null;
+
+        const { data } = await supabaseAdmin
+            .from('user_sessions')
+            .select('id, user_id, revoked_at, mfa_verified_at')
+            .eq('id', sessionId)
+            .maybeSingle();
+
+        return data || null;
+    },
+
+    /**
+     * Whether a session was revoked through this API
+     */
+    isRevoked: async (sessionId) => {
+        const session = await sessionService.find(sessionId);
+        return Boolean(session?.revoked_at);
+    },
+
+    /**
+     * Mark a session as having passed the second factor (e.g. the one that enrolled it)
+     */
+    markMfaVerified: async (sessionId) => {
+        if (!sessionId) return;
+
+        const { error } = await supabaseAdmin
+            .from('user_sessions')
+            .update({ mfa_verified_at: new Date().toISOString() })
+            .eq('id', sessionId);
+
+        if (error) throw error;
+    },
+
+    /**
+     * Exchange a refresh token for a new access token
+     * @throws {ApiError} 401 when the refresh token is invalid, used up or its session revoked
+     */
+    refresh: async (refreshToken, req) => {
+        const { data, error } = await createAuthClient().auth.refreshSession({ refresh_token: refreshToken });
+
+        if (error || !data.session) {
+            throw new ApiError(401, error?.message || 'Invalid refresh token');
+        }
+
+        const sessionId = sessionService.sessionIdFromToken(data.session.access_token);
+        if (await sessionService.isRevoked(sessionId)) {
+            throw new ApiError(401, 'Session has been revoked');
+        }
+
+        const { data: existing } = await supabaseAdmin
+            .from('user_sessions')
+            .update({ last_active_at: new Date().toISOString(), last_ip_address: req.ip })
+            .eq('id', sessionId)
+            .select('id')
+            .maybeSingle();
+
+        // Sessions from before session tracking are picked up on their first refresh
+        if (!existing) {
+            await sessionService.record(data.session, req);
+        }
+
+        return data.session;
+    },
+
+    /**
+     * A user's sessions that have not been revoked, most recently active first
+     */
+    list: async (userId) => {
+        const { data, error } = await supabaseAdmin
+            .from('user_sessions')
+            .select('id, device, user_agent, ip_address, last_ip_address, created_at, last_active_at')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .order('last_active_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    },
+
+    /**
+     * Revoke one of a user's sessions
+     * Deletes the Supabase session, so its refresh token stops working, and
+     * marks it revoked, so its access tokens are refused until they expire.
+     * @throws {ApiError} 404 if the session is not the user's or already revoked
+     */
+    revoke: async (userId, sessionId, reason = 'revoked') => {
+        const { data, error } = await supabaseAdmin
+            .from('user_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('id', sessionId)
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            throw new ApiError(404, 'Session not found');
+        }
+
+        const { error: rpcError } = await supabaseAdmin.rpc('revoke_auth_session', {
+            p_user_id: userId,
+            p_session_id: sessionId
+        });
+
+        if (rpcError) throw rpcError;
+    },
+
+    /**
+     * Revoke every session of the user behind the token
+     * @param {string} token - The caller's access token
+     * @param {string} [keepSessionId] - Session to leave signed in (the caller's)
+     * @returns {Promise<number>} Sessions revoked
+     */
+    revokeAll: async (token, userId, keepSessionId = null, reason = 'revoked_all') => {
+        const { error: signOutError } = await supabaseAdmin.auth.admin.signOut(token, keepSessionId ? 'others' : 'global');
+        if (signOutError) throw signOutError;
+
+        let query = supabaseAdmin
+            .from('user_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (keepSessionId) {
+            query = query.neq('id', keepSessionId);
+        }
+
+        const { data, error } = await query.select('id');
+
+        if (error) throw error;
+        return (data || []).length;
+    },
+
+    /**
+     * Sign out the session behind an access token (and only that session)
+     */
+    signOut: async (token, sessionId) => {
+        const { error } = await supabaseAdmin.auth.admin.signOut(token, 'local');
+        if (error) throw error;
+
+        if (sessionId) {
+            await supabaseAdmin
+                .from('user_sessions')
+                .update({ revoked_at: new Date().toISOString(), revoked_reason: 'logout' })
+                .eq('id', sessionId)
+                .is('revoked_at', null);
+        }
+    }
+};
+
+module.exports = sessionService;
@@ -0,0 +1,203 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const shipmentService = require('./shipmentService');
+
+const EXPORT_SELECT = `
+    id, tracking_number, status, payment_status, origin, destination, weight, service_type, package_type,
+    description, declared_value, shipping_fee, receiver_name, receiver_email, receiver_phone,
+    estimated_delivery, picked_up_at, delivered_at, created_at,
+    sender:profiles!shipments_sender_id_fkey(first_name, last_name, email, company_name),
+    driver:drivers(profile:profiles(first_name, last_name, phone))
+`;
+
+const fullName = (profile) => profile
+    ? [profile.first_name, profile.last_name].filter(Boolean).join(' ')
+    : '';
+
+// Column key -> header and value
+const COLUMNS = {
+    trackingNumber: { header: 'Tracking Number', value: s => s.tracking_number },
+    status: { header: 'Status', value: s => s.status },
+    paymentStatus: { header: 'Payment Status', value: s => s.payment_status },
+    createdAt: { header: 'Created At', value: s => s.created_at },
+    origin: { header: 'Origin', value: s => s.origin },
+    destination: { header: 'Destination', value: s => s.destination },
+    senderName: { header: 'Sender', value: s => fullName(s.sender) },
+    senderEmail: { header: 'Sender Email', value: s => s.sender?.email },
+    senderCompany: { header: 'Sender Company', value: s => s.sender?.company_name },
+    receiverName: { header: 'Receiver', value: s => s.receiver_name },
+    receiverPhone: { header: 'Receiver Phone', value: s => s.receiver_phone },
+    receiverEmail: { header: 'Receiver Email', value: s => s.receiver_email },
+    driverName: { header: 'Driver', value: s => fullName(s.driver?.profile) },
+    driverPhone: { header: 'Driver Phone', value: s => s.driver?.profile?.phone },
+    serviceType: { header: 'Service Type', value: s => s.service_type },
+    packageType: { header: 'Package Type', value: s => s.package_type },
+    weight: { header: 'Weight (kg)', value: s => s.weight },
+    description: { header: 'Description', value: s => s.description },
+    declaredValue: { header: 'Declared Value', value: s => s.declared_value },
+    shippingFee: { header: 'Shipping Fee', value: s => s.shipping_fee },
+    estimatedDelivery: { header: 'Estimated Delivery', value: s => s.estimated_delivery },
+    pickedUpAt: { header: 'Picked Up At', value: s => s.picked_up_at },
+    deliveredAt: { header: 'Delivered At', value: s => s.delivered_at }
+};
+
+const DEFAULT_COLUMNS = [
+    'trackingNumber', 'createdAt', 'status', 'paymentStatus', 'senderName', 'origin', 'destination',
+    'receiverName', 'driverName', 'serviceType', 'weight', 'shippingFee', 'deliveredAt'
+];
+
+/**
+ * Quote a CSV field. Values that spreadsheet apps would run as formulas are
+ * prefixed with an apostrophe.
+ */
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as an XLSX workbook, committing each row as it is added
+ * @returns {Promise<number>} Rows written
+ */
+const writeXlsx = async (res, definitions, rows) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Shipments');
+    sheet.columns = definitions.map(({ header }) => ({ header, width: Math.max(12, header.length + 2) }));
+
+    let count = 0;
+    for await (const batch of rows) {
+        batch.forEach(shipment => {
+            sheet.addRow(definitions.map(({ value }) => value(shipment) ?? null)).commit();
+        });
+        count += batch.length;
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+};
+
+/**
+ * Write rows as CSV
+ * @returns {Promise<number>} Rows written
+ */
+const writeCsv = async (res, definitions, rows) => {
+    // Excel needs the BOM to read UTF-8 CSV
+    res.write('\uFEFF' + definitions.map(({ header }) => csvField(header)).join(',') + '\r\n');
+
+    let count = 0;
+    for await (const batch of rows) {
+        const chunk = batch
+            .map(shipment => definitions.map(({ value }) => csvField(value(shipment))).join(',') + '\r\n')
+            .join('');
+
+        // Respect backpressure; stop if the client went away
+        if (!res.write(chunk)) {
+            await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+        if (res.destroyed) return count;
+        count += batch.length;
+    }
+
+    res.end();
+    return count;
+};
+
+/**
+ * Service to stream shipment exports as CSV or XLSX
+ */
+const shipmentExportService = {
+    FORMATS: ['csv', 'xlsx'],
+    COLUMNS,
+    DEFAULT_COLUMNS,
+
+    /**
+     * Resolve the `columns` query parameter into column keys
+     * @param {string} [param] - Comma separated column keys
+     */
+    resolveColumns: (param) => {
+        if (!param) return DEFAULT_COLUMNS;
+
+        const keys = String(param).split(',').map(k => k.trim()).filter(Boolean);
+        const unknown = keys.filter(k => !COLUMNS[k]);
+        if (unknown.length > 0) {
+            throw new ApiError(400, `Unknown export columns: ${unknown.join(', ')}. Available: ${Object.keys(COLUMNS).join(', ')}`);
+        }
+        return keys;
+    },
+
+    /**
+     * Read matching shipments one batch at a time
+     * @param {object} filters - Same as shipmentService.applyFilters
+     */
+    batches: async function* (filters) {
+        const size = config.export.batchSize;
+
+        for (let offset = 0; ; offset += size) {
+            const query = shipmentService.applyFilters(
+                supabaseAdmin.from('shipments').select(EXPORT_SELECT),
+                filters
+            );
+
+            const { data, error } = await query
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: true })
+                .range(offset, offset + size - 1);
+
+            if (error) throw error;
+            if (data.length > 0) yield data;
+            if (data.length < size) return;
+        }
+    },
+
+    /**
+     * Write the export to a response
+     * The first batch is read before any headers are sent, so query errors
+     * still reach the error handler as JSON.
+     * @param {object} res - Express response
+     * @param {object} options
+     * @param {string} options.format - csv | xlsx
+     * @param {Array<string>} options.columns - Column keys
+     * @param {object} options.filters
+     */
+    stream: async (res, { format, columns, filters }) => {
+        const batches = shipmentExportService.batches(filters);
+        const first = await batches.next();
+
+        const filename = `shipments-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set({
+            'Content-Type': format === 'xlsx'
+                ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+                : 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        const definitions = columns.map(key => COLUMNS[key]);
+        const rows = async function* () {
+            if (first.done) return;
+            yield first.value;
+            yield* batches;
+        };
+
+        try {
+            return format === 'xlsx'
+                ? await writeXlsx(res, definitions, rows())
+                : await writeCsv(res, definitions, rows());
+        } catch (err) {
+            // Headers are gone, so the error handler cannot answer; cut the download short
+            console.error('Shipment export failed:', err.message);
+            res.destroy(err);
+            return null;
+        }
+    }
+};
+
+module.exports = shipmentExportService;
@@ -0,0 +1,298 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const { validations } = require('../middleware/validate');
+const config = require('../config');
+const shipmentService = require('./shipmentService');
+const documentService = require('./documentService');
+const creditAccountService = require('./creditAccountService');
+const shipmentLifecycle = require('./shipmentLifecycle');
+const trackingStream = require('./trackingStream');
+
+const IMPORT_MODES = ['all', 'partial'];
+
+// Normalized column header -> createShipment field
+const COLUMNS = {
+    origin: 'origin',
+    destination: 'destination',
+    receivername: 'receiverName',
+    receiveremail: 'receiverEmail',
+    receiverphone: 'receiverPhone',
+    weight: 'weight',
+    weightkg: 'weight',
+    cargoweightkg: 'weight',
+    servicetype: 'serviceType',
+    trucktype: 'serviceType',
+    packagetype: 'packageType',
+    description: 'description',
+    declaredvalue: 'declaredValue',
+    specialinstructions: 'specialInstructions',
+    notes: 'specialInstructions',
+    originlat: 'originLat',
+    originlng: 'originLng',
+    destinationlat: 'destinationLat',
+    destinationlng: 'destinationLng',
+    originstate: 'originState',
+    destinationstate: 'destinationState',
+    pickupdate: 'pickupDate',
+    length: 'length',
+    width: 'width',
+    height: 'height'
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Turn a raw spreadsheet record into createShipment input
+ * Unknown columns are ignored; empty cells are dropped.
+ */
+const toShipmentInput = (record) => {
+    const input = {};
+    Object.entries(record).forEach(([header, value]) => {
+        const field = COLUMNS[normalizeHeader(header)];
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        if (field && text !== '') input[field] = text;
+    });
+
+    const { length, width, height, ...rest } = input;
+    if (length || width || height) {
+        rest.dimensions = {
+            length: parseFloat(length) || null,
+            width: parseFloat(width) || null,
+            height: parseFloat(height) || null
+        };
+    }
+    return rest;
+};
+
+/**
+ * Plain value of an ExcelJS cell (formulas, rich text and hyperlinks included)
+ */
+const cellValue = (cell) => {
+    const value = cell.value;
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        return value.result ?? value.text ?? '';
+    }
+    return value;
+};
+
+const parseCsv = (buffer) => {
+    try {
+        return parse(buffer, {
+            columns: true,
+            bom: true,
+            trim: true,
+            skip_empty_lines: true,
+            info: true
+        }).map(({ record, info }) => ({ row: info.lines, record }));
+    } catch (err) {
+        throw new ApiError(400, `Could not read CSV file: ${err.message}`);
+    }
+};
+
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        throw new ApiError(400, `Could not read XLSX file: ${err.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+        headers[col] = String(cellValue(cell)).trim();
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const record = {};
+        row.eachCell((cell, col) => {
+            if (headers[col]) record[headers[col]] = cellValue(cell);
+        });
+
+        if (Object.values(record).some(v => String(v).trim() !== '')) {
+            rows.push({ row: rowNumber, record });
+        }
+    });
+    return rows;
+};
+
+/**
+ * Service for importing many shipments from one CSV / XLSX upload
+ */
+const shipmentImportService = {
+    IMPORT_MODES,
+
+    /**
+     * Read the uploaded file into { row, record } entries (row = line in the file)
+     * @param {object} file - multer file
+     */
+    parseFile: async (file) => {
+        const ext = path.extname(file.originalname || '').toLowerCase();
+        const rows = ext === '.xlsx' ? await parseXlsx(file.buffer) : parseCsv(file.buffer);
+
+        if (rows.length === 0) {
+            throw new ApiError(400, 'The file has no shipment rows');
+        }
+        if (rows.length > config.bulkImport.maxRows) {
+            throw new ApiError(400, `Too many rows (${rows.length}). The limit is ${config.bulkImport.maxRows} per file`);
+        }
+        return rows;
+    },
+
+    /**
+     * Validate one row with the same rules as POST /api/shipments
+     * @returns {Promise<{ input: object, errors: Array<{field: string, message: string}> }>}
+     */
+    validateRow: async (record) => {
+        const req = { body: toShipmentInput(record) };
+
+        for (const chain of validations.shipmentImportRow) {
+            await chain.run(req);
+        }
+
+        const errors = validationResult(req).array().map(err => ({
+            field: err.path,
+            message: err.msg
+        }));
+
+        return { input: req.body, errors };
+    },
+
+    /**
+     * Validate and price every row, optionally creating the shipments
+     * @param {string} userId - Sender
+     * @param {Array<{row: number, record: object}>} rows
+     * @param {object} options
+     * @param {boolean} [options.dryRun] - Only validate and quote
+     * @param {string} [options.mode] - 'all' (nothing is created if any row fails) or 'partial'
+     */
+    importRows: async (userId, rows, { dryRun = false, mode = 'all' } = {}) => {
+        const results = [];
+
+        for (const { row, record } of rows) {
+            const { input, errors } = await shipmentImportService.validateRow(record);
+            let shipment = null;
+
+            if (errors.length === 0) {
+                try {
+                    shipment = await shipmentService.prepareShipment(userId, input);
+                } catch (err) {
+                    // e.g. more than the truck class can carry
+                    if (!(err instanceof ApiError) || err.statusCode !== 400) throw err;
+                    errors.push({ field: 'weight', message: err.message });
+                }
+            }
+
+            results.push({ row, errors, shipment });
+        }
+
+        const valid = results.filter(r => r.shipment);
+        const report = {
+            dryRun,
+            mode,
+            committed: false,
+            totalRows: results.length,
+            validRows: valid.length,
+            invalidRows: results.length - valid.length,
+            totalQuotedFee: valid.reduce((sum, r) => sum + r.shipment.shipping_fee, 0),
+            created: 0,
+            rows: results.map(({ row, errors, shipment }) => ({
+                row,
+                valid: errors.length === 0,
+                errors,
+                ...(shipment && {
+                    receiverName: shipment.receiver_name,
+                    destination: shipment.destination,
+                    serviceType: shipment.service_type,
+                    weight: shipment.weight,
+                    distanceKm: shipment.distance_km,
+                    pricingZone: shipment.pricing_zone,
+                    shippingFee: shipment.shipping_fee
+                })
+            }))
+        };
+
+        const blocked = mode === 'all' && report.invalidRows > 0;
+        if (dryRun || blocked || valid.length === 0) {
+            return report;
+        }
+
+        // Active credit accounts book the whole batch against their limit
+        const account = await shipmentService.accountToBook(userId);
+        if (account) {
+            valid.forEach(r => { r.shipment.payment_status = config.shipmentPaymentStatus.ON_ACCOUNT; });
+        }
+
+        // One transaction, so the batch (and its charges) is created or rejected as a whole
+        let created;
+        if (account) {
+            created = await creditAccountService.book(account, valid.map(r => r.shipment));
+        } else {
+            const { data, error } = await supabaseAdmin
+                .from('shipments')
+                .insert(valid.map(r => r.shipment))
+                .select('id, tracking_number, origin, shipping_fee');
+
+            if (error) throw error;
+            created = data;
+        }
+
+        const { data: events, error: eventsError } = await supabaseAdmin
+            .from('tracking_events')
+            .insert(created.map(s => ({
+                shipment_id: s.id,
+                status: config.shipmentStatus.PENDING,
+                location: s.origin,
+                description: 'Shipment created and pending pickup'
+            })))
+            .select();
+
+        if (eventsError) {
+            console.error('Failed to add tracking events for imported shipments:', eventsError.message);
+        }
+
+        // Push to live tracking streams, as addTrackingEvent does for single shipments
+        (events || []).forEach(event => trackingStream.publish(event.shipment_id, 'tracking', event, event.id));
+
+        // A few shipments at a time: rendering every waybill at once would hold the request far longer
+        const { concurrency } = config.bulkImport;
+        for (let i = 0; i < created.length; i += concurrency) {
+            await Promise.all(created.slice(i, i + concurrency).map(async shipment => {
+                if (account) {
+                    await shipmentLifecycle.transition(shipment.id, config.shipmentStatus.PROCESSING, {
+                        role: shipmentLifecycle.SYSTEM,
+                        location: 'System',
+                        description: 'Billed to credit account. Shipment moved to processing.',
+                        strict: false
+                    });
+                }
+                await documentService.refreshWaybill(shipment.id);
+            }));
+        }
+
+        const byTrackingNumber = new Map(created.map(s => [s.tracking_number, s.id]));
+        valid.forEach(r => {
+            const entry = report.rows.find(e => e.row === r.row);
+            entry.shipmentId = byTrackingNumber.get(r.shipment.tracking_number);
+            entry.trackingNumber = r.shipment.tracking_number;
+        });
+
+        report.committed = true;
+        report.created = created.length;
+        return report;
+    }
+};
+
+module.exports = shipmentImportService;
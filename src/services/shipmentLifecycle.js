@@ -0,0 +1,211 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const shipmentService = require('./shipmentService');
+const dispatchService = require('./dispatchService');
+const podService = require('./podService');
+
+const { ADMIN, USER, DRIVER } = config.userRoles;
+const {
+    PENDING,
+    PROCESSING,
+    IN_TRANSIT,
+    OUT_FOR_DELIVERY,
+    DELIVERED,
+    CANCELLED,
+    RETURNED
+} = config.shipmentStatus;
+
+/**
+ * Actor used for transitions triggered by the platform itself (payment webhooks etc.)
+ */
+const SYSTEM = 'system';
+
+/**
+ * Allowed transitions: from status -> { to status: roles allowed to perform it }
+ * Statuses missing from the map (delivered, cancelled, returned) are terminal.
+ */
+const TRANSITIONS = {
+    [PENDING]: {
+        [PROCESSING]: [ADMIN, SYSTEM],
+        [CANCELLED]: [ADMIN, USER]
+    },
+    [PROCESSING]: {
+        [IN_TRANSIT]: [ADMIN, DRIVER],
+        [CANCELLED]: [ADMIN, USER]
+    },
+    [IN_TRANSIT]: {
+        [OUT_FOR_DELIVERY]: [ADMIN, DRIVER],
+        [RETURNED]: [ADMIN],
+        [CANCELLED]: [ADMIN]
+    },
+    [OUT_FOR_DELIVERY]: {
+        [DELIVERED]: [ADMIN, DRIVER],
+        [IN_TRANSIT]: [ADMIN, DRIVER], // Re-attempt after a failed delivery
+        [RETURNED]: [ADMIN, DRIVER]
+    }
+};
+
+/**
+ * Default tracking event description per target status
+ */
+const EVENT_DESCRIPTIONS = {
+    [PROCESSING]: 'Shipment is being processed',
+    [IN_TRANSIT]: 'Shipment picked up and in transit',
+    [OUT_FOR_DELIVERY]: 'Shipment is out for delivery',
+    [DELIVERED]: 'Shipment delivered',
+    [CANCELLED]: 'Shipment cancelled',
+    [RETURNED]: 'Shipment returned to sender'
+};
+
+/**
+ * Timestamp columns stamped when a shipment first enters a status
+ */
+const TIMESTAMP_FIELDS = {
+    [IN_TRANSIT]: 'picked_up_at',
+    [DELIVERED]: 'delivered_at'
+};
+
+/**
+ * Statuses reachable from `from` for a given role
+ */
+const getAllowedTransitions = (from, role) => {
+    const targets = TRANSITIONS[from] || {};
+    return Object.keys(targets).filter(to => !role || targets[to].includes(role));
+};
+
+/**
+ * Check whether `role` may move a shipment from `from` to `to`
+ */
+const canTransition = (from, to, role) => {
+    const roles = TRANSITIONS[from]?.[to];
+    return Boolean(roles && roles.includes(role));
+};
+
+/**
+ * Throw an ApiError describing why a transition is not allowed
+ */
+const assertTransition = (from, to, role) => {
+    if (!Object.values(config.shipmentStatus).includes(to)) {
+        throw new ApiError(400, `Unknown shipment status: ${to}`);
+    }
+
+    if (from === to) return;
+
+    const roles = TRANSITIONS[from]?.[to];
+    if (!roles) {
+        const allowed = getAllowedTransitions(from);
+        throw new ApiError(
+            409,
+            `Cannot change shipment status from ${from} to ${to}` +
+            (allowed.length ? `. Allowed: ${allowed.join(', ')}` : `. ${from} is a final status`),
+            { from, to, allowed }
+        );
+    }
+
+    if (!roles.includes(role)) {
+        throw new ApiError(403, `Role ${role} cannot change shipment status from ${from} to ${to}`, { from, to, roles });
+    }
+};
+
+/**
+ * Move a shipment to a new status, applying side effects
+ * @param {string} shipmentId
+ * @param {string} to - Target status
+ * @param {object} options
+ * @param {string} options.role - Acting role (admin, user, driver or system)
+ * @param {object} [options.updates] - Extra columns to write in the same update
+ * @param {string} [options.location] - Location recorded on the tracking event
+ * @param {{ lat: number, lng: number }} [options.coordinates] - Coordinates recorded on the tracking event
+ * @param {string} [options.description] - Tracking event description
+ * @param {object} [options.proof] - Required to deliver: { otp } or { overrideReason, actorId } (admin),
+ *        or { authorized } with the columns podService.authorizeDelivery already returned
+ * @param {boolean} [options.strict=true] - When false, illegal transitions return null instead of throwing
+ * @returns {Promise<object|null>} Updated shipment row
+ */
+const transition = async (shipmentId, to, options = {}) => {
+    const { role, updates = {}, location = null, coordinates = null, description, proof, strict = true } = options;
+
+    const { data: shipment, error: fetchError } = await supabaseAdmin
+        .from('shipments')
+        .select('id, status, picked_up_at, delivered_at')
+        .eq('id', shipmentId)
+        .single();
+
+    if (fetchError || !shipment) {
+        throw new ApiError(404, 'Shipment not found');
+    }
+
+    try {
+        assertTransition(shipment.status, to, role);
+    } catch (err) {
+        if (strict) throw err;
+        return null;
+    }
+
+    const dbUpdates = { ...updates, updated_at: new Date().toISOString() };
+    const changed = shipment.status !== to;
+
+    if (changed) {
+        dbUpdates.status = to;
+        const timestampField = TIMESTAMP_FIELDS[to];
+        if (timestampField && !shipment[timestampField]) {
+            dbUpdates[timestampField] = dbUpdates.updated_at;
+        }
+
+        // No delivery without a receiver code or a recorded admin override
+        if (to === DELIVERED) {
+            Object.assign(dbUpdates, proof?.authorized || await podService.authorizeDelivery(shipmentId, { ...proof, role }));
+        }
+    }
+
+    // Guard on the status we read so concurrent transitions cannot both apply
+    const { data, error } = await supabaseAdmin
+        .from('shipments')
+        .update(dbUpdates)
+        .eq('id', shipmentId)
+        .eq('status', shipment.status)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+        throw new ApiError(409, 'Shipment status changed while processing the request. Please retry.');
+    }
+
+    if (changed) {
+        await shipmentService.addTrackingEvent(
+            shipmentId,
+            to,
+            location,
+            description || EVENT_DESCRIPTIONS[to],
+            coordinates
+        );
+
+        if ([DELIVERED, CANCELLED, RETURNED].includes(to)) {
+            await dispatchService.releaseDriver(data.driver_id);
+        }
+
+        if (to === PROCESSING && config.dispatch.autoAssign && !data.driver_id) {
+            try {
+                const { shipment: assigned } = await dispatchService.assign(shipmentId);
+                return assigned;
+            } catch (err) {
+                // Leave it for an admin to dispatch manually
+                console.warn(`Auto-dispatch skipped for shipment ${shipmentId}: ${err.message}`);
+            }
+        }
+    }
+
+    return data;
+};
+
+module.exports = {
+    SYSTEM,
+    TRANSITIONS,
+    getAllowedTransitions,
+    canTransition,
+    assertTransition,
+    transition
+};
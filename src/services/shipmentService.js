@@ -1,16 +1,24 @@
 const { supabaseAdmin } = require('../config/supabase');
 const { generateTrackingNumber, calculateETA } = require('../utils/trackingNumber');
 const config = require('../config');
-const { calculatePriceInternal } = require('../controllers/pricingController');
+const { ApiError } = require('../middleware/errorHandler');
+const { assess } = require('../utils/loadPlanning');
+const pricingService = require('./pricingService');
+const promoService = require('./promoService');
+const creditAccountService = require('./creditAccountService');
+const codService = require('./codService');
+const trackingStream = require('./trackingStream');
 
 /**
  * Service to handle shipment database operations
  */
 const shipmentService = {
     /**
-     * Create a new shipment
+     * Build the shipments row for new shipment input, including the quoted fee and ETA
+     * Nothing is written; used by createShipment and bulk import dry runs.
+     * @param {object} [lockedQuote] - A claimed quote whose price is used instead of repricing
      */
-    createShipment: async (userId, shipmentData) => {
+    prepareShipment: async (userId, shipmentData, lockedQuote = null) => {
         const {
             origin,
             destination,
@@ -23,47 +31,227 @@ const shipmentService = {
             packageType,
             description,
             declaredValue,
-            specialInstructions
+            specialInstructions,
+            pickupDate
         } = shipmentData;
 
         const parsedWeight = parseFloat(weight);
         const normalizedServiceType = serviceType ? serviceType.toLowerCase().trim() : '5 tons';
+        const load = shipmentService.checkCapacity(normalizedServiceType, parsedWeight, dimensions);
 
         const trackingNumber = generateTrackingNumber();
-        const estimatedDelivery = calculateETA(normalizedServiceType);
 
-        // Use pricing controller's internal helper for consistent fee calculation
-        // Default distance to 0 if not provided (can be enhanced with Google Maps API later)
-        const shippingFee = await calculatePriceInternal(normalizedServiceType, parsedWeight, 0);
+        // Distance from coordinates or the state-to-state lane table, never from the client
+        const quote = lockedQuote || await pricingService.quote({
+            ...shipmentData,
+            serviceType: normalizedServiceType,
+            distanceKm: undefined,
+            customerId: userId,
+            promoCodeId: undefined
+        });
+        const shippingFee = quote.total;
+        const estimatedDelivery = calculateETA(normalizedServiceType, quote.distanceKm, pickupDate ? new Date(pickupDate) : new Date());
 
-        const { data, error } = await supabaseAdmin
-            .from('shipments')
-            .insert({
-                sender_id: userId,
-                tracking_number: trackingNumber,
-                origin,
-                destination,
-                receiver_name: receiverName,
-                receiver_email: receiverEmail,
-                receiver_phone: receiverPhone,
-                weight: parsedWeight,
-                dimensions,
-                service_type: normalizedServiceType,
-                package_type: packageType ? packageType.toLowerCase() : 'parcel',
-                description,
-                declared_value: declaredValue ? parseFloat(declaredValue) : null,
-                special_instructions: specialInstructions,
-                status: config.shipmentStatus.PENDING,
-                estimated_delivery: estimatedDelivery,
-                shipping_fee: shippingFee
-            })
-            .select()
-            .single();
+        return {
+            sender_id: userId,
+            tracking_number: trackingNumber,
+            origin,
+            destination,
+            receiver_name: receiverName,
+            receiver_email: receiverEmail,
+            receiver_phone: receiverPhone,
+            weight: parsedWeight,
+            dimensions,
+            volumetric_weight: load.volumetricWeightKg,
+            chargeable_weight: load.chargeableWeightKg,
+            service_type: normalizedServiceType,
+            package_type: packageType ? packageType.toLowerCase() : 'parcel',
+            description,
+            declared_value: declaredValue ? parseFloat(declaredValue) : null,
+            special_instructions: specialInstructions,
+            status: config.shipmentStatus.PENDING,
+            estimated_delivery: estimatedDelivery,
+            pickup_date: pickupDate ? new Date(pickupDate).toISOString() : null,
+            shipping_fee: shippingFee,
+            price_breakdown: quote.lines,
+            priced_at: quote.pricedAt,
+            quote_id: lockedQuote ? shipmentData.quoteId : null,
+            contract_rate_id: quote.contract?.id || null,
+            promo_code_id: quote.promo?.id || null,
+            promo_code: quote.promo?.code || null,
+            promo_discount: quote.promo?.discount || 0,
+            ...shipmentService.routeColumns(shipmentData, quote)
+        };
+    },
+
+    /**
+     * Reject a load the truck class cannot carry
+     * @returns {object} The load assessment (see utils/loadPlanning)
+     * @throws {ApiError} 400 naming the class, or number of trucks, that would fit
+     */
+    checkCapacity: (serviceType, weight, dimensions) => {
+        const load = assess(serviceType, weight, dimensions);
+        if (load.fits) return load;
+
+        const { capacity, suggestion } = load;
+        const size = `${load.actualWeightKg} kg${load.volumeM3 ? ` / ${load.volumeM3} m³` : ''}`;
+        const advice = suggestion.trucks === 1
+            ? `Book a ${suggestion.serviceType} truck instead.`
+            : `This load needs ${suggestion.trucks} trucks of ${suggestion.serviceType}; split it into ${suggestion.trucks} shipments.`;
+
+        throw new ApiError(
+            400,
+            `A ${load.serviceType} truck carries up to ${capacity.payloadKg} kg / ${capacity.volumeM3} m³ but this load is ${size}. ${advice}`,
+            load
+        );
+    },
+
+    /**
+     * Route columns stored with a shipment: coordinates when given, plus what pricing resolved
+     * @param {object} input - originLat, originLng, destinationLat, destinationLng (null clears)
+     * @param {object} quote - Result of pricingService.quote
+     */
+    routeColumns: (input, quote) => {
+        const coordinate = (value) => {
+            if (value === undefined || value === '') return undefined;
+            return value === null ? null : parseFloat(value);
+        };
+
+        const columns = {
+            origin_lat: coordinate(input.originLat),
+            origin_lng: coordinate(input.originLng),
+            destination_lat: coordinate(input.destinationLat),
+            destination_lng: coordinate(input.destinationLng),
+            origin_state: quote.originState,
+            destination_state: quote.destinationState,
+            distance_km: quote.distanceKm,
+            pricing_zone: quote.zone
+        };
+
+        return Object.fromEntries(Object.entries(columns).filter(([, v]) => v !== undefined));
+    },
+
+    /**
+     * Create a new shipment
+     * Customers with an active credit account book on account unless they ask
+     * for paymentMethod=prepaid: the fee is charged to their balance (within the
+     * credit limit) instead of being paid up front. paymentMethod=cod books cash
+     * on delivery: cod_amount (default the fee) is collected by the driver.
+     */
+    createShipment: async (userId, shipmentData) => {
+        // A quote ID books the price the customer was shown
+        const lockedQuote = shipmentData.quoteId
+            ? await pricingService.claimQuote(shipmentData.quoteId, userId, shipmentData)
+            : null;
+
+        let row;
+        let redemptionId = null;
+        let account = null;
+        try {
+            row = await shipmentService.prepareShipment(userId, shipmentData, lockedQuote);
+
+            const { paymentMethod } = shipmentData;
+            if (paymentMethod === config.paymentMethods.COD) {
+                // The receiver pays the driver; nothing is charged or paid up front
+                row.payment_status = config.shipmentPaymentStatus.COD;
+                row.cod_amount = codService.amountToCollect(row, shipmentData.codAmount);
+            } else if (paymentMethod !== config.paymentMethods.PREPAID) {
+                account = await shipmentService.accountToBook(userId, paymentMethod === config.paymentMethods.ACCOUNT);
+            }
+            if (account) {
+                row.payment_status = config.shipmentPaymentStatus.ON_ACCOUNT;
+            }
+
+            // Take one use of the promo code before booking; given back if the insert fails
+            if (row.promo_code_id) {
+                redemptionId = await promoService.redeem(row.promo_code_id, userId, row.promo_discount);
+            }
+        } catch (err) {
+            if (lockedQuote) await pricingService.settleQuote(shipmentData.quoteId, null);
+            throw err;
+        }
+
+        let data;
+        let error;
+        if (account) {
+            // Insert and charge together, checked against the credit limit under a lock
+            try {
+                [data] = await creditAccountService.book(account, [row]);
+            } catch (err) {
+                error = err;
+            }
+        } else {
+            ({ data, error } = await supabaseAdmin
+                .from('shipments')
+                .insert(row)
+                .select()
+                .single());
+        }
+
+        if (lockedQuote) {
+            await pricingService.settleQuote(shipmentData.quoteId, error ? null : data.id);
+        }
+        if (redemptionId) {
+            await promoService.settleRedemption(redemptionId, error ? null : data.id);
+        }
 
         if (error) throw error;
         return data;
     },
 
+    /**
+     * Credit account a booking goes on, or null to pay up front
+     * Suspended accounts only book on account when asked to, so the customer
+     * gets the reason instead of silently paying up front.
+     * @param {string} userId
+     * @param {boolean} required - The customer chose paymentMethod=account
+     * @throws {ApiError} 400 when required and the customer has no credit account
+     */
+    accountToBook: async (userId, required = false) => {
+        const account = await creditAccountService.findForUser(userId);
+
+        if (!account) {
+            if (required) {
+                throw new ApiError(400, 'You do not have a credit account. Book with paymentMethod=prepaid.');
+            }
+            return null;
+        }
+        return required || account.status === config.creditAccounts.status.ACTIVE ? account : null;
+    },
+
+    /**
+     * Apply the shipment list filters to a query
+     * Shared by the list and export endpoints so both return the same rows.
+     * @param {object} filters
+     * @param {string} [filters.status]
+     * @param {string} [filters.search] - Tracking number or receiver name
+     * @param {string} [filters.userId] - Sender
+     * @param {string} [filters.from] - created_at lower bound (inclusive)
+     * @param {string} [filters.to] - created_at upper bound (inclusive; a date alone covers that whole day)
+     */
+    applyFilters: (query, { status, search, userId, from, to } = {}) => {
+        if (status) {
+            query = query.eq('status', status);
+        }
+        if (search) {
+            query = query.or(`tracking_number.ilike.%${search}%,receiver_name.ilike.%${search}%`);
+        }
+        if (userId) {
+            query = query.eq('sender_id', userId);
+        }
+        if (from) {
+            query = query.gte('created_at', new Date(from).toISOString());
+        }
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            const end = new Date(to);
+            end.setUTCDate(end.getUTCDate() + 1);
+            query = query.lt('created_at', end.toISOString());
+        } else if (to) {
+            query = query.lte('created_at', new Date(to).toISOString());
+        }
+        return query;
+    },
+
     /**
      * Get shipment by ID with relations
      */
@@ -85,18 +273,26 @@ const shipmentService = {
 
     /**
      * Add tracking event to a shipment
+     * @param {{ lat: number, lng: number }} [coordinates] - Where the event happened
      */
-    addTrackingEvent: async (shipmentId, status, location, description) => {
-        const { error } = await supabaseAdmin
+    addTrackingEvent: async (shipmentId, status, location, description, coordinates = null) => {
+        const { data, error } = await supabaseAdmin
             .from('tracking_events')
             .insert({
                 shipment_id: shipmentId,
                 status,
                 location,
+                lat: coordinates?.lat ?? null,
+                lng: coordinates?.lng ?? null,
                 description
-            });
+            })
+            .select()
+            .single();
 
         if (error) throw error;
+
+        // Push to live tracking streams
+        trackingStream.publish(shipmentId, 'tracking', data, data.id);
         return true;
     }
 };
@@ -0,0 +1,23 @@
+const config = require('../../config');
+const createLocalStorage = require('./localStorage');
+
+/**
+ * Storage adapters, selected with STORAGE_DRIVER
+ * Each adapter implements:
+ *   save(key, buffer) -> { key, size }
+ *   read(key) -> Buffer
+ *   remove(key)
+ */
+const adapters = {
+    local: () => createLocalStorage(config.storage.localPath)
+};
+
+const createStorage = () => {
+    const factory = adapters[config.storage.driver];
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${config.storage.driver}. Available: ${Object.keys(adapters).join(', ')}`);
+    }
+    return factory();
+};
+
+module.exports = createStorage();
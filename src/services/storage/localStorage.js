@@ -0,0 +1,36 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local-disk storage adapter
+ * Files live under a single root directory; keys are relative paths.
+ */
+const createLocalStorage = (rootDir) => {
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        // Keys come from our own code, but never let one escape the root
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        save: async (key, buffer) => {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return { key, size: buffer.length };
+        },
+
+        read: async (key) => fs.readFile(resolveKey(key)),
+
+        remove: async (key) => {
+            await fs.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+module.exports = createLocalStorage;
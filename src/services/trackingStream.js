@@ -0,0 +1,42 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub for live tracking updates
+ * Publishers (tracking events, driver pings, ETA changes) emit per shipment,
+ * SSE connections subscribe to the shipments they are watching.
+ * Note: only reaches subscribers connected to this server instance.
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+const channel = (shipmentId) => `shipment:${shipmentId}`;
+
+const trackingStream = {
+    /**
+     * Publish an update for a shipment
+     * @param {string} shipmentId
+     * @param {string} event - 'tracking' | 'location' | 'eta'
+     * @param {object} data - Payload sent to subscribers
+     * @param {string} [id] - Event id (only set for replayable events)
+     */
+    publish: (shipmentId, event, data, id = null) => {
+        if (!shipmentId) return;
+        emitter.emit(channel(shipmentId), { id, event, data });
+    },
+
+    /**
+     * Subscribe to updates for a shipment
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: (shipmentId, listener) => {
+        emitter.on(channel(shipmentId), listener);
+        return () => emitter.off(channel(shipmentId), listener);
+    },
+
+    /**
+     * Number of open subscriptions for a shipment
+     */
+    subscriberCount: (shipmentId) => emitter.listenerCount(channel(shipmentId))
+};
+
+module.exports = trackingStream;
@@ -0,0 +1,210 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const { TOPUP, PAYMENT, REFUND, ADJUSTMENT } = config.wallet.transactionTypes;
+const { PROVIDER_CLEARING, REVENUE, ADJUSTMENTS } = config.wallet.systemAccounts;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// System account IDs never change; look each up once
+const systemAccountIds = {};
+
+/**
+ * Service for customer wallets
+ * Balances only change through post(), which writes balanced entries in one
+ * database transaction (post_wallet_transaction, scripts/add_wallets.sql).
+ */
+const walletService = {
+    /**
+     * A customer's wallet, created on first use
+     */
+    getWallet: async (userId) => {
+        const { data: existing } = await supabaseAdmin
+            .from('wallet_accounts')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (existing) return existing;
+
+        const { error } = await supabaseAdmin
+            .from('wallet_accounts')
+            .upsert({ user_id: userId, currency: config.payments.currency }, { onConflict: 'user_id', ignoreDuplicates: true });
+
+        if (error) throw error;
+
+        const { data, error: fetchError } = await supabaseAdmin
+            .from('wallet_accounts')
+            .select('*')
+            .eq('user_id', userId)
+            .single();
+
+        if (fetchError) throw fetchError;
+        return data;
+    },
+
+    /**
+     * ID of a system account (config.wallet.systemAccounts)
+     */
+    getSystemAccountId: async (code) => {
+        if (systemAccountIds[code]) return systemAccountIds[code];
+
+        const { data } = await supabaseAdmin
+            .from('wallet_accounts')
+            .select('id')
+            .eq('code', code)
+            .maybeSingle();
+
+        if (!data) {
+            throw new ApiError(500, `Wallet system account ${code} is missing. Run scripts/add_wallets.sql.`);
+        }
+        systemAccountIds[code] = data.id;
+        return data.id;
+    },
+
+    /**
+     * Move money into (positive amount) or out of a customer's wallet against a system account
+     * Posting the same type and reference again returns the first transaction.
+     * @param {object} posting
+     * @param {string} posting.userId - Customer
+     * @param {string} posting.counterpart - System account code
+     * @param {number} posting.amount - Positive credits the customer
+     * @param {string} posting.type - config.wallet.transactionTypes
+     * @param {string} posting.reference - Payment, refund or adjustment ID
+     * @returns {Promise<{ transaction: object, duplicate: boolean }>}
+     * @throws {ApiError} 402 when the wallet cannot cover a debit
+     */
+    post: async ({ userId, counterpart, amount, type, reference, description = null, reason = null, createdBy = null }) => {
+        const [wallet, counterpartId] = await Promise.all([
+            walletService.getWallet(userId),
+            walletService.getSystemAccountId(counterpart)
+        ]);
+        const value = round(amount);
+
+        const { data, error } = await supabaseAdmin.rpc('post_wallet_transaction', {
+            p_type: type,
+            p_reference: String(reference),
+            p_description: description,
+            p_reason: reason,
+            p_created_by: createdBy,
+            p_entries: [
+                { account_id: wallet.id, amount: value },
+                { account_id: counterpartId, amount: -value }
+            ]
+        });
+
+        if (!error) return { transaction: data, duplicate: false };
+
+        if (error.code === '23514') {
+            throw new ApiError(402, `Insufficient wallet balance: ${parseFloat(wallet.balance)} available, ${-value} needed`, {
+                balance: parseFloat(wallet.balance),
+                required: -value
+            });
+        }
+        if (error.code !== '23505') throw error;
+
+        const { data: existing } = await supabaseAdmin
+            .from('wallet_transactions')
+            .select('*')
+            .eq('type', type)
+            .eq('reference', String(reference))
+            .single();
+
+        return { transaction: existing, duplicate: true };
+    },
+
+    /**
+     * Credit a succeeded top-up payment to its owner's wallet (once)
+     */
+    creditTopup: async (payment) => {
+        return walletService.post({
+            userId: payment.user_id,
+            counterpart: PROVIDER_CLEARING,
+            amount: parseFloat(payment.amount),
+            type: TOPUP,
+            reference: payment.id,
+            description: `Top-up via ${payment.provider}`
+        });
+    },
+
+    /**
+     * Take a shipment's fee from the wallet
+     * Posted against the shipment, so a shipment is never paid from the wallet twice.
+     * @param {object} payment - The pending wallet payment
+     * @param {object} shipment - id and tracking_number
+     */
+    debitPayment: async (payment, shipment) => {
+        return walletService.post({
+            userId: payment.user_id,
+            counterpart: REVENUE,
+            amount: -parseFloat(payment.amount),
+            type: PAYMENT,
+            reference: shipment.id,
+            description: `Shipment ${shipment.tracking_number}`,
+            createdBy: payment.user_id
+        });
+    },
+
+    /**
+     * Give a refund back to the payer's wallet
+     * Taken from the account the payment went to: shipment revenue for wallet
+     * payments, the provider clearing account for card payments.
+     */
+    creditRefund: async (refund, payment) => {
+        return walletService.post({
+            userId: payment.user_id,
+            counterpart: payment.provider === config.wallet.provider ? REVENUE : PROVIDER_CLEARING,
+            amount: parseFloat(refund.amount),
+            type: REFUND,
+            reference: refund.id,
+            description: refund.reason || 'Refund',
+            createdBy: refund.approved_by
+        });
+    },
+
+    /**
+     * Admin correction to a wallet balance
+     * @param {number} amount - Positive credits, negative debits
+     * @param {string} reason - Required; kept on the transaction
+     * @param {string} [reference] - Idempotency key, so a retried request posts once;
+     *        scoped to the user, so the same key for another wallet still posts
+     */
+    adjust: async (userId, { amount, reason, reference = uuidv4(), adminId }) => {
+        if (!reason || !String(reason).trim()) {
+            throw new ApiError(400, 'A reason is required for wallet adjustments');
+        }
+
+        return walletService.post({
+            userId,
+            counterpart: ADJUSTMENTS,
+            amount,
+            type: ADJUSTMENT,
+            reference: `${userId}:${reference}`,
+            description: amount > 0 ? 'Credit adjustment' : 'Debit adjustment',
+            reason,
+            createdBy: adminId
+        });
+    },
+
+    /**
+     * A customer's wallet entries with their transactions, newest first
+     */
+    getStatement: async (walletId, { offset, limit }) => {
+        const { data, error, count } = await supabaseAdmin
+            .from('wallet_entries')
+            .select(`
+                id, amount, balance_after, created_at,
+                transaction:wallet_transactions(id, type, reference, description, reason, created_by)
+            `, { count: 'exact' })
+            .eq('account_id', walletId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+        return { entries: data || [], count };
+    }
+};
+
+module.exports = walletService;
@@ -0,0 +1,78 @@
+const config = require('../config');
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Smallest truck first
+const CLASSES = Object.entries(config.vehicleClasses)
+    .map(([serviceType, capacity]) => ({ serviceType, ...capacity }))
+    .sort((a, b) => a.payloadKg - b.payloadKg);
+
+/**
+ * Cargo volume in m³ from `dimensions` in cm, or null when any side is missing
+ */
+const volumeM3 = (dimensions) => {
+    if (!dimensions) return null;
+    const { length, width, height } = dimensions;
+    const sides = [length, width, height].map(side => parseFloat(side));
+    if (sides.some(side => !(side > 0))) return null;
+    return sides.reduce((product, side) => product * side, 1) / 1e6;
+};
+
+/**
+ * Actual, volumetric and chargeable (the larger of the two) weight of a load
+ * @param {number|string} weight - Actual weight in kg
+ * @param {object} [dimensions] - { length, width, height } in cm
+ */
+const measure = (weight, dimensions) => {
+    const actualWeightKg = parseFloat(weight) || 0;
+    const volume = volumeM3(dimensions);
+    const volumetricWeightKg = volume == null ? null : round(volume * 1e6 / config.volumetricDivisor);
+
+    return {
+        actualWeightKg,
+        volumeM3: volume == null ? null : round(volume, 3),
+        volumetricWeightKg,
+        chargeableWeightKg: Math.max(actualWeightKg, volumetricWeightKg || 0)
+    };
+};
+
+const fitsIn = (truck, load) => load.actualWeightKg <= truck.payloadKg &&
+    (load.volumeM3 || 0) <= truck.volumeM3;
+
+/**
+ * Check a load against a truck class and suggest the class that fits
+ * Loads bigger than the largest class get the number of those trucks needed.
+ * @returns {{ actualWeightKg, volumeM3, volumetricWeightKg, chargeableWeightKg,
+ *             serviceType, capacity, fits, suggestion: { serviceType, trucks } }}
+ */
+const assess = (serviceType, weight, dimensions) => {
+    const load = measure(weight, dimensions);
+    const normalized = serviceType ? serviceType.toLowerCase().trim() : null;
+    const capacity = config.vehicleClasses[normalized] || null;
+
+    const smallest = CLASSES.find(truck => fitsIn(truck, load));
+    const largest = CLASSES[CLASSES.length - 1];
+    const suggestion = smallest
+        ? { serviceType: smallest.serviceType, trucks: 1 }
+        : {
+            serviceType: largest.serviceType,
+            trucks: Math.max(
+                Math.ceil(load.actualWeightKg / largest.payloadKg),
+                Math.ceil((load.volumeM3 || 0) / largest.volumeM3)
+            )
+        };
+
+    return {
+        ...load,
+        serviceType: normalized,
+        capacity,
+        fits: capacity ? fitsIn(capacity, load) : true,
+        suggestion
+    };
+};
+
+module.exports = {
+    volumeM3,
+    measure,
+    assess
+};
@@ -0,0 +1,134 @@
+const { calculateDistance } = require('./helpers');
+
+/**
+ * Nigerian states (plus FCT) with their capital's coordinates
+ * Aliases are cities and spellings that identify the state in free-text addresses.
+ */
+const STATES = {
+    'abia': { name: 'Abia', capital: 'Umuahia', lat: 5.5320, lng: 7.4860, aliases: ['umuahia', 'aba'] },
+    'adamawa': { name: 'Adamawa', capital: 'Yola', lat: 9.2035, lng: 12.4954, aliases: ['yola', 'mubi'] },
+    'akwa ibom': { name: 'Akwa Ibom', capital: 'Uyo', lat: 5.0377, lng: 7.9128, aliases: ['akwa-ibom', 'uyo', 'eket'] },
+    'anambra': { name: 'Anambra', capital: 'Awka', lat: 6.2105, lng: 7.0741, aliases: ['awka', 'onitsha', 'nnewi'] },
+    'bauchi': { name: 'Bauchi', capital: 'Bauchi', lat: 10.3158, lng: 9.8442, aliases: [] },
+    'bayelsa': { name: 'Bayelsa', capital: 'Yenagoa', lat: 4.9267, lng: 6.2676, aliases: ['yenagoa'] },
+    'benue': { name: 'Benue', capital: 'Makurdi', lat: 7.7322, lng: 8.5391, aliases: ['makurdi', 'gboko'] },
+    'borno': { name: 'Borno', capital: 'Maiduguri', lat: 11.8311, lng: 13.1510, aliases: ['maiduguri'] },
+    'cross river': { name: 'Cross River', capital: 'Calabar', lat: 4.9757, lng: 8.3417, aliases: ['cross-river', 'calabar'] },
+    'delta': { name: 'Delta', capital: 'Asaba', lat: 6.1980, lng: 6.7319, aliases: ['asaba', 'warri', 'sapele'] },
+    'ebonyi': { name: 'Ebonyi', capital: 'Abakaliki', lat: 6.3249, lng: 8.1137, aliases: ['abakaliki'] },
+    'edo': { name: 'Edo', capital: 'Benin City', lat: 6.3350, lng: 5.6037, aliases: ['benin city', 'benin', 'auchi'] },
+    'ekiti': { name: 'Ekiti', capital: 'Ado-Ekiti', lat: 7.6211, lng: 5.2214, aliases: ['ado-ekiti', 'ado ekiti'] },
+    'enugu': { name: 'Enugu', capital: 'Enugu', lat: 6.4584, lng: 7.5464, aliases: ['nsukka'] },
+    'fct': { name: 'FCT', capital: 'Abuja', lat: 9.0765, lng: 7.3986, aliases: ['abuja', 'federal capital territory', 'gwagwalada'] },
+    'gombe': { name: 'Gombe', capital: 'Gombe', lat: 10.2897, lng: 11.1673, aliases: [] },
+    'imo': { name: 'Imo', capital: 'Owerri', lat: 5.4850, lng: 7.0350, aliases: ['owerri', 'orlu'] },
+    'jigawa': { name: 'Jigawa', capital: 'Dutse', lat: 11.7562, lng: 9.3389, aliases: ['dutse'] },
+    'kaduna': { name: 'Kaduna', capital: 'Kaduna', lat: 10.5105, lng: 7.4165, aliases: ['zaria', 'kafanchan'] },
+    'kano': { name: 'Kano', capital: 'Kano', lat: 12.0022, lng: 8.5920, aliases: [] },
+    'katsina': { name: 'Katsina', capital: 'Katsina', lat: 12.9908, lng: 7.6018, aliases: ['funtua'] },
+    'kebbi': { name: 'Kebbi', capital: 'Birnin Kebbi', lat: 12.4539, lng: 4.1975, aliases: ['birnin kebbi'] },
+    'kogi': { name: 'Kogi', capital: 'Lokoja', lat: 7.8023, lng: 6.7333, aliases: ['lokoja', 'okene'] },
+    'kwara': { name: 'Kwara', capital: 'Ilorin', lat: 8.4966, lng: 4.5421, aliases: ['ilorin'] },
+    'lagos': { name: 'Lagos', capital: 'Ikeja', lat: 6.6018, lng: 3.3515, aliases: ['ikeja', 'lekki', 'apapa', 'ikorodu', 'victoria island', 'surulere', 'badagry', 'epe'] },
+    'nasarawa': { name: 'Nasarawa', capital: 'Lafia', lat: 8.4939, lng: 8.5153, aliases: ['lafia', 'keffi'] },
+    'niger': { name: 'Niger', capital: 'Minna', lat: 9.6139, lng: 6.5569, aliases: ['minna', 'bida', 'suleja'] },
+    'ogun': { name: 'Ogun', capital: 'Abeokuta', lat: 7.1475, lng: 3.3619, aliases: ['abeokuta', 'ota', 'sagamu', 'ijebu ode'] },
+    'ondo': { name: 'Ondo', capital: 'Akure', lat: 7.2571, lng: 5.2058, aliases: ['akure'] },
+    'osun': { name: 'Osun', capital: 'Osogbo', lat: 7.7827, lng: 4.5418, aliases: ['osogbo', 'ile-ife', 'ilesa'] },
+    'oyo': { name: 'Oyo', capital: 'Ibadan', lat: 7.3775, lng: 3.9470, aliases: ['ibadan', 'ogbomoso'] },
+    'plateau': { name: 'Plateau', capital: 'Jos', lat: 9.8965, lng: 8.8583, aliases: ['jos'] },
+    'rivers': { name: 'Rivers', capital: 'Port Harcourt', lat: 4.8156, lng: 7.0498, aliases: ['port harcourt', 'bonny'] },
+    'sokoto': { name: 'Sokoto', capital: 'Sokoto', lat: 13.0059, lng: 5.2476, aliases: [] },
+    'taraba': { name: 'Taraba', capital: 'Jalingo', lat: 8.8937, lng: 11.3596, aliases: ['jalingo'] },
+    'yobe': { name: 'Yobe', capital: 'Damaturu', lat: 11.7470, lng: 11.9608, aliases: ['damaturu', 'potiskum'] },
+    'zamfara': { name: 'Zamfara', capital: 'Gusau', lat: 12.1628, lng: 6.6614, aliases: ['gusau'] }
+};
+
+/**
+ * Approximate road distances (km) between state capitals on the busiest lanes
+ * Lanes not listed are estimated from the capitals' coordinates.
+ */
+const LANE_DISTANCES = {
+    'lagos:ogun': 80,
+    'lagos:oyo': 128,
+    'lagos:osun': 235,
+    'lagos:kwara': 300,
+    'lagos:ondo': 310,
+    'edo:lagos': 315,
+    'delta:lagos': 450,
+    'anambra:lagos': 470,
+    'enugu:lagos': 560,
+    'lagos:rivers': 615,
+    'fct:lagos': 760,
+    'kaduna:lagos': 780,
+    'kano:lagos': 1000,
+    'fct:niger': 150,
+    'fct:nasarawa': 180,
+    'fct:kaduna': 190,
+    'fct:kogi': 195,
+    'fct:plateau': 300,
+    'fct:kano': 355,
+    'enugu:fct': 450,
+    'fct:rivers': 610,
+    'kaduna:kano': 230,
+    'kano:katsina': 175,
+    'anambra:enugu': 65,
+    'abia:rivers': 110,
+    'akwa ibom:rivers': 105,
+    'imo:rivers': 90,
+    'osun:oyo': 90,
+    'delta:edo': 135
+};
+
+const laneKey = (a, b) => [a, b].sort().join(':');
+
+// Longest terms first so "benin city" is tried before "benin"
+const LOOKUP = Object.entries(STATES)
+    .flatMap(([key, state]) => [key, state.name.toLowerCase(), ...state.aliases].map(term => ({ term, key })))
+    .sort((a, b) => b.term.length - a.term.length);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the state an address refers to
+ * Checks comma separated parts from the end, since addresses are written
+ * "street, city, state".
+ * @param {string} text
+ * @returns {string|null} State key in STATES
+ */
+const findState = (text) => {
+    if (!text) return null;
+
+    const parts = String(text).toLowerCase().split(',').map(p => p.trim()).filter(Boolean).reverse();
+    for (const part of parts) {
+        const match = LOOKUP.find(({ term }) => new RegExp(`(^|[^a-z])${escapeRegExp(term)}($|[^a-z])`).test(part));
+        if (match) return match.key;
+    }
+    return null;
+};
+
+/**
+ * Road distance between two states in km
+ * Uses the lane table, otherwise the distance between capitals times the road factor.
+ * @returns {{ distanceKm: number, source: 'lane'|'capitals' }|null}
+ */
+const laneDistance = (fromState, toState, roadFactor) => {
+    const from = STATES[fromState];
+    const to = STATES[toState];
+    if (!from || !to || fromState === toState) return null;
+
+    const known = LANE_DISTANCES[laneKey(fromState, toState)];
+    if (known) return { distanceKm: known, source: 'lane' };
+
+    return {
+        distanceKm: calculateDistance(from.lat, from.lng, to.lat, to.lng) * roadFactor,
+        source: 'capitals'
+    };
+};
+
+module.exports = {
+    STATES,
+    LANE_DISTANCES,
+    findState,
+    laneDistance
+};
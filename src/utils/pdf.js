@@ -0,0 +1,22 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Render a PDF into a Buffer
+ * @param {object} options - PDFKit document options (size, margins, info)
+ * @param {Function} draw - async (doc) => void, draws the content
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (options, draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument(options);
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    Promise.resolve(draw(doc))
+        .then(() => doc.end())
+        .catch(reject);
+});
+
+module.exports = { renderPdf };
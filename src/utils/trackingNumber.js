@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
 
 /**
  * Generate a unique tracking number
@@ -12,20 +13,36 @@ const generateTrackingNumber = () => {
 };
 
 /**
- * Calculate estimated delivery date based on service type
+ * Estimate hours needed to cover a road distance with a given truck class
+ * Includes overnight rest and optional loading/offloading dwell time.
  */
-const calculateETA = (serviceType = 'standard') => {
-    const now = new Date();
-    const daysToAdd = {
-        express: 1,
-        priority: 2,
-        standard: 5,
-        economy: 7
-    };
-
-    const days = daysToAdd[serviceType] || 5;
-    now.setDate(now.getDate() + days);
-    return now.toISOString();
+const estimateTransitHours = (serviceType, roadKm, { includePickup = true, includeDelivery = true } = {}) => {
+    const { averageSpeed, defaultSpeed, maxDrivingHoursPerDay, restHours, pickupDwellHours, deliveryDwellHours } = config.eta;
+    const speed = averageSpeed[serviceType?.toLowerCase().trim()] || defaultSpeed;
+
+    const drivingHours = roadKm / speed;
+    const restStops = Math.floor(drivingHours / maxDrivingHoursPerDay);
+
+    return drivingHours +
+        restStops * restHours +
+        (includePickup ? pickupDwellHours : 0) +
+        (includeDelivery ? deliveryDwellHours : 0);
+};
+
+/**
+ * Calculate estimated delivery date based on truck class and, when known, road distance
+ */
+const calculateETA = (serviceType = '5 tons', roadKm = null, from = new Date()) => {
+    const eta = new Date(from);
+
+    if (roadKm == null) {
+        const days = config.eta.fallbackDays[serviceType?.toLowerCase().trim()] || config.eta.fallbackDays['5 tons'];
+        eta.setDate(eta.getDate() + days);
+    } else {
+        eta.setTime(eta.getTime() + estimateTransitHours(serviceType, roadKm) * 60 * 60 * 1000);
+    }
+
+    return eta.toISOString();
 };
 
-module.exports = { generateTrackingNumber, calculateETA };
+module.exports = { generateTrackingNumber, calculateETA, estimateTransitHours };